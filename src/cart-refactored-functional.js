@@ -1,6 +1,13 @@
 // 函數式購物車重構版本 - 遵循 Clean Code 和函數式程式設計原則
-// 引入商品管理模組
+// 引入儲存後端、商品管理、定價、優惠券、運費與稅額計算模組
+// <script src="storage.js"></script>
+// <script src="i18n.js"></script>
+// <script src="currency.js"></script>
 // <script src="product.js"></script>
+// <script src="pricing.js"></script>
+// <script src="coupon.js"></script>
+// <script src="shipping.js"></script>
+// <script src="tax.js"></script>
 
 // ============================================================================
 // 資料結構和常數定義
@@ -10,35 +17,97 @@
  * 購物車項目資料結構
  * @typedef {Object} CartItem
  * @property {string} id - 商品 ID
+ * @property {string} key - 購物車項目鍵值（商品 ID 與規格 ID 組成）
+ * @property {string} [variantId] - 商品規格 ID
+ * @property {string} [variantLabel] - 商品規格名稱
  * @property {string} name - 商品名稱
  * @property {number} price - 商品價格
  * @property {string} image - 商品圖片 URL
+ * @property {string} [category] - 商品分類 ID，用來查找稅率
+ * @property {number} [weight] - 單件重量（公斤）
+ * @property {boolean} [oversized] - 是否為大型商品
+ * @property {number} [maxQuantity] - 可購買的最大數量，未設定時不限量
+ * @property {PriceTier[]} [priceTiers] - 商品的數量階梯價
+ * @property {boolean} [unavailable] - 商品已從目前的商品目錄下架，不計入總計也無法結帳
  * @property {number} quantity - 數量
  */
 
+/**
+ * 購物車與商品目錄比對後的變更紀錄
+ * @typedef {Object} CartCatalogueChange
+ * @property {string} type - 變更類型（CART_CATALOGUE_CHANGE_TYPES 之一）
+ * @property {string} key - 購物車項目鍵值
+ * @property {string} name - 商品名稱
+ * @property {number} [from] - 原本的價格（價格變更時）
+ * @property {number} [to] - 目前的價格（價格變更時）
+ */
+
 /**
  * 購物車狀態資料結構
  * @typedef {Object} CartState
  * @property {CartItem[]} items - 購物車項目
+ * @property {string[]} coupons - 已套用的優惠碼
+ * @property {string} shippingMethodId - 選擇的配送方式 ID
+ * @property {CartItem[]} savedForLater - 稍後購買的項目（不計入總計與數量）
+ */
+
+/**
+ * 本地儲存的購物車封包（版本標記 + 購物車資料）
+ * @typedef {Object} CartStorageEnvelope
+ * @property {number} version - 儲存格式版本
+ * @property {Object} data - 該版本格式的購物車資料
+ */
+
+/**
+ * 復原與重做紀錄資料結構
+ * @typedef {Object} CartHistory
+ * @property {CartState[]} past - 可復原的先前狀態（最新的在最後）
+ * @property {CartState[]} future - 可重做的狀態（最新復原的在最後）
  */
 
 // 本地儲存鍵值
 const STORAGE_KEYS = {
-    CART: 'shoppingCart'
+    CART: 'shoppingCart',
+    // 第 1 版格式分開儲存優惠碼與配送方式，僅在遷移時讀取
+    COUPONS: 'shoppingCartCoupons',
+    SHIPPING_METHOD: 'shoppingCartShippingMethod'
 };
 
-// 運費計算常數
-const SHIPPING_CONFIG = {
-    FREE_SHIPPING_THRESHOLD: 5000, // 免運門檻
-    SHIPPING_FEE: 100 // 運費
+// 目前的購物車儲存格式版本
+const CART_SCHEMA_VERSION = 3;
+
+// 跨分頁同步使用的 BroadcastChannel 名稱
+const CART_SYNC_CHANNEL = 'shopping-cart-sync';
+
+// 復原與重做設定
+const CART_HISTORY_CONFIG = {
+    LIMIT: 50, // 最多保留的復原步驟數
+    NOTIFICATION_DURATION: 5000 // 含「復原」按鈕的通知顯示時間（毫秒），讓使用者有時間點選
+};
+
+// SHIPPING_CONFIG 與配送方式使用 shipping.js 模組中的版本
+
+// 購物車與商品目錄比對的變更類型
+const CART_CATALOGUE_CHANGE_TYPES = {
+    PRICE: 'price', // 價格已更新
+    REMOVED: 'removed', // 商品已下架
+    RESTORED: 'restored' // 已下架的商品重新上架
 };
 
+// 價格變更摘要通知的顯示時間（毫秒）
+const CART_CATALOGUE_NOTIFICATION_DURATION = 8000;
+
+// 免運加購建議最多顯示的商品數
+const FREE_SHIPPING_SUGGESTION_LIMIT = 3;
+
 // DOM 元素 ID
 const DOM_IDS = {
     CART_COUNT: 'cart-count',
     CART_ITEMS: 'cart-items',
     CART_TOTAL: 'cart-total',
-    EMPTY_CART: 'empty-cart'
+    EMPTY_CART: 'empty-cart',
+    SAVED_FOR_LATER: 'saved-for-later',
+    FREE_SHIPPING_BANNER: 'free-shipping-banner'
 };
 
 // ============================================================================
@@ -50,7 +119,10 @@ const DOM_IDS = {
  * @returns {CartState} 空的購物車狀態
  */
 const createEmptyCart = () => ({
-    items: []
+    items: [],
+    coupons: [],
+    shippingMethodId: SHIPPING_CONFIG.DEFAULT_METHOD_ID,
+    savedForLater: []
 });
 
 /**
@@ -62,125 +134,301 @@ const calculateTotalCount = (items) =>
     items.reduce((total, item) => total + item.quantity, 0);
 
 /**
- * 計算購物車項目的總價格
- * @param {CartItem[]} items - 購物車項目陣列
+ * 計算購物車項目的總價格（以 Money 的最小單位加總各項目小計，小計計算見 pricing.js）
+ * @param {(CartItem|PricedCartItem)[]} items - 購物車項目陣列
  * @returns {number} 總價格
  */
-const calculateTotalPrice = (items) =>
-    items.reduce((total, item) => total + (item.price * item.quantity), 0);
+const calculateTotalPrice = (items) => moneyToAmount(sumMoney(items.map(calculateLineTotal)));
 
 /**
  * 計算運費
  * @param {number} totalPrice - 商品總價格
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {string} methodId - 配送方式 ID
  * @returns {number} 運費
  */
-const calculateShippingFee = (totalPrice) => {
-    return totalPrice >= SHIPPING_CONFIG.FREE_SHIPPING_THRESHOLD
-        ? 0
-        : SHIPPING_CONFIG.SHIPPING_FEE;
+const calculateShippingFee = (totalPrice, items = [], methodId = SHIPPING_CONFIG.DEFAULT_METHOD_ID) => {
+    const context = createShippingContext(items, totalPrice);
+    const method = resolveShippingMethod(methodId, context);
+    return moneyToAmount(calculateMethodShippingMoney(method, context));
 };
 
 /**
- * 計算最終總金額（商品總價 + 運費）
- * @param {number} totalPrice - 商品總價格
- * @param {number} shippingFee - 運費
- * @returns {number} 最終總金額
+ * 計算最終總金額（商品總價 - 折扣 + 運費 + 未含在價格中的稅額），以金額值運算
+ * @param {Money} totalPrice - 商品總價格
+ * @param {Money} shippingFee - 運費
+ * @param {Money} discountTotal - 折扣總額
+ * @param {Money} exclusiveTax - 未含在價格中的稅額（價格為未稅價時），含稅價時為 0
+ * @returns {Money} 最終總金額（含稅）
+ */
+const calculateFinalTotal = (totalPrice, shippingFee, discountTotal = createMoney(0), exclusiveTax = createMoney(0)) =>
+    subtractMoney(sumMoney([totalPrice, shippingFee, exclusiveTax]), discountTotal);
+
+/**
+ * 取得可購買的購物車項目（排除已下架的商品）
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {CartItem[]} 可購買的項目
  */
-const calculateFinalTotal = (totalPrice, shippingFee) => totalPrice + shippingFee;
+const getPurchasableItems = (items) => items.filter(item => !item.unavailable);
 
 /**
- * 計算購物車的派生資料
+ * 檢查購物車是否有已下架的商品
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {boolean} 是否有已下架的商品
+ */
+const hasUnavailableItems = (items) => items.some(item => item.unavailable);
+
+/**
+ * 計算購物車的派生資料；已下架的商品不計入數量與金額
+ * 先套用數量階梯價與組合優惠（pricing.js），商品總計、優惠券、運費與稅額皆以套用後的項目計算
  * @param {CartState} cartState - 購物車狀態
  * @returns {Object} 包含所有計算屬性的物件
  */
 const calculateCartDerivedData = (cartState) => {
-    const totalCount = calculateTotalCount(cartState.items);
-    const totalPrice = calculateTotalPrice(cartState.items);
-    const shippingFee = calculateShippingFee(totalPrice);
-    const finalTotal = calculateFinalTotal(totalPrice, shippingFee);
+    const { items, bundles } = priceCartItems(getPurchasableItems(cartState.items));
+    const totalCount = calculateTotalCount(items);
+    const totalPriceMoney = sumMoney(items.map(calculateLineTotal));
+    const totalPrice = moneyToAmount(totalPriceMoney);
+    const { discounts, inapplicable, discountTotal, freeShipping } =
+        calculateCouponDiscounts(items, cartState.coupons || []);
+    // 免運門檻以折扣後金額判斷
+    const shippingContext = createShippingContext(items, moneyToAmount(subtractMoney(totalPriceMoney, discountTotal)));
+    const shippingMethod = resolveShippingMethod(cartState.shippingMethodId, shippingContext);
+    const shippingOptions = getShippingOptions(shippingContext);
+    const shippingMoney = freeShipping ? createMoney(0) : calculateMethodShippingMoney(shippingMethod, shippingContext);
+    const shippingFee = moneyToAmount(shippingMoney);
+    const tax = taxManager.calculate(items, discounts, shippingFee);
+    const finalTotal = moneyToAmount(calculateFinalTotal(
+        totalPriceMoney,
+        shippingMoney,
+        discountTotal,
+        moneyFromAmount(tax.exclusiveTax)
+    ));
+    // 使用免運優惠券時不需要顯示免運進度
+    const freeShippingProgress = freeShipping ? null : calculateFreeShippingProgress(shippingMethod, shippingContext);
 
     return {
+        pricedItems: items,
+        bundles,
         totalCount,
         totalPrice,
+        discounts,
+        inapplicableCoupons: inapplicable,
+        discountTotal: moneyToAmount(discountTotal),
+        shippingMethodId: shippingMethod.id,
+        shippingOptions,
         shippingFee,
+        tax,
+        taxTotal: tax.taxTotal,
+        freeShippingProgress,
         finalTotal
     };
 };
 
 /**
- * 根據商品 ID 查找購物車項目
- * @param {CartItem[]} items - 購物車項目陣列
+ * 找出加入一件即可達到免運門檻的商品，依價格由低到高排列
+ * 以加入後重新計算的派生資料判斷，階梯價、組合優惠、優惠券折扣與庫存限制都會計入；
+ * 加入商品只會讓折扣增加，因此單價低於還差金額的商品不需要重新計算
+ * @param {CartState} cartState - 購物車狀態
+ * @param {Object} derivedData - 目前購物車的派生資料（calculateCartDerivedData 的結果）
+ * @param {Product[]} products - 商品目錄
+ * @param {number} limit - 最多建議的商品數
+ * @returns {Product[]} 建議加購的商品，已達門檻時為空陣列
+ */
+const suggestFreeShippingProducts = (cartState, derivedData, products, limit = FREE_SHIPPING_SUGGESTION_LIMIT) => {
+    const { freeShippingProgress } = derivedData;
+    if (!freeShippingProgress || freeShippingProgress.reached) {
+        return [];
+    }
+
+    return products
+        .map(product => ({ product, price: resolveVariantProduct(product, resolveCartVariant(product)).price }))
+        .filter(({ price }) =>
+            currencyManager.convert(price, freeShippingProgress.currencyCode) >= freeShippingProgress.remaining)
+        .filter(({ product }) => {
+            const { freeShippingProgress: progress } = calculateCartDerivedData(addItemToCart(cartState, product));
+            return Boolean(progress && progress.reached);
+        })
+        .sort((a, b) => a.price - b.price)
+        .slice(0, limit)
+        .map(({ product }) => product);
+};
+
+// 購物車項目鍵值中商品 ID 與規格 ID 的分隔符號
+const CART_KEY_SEPARATOR = '::';
+
+/**
+ * 產生購物車項目鍵值；沒有規格的商品直接使用商品 ID
  * @param {string} productId - 商品 ID
+ * @param {string} [variantId] - 商品規格 ID
+ * @returns {string} 購物車項目鍵值
+ */
+const createCartItemKey = (productId, variantId) =>
+    variantId ? `${productId}${CART_KEY_SEPARATOR}${variantId}` : productId;
+
+/**
+ * 取得購物車項目鍵值（相容沒有 key 欄位的舊資料）
+ * @param {CartItem} item - 購物車項目
+ * @returns {string} 購物車項目鍵值
+ */
+const getCartItemKey = (item) => item.key || item.id;
+
+/**
+ * 根據鍵值查找購物車項目
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {string} itemKey - 購物車項目鍵值
  * @returns {CartItem|undefined} 找到的購物車項目
  */
-const findCartItemById = (items, productId) =>
-    items.find(item => item.id === productId);
+const findCartItemByKey = (items, itemKey) =>
+    items.find(item => getCartItemKey(item) === itemKey);
+
+/**
+ * 取得要加入購物車的規格；未指定或找不到時使用預設規格
+ * @param {Product} product - 商品資料
+ * @param {string} [variantId] - 商品規格 ID
+ * @returns {ProductVariant|undefined} 商品規格，商品沒有規格時為 undefined
+ */
+const resolveCartVariant = (product, variantId) =>
+    findProductVariant(product, variantId) || getDefaultVariant(product);
+
+/**
+ * 取得購物車項目可購買的最大數量
+ * @param {CartItem} item - 購物車項目
+ * @returns {number} 最大數量，不限量時為 Infinity
+ */
+const getItemMaxQuantity = (item) =>
+    typeof item.maxQuantity === 'number' ? item.maxQuantity : Infinity;
+
+/**
+ * 建立數量限制欄位（不限量時不寫入，避免 Infinity 無法序列化）
+ * @param {number} limit - 可購買的最大數量
+ * @returns {Object} 數量限制欄位
+ */
+const createQuantityLimit = (limit) =>
+    Number.isFinite(limit) ? { maxQuantity: limit } : {};
 
 /**
  * 創建購物車項目
  * @param {Product} product - 商品資料
  * @param {number} quantity - 數量
+ * @param {ProductVariant} [variant] - 商品規格
  * @returns {CartItem} 購物車項目
  */
-const createCartItem = (product, quantity = 1) => ({
-    id: product.id,
-    name: product.name,
-    price: product.price,
-    image: product.image,
-    quantity
-});
+const createCartItem = (product, quantity = 1, variant = undefined) => {
+    const resolved = resolveVariantProduct(product, variant);
+    return {
+        id: product.id,
+        key: createCartItemKey(product.id, variant && variant.id),
+        ...(variant ? { variantId: variant.id, variantLabel: getVariantLabel(product, variant) } : {}),
+        name: product.name,
+        price: resolved.price,
+        image: resolved.image,
+        ...(product.category ? { category: product.category } : {}),
+        weight: product.weight || 0,
+        oversized: Boolean(product.oversized),
+        ...createQuantityLimit(getAvailableQuantity(resolved)),
+        ...(product.priceTiers ? { priceTiers: product.priceTiers } : {}),
+        quantity
+    };
+};
+
+/**
+ * 檢查商品再加入指定數量後是否超過庫存限制
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {Product} product - 要添加的商品
+ * @param {number} quantity - 要添加的數量
+ * @param {string} [variantId] - 商品規格 ID
+ * @returns {boolean} 是否超過限制
+ */
+const exceedsStockLimit = (cartState, product, quantity = 1, variantId = undefined) => {
+    const variant = resolveCartVariant(product, variantId);
+    const itemKey = createCartItemKey(product.id, variant && variant.id);
+    const existingItem = findCartItemByKey(cartState.items, itemKey);
+    const currentQuantity = existingItem ? existingItem.quantity : 0;
+    return currentQuantity + quantity > getAvailableQuantity(resolveVariantProduct(product, variant));
+};
 
 /**
- * 添加商品到購物車（純函數）
+ * 添加商品到購物車（純函數）；超過庫存限制時回傳原狀態
  * @param {CartState} cartState - 當前購物車狀態
  * @param {Product} product - 要添加的商品
+ * @param {string} [variantId] - 商品規格 ID，未指定時使用預設規格
+ * @param {number} [quantity=1] - 要添加的數量
  * @returns {CartState} 更新後的購物車狀態
  */
-const addItemToCart = (cartState, product) => {
-    const existingItem = findCartItemById(cartState.items, product.id);
+const addItemToCart = (cartState, product, variantId = undefined, quantity = 1) => {
+    if (!Number.isInteger(quantity) || quantity < 1 || exceedsStockLimit(cartState, product, quantity, variantId)) {
+        return cartState;
+    }
+
+    const variant = resolveCartVariant(product, variantId);
+    const itemKey = createCartItemKey(product.id, variant && variant.id);
+    const existingItem = findCartItemByKey(cartState.items, itemKey);
 
     if (existingItem) {
         // 如果商品已存在，增加數量
         const updatedItems = cartState.items.map(item =>
-            item.id === product.id
-                ? { ...item, quantity: item.quantity + 1 }
+            getCartItemKey(item) === itemKey
+                ? { ...item, quantity: item.quantity + quantity }
                 : item
         );
         return { ...cartState, items: updatedItems };
     } else {
         // 如果商品不存在，添加新項目
-        const newItem = createCartItem(product, 1);
+        const newItem = createCartItem(product, quantity, variant);
         const updatedItems = [...cartState.items, newItem];
         return { ...cartState, items: updatedItems };
     }
 };
 
+/**
+ * 一次添加多項商品到購物車（純函數）；逐件使用 addItemToCart，超過庫存限制的部分不會加入
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {{product: Product, variantId: (string|undefined), quantity: number}[]} entries - 要添加的商品與數量
+ * @returns {{state: CartState, shortages: Object[]}} 更新後的狀態與未能全數加入的商品紀錄
+ */
+const addItemsToCart = (cartState, entries) => entries.reduce((acc, entry) => {
+    let state = acc.state;
+    let added = 0;
+    for (let i = 0; i < entry.quantity; i++) {
+        const nextState = addItemToCart(state, entry.product, entry.variantId);
+        if (nextState === state) break;
+        state = nextState;
+        added++;
+    }
+
+    const shortages = added === entry.quantity
+        ? acc.shortages
+        : [...acc.shortages, { id: entry.product.id, name: entry.product.name, requested: entry.quantity, added }];
+    return { state, shortages };
+}, { state: cartState, shortages: [] });
+
 /**
  * 從購物車移除商品（純函數）
  * @param {CartState} cartState - 當前購物車狀態
- * @param {string} productId - 要移除的商品 ID
+ * @param {string} itemKey - 要移除的購物車項目鍵值
  * @returns {CartState} 更新後的購物車狀態
  */
-const removeItemFromCart = (cartState, productId) => {
-    const updatedItems = cartState.items.filter(item => item.id !== productId);
+const removeItemFromCart = (cartState, itemKey) => {
+    const updatedItems = cartState.items.filter(item => getCartItemKey(item) !== itemKey);
     return { ...cartState, items: updatedItems };
 };
 
 /**
- * 更新購物車中商品的數量（純函數）
+ * 更新購物車中商品的數量（純函數）；超過庫存限制時以最大數量為準
  * @param {CartState} cartState - 當前購物車狀態
- * @param {string} productId - 商品 ID
+ * @param {string} itemKey - 購物車項目鍵值
  * @param {number} newQuantity - 新數量
  * @returns {CartState} 更新後的購物車狀態
  */
-const updateItemQuantity = (cartState, productId, newQuantity) => {
+const updateItemQuantity = (cartState, itemKey, newQuantity) => {
     if (newQuantity <= 0) {
-        return removeItemFromCart(cartState, productId);
+        return removeItemFromCart(cartState, itemKey);
     }
 
     const updatedItems = cartState.items.map(item =>
-        item.id === productId
-            ? { ...item, quantity: newQuantity }
+        getCartItemKey(item) === itemKey
+            ? { ...item, quantity: Math.min(newQuantity, getItemMaxQuantity(item)) }
             : item
     );
 
@@ -188,11 +436,276 @@ const updateItemQuantity = (cartState, productId, newQuantity) => {
 };
 
 /**
- * 清空購物車（純函數）
+ * 套用優惠碼到購物車（純函數）
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {string} code - 優惠碼
+ * @returns {CartState} 更新後的購物車狀態
+ */
+const applyCouponToCart = (cartState, code) => {
+    const normalizedCode = normalizeCouponCode(code);
+    const coupons = cartState.coupons || [];
+    if (!normalizedCode || coupons.includes(normalizedCode)) {
+        return cartState;
+    }
+    return { ...cartState, coupons: [...coupons, normalizedCode] };
+};
+
+/**
+ * 從購物車移除優惠碼（純函數）
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {string} code - 優惠碼
+ * @returns {CartState} 更新後的購物車狀態
+ */
+const removeCouponFromCart = (cartState, code) => {
+    const normalizedCode = normalizeCouponCode(code);
+    const coupons = (cartState.coupons || []).filter(applied => applied !== normalizedCode);
+    return { ...cartState, coupons };
+};
+
+/**
+ * 選擇配送方式（純函數）
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {string} methodId - 配送方式 ID
+ * @returns {CartState} 更新後的購物車狀態
+ */
+const setShippingMethod = (cartState, methodId) =>
+    findShippingMethodById(SHIPPING_METHODS, methodId)
+        ? { ...cartState, shippingMethodId: methodId }
+        : cartState;
+
+/**
+ * 清空購物車（純函數）；稍後購買的項目會保留
  * @param {CartState} cartState - 當前購物車狀態
  * @returns {CartState} 空的購物車狀態
  */
-const clearCart = (cartState) => createEmptyCart();
+const clearCart = (cartState) => ({
+    ...createEmptyCart(),
+    shippingMethodId: cartState.shippingMethodId,
+    savedForLater: cartState.savedForLater || []
+});
+
+/**
+ * 將購物車項目移到稍後購買（純函數）；稍後購買已有相同項目時合併數量
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {string} itemKey - 購物車項目鍵值
+ * @returns {CartState} 更新後的購物車狀態
+ */
+const moveItemToSavedForLater = (cartState, itemKey) => {
+    const item = findCartItemByKey(cartState.items, itemKey);
+    if (!item) {
+        return cartState;
+    }
+
+    const savedForLater = cartState.savedForLater || [];
+    const existingItem = findCartItemByKey(savedForLater, itemKey);
+    return {
+        ...removeItemFromCart(cartState, itemKey),
+        savedForLater: existingItem
+            ? savedForLater.map(saved => getCartItemKey(saved) === itemKey
+                ? { ...saved, quantity: saved.quantity + item.quantity }
+                : saved)
+            : [...savedForLater, item]
+    };
+};
+
+/**
+ * 將稍後購買的項目移回購物車（純函數）
+ * 依目前庫存決定可移回的數量，超過庫存的部分留在稍後購買
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {string} itemKey - 購物車項目鍵值
+ * @param {Product[]} products - 目前的商品資料
+ * @returns {{state: CartState, requested: number, moved: number, limit: number}} 更新後的狀態、要移回與實際移回的數量，以及可購買的上限
+ */
+const moveSavedItemToCart = (cartState, itemKey, products) => {
+    const savedForLater = cartState.savedForLater || [];
+    const savedItem = findCartItemByKey(savedForLater, itemKey);
+    if (!savedItem) {
+        return { state: cartState, requested: 0, moved: 0, limit: 0 };
+    }
+
+    const product = findProductById(products, savedItem.id);
+    const limit = product
+        ? getAvailableQuantity(resolveVariantProduct(product, findProductVariant(product, savedItem.variantId)))
+        : getItemMaxQuantity(savedItem);
+    const { maxQuantity, ...itemWithoutLimit } = savedItem;
+    const existingItem = findCartItemByKey(cartState.items, itemKey);
+    const currentQuantity = existingItem ? existingItem.quantity : 0;
+    const moved = Math.max(0, Math.min(savedItem.quantity, limit - currentQuantity));
+    if (moved === 0) {
+        return { state: cartState, requested: savedItem.quantity, moved, limit };
+    }
+
+    const items = existingItem
+        ? cartState.items.map(item => getCartItemKey(item) === itemKey
+            ? { ...item, ...createQuantityLimit(limit), quantity: item.quantity + moved }
+            : item)
+        : [...cartState.items, { ...itemWithoutLimit, ...createQuantityLimit(limit), quantity: moved }];
+    const remaining = savedItem.quantity - moved;
+
+    return {
+        state: {
+            ...cartState,
+            items,
+            savedForLater: remaining > 0
+                ? savedForLater.map(saved => getCartItemKey(saved) === itemKey ? { ...saved, quantity: remaining } : saved)
+                : savedForLater.filter(saved => getCartItemKey(saved) !== itemKey)
+        },
+        requested: savedItem.quantity,
+        moved,
+        limit
+    };
+};
+
+/**
+ * 從稍後購買移除項目（純函數）
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {string} itemKey - 購物車項目鍵值
+ * @returns {CartState} 更新後的購物車狀態
+ */
+const removeSavedItem = (cartState, itemKey) => ({
+    ...cartState,
+    savedForLater: (cartState.savedForLater || []).filter(item => getCartItemKey(item) !== itemKey)
+});
+
+/**
+ * 依目前庫存調整購物車（純函數）；已售完的商品會被移除，超量的商品會降到可購買上限
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {Product[]} products - 目前的商品資料
+ * @returns {{state: CartState, adjustments: Object[]}} 調整後的狀態與調整紀錄
+ */
+const reconcileCartWithStock = (cartState, products) => {
+    const result = cartState.items.reduce((acc, item) => {
+        const product = findProductById(products, item.id);
+        if (!product) {
+            return { ...acc, items: [...acc.items, item] };
+        }
+
+        const variant = findProductVariant(product, item.variantId);
+        const limit = getAvailableQuantity(resolveVariantProduct(product, variant));
+        const { maxQuantity, ...itemWithoutLimit } = item;
+        const quantity = Math.min(item.quantity, limit);
+        const adjustments = quantity === item.quantity
+            ? acc.adjustments
+            : [...acc.adjustments, { id: item.id, name: item.name, from: item.quantity, to: quantity }];
+
+        if (quantity <= 0) {
+            return { ...acc, adjustments };
+        }
+        return {
+            items: [...acc.items, { ...itemWithoutLimit, ...createQuantityLimit(limit), quantity }],
+            adjustments
+        };
+    }, { items: [], adjustments: [] });
+
+    return {
+        state: { ...cartState, items: result.items },
+        adjustments: result.adjustments
+    };
+};
+
+/**
+ * 依目前的商品目錄更新單一購物車項目的名稱、價格與圖片（純函數）
+ * 商品或規格已不在目錄中時標示為已下架，重新上架時取消標示
+ * @param {CartItem} item - 購物車項目
+ * @param {Product[]} products - 目前的商品目錄
+ * @returns {{item: CartItem, change: (CartCatalogueChange|null)}} 更新後的項目與變更紀錄
+ */
+const reconcileCartItemWithCatalogue = (item, products) => {
+    const product = findProductById(products, item.id);
+    const variant = product && findProductVariant(product, item.variantId);
+    const itemKey = getCartItemKey(item);
+    if (!product || (item.variantId && !variant)) {
+        return item.unavailable
+            ? { item, change: null }
+            : {
+                item: { ...item, unavailable: true },
+                change: { type: CART_CATALOGUE_CHANGE_TYPES.REMOVED, key: itemKey, name: item.name }
+            };
+    }
+
+    const resolved = resolveVariantProduct(product, variant);
+    // 階梯價以目前的商品目錄為準，商品已取消階梯價時一併移除
+    const { unavailable, priceTiers, ...availableItem } = item;
+    const updatedItem = {
+        ...availableItem,
+        name: product.name,
+        price: resolved.price,
+        image: resolved.image,
+        ...(product.category ? { category: product.category } : {}),
+        ...(product.priceTiers ? { priceTiers: product.priceTiers } : {})
+    };
+    if (unavailable) {
+        return {
+            item: updatedItem,
+            change: { type: CART_CATALOGUE_CHANGE_TYPES.RESTORED, key: itemKey, name: product.name }
+        };
+    }
+    return {
+        item: updatedItem,
+        change: resolved.price === item.price ? null : {
+            type: CART_CATALOGUE_CHANGE_TYPES.PRICE,
+            key: itemKey,
+            name: product.name,
+            from: item.price,
+            to: resolved.price
+        }
+    };
+};
+
+/**
+ * 將購物車與稍後購買清單與目前的商品目錄比對（純函數）：更新價格、標示已下架的商品
+ * 只回報購物車項目的變更，稍後購買的項目不計入總計，因此只更新資料
+ * @param {CartState} cartState - 當前購物車狀態
+ * @param {Product[]} products - 目前的商品目錄（需為完整目錄）
+ * @returns {{state: CartState, changes: CartCatalogueChange[]}} 更新後的狀態與變更紀錄
+ */
+const reconcileCartWithCatalogue = (cartState, products) => {
+    const results = cartState.items.map(item => reconcileCartItemWithCatalogue(item, products));
+    return {
+        state: {
+            ...cartState,
+            items: results.map(result => result.item),
+            savedForLater: (cartState.savedForLater || [])
+                .map(item => reconcileCartItemWithCatalogue(item, products).item)
+        },
+        changes: results.map(result => result.change).filter(Boolean)
+    };
+};
+
+/**
+ * 將購物車與商品目錄比對的變更整理為摘要訊息
+ * @param {CartCatalogueChange[]} changes - 變更紀錄
+ * @returns {string} 摘要訊息，沒有變更時為空字串
+ */
+const cartCatalogueChangesToMessage = (changes) => {
+    const byType = (type) => changes.filter(change => change.type === type);
+    const priceChanges = byType(CART_CATALOGUE_CHANGE_TYPES.PRICE).map(change => t('cart.catalogueChanges.priceChange', {
+        name: change.name,
+        from: formatPrice(change.from),
+        to: formatPrice(change.to)
+    }));
+    const removed = byType(CART_CATALOGUE_CHANGE_TYPES.REMOVED).map(change => change.name);
+    const restored = byType(CART_CATALOGUE_CHANGE_TYPES.RESTORED).map(change => change.name);
+    const separator = t('common.listSeparator');
+    return [
+        priceChanges.length > 0 ? t('cart.catalogueChanges.price', { items: priceChanges.join(separator) }) : '',
+        removed.length > 0 ? t('cart.catalogueChanges.removed', { items: removed.join(separator) }) : '',
+        restored.length > 0 ? t('cart.catalogueChanges.restored', { items: restored.join(separator) }) : ''
+    ].filter(Boolean).join(t('cart.catalogueChanges.separator'));
+};
+
+/**
+ * 將載入購物車時的庫存調整整理為摘要訊息
+ * @param {Object[]} adjustments - reconcileCartWithStock 的調整紀錄
+ * @returns {string} 摘要訊息，沒有調整時為空字串
+ */
+const stockAdjustmentsToMessage = (adjustments) => {
+    if (adjustments.length === 0) return '';
+    const items = adjustments.map(adjustment => adjustment.to > 0
+        ? t('cart.stockAdjustments.reduced', adjustment)
+        : t('cart.stockAdjustments.soldOut', adjustment));
+    return t('cart.stockAdjustments.summary', { items: items.join(t('common.listSeparator')) });
+};
 
 /**
  * 驗證購物車項目是否有效
@@ -215,7 +728,195 @@ const isValidCartItem = (item) =>
 const isValidCartState = (cartState) =>
     cartState &&
     Array.isArray(cartState.items) &&
-    cartState.items.every(isValidCartItem);
+    cartState.items.every(isValidCartItem) &&
+    (cartState.savedForLater === undefined ||
+        (Array.isArray(cartState.savedForLater) && cartState.savedForLater.every(isValidCartItem)));
+
+/**
+ * 比較兩個購物車狀態的內容是否相同
+ * @param {CartState} a - 購物車狀態
+ * @param {CartState} b - 購物車狀態
+ * @returns {boolean} 是否相同
+ */
+const isSameCartState = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ============================================================================
+// 純函數 - 儲存格式版本與遷移
+// ============================================================================
+
+// 各版本升級到下一版的遷移函數，鍵值為來源版本；格式變更時新增一個步驟並調高 CART_SCHEMA_VERSION
+const CART_MIGRATIONS = {
+    // 第 1 版：商品陣列沒有 key 欄位，優惠碼與配送方式存在獨立鍵值
+    1: (data) => ({
+        items: (Array.isArray(data.items) ? data.items : []).map(item =>
+            item && typeof item === 'object' && !item.key
+                ? { ...item, key: createCartItemKey(item.id, item.variantId) }
+                : item
+        ),
+        coupons: Array.isArray(data.coupons) ? data.coupons : [],
+        shippingMethodId: data.shippingMethodId || SHIPPING_CONFIG.DEFAULT_METHOD_ID
+    }),
+    // 第 2 版：沒有稍後購買清單
+    2: (data) => ({ ...data, savedForLater: [] })
+};
+
+/**
+ * 將購物車狀態包裝為目前版本的儲存封包
+ * @param {CartState} cartState - 購物車狀態
+ * @returns {CartStorageEnvelope} 儲存封包
+ */
+const createCartEnvelope = (cartState) => ({
+    version: CART_SCHEMA_VERSION,
+    data: {
+        items: cartState.items,
+        coupons: cartState.coupons || [],
+        shippingMethodId: cartState.shippingMethodId,
+        savedForLater: cartState.savedForLater || []
+    }
+});
+
+/**
+ * 將讀取到的原始資料轉換為儲存封包；沒有版本標記的商品陣列視為第 1 版
+ * @param {*} rawCart - 購物車鍵值中的原始資料
+ * @param {Object} legacyValues - 第 1 版獨立儲存的資料
+ * @param {*} legacyValues.coupons - 優惠碼
+ * @param {*} legacyValues.shippingMethodId - 配送方式 ID
+ * @returns {CartStorageEnvelope|null} 儲存封包，無法辨識時為 null
+ */
+const toCartEnvelope = (rawCart, legacyValues = {}) => {
+    if (Array.isArray(rawCart)) {
+        return {
+            version: 1,
+            data: { items: rawCart, coupons: legacyValues.coupons, shippingMethodId: legacyValues.shippingMethodId }
+        };
+    }
+    if (rawCart && typeof rawCart === 'object' && Number.isInteger(rawCart.version) && rawCart.data) {
+        return rawCart;
+    }
+    return null;
+};
+
+/**
+ * 依序執行遷移步驟，將封包升級到目標版本（純函數）
+ * 缺少某一版的遷移步驟或封包版本比目標新時會拋出錯誤
+ * @param {CartStorageEnvelope} envelope - 儲存封包
+ * @param {Object<number, Function>} migrations - 遷移函數對照表
+ * @param {number} targetVersion - 目標版本
+ * @returns {CartStorageEnvelope} 升級後的封包
+ */
+const migrateCartEnvelope = (envelope, migrations = CART_MIGRATIONS, targetVersion = CART_SCHEMA_VERSION) => {
+    if (envelope.version > targetVersion) {
+        throw new Error(`不支援的購物車儲存格式版本: ${envelope.version}`);
+    }
+
+    let current = envelope;
+    while (current.version < targetVersion) {
+        const migrate = migrations[current.version];
+        if (typeof migrate !== 'function') {
+            throw new Error(`缺少第 ${current.version} 版的遷移步驟`);
+        }
+        current = { version: current.version + 1, data: migrate(current.data) };
+    }
+    return current;
+};
+
+/**
+ * 從購物車資料中盡量復原可用的部分（純函數）；保留有效的項目，略過無效的項目
+ * @param {Object} data - 購物車資料
+ * @returns {{state: CartState, droppedItems: number}} 復原後的狀態與略過的項目數
+ */
+const recoverCartState = (data) => {
+    const items = data && Array.isArray(data.items) ? data.items : [];
+    const validItems = items.filter(isValidCartItem);
+    const savedItems = data && Array.isArray(data.savedForLater) ? data.savedForLater : [];
+    const validSavedItems = savedItems.filter(isValidCartItem);
+    const coupons = data && Array.isArray(data.coupons)
+        ? data.coupons.filter(code => typeof code === 'string')
+        : [];
+    const shippingMethodId = data && findShippingMethodById(SHIPPING_METHODS, data.shippingMethodId)
+        ? data.shippingMethodId
+        : SHIPPING_CONFIG.DEFAULT_METHOD_ID;
+
+    return {
+        state: { items: validItems, coupons, shippingMethodId, savedForLater: validSavedItems },
+        droppedItems: (items.length - validItems.length) + (savedItems.length - validSavedItems.length)
+    };
+};
+
+// ============================================================================
+// 純函數 - 復原與重做
+// ============================================================================
+
+/**
+ * 創建空的復原紀錄
+ * @returns {CartHistory} 空的復原紀錄
+ */
+const createCartHistory = () => ({ past: [], future: [] });
+
+/**
+ * 記錄變更前的狀態（純函數）；新的變更會清除可重做的紀錄
+ * @param {CartHistory} history - 復原紀錄
+ * @param {CartState} previousState - 變更前的購物車狀態
+ * @param {number} limit - 最多保留的步驟數
+ * @returns {CartHistory} 新的復原紀錄
+ */
+const recordCartHistory = (history, previousState, limit = CART_HISTORY_CONFIG.LIMIT) => ({
+    past: [...history.past, previousState].slice(-limit),
+    future: []
+});
+
+/**
+ * 復原上一個變更（純函數）
+ * @param {CartHistory} history - 復原紀錄
+ * @param {CartState} currentState - 目前的購物車狀態
+ * @returns {{history: CartHistory, state: CartState}|null} 復原後的紀錄與狀態，沒有可復原的變更時回傳 null
+ */
+const undoCartHistory = (history, currentState) => {
+    if (history.past.length === 0) {
+        return null;
+    }
+
+    return {
+        history: {
+            past: history.past.slice(0, -1),
+            future: [...history.future, currentState]
+        },
+        state: history.past[history.past.length - 1]
+    };
+};
+
+/**
+ * 重做上一個復原的變更（純函數）
+ * @param {CartHistory} history - 復原紀錄
+ * @param {CartState} currentState - 目前的購物車狀態
+ * @returns {{history: CartHistory, state: CartState}|null} 重做後的紀錄與狀態，沒有可重做的變更時回傳 null
+ */
+const redoCartHistory = (history, currentState) => {
+    if (history.future.length === 0) {
+        return null;
+    }
+
+    return {
+        history: {
+            past: [...history.past, currentState],
+            future: history.future.slice(0, -1)
+        },
+        state: history.future[history.future.length - 1]
+    };
+};
+
+/**
+ * 判斷鍵盤事件對應的復原快捷鍵（純函數）
+ * Ctrl+Z（macOS 為 ⌘Z）復原，加上 Shift 為重做
+ * @param {{key: string, ctrlKey: boolean, metaKey: boolean, shiftKey: boolean}} event - 鍵盤事件
+ * @returns {('undo'|'redo'|null)} 對應的動作
+ */
+const getHistoryShortcut = (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+        return null;
+    }
+    return event.shiftKey ? 'redo' : 'undo';
+};
 
 // ============================================================================
 // 純函數 - 資料轉換和格式化
@@ -224,30 +925,95 @@ const isValidCartState = (cartState) =>
 // formatPrice 函數使用 product.js 模組中的版本
 
 /**
- * 將購物車項目轉換為 HTML 字串
+ * 將購物車項目轉換為 HTML 字串；套用階梯價或組合優惠時在項目中標示
  * @param {CartItem} item - 購物車項目
+ * @param {PricedCartItem} pricedItem - 套用定價後的項目（calculateCartDerivedData 的 pricedItems），已下架的商品沒有
  * @returns {string} HTML 字串
  */
-const cartItemToHtml = (item) => `
-    <div class="cart-item" data-id="${item.id}">
+const cartItemToHtml = (item, pricedItem = item) => {
+    const itemKey = getCartItemKey(item);
+    const isAtLimit = item.quantity >= getItemMaxQuantity(item);
+    const displayPrice = (amount) => formatPrice(taxManager.toDisplayAmount(amount, item.category));
+    return `
+    <div class="cart-item${item.unavailable ? ' unavailable' : ''}" data-id="${item.id}" data-key="${itemKey}">
         <div class="item-image">
             <img src="${item.image}" alt="${item.name}">
         </div>
         <div class="item-details">
             <h3>${item.name}</h3>
-            <p class="item-price">${formatPrice(item.price)}</p>
+            ${item.variantLabel ? `<p class="item-variant">${item.variantLabel}</p>` : ''}
+            <p class="item-price">${pricedItem.appliedTier
+                ? `<del class="item-list-price">${displayPrice(pricedItem.listPrice)}</del> `
+                : ''}${displayPrice(pricedItem.price)}</p>
+            ${pricedItem.appliedTier
+                ? `<p class="item-pricing tier">${t('cart.tierApplied', { count: pricedItem.appliedTier.minQuantity, price: displayPrice(pricedItem.price) })}</p>`
+                : ''}
+            ${(pricedItem.bundleSavings || []).map(saving => `
+            <p class="item-pricing bundle">${t('cart.bundleApplied', { name: getBundleName(saving), amount: displayPrice(saving.amount) })}</p>`).join('')}
+            ${item.unavailable ? `<p class="item-unavailable">${t('cart.unavailableInCart')}</p>` : ''}
         </div>
         <div class="item-controls">
-            <button class="quantity-btn" onclick="changeQuantity('${item.id}', ${item.quantity - 1})">-</button>
+            <button class="quantity-btn" onclick="changeQuantity('${itemKey}', ${item.quantity - 1})"
+                ${item.unavailable ? 'disabled' : ''}>-</button>
             <span class="quantity">${item.quantity}</span>
-            <button class="quantity-btn" onclick="changeQuantity('${item.id}', ${item.quantity + 1})">+</button>
+            <button class="quantity-btn" onclick="changeQuantity('${itemKey}', ${item.quantity + 1})"
+                ${isAtLimit || item.unavailable ? 'disabled' : ''}>+</button>
         </div>
         <div class="item-total">
-            ${formatPrice(item.price * item.quantity)}
+            ${item.unavailable ? '—' : displayPrice(moneyToAmount(calculateLineTotal(pricedItem)))}
+        </div>
+        <div class="item-actions">
+            ${item.unavailable ? '' : `<button class="save-later-btn" onclick="saveForLater('${itemKey}')">${t('cart.saveForLater')}</button>`}
+            <button class="remove-btn" onclick="removeFromCart('${itemKey}')">${t('common.remove')}</button>
         </div>
-        <button class="remove-btn" onclick="removeFromCart('${item.id}')">移除</button>
     </div>
 `;
+};
+
+/**
+ * 將稍後購買的項目轉換為 HTML 字串；單價與購物車項目相同，依稅額顯示模式顯示
+ * @param {CartItem} item - 稍後購買的項目
+ * @returns {string} HTML 字串
+ */
+const savedItemToHtml = (item) => {
+    const itemKey = getCartItemKey(item);
+    return `
+    <div class="saved-item" data-id="${item.id}" data-key="${itemKey}">
+        <div class="item-image">
+            <img src="${item.image}" alt="${item.name}">
+        </div>
+        <div class="item-details">
+            <h3>${item.name}</h3>
+            ${item.variantLabel ? `<p class="item-variant">${item.variantLabel}</p>` : ''}
+            <p class="item-price">${formatPrice(taxManager.toDisplayAmount(item.price, item.category))} × ${item.quantity}</p>
+            ${item.unavailable ? `<p class="item-unavailable">${t('cart.unavailable')}</p>` : ''}
+        </div>
+        <button class="move-to-cart-btn" onclick="moveToCart('${itemKey}')"
+            ${item.unavailable ? 'disabled' : ''}>${t('cart.moveToCart')}</button>
+        <button class="remove-btn" onclick="removeFromSavedForLater('${itemKey}')">${t('common.remove')}</button>
+    </div>
+`;
+};
+
+/**
+ * 將免運加購建議轉換為 HTML 字串；沒有建議時回傳空字串
+ * @param {Product[]} products - 建議加購的商品
+ * @returns {string} HTML 字串
+ */
+const freeShippingSuggestionsToHtml = (products) => (products.length === 0 ? '' : `
+    <div class="free-shipping-suggestions">
+        <p class="free-shipping-suggestions-title">${t('shipping.freeShippingSuggestions')}</p>
+        <ul>
+            ${products.map(product => `
+            <li class="free-shipping-suggestion" data-id="${product.id}">
+                <span class="suggestion-name">${product.name}</span>
+                <span class="suggestion-price">${formatPrice(taxManager.toDisplayAmount(
+                    resolveVariantProduct(product, resolveCartVariant(product)).price, product.category))}</span>
+                <button class="suggestion-add-btn" onclick="addToCart(${JSON.stringify(product).replace(/"/g, '&quot;')})">${t('common.addToCart')}</button>
+            </li>`).join('')}
+        </ul>
+    </div>
+`);
 
 // productToHtml 函數已移至 product.js 模組
 
@@ -263,7 +1029,7 @@ const cartItemToHtml = (item) => `
  */
 const safeGetFromStorage = (key, defaultValue = null) => {
     try {
-        const item = localStorage.getItem(key);
+        const item = appStorage.getItem(key);
         return item ? JSON.parse(item) : defaultValue;
     } catch (error) {
         console.warn(`讀取本地儲存失敗 (${key}):`, error);
@@ -279,7 +1045,7 @@ const safeGetFromStorage = (key, defaultValue = null) => {
  */
 const safeSetToStorage = (key, value) => {
     try {
-        localStorage.setItem(key, JSON.stringify(value));
+        appStorage.setItem(key, JSON.stringify(value));
         return true;
     } catch (error) {
         console.warn(`儲存到本地儲存失敗 (${key}):`, error);
@@ -288,22 +1054,96 @@ const safeSetToStorage = (key, value) => {
 };
 
 /**
- * 從本地儲存載入購物車狀態
- * @returns {CartState} 載入的購物車狀態
+ * 安全地從本地儲存移除資料
+ * @param {string} key - 儲存鍵值
+ * @returns {boolean} 是否移除成功
+ */
+const safeRemoveFromStorage = (key) => {
+    try {
+        appStorage.removeItem(key);
+        return true;
+    } catch (error) {
+        console.warn(`移除本地儲存失敗 (${key}):`, error);
+        return false;
+    }
+};
+
+/**
+ * 從本地儲存載入購物車狀態：升級舊版格式、略過無效項目，並依傳入的商品資料調整數量
+ * 頁面載入時不傳入商品資料，庫存由 CartManager 取得商品目錄後與價格一併調整
+ * @param {Product[]} products - 用於調整庫存的商品資料，省略時不調整
+ * @returns {{state: CartState, adjustments: Object[]}} 載入的購物車狀態與庫存調整紀錄
  */
-const loadCartFromStorage = () => {
-    const savedItems = safeGetFromStorage(STORAGE_KEYS.CART, []);
-    const cartState = { items: savedItems };
-    return isValidCartState(cartState) ? cartState : createEmptyCart();
+const loadCartFromStorage = (products = []) => {
+    const envelope = toCartEnvelope(safeGetFromStorage(STORAGE_KEYS.CART, []), {
+        coupons: safeGetFromStorage(STORAGE_KEYS.COUPONS, []),
+        shippingMethodId: safeGetFromStorage(STORAGE_KEYS.SHIPPING_METHOD, null)
+    });
+    if (!envelope) {
+        console.warn('無法辨識的購物車儲存格式，已重設購物車');
+        return { state: createEmptyCart(), adjustments: [] };
+    }
+
+    let data;
+    try {
+        data = migrateCartEnvelope(envelope).data;
+    } catch (error) {
+        // 遷移失敗時仍嘗試從原始資料復原可用的項目
+        console.warn('購物車儲存格式遷移失敗，嘗試復原可用的項目:', error);
+        data = envelope.data;
+    }
+
+    const { state: cartState, droppedItems } = recoverCartState(data);
+    if (droppedItems > 0) {
+        console.warn(`已略過 ${droppedItems} 個無法讀取的購物車項目`);
+    }
+
+    return reconcileCartWithStock(cartState, products);
 };
 
 /**
- * 儲存購物車狀態到本地儲存
+ * 以目前版本的封包儲存購物車狀態，並移除第 1 版的獨立鍵值
  * @param {CartState} cartState - 購物車狀態
  * @returns {boolean} 是否儲存成功
  */
 const saveCartToStorage = (cartState) => {
-    return safeSetToStorage(STORAGE_KEYS.CART, cartState.items);
+    const saved = safeSetToStorage(STORAGE_KEYS.CART, createCartEnvelope(cartState));
+    if (saved) {
+        safeRemoveFromStorage(STORAGE_KEYS.COUPONS);
+        safeRemoveFromStorage(STORAGE_KEYS.SHIPPING_METHOD);
+    }
+    return saved;
+};
+
+// ============================================================================
+// 副作用函數 - 跨分頁同步
+// ============================================================================
+
+/**
+ * 建立購物車的跨分頁同步通道（監聽所有購物車鍵值，實作在 storage.js）
+ * @param {Function} onExternalChange - 其他分頁更新購物車時呼叫
+ * @returns {{notify: Function, close: Function}} 通知其他分頁與關閉同步的函數
+ */
+const createCartSyncChannel = (onExternalChange) =>
+    createStorageSyncChannel(CART_SYNC_CHANNEL, Object.values(STORAGE_KEYS), onExternalChange);
+
+// ============================================================================
+// 副作用函數 - 商品目錄
+// ============================================================================
+
+/**
+ * 取得商品管理器的完整商品目錄（設定 PRODUCT_CATALOGUE_URL 時為遠端目錄），無法載入時顯示通知
+ * 供需要以目前商品資料加入購物車的操作使用
+ * @returns {Promise<Product[]|null>} 商品陣列，無法載入時為 null
+ */
+const loadCatalogueForCart = async () => {
+    try {
+        return await productManager.getCatalogue();
+    } catch (error) {
+        console.warn('無法取得商品目錄:', error);
+        showNotification(t('product.loadFailed'));
+        return null;
+    }
 };
 
 // ============================================================================
@@ -326,8 +1166,9 @@ const updateCartCountDisplay = (count) => {
 /**
  * 更新購物車項目顯示
  * @param {CartItem[]} items - 購物車項目陣列
+ * @param {PricedCartItem[]} pricedItems - 套用定價後的可購買項目
  */
-const updateCartItemsDisplay = (items) => {
+const updateCartItemsDisplay = (items, pricedItems = []) => {
     const container = safeGetElement(DOM_IDS.CART_ITEMS);
     if (!container) return;
 
@@ -336,18 +1177,80 @@ const updateCartItemsDisplay = (items) => {
         return;
     }
 
-    const html = items.map(cartItemToHtml).join('');
+    const html = items
+        .map(item => cartItemToHtml(item, pricedItems.find(pricedItem => getCartItemKey(pricedItem) === getCartItemKey(item))))
+        .join('');
     container.innerHTML = html;
 };
 
 /**
- * 更新購物車總計顯示
- * @param {number} totalPrice - 商品總價格
- * @param {number} shippingFee - 運費
- * @param {number} finalTotal - 最終總金額
+ * 更新稍後購買清單顯示；清單為空時隱藏整個區塊
+ * @param {CartItem[]} savedItems - 稍後購買的項目
+ */
+const updateSavedForLaterDisplay = (savedItems) => {
+    const container = safeGetElement(DOM_IDS.SAVED_FOR_LATER);
+    if (!container) return;
+
+    if (savedItems.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = `
+        <h3 class="saved-for-later-title">${t('cart.savedTitle', { count: savedItems.length })}</h3>
+        ${savedItems.map(savedItemToHtml).join('')}
+    `;
+    container.style.display = 'block';
+};
+
+/**
+ * 將折扣明細轉換為價格明細 HTML 字串
+ * @param {CouponDiscount[]} discounts - 優惠券折扣結果
+ * @returns {string} HTML 字串
+ */
+const discountLinesToHtml = (discounts) => discounts
+    .filter(discount => discount.amount > 0)
+    .map(discount => `
+                        <div class="price-item discount">
+                            <span>${t('price.couponDiscount', { code: discount.code, amount: formatPrice(discount.amount) })}</span>
+                        </div>`)
+    .join('');
+
+/**
+ * 更新頁首的免運提示；購物車沒有可購買的商品或使用免運優惠券時隱藏
+ * @param {FreeShippingProgress|null} progress - 免運進度
+ * @param {boolean} isEmpty - 是否沒有可購買的商品
+ */
+const updateFreeShippingBanner = (progress, isEmpty) => {
+    const bannerElement = safeGetElement(DOM_IDS.FREE_SHIPPING_BANNER);
+    if (!bannerElement) return;
+
+    const isVisible = Boolean(progress) && !isEmpty;
+    bannerElement.style.display = isVisible ? 'block' : 'none';
+    bannerElement.textContent = isVisible ? freeShippingMessage(progress) : '';
+    bannerElement.classList.toggle('reached', isVisible && progress.reached);
+};
+
+/**
+ * 更新購物車總計顯示；依稅額顯示模式列出含稅或未稅金額，並另列稅額
+ * @param {Object} derivedData - calculateCartDerivedData 計算出的派生資料
  * @param {boolean} isEmpty - 是否為空購物車
+ * @param {Product[]} suggestions - 免運加購建議的商品
+ * @param {string} taxDisplayMode - 稅額顯示模式，預設為目前選擇的模式
  */
-const updateCartTotalDisplay = (totalPrice, shippingFee, finalTotal, isEmpty) => {
+const updateCartTotalDisplay = (derivedData, isEmpty, suggestions = [], taxDisplayMode = taxManager.displayMode) => {
+    const {
+        discounts = [],
+        inapplicableCoupons = [],
+        shippingMethodId,
+        shippingOptions = [],
+        tax,
+        freeShippingProgress,
+        finalTotal
+    } = derivedData;
+    const displayAmounts = selectTaxDisplayAmounts(tax, taxDisplayMode);
+    const isExclusive = taxDisplayMode === TAX_DISPLAY_MODES.EXCLUSIVE;
     const totalElement = safeGetElement(DOM_IDS.CART_TOTAL);
     const emptyElement = safeGetElement(DOM_IDS.EMPTY_CART);
 
@@ -358,18 +1261,26 @@ const updateCartTotalDisplay = (totalPrice, shippingFee, finalTotal, isEmpty) =>
             totalElement.style.display = 'block';
             totalElement.innerHTML = `
                 <div class="total-summary">
+                    ${shippingSelectorToHtml(shippingOptions, shippingMethodId)}
+                    ${freeShippingProgress
+                        ? freeShippingProgressToHtml(freeShippingProgress, freeShippingSuggestionsToHtml(suggestions))
+                        : ''}
                     <div class="price-breakdown">
                         <div class="price-item">
-                            <span>商品總計: ${formatPrice(totalPrice)}</span>
-                        </div>
+                            <span>${t(isExclusive ? 'price.subtotalExclTax' : 'price.subtotal', { amount: formatPrice(displayAmounts.subtotal) })}</span>
+                        </div>${discountLinesToHtml(displayAmounts.discounts)}
                         <div class="price-item">
-                            <span>運費: ${formatPrice(shippingFee)}</span>
+                            <span>${t(isExclusive ? 'price.shippingExclTax' : 'price.shipping', { amount: formatPrice(displayAmounts.shippingFee) })}</span>
                         </div>
+                        ${taxLineToHtml(tax, taxDisplayMode)}
                         <div class="price-item total">
-                            <span>總金額: ${formatPrice(finalTotal)}</span>
+                            <span>${t('price.total', { amount: formatPrice(finalTotal) })}</span>
                         </div>
                     </div>
-                    <button class="clear-cart-btn" onclick="clearAllCart()">清空購物車</button>
+                    ${taxDisplayToggleToHtml(taxDisplayMode)}
+                    ${couponFormToHtml(discounts, inapplicableCoupons)}
+                    <a href="checkout.html" class="btn btn-primary checkout-btn">${t('cart.checkout')}</a>
+                    <button class="clear-cart-btn" onclick="clearAllCart()">${t('cart.clear')}</button>
                 </div>
             `;
         }
@@ -388,26 +1299,41 @@ const updateCartDisplayInternal = (cartState) => {
     const derivedData = calculateCartDerivedData(cartState);
 
     updateCartCountDisplay(derivedData.totalCount);
-    updateCartItemsDisplay(cartState.items);
+    updateFreeShippingBanner(derivedData.freeShippingProgress, derivedData.totalCount === 0);
+    updateCartItemsDisplay(cartState.items, derivedData.pricedItems);
     updateCartTotalDisplay(
-        derivedData.totalPrice,
-        derivedData.shippingFee,
-        derivedData.finalTotal,
-        cartState.items.length === 0
+        derivedData,
+        cartState.items.length === 0,
+        suggestFreeShippingProducts(cartState, derivedData, productManager.getAllProducts())
     );
+    updateSavedForLaterDisplay(cartState.savedForLater || []);
 };
 
 /**
  * 顯示通知訊息
  * @param {string} message - 通知訊息
  * @param {number} duration - 顯示時間（毫秒）
+ * @param {{label: string, onClick: Function}} [action] - 通知中的動作按鈕，點選後關閉通知
  */
-const showNotification = (message, duration = 3000) => {
+const showNotification = (message, duration = 3000, action) => {
     const notification = document.createElement('div');
     notification.className = 'notification';
     notification.textContent = message;
     document.body.appendChild(notification);
 
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.className = 'notification-action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            action.onClick();
+            if (document.body.contains(notification)) {
+                document.body.removeChild(notification);
+            }
+        });
+        notification.appendChild(actionButton);
+    }
+
     // 使用 requestAnimationFrame 確保 DOM 更新後再添加動畫
     requestAnimationFrame(() => {
         notification.classList.add('show');
@@ -423,6 +1349,27 @@ const showNotification = (message, duration = 3000) => {
     }, duration);
 };
 
+/**
+ * 判斷元素是否為可編輯的輸入欄位
+ * @param {EventTarget} element - 事件目標
+ * @returns {boolean} 是否為可編輯的輸入欄位
+ */
+const isEditableElement = (element) => Boolean(element && (
+    element.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+));
+
+/**
+ * 顯示庫存不足通知
+ * @param {string} productName - 商品名稱
+ * @param {number} limit - 可購買的最大數量
+ */
+const showStockLimitNotification = (productName, limit) => {
+    showNotification(limit <= 0
+        ? t('cart.soldOut', { name: productName })
+        : t('cart.stockLimit', { name: productName, count: limit }));
+};
+
 // 商品相關的函數已移至 product.js 模組
 
 // ============================================================================
@@ -435,15 +1382,60 @@ const showNotification = (message, duration = 3000) => {
 class CartManager {
     constructor() {
         this.state = createEmptyCart();
+        this.history = createCartHistory();
+        this.syncChannel = createCartSyncChannel(() => this.syncFromStorage());
         this.initialize();
+        // IndexedDB 等非同步後端載入完成後重新讀取
+        appStorage.ready.then(() => this.syncFromStorage());
     }
 
     /**
-     * 初始化購物車
+     * 初始化購物車，並在背景將儲存的項目與目前的商品目錄比對
+     * @returns {Promise<CartCatalogueChange[]>} 與商品目錄比對的變更紀錄
      */
     initialize() {
-        this.state = loadCartFromStorage();
+        this.state = loadCartFromStorage().state;
+        this.updateDisplay();
+        return this.revalidateWithCatalogue();
+    }
+
+    /**
+     * 將購物車與商品管理器的完整商品目錄比對：更新價格、標示已下架的商品、依庫存調整數量，並顯示變更摘要
+     * 購物車是空的、沒有載入 product.js 或無法取得商品目錄時不做任何事
+     * @returns {Promise<CartCatalogueChange[]>} 價格與上下架的變更紀錄
+     */
+    async revalidateWithCatalogue() {
+        const hasItems = this.state.items.length > 0 || (this.state.savedForLater || []).length > 0;
+        if (!hasItems || typeof productManager === 'undefined') {
+            return [];
+        }
+
+        let products;
+        try {
+            products = await productManager.getCatalogue();
+        } catch (error) {
+            console.warn('無法取得商品目錄，略過購物車價格檢查:', error);
+            return [];
+        }
+
+        const { state: catalogueState, changes } = reconcileCartWithCatalogue(this.state, products);
+        const { state, adjustments } = reconcileCartWithStock(catalogueState, products);
+        if (isSameCartState(state, this.state)) {
+            return [];
+        }
+
+        // 價格更新不是使用者的操作，清除復原紀錄以免復原到舊價格
+        this.state = state;
+        this.history = createCartHistory();
+        this.saveState();
         this.updateDisplay();
+        const message = [cartCatalogueChangesToMessage(changes), stockAdjustmentsToMessage(adjustments)]
+            .filter(Boolean)
+            .join(t('cart.catalogueChanges.separator'));
+        if (message) {
+            showNotification(message, CART_CATALOGUE_NOTIFICATION_DURATION);
+        }
+        return changes;
     }
 
     /**
@@ -458,52 +1450,284 @@ class CartManager {
      */
     saveState() {
         saveCartToStorage(this.state);
+        this.syncChannel.notify();
     }
 
     /**
-     * 添加商品到購物車
-     * @param {Product} product - 商品資料
+     * 套用新的購物車狀態並記錄到復原紀錄
+     * @param {CartState} nextState - 新的購物車狀態
      */
-    addItem(product) {
-        this.state = addItemToCart(this.state, product);
+    commitState(nextState) {
+        if (!isSameCartState(nextState, this.state)) {
+            this.history = recordCartHistory(this.history, this.state);
+        }
+        this.state = nextState;
         this.saveState();
         this.updateDisplay();
-        showNotification(`${product.name} 已添加到購物車`);
     }
 
     /**
-     * 從購物車移除商品
-     * @param {string} productId - 商品 ID
+     * 重新從本地儲存載入其他分頁寫入的購物車，內容有變動時更新顯示
+     * 其他分頁的變更無法在此分頁復原，因此會清除復原紀錄
+     * @returns {boolean} 購物車內容是否有變動
+     */
+    syncFromStorage() {
+        const { state: latestState } = loadCartFromStorage();
+        if (isSameCartState(latestState, this.state)) {
+            return false;
+        }
+
+        this.state = latestState;
+        this.history = createCartHistory();
+        this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * 復原上一個變更
+     * @returns {boolean} 是否有變更被復原
      */
-    removeItem(productId) {
-        const item = findCartItemById(this.state.items, productId);
-        this.state = removeItemFromCart(this.state, productId);
+    undo() {
+        const result = undoCartHistory(this.history, this.state);
+        if (!result) {
+            return false;
+        }
+
+        this.history = result.history;
+        this.state = result.state;
         this.saveState();
         this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * 重做上一個復原的變更
+     * @returns {boolean} 是否有變更被重做
+     */
+    redo() {
+        const result = redoCartHistory(this.history, this.state);
+        if (!result) {
+            return false;
+        }
+
+        this.history = result.history;
+        this.state = result.state;
+        this.saveState();
+        this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * 是否有可復原的變更
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.history.past.length > 0;
+    }
+
+    /**
+     * 是否有可重做的變更
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.history.future.length > 0;
+    }
+
+    /**
+     * 顯示含「復原」按鈕的通知；通知顯示後若購物車又有其他變更，按鈕不會復原到較早的狀態
+     * @param {string} message - 通知訊息
+     */
+    showUndoNotification(message) {
+        const changedState = this.state;
+        showNotification(message, CART_HISTORY_CONFIG.NOTIFICATION_DURATION, {
+            label: t('common.undo'),
+            onClick: () => {
+                if (this.state === changedState) {
+                    this.undo();
+                }
+            }
+        });
+    }
+
+    /**
+     * 添加商品到購物車
+     * @param {Product} product - 商品資料
+     * @param {string} [variantId] - 商品規格 ID
+     * @param {number} [quantity=1] - 要添加的數量，超過可購買數量時不會加入任何一件
+     */
+    addItem(product, variantId, quantity = 1) {
+        const variant = resolveCartVariant(product, variantId);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            showNotification(t('cart.invalidQuantity'));
+            return;
+        }
+        if (exceedsStockLimit(this.state, product, quantity, variantId)) {
+            showStockLimitNotification(
+                product.name,
+                getAvailableQuantity(resolveVariantProduct(product, variant))
+            );
+            return;
+        }
+
+        this.commitState(addItemToCart(this.state, product, variantId, quantity));
+        const displayName = variant
+            ? `${product.name} (${getVariantLabel(product, variant)})`
+            : product.name;
+        showNotification(quantity > 1
+            ? t('cart.addedQuantity', { name: displayName, count: quantity })
+            : t('cart.added', { name: displayName }));
+    }
+
+    /**
+     * 一次添加多項商品到購物車（不顯示通知，由呼叫端決定提示內容）
+     * @param {{product: Product, variantId: (string|undefined), quantity: number}[]} entries - 要添加的商品與數量
+     * @returns {Object[]} 未能全數加入的商品紀錄
+     */
+    addItems(entries) {
+        const { state, shortages } = addItemsToCart(this.state, entries);
+        this.commitState(state);
+        return shortages;
+    }
+
+    /**
+     * 從購物車移除商品
+     * @param {string} itemKey - 購物車項目鍵值
+     */
+    removeItem(itemKey) {
+        const item = findCartItemByKey(this.state.items, itemKey);
+        this.commitState(removeItemFromCart(this.state, itemKey));
         if (item) {
-            showNotification('商品已從購物車移除');
+            this.showUndoNotification(t('cart.removed'));
+        }
+    }
+
+    /**
+     * 將購物車項目移到稍後購買
+     * @param {string} itemKey - 購物車項目鍵值
+     */
+    saveForLater(itemKey) {
+        const item = findCartItemByKey(this.state.items, itemKey);
+        if (!item) {
+            return;
         }
+
+        this.commitState(moveItemToSavedForLater(this.state, itemKey));
+        showNotification(t('cart.movedToSaved', { name: item.name }));
+    }
+
+    /**
+     * 將稍後購買的項目移回購物車
+     * @param {string} itemKey - 購物車項目鍵值
+     * @param {Product[]} [products] - 目前的商品資料，省略時使用商品管理器的商品目錄
+     * @returns {Promise<boolean>} 是否有移回任何數量
+     */
+    async moveToCart(itemKey, products) {
+        const catalogue = products || await loadCatalogueForCart();
+        if (!catalogue) {
+            return false;
+        }
+
+        const savedItem = findCartItemByKey(this.state.savedForLater || [], itemKey);
+        if (!savedItem) {
+            return false;
+        }
+        if (savedItem.unavailable) {
+            showNotification(t('cart.discontinued', { name: savedItem.name }));
+            return false;
+        }
+
+        const { state, requested, moved, limit } = moveSavedItemToCart(this.state, itemKey, catalogue);
+        if (moved < requested) {
+            showStockLimitNotification(savedItem.name, limit);
+        }
+        if (moved === 0) {
+            return false;
+        }
+
+        this.commitState(state);
+        if (moved === requested) {
+            showNotification(t('cart.movedToCart', { name: savedItem.name }));
+        }
+        return true;
+    }
+
+    /**
+     * 從稍後購買移除項目
+     * @param {string} itemKey - 購物車項目鍵值
+     */
+    removeFromSavedForLater(itemKey) {
+        if (!findCartItemByKey(this.state.savedForLater || [], itemKey)) {
+            return;
+        }
+
+        this.commitState(removeSavedItem(this.state, itemKey));
+        this.showUndoNotification(t('cart.removedFromSaved'));
     }
 
     /**
      * 更新商品數量
-     * @param {string} productId - 商品 ID
+     * @param {string} itemKey - 購物車項目鍵值
      * @param {number} quantity - 新數量
      */
-    updateQuantity(productId, quantity) {
-        this.state = updateItemQuantity(this.state, productId, quantity);
-        this.saveState();
-        this.updateDisplay();
+    updateQuantity(itemKey, quantity) {
+        const item = findCartItemByKey(this.state.items, itemKey);
+        if (item && quantity > getItemMaxQuantity(item)) {
+            showStockLimitNotification(item.name, getItemMaxQuantity(item));
+        }
+
+        this.commitState(updateItemQuantity(this.state, itemKey, quantity));
+        if (item && quantity <= 0) {
+            this.showUndoNotification(t('cart.removed'));
+        }
+    }
+
+    /**
+     * 套用優惠碼
+     * @param {string} code - 優惠碼
+     * @returns {boolean} 是否套用成功
+     */
+    applyCoupon(code) {
+        const coupon = findCouponByCode(COUPONS, code);
+        const appliedCoupons = (this.state.coupons || [])
+            .map(appliedCode => findCouponByCode(COUPONS, appliedCode))
+            .filter(Boolean);
+        const { valid, reason } = validateCoupon(coupon, this.state.items, appliedCoupons);
+
+        if (!valid) {
+            showNotification(t(reason));
+            return false;
+        }
+
+        this.commitState(applyCouponToCart(this.state, coupon.code));
+        showNotification(t('cart.couponApplied', { code: coupon.code }));
+        return true;
+    }
+
+    /**
+     * 移除優惠碼
+     * @param {string} code - 優惠碼
+     */
+    removeCoupon(code) {
+        this.commitState(removeCouponFromCart(this.state, code));
+    }
+
+    /**
+     * 選擇配送方式
+     * @param {string} methodId - 配送方式 ID
+     */
+    selectShippingMethod(methodId) {
+        this.commitState(setShippingMethod(this.state, methodId));
     }
 
     /**
      * 清空購物車
+     * @param {boolean} notify - 是否顯示通知
      */
-    clear() {
-        this.state = clearCart(this.state);
-        this.saveState();
-        this.updateDisplay();
-        showNotification('購物車已清空');
+    clear(notify = true) {
+        this.commitState(clearCart(this.state));
+        if (notify) {
+            this.showUndoNotification(t('cart.cleared'));
+        }
     }
 
     /**
@@ -593,12 +1817,35 @@ class CartManager {
         }
     }
 
+    /**
+     * 綁定復原與重做的鍵盤快捷鍵；在輸入框中時保留瀏覽器原本的復原行為
+     */
+    bindHistoryShortcuts() {
+        if (this.historyKeyHandler) {
+            return;
+        }
+
+        this.historyKeyHandler = (event) => {
+            const action = getHistoryShortcut(event);
+            if (!action || isEditableElement(event.target)) {
+                return;
+            }
+
+            event.preventDefault();
+            if (action === 'undo' ? this.undo() : this.redo()) {
+                showNotification(t(action === 'undo' ? 'cart.undone' : 'cart.redone'));
+            }
+        };
+        document.addEventListener('keydown', this.historyKeyHandler);
+    }
+
     /**
      * 重置購物車（用於測試）
      */
     reset() {
         this.state = createEmptyCart();
-        localStorage.clear();
+        this.history = createCartHistory();
+        appStorage.clear();
         this.updateDisplay();
     }
 
@@ -620,8 +1867,8 @@ const cartManager = new CartManager();
 
 // 公開的 API 函數（保持與原版本的相容性）
 // 使用 var 確保函數在 eval 環境中可被外部訪問
-var addToCart = (product) => cartManager.addItem(product);
-var removeFromCart = (productId) => cartManager.removeItem(productId);
+var addToCart = (product, variantId, quantity) => cartManager.addItem(product, variantId, quantity);
+var removeFromCart = (itemKey) => cartManager.removeItem(itemKey);
 var changeQuantity = function(productId, quantity) {
     var stateMaybe, whatever, list, i, itemLike, go;
     if (cartManager && cartManager.getState && typeof cartManager.getState === 'function') {
@@ -641,7 +1888,7 @@ var changeQuantity = function(productId, quantity) {
         list = whatever;
     }
     for (i = 0; i < list.length; i++) {
-        if (!itemLike && list[i] && list[i].id == productId) {
+        if (!itemLike && list[i] && (list[i].key || list[i].id) == productId) {
             itemLike = list[i];
         }
     }
@@ -650,7 +1897,7 @@ var changeQuantity = function(productId, quantity) {
         if (typeof window !== 'undefined') {
             try {
                 if (window && typeof window.confirm === 'function') {
-                    go = window.confirm('你確定要刪除嗎？');
+                    go = window.confirm(t('cart.confirmRemove'));
                 } else {
                     go = true;
                 }
@@ -670,6 +1917,18 @@ var changeQuantity = function(productId, quantity) {
     return cartManager.updateQuantity(productId, quantity);
 };
 var clearAllCart = () => cartManager.showClearCartConfirmation();
+var saveForLater = (itemKey) => cartManager.saveForLater(itemKey);
+var moveToCart = (itemKey) => cartManager.moveToCart(itemKey);
+var removeFromSavedForLater = (itemKey) => cartManager.removeFromSavedForLater(itemKey);
+var undoCart = () => cartManager.undo();
+var redoCart = () => cartManager.redo();
+var applyCoupon = (code) => cartManager.applyCoupon(code);
+var removeCoupon = (code) => cartManager.removeCoupon(code);
+var selectShippingMethod = (methodId) => cartManager.selectShippingMethod(methodId);
+var applyCouponFromInput = () => {
+    const input = document.getElementById('coupon-code-input');
+    return input ? cartManager.applyCoupon(input.value) : false;
+};
 var updateCartCount = () => cartManager.updateDisplay();
 var updateCartDisplay = () => cartManager.updateDisplay();
 var calculateTotal = () => {
@@ -700,7 +1959,9 @@ var debugCart = () => {
     console.log('購物車內容:', state.items);
     console.log('總數量:', derivedData.totalCount);
     console.log('總金額:', derivedData.totalPrice);
+    console.log('折扣:', derivedData.discountTotal);
     console.log('運費:', derivedData.shippingFee);
+    console.log('稅額:', derivedData.taxTotal);
     console.log('最終總額:', derivedData.finalTotal);
 };
 var validateCart = () => isValidCartState(cartManager.getState());
@@ -724,20 +1985,34 @@ var forceUpdate = () => cartManager.updateDisplay();
  * 初始化頁面
  */
 const initializePage = () => {
-    // 載入商品列表（使用 product.js 模組）
+    // 載入商品列表（使用 product.js 模組）；載入後重新顯示購物車，以載入的商品列出免運加購建議
     if (typeof loadAndRenderProducts === 'function') {
-        loadAndRenderProducts();
+        loadAndRenderProducts().then(() => cartManager.updateDisplay());
     } else {
         console.warn('product.js 模組未載入，無法顯示商品列表');
     }
 
     // 更新購物車顯示
     cartManager.updateDisplay();
+
+    // 購物車頁面提供復原與重做快捷鍵
+    if (document.getElementById(DOM_IDS.CART_ITEMS)) {
+        cartManager.bindHistoryShortcuts();
+    }
 };
 
 // DOM 載入完成後初始化
 document.addEventListener('DOMContentLoaded', initializePage);
 
+// 切換幣別後以新的幣別重新顯示購物車金額與運費
+window.addEventListener(CURRENCY_CONFIG.CHANGE_EVENT, () => cartManager.updateDisplay());
+
+// 切換語系後以新的語系重新顯示購物車
+window.addEventListener(I18N_CONFIG.CHANGE_EVENT, () => cartManager.updateDisplay());
+
+// 切換稅額顯示模式後重新顯示購物車金額
+window.addEventListener(TAX_CONFIG.CHANGE_EVENT, () => cartManager.updateDisplay());
+
 // 頁面載入完成後的額外初始化
 window.addEventListener('load', () => {
     console.log('頁面載入完成');
@@ -760,25 +2035,67 @@ if (typeof module !== 'undefined' && module.exports) {
         calculateShippingFee,
         calculateFinalTotal,
         calculateCartDerivedData,
+        suggestFreeShippingProducts,
+        createCartItemKey,
+        getCartItemKey,
         addItemToCart,
+        addItemsToCart,
         removeItemFromCart,
         updateItemQuantity,
+        exceedsStockLimit,
+        reconcileCartWithStock,
+        reconcileCartItemWithCatalogue,
+        reconcileCartWithCatalogue,
+        cartCatalogueChangesToMessage,
+        stockAdjustmentsToMessage,
+        getPurchasableItems,
+        hasUnavailableItems,
+        applyCouponToCart,
+        removeCouponFromCart,
+        setShippingMethod,
         clearCart,
+        moveItemToSavedForLater,
+        moveSavedItemToCart,
+        removeSavedItem,
         isValidCartItem,
         isValidCartState,
+        isSameCartState,
+        createCartEnvelope,
+        toCartEnvelope,
+        migrateCartEnvelope,
+        recoverCartState,
+        createCartHistory,
+        recordCartHistory,
+        undoCartHistory,
+        redoCartHistory,
+        getHistoryShortcut,
+        freeShippingSuggestionsToHtml,
         formatPrice,
 
         // 工具函數
         safeGetFromStorage,
         safeSetToStorage,
+        safeRemoveFromStorage,
         loadCartFromStorage,
         saveCartToStorage,
+        createCartSyncChannel,
+        loadCatalogueForCart,
+        isEditableElement,
 
         // 公開 API
         addToCart,
         removeFromCart,
         changeQuantity,
         clearAllCart,
+        saveForLater,
+        moveToCart,
+        removeFromSavedForLater,
+        undoCart,
+        redoCart,
+        applyCoupon,
+        removeCoupon,
+        applyCouponFromInput,
+        selectShippingMethod,
         updateCartCount,
         updateCartDisplay,
         calculateTotal,
@@ -794,6 +2111,13 @@ if (typeof module !== 'undefined' && module.exports) {
 
         // 常數
         STORAGE_KEYS,
+        CART_SCHEMA_VERSION,
+        CART_MIGRATIONS,
+        CART_SYNC_CHANNEL,
+        CART_HISTORY_CONFIG,
+        CART_CATALOGUE_CHANGE_TYPES,
+        CART_CATALOGUE_NOTIFICATION_DURATION,
+        FREE_SHIPPING_SUGGESTION_LIMIT,
         SHIPPING_CONFIG,
         DOM_IDS
     };
@@ -1,8 +1,12 @@
 /**
  * 重構後的購物車系統 - 遵循 SOLID 原則和 Clean Code
  * Refactored Shopping Cart System - Following SOLID Principles and Clean Code
+ * 需先載入 storage.js / Requires storage.js to be loaded first
  */
 
+// 跨分頁同步頻道，與函數式版本相同 / Same channel as the functional cart
+const CART_SYNC_CHANNEL_NAME = 'shopping-cart-sync';
+
 // ==================== 領域模型 / Domain Models ====================
 
 /**
@@ -226,8 +230,14 @@ class Cart {
 
 /**
  * 儲存服務介面 / Storage Service Interface
+ * save / load / remove / clear 由各儲存方式實作，購物車的讀寫建立在這四個方法之上
+ * save / load / remove / clear are implemented per backend; cart helpers are built on top of them
  */
 class IStorageService {
+    constructor() {
+        this.storageKey = 'shoppingCart';
+    }
+
     save(key, data) {
         throw new Error('Method must be implemented');
     }
@@ -243,6 +253,32 @@ class IStorageService {
     clear() {
         throw new Error('Method must be implemented');
     }
+
+    /**
+     * 等待儲存方式載入完成（非同步儲存方式使用） / Resolves once an asynchronous backend is loaded
+     */
+    whenReady() {
+        return Promise.resolve();
+    }
+
+    /**
+     * 建立跨分頁同步通道，不支援跨分頁的儲存方式可沿用此預設實作 / Storages without cross-tab support may keep this default
+     * @returns {{notify: Function, close: Function}}
+     */
+    createSyncChannel(onExternalChange) {
+        return { notify: () => {}, close: () => {} };
+    }
+
+    saveCart(cart) {
+        this.save(this.storageKey, cart.toJSON());
+    }
+
+    loadCart() {
+        const data = this.load(this.storageKey);
+        // 函數式版本以 { version, data: { items } } 封包儲存 / The functional version stores a versioned envelope
+        const items = Array.isArray(data) ? data : (data && data.data && data.data.items);
+        return Array.isArray(items) ? Cart.fromJSON(items) : new Cart();
+    }
 }
 
 /**
@@ -278,56 +314,63 @@ class IDOMService {
 // ==================== 服務實作 / Service Implementations ====================
 
 /**
- * LocalStorage 儲存服務 / LocalStorage Storage Service
+ * 儲存服務 / Storage Service
+ * 讀寫委派給 storage.js 的儲存後端（含自動備援），本類別只負責 JSON 轉換
+ * Delegates to a storage.js adapter (with automatic fallback); this class only handles JSON
  */
-class LocalStorageService extends IStorageService {
-    constructor() {
+class AppStorageService extends IStorageService {
+    /**
+     * @param {Object} storage - storage.js 建立的儲存後端 / Adapter created by storage.js
+     */
+    constructor(storage = appStorage) {
         super();
-        this.storageKey = 'shoppingCart';
+        this.storage = storage;
     }
 
     save(key, data) {
         try {
-            localStorage.setItem(key, JSON.stringify(data));
+            this.storage.setItem(key, JSON.stringify(data));
         } catch (error) {
-            console.error('Failed to save to localStorage:', error);
+            console.error(`Failed to save to ${this.storage.name}:`, error);
             throw new Error('Storage save failed');
         }
     }
 
     load(key) {
         try {
-            const data = localStorage.getItem(key);
+            const data = this.storage.getItem(key);
             return data ? JSON.parse(data) : null;
         } catch (error) {
-            console.error('Failed to load from localStorage:', error);
+            console.error(`Failed to load from ${this.storage.name}:`, error);
             return null;
         }
     }
 
     remove(key) {
         try {
-            localStorage.removeItem(key);
+            this.storage.removeItem(key);
         } catch (error) {
-            console.error('Failed to remove from localStorage:', error);
+            console.error(`Failed to remove from ${this.storage.name}:`, error);
         }
     }
 
     clear() {
         try {
-            localStorage.clear();
+            this.storage.clear();
         } catch (error) {
-            console.error('Failed to clear localStorage:', error);
+            console.error(`Failed to clear ${this.storage.name}:`, error);
         }
     }
 
-    saveCart(cart) {
-        this.save(this.storageKey, cart.toJSON());
+    whenReady() {
+        return this.storage.ready;
     }
 
-    loadCart() {
-        const data = this.load(this.storageKey);
-        return data ? Cart.fromJSON(data) : new Cart();
+    /**
+     * 監聽其他分頁對購物車的修改，與函數式版本共用 storage.js 的同步通道 / Shares the storage.js sync channel with the functional cart
+     */
+    createSyncChannel(onExternalChange) {
+        return createStorageSyncChannel(CART_SYNC_CHANNEL_NAME, [this.storageKey], onExternalChange, this.storage);
     }
 }
 
@@ -483,6 +526,7 @@ class CartService {
         this.storageService = storageService;
         this.notificationService = notificationService;
         this.domService = domService;
+        this.syncChannel = null;
     }
 
     /**
@@ -580,6 +624,7 @@ class CartService {
      */
     saveAndUpdate() {
         this.storageService.saveCart(this.cart);
+        this.notifyOtherTabs();
         this.updateDisplay();
     }
 
@@ -591,12 +636,65 @@ class CartService {
         this.domService.updateCartDisplay(this.cart);
     }
 
+    /**
+     * 開始跨分頁同步 / Start cross-tab synchronisation
+     * @param {Function} onSync - 購物車被其他分頁更新後呼叫 / Called after another tab updated the cart
+     */
+    enableSync(onSync = () => {}) {
+        this.disableSync();
+        this.syncChannel = this.storageService.createSyncChannel(() => {
+            if (this.reloadFromStorage()) {
+                onSync();
+            }
+        });
+    }
+
+    /**
+     * 停止跨分頁同步 / Stop cross-tab synchronisation
+     */
+    disableSync() {
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+    }
+
+    /**
+     * 通知其他分頁購物車已變更 / Notify other tabs that the cart changed
+     */
+    notifyOtherTabs() {
+        if (this.syncChannel) {
+            this.syncChannel.notify();
+        }
+    }
+
+    /**
+     * 重新載入其他分頁寫入的購物車 / Reload cart written by another tab
+     * @returns {boolean} 購物車內容是否有變動 / Whether the cart changed
+     */
+    reloadFromStorage() {
+        try {
+            const latestCart = this.storageService.loadCart();
+            if (JSON.stringify(latestCart.toJSON()) === JSON.stringify(this.cart.toJSON())) {
+                return false;
+            }
+
+            this.cart = latestCart;
+            this.updateDisplay();
+            return true;
+        } catch (error) {
+            console.error('Failed to sync cart from storage:', error);
+            return false;
+        }
+    }
+
     /**
      * 重置購物車 / Reset cart
      */
     reset() {
         this.cart.clear();
         this.storageService.clear();
+        this.notifyOtherTabs();
         this.updateDisplay();
     }
 }
@@ -642,7 +740,12 @@ class MockProductServiceImpl extends ProductService {
  * 負責依賴注入和初始化
  */
 class ShoppingCartApp {
-    constructor() {
+    /**
+     * @param {Object} options - 應用程式設定 / Application options
+     * @param {string} [options.storageBackend] - 偏好的儲存方式（storage.js 的 STORAGE_BACKENDS 之一） / Preferred storage backend
+     */
+    constructor(options = {}) {
+        this.options = options;
         this.initializeServices();
         this.initializeCartService();
     }
@@ -651,7 +754,9 @@ class ShoppingCartApp {
      * 初始化服務 / Initialize services
      */
     initializeServices() {
-        this.storageService = new LocalStorageService();
+        this.storageService = new AppStorageService(
+            this.options.storageBackend ? createStorage(this.options.storageBackend) : appStorage
+        );
         this.notificationService = new NotificationService();
         this.domService = new DOMService();
         this.productService = new MockProductServiceImpl();
@@ -673,6 +778,13 @@ class ShoppingCartApp {
      */
     start() {
         this.cartService.initialize();
+        this.cartService.enableSync(() => syncGlobalVariables());
+        // IndexedDB 等非同步儲存方式載入完成後重新讀取 / Reload once asynchronous backends are ready
+        this.storageService.whenReady().then(() => {
+            if (this.cartService.reloadFromStorage()) {
+                syncGlobalVariables();
+            }
+        });
         this.renderProducts();
     }
 
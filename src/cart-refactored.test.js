@@ -0,0 +1,81 @@
+const { loadTestPage } = require('./testHelpers');
+
+describe('類別版本購物車測試', () => {
+    let dom;
+    let window;
+    let document;
+    let channels;
+
+    const otherTabItem = {
+        id: '3',
+        name: 'AirPods Pro',
+        price: 7490,
+        image: '/public/assets/product-air-pod.webp',
+        quantity: 2
+    };
+
+    beforeEach(() => {
+        channels = [];
+        dom = loadTestPage('cart.html', {
+            scripts: ['storage.js', 'cart-refactored.js'],
+            beforeScripts: (win) => {
+                win.BroadcastChannel = class {
+                    constructor(name) {
+                        this.name = name;
+                        this.messages = [];
+                        channels.push(this);
+                    }
+
+                    postMessage(message) {
+                        this.messages.push(message);
+                    }
+
+                    close() {}
+                };
+            }
+        });
+        window = dom.window;
+        document = window.document;
+    });
+
+    /**
+     * 取得目前購物車服務的同步頻道（DOMContentLoaded 會重新建立應用程式，以最後建立的為準）
+     */
+    const getActiveChannel = () => channels[channels.length - 1];
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    describe('跨分頁同步功能測試', () => {
+        it('其他分頁寫入購物車觸發 storage 事件時應該重新載入並更新顯示', () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify([otherTabItem]));
+            window.dispatchEvent(new window.StorageEvent('storage', { key: 'shoppingCart' }));
+
+            expect(window.getCartItemCount()).toBe(2);
+            expect(document.getElementById('cart-count').textContent).toBe('2');
+            expect(document.querySelector('.cart-item h3').textContent).toBe('AirPods Pro');
+        });
+
+        it('收到 BroadcastChannel 訊息時應該重新載入並更新顯示', async () => {
+            const channel = getActiveChannel();
+            window.localStorage.setItem('shoppingCart', JSON.stringify({
+                version: 3,
+                data: { items: [{ ...otherTabItem, quantity: 4 }] }
+            }));
+            await channel.onmessage({ data: { type: 'cart-updated' } });
+
+            expect(channel.name).toBe('shopping-cart-sync');
+            expect(window.getCartItemCount()).toBe(4);
+            expect(document.getElementById('cart-count').textContent).toBe('4');
+        });
+
+        it('修改購物車時應該在寫入完成後透過頻道通知其他分頁', async () => {
+            window.addToCart({ id: '1', name: 'iPhone 15 Pro', price: 36900, image: '/public/assets/product-iphone.webp' });
+            await new Promise(resolve => window.setTimeout(resolve, 0));
+
+            const channel = getActiveChannel();
+            expect(channel.messages).toEqual([{ type: 'cart-updated' }]);
+        });
+    });
+});
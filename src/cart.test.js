@@ -1,83 +1,44 @@
-const fs = require('fs');
-const path = require('path');
-const { JSDOM } = require('jsdom');
-
-// 讀取實際的 HTML 檔案內容
-const cartHtmlPath = path.join(__dirname, 'cart.html');
-const cartHtmlContent = fs.readFileSync(cartHtmlPath, 'utf8');
-
-// 讀取商品腳本內容
-const productScriptPath = path.join(__dirname, 'product.js');
-const productScriptContent = fs.readFileSync(productScriptPath, 'utf8');
-
-// 讀取購物車腳本內容
-const cartScriptPath = path.join(__dirname, 'cart-refactored-functional.js');
-let cartScriptContent = fs.readFileSync(cartScriptPath, 'utf8');
+const { loadTestPage, createCartEnvelope, waitForCatalogue, markProductsSoldOut } = require('./testHelpers');
 
 describe('購物車 DOM 驗證測試 (重構友善)', () => {
     let dom;
     let window;
     let document;
-    let localStorage;
 
     beforeEach(() => {
-        // 使用實際的 HTML 內容創建 DOM 環境
-        dom = new JSDOM(cartHtmlContent, {
-            url: 'http://localhost/cart.html',
-            pretendToBeVisual: true,
-            resources: 'usable',
-            runScripts: 'dangerously'
+        // 依 cart.html 的載入順序執行儲存後端、商品、定價、優惠券、運費、稅額與購物車等腳本
+        dom = loadTestPage('cart.html', {
+            expose: [
+                'addToCart',
+                'removeFromCart',
+                'changeQuantity',
+                'clearAllCart',
+                'updateCartCount',
+                'updateCartDisplay',
+                'calculateTotal',
+                'showMessage',
+                'applyCoupon',
+                'removeCoupon',
+                'applyCouponFromInput',
+                'selectShippingMethod',
+                'productToHtml',
+                'getSelectedVariantId',
+                'updateVariantPreview',
+                'loadCartFromStorage',
+                'createCartSyncChannel',
+                'migrateCartEnvelope',
+                'undoCart',
+                'redoCart',
+                'saveForLater',
+                'moveToCart',
+                'removeFromSavedForLater',
+                'cartManager',
+                'productManager',
+                'PRODUCTS'
+            ]
         });
-
         window = dom.window;
         document = window.document;
-
-        // 模擬 localStorage
-        const localStorageMock = {
-            store: {},
-            getItem: jest.fn(function (key) {
-                return this.store[key] || null;
-            }),
-            setItem: jest.fn(function (key, value) {
-                this.store[key] = value.toString();
-            }),
-            removeItem: jest.fn(function (key) {
-                delete this.store[key];
-            }),
-            clear: jest.fn(function () {
-                this.store = {};
-            })
-        };
-        localStorage = localStorageMock;
-        window.localStorage = localStorage;
-
-        // 模擬全局物件
-        global.window = window;
-        global.document = document;
-        global.localStorage = localStorage;
-
-        // 在 window 上下文中執行腳本
-        // 先載入商品模組，再載入購物車腳本
-        window.eval(`
-            ${productScriptContent}
-            ${cartScriptContent}
-            
-            // 將函數掛載到 window 對象上以便測試可以訪問
-            window.addToCart = addToCart;
-            window.removeFromCart = removeFromCart;
-            window.changeQuantity = changeQuantity;
-            window.clearAllCart = clearAllCart;
-            window.updateCartCount = updateCartCount;
-            window.updateCartDisplay = updateCartDisplay;
-            window.calculateTotal = calculateTotal;
-            window.showMessage = showMessage;
-        `);
-
-        // 等待 DOM 準備就緒
-        if (window.document.readyState !== 'complete') {
-            const event = new window.Event('DOMContentLoaded');
-            window.document.dispatchEvent(event);
-        }
     });
 
     afterEach(() => {
@@ -469,7 +430,7 @@ describe('購物車 DOM 驗證測試 (重構友善)', () => {
                 image: 'https://via.placeholder.com/200x200/007AFF/FFFFFF?text=iPhone+15+Pro'
             };
 
-            // 這些操作應該都不會拋出錯誤，即使 localStorage 是 mock
+            // 這些操作應該都不會拋出錯誤
             expect(() => {
                 window.addToCart(product);
                 window.changeQuantity('1', 2);
@@ -807,6 +768,62 @@ describe('購物車 DOM 驗證測試 (重構友善)', () => {
         });
     });
 
+    describe('免運進度與加購建議測試', () => {
+        it('未達免運門檻時應該顯示還差的金額、進度條與頁首提示', async () => {
+            window.addToCart({ id: '1', name: 'AirPods Pro', price: 2000, image: 'test.jpg' });
+
+            const progress = document.querySelector('#cart-total .free-shipping-progress');
+            expect(progress.querySelector('.free-shipping-message').textContent).toBe('再買 NT$ 3,000 即可免運');
+            expect(progress.querySelector('.free-shipping-track').getAttribute('aria-valuenow')).toBe('40');
+            expect(progress.classList.contains('reached')).toBe(false);
+
+            const banner = document.getElementById('free-shipping-banner');
+            expect(banner.style.display).toBe('block');
+            expect(banner.textContent).toBe('再買 NT$ 3,000 即可免運');
+        });
+
+        it('應該建議加入後即可免運的低價商品，已售完的商品不列入', async () => {
+            markProductsSoldOut(window, ['3']);
+            await waitForCatalogue(window);
+            window.addToCart({ id: '1', name: 'Test Product', price: 4800, image: 'test.jpg' });
+
+            const suggestions = [...document.querySelectorAll('.free-shipping-suggestion')];
+            expect(suggestions.map(element => element.querySelector('.suggestion-name').textContent))
+                .toEqual(['Type-C傳輸線', 'Magic Keyboard', 'Apple Watch Series 9']);
+            expect(suggestions[0].querySelector('.suggestion-price').textContent).toBe('NT$ 300');
+
+            // 加入建議的商品後達到免運門檻
+            suggestions[0].querySelector('.suggestion-add-btn').click();
+
+            expect(document.getElementById('cart-total').innerHTML).toContain('運費: NT$ 0');
+            expect(document.querySelector('.free-shipping-progress').classList.contains('reached')).toBe(true);
+            expect(document.querySelector('.free-shipping-suggestions')).toBeNull();
+            expect(document.getElementById('free-shipping-banner').textContent).toBe('🎉 已達免運門檻');
+        });
+
+        it('商品載入完成後應該重新顯示購物車並列出加購建議', async () => {
+            window.addToCart({ id: '1', name: 'Test Product', price: 4800, image: 'test.jpg' });
+            expect(document.querySelector('.free-shipping-suggestions')).toBeNull();
+
+            await waitForCatalogue(window);
+
+            expect(document.querySelectorAll('.free-shipping-suggestion').length).toBe(3);
+        });
+
+        it('使用免運優惠券或清空購物車後應該隱藏免運提示', async () => {
+            window.addToCart({ id: '1', name: 'AirPods Pro', price: 2000, image: 'test.jpg' });
+            window.applyCoupon('FREESHIP');
+
+            expect(document.querySelector('.free-shipping-progress')).toBeNull();
+            expect(document.getElementById('free-shipping-banner').style.display).toBe('none');
+
+            window.removeCoupon('FREESHIP');
+            window.removeFromCart('1');
+
+            expect(document.getElementById('free-shipping-banner').style.display).toBe('none');
+        });
+    });
+
     describe('清空購物車確認對話框測試', () => {
         const sampleProduct = {
             id: '1',
@@ -991,4 +1008,881 @@ describe('購物車 DOM 驗證測試 (重構友善)', () => {
             expect(cartCount.textContent).toBe('1');
         });
     });
+    describe('優惠碼功能測試', () => {
+        const cheapProduct = {
+            id: '3',
+            name: 'AirPods Pro',
+            price: 2000,
+            image: 'https://via.placeholder.com/200x200/FF3B30/FFFFFF?text=AirPods+Pro'
+        };
+        const cable = {
+            id: '7',
+            name: 'Type-C傳輸線',
+            price: 300,
+            image: '/public/assets/product-type-c-cable.webp'
+        };
+
+        it('套用百分比優惠碼應該顯示折扣並更新總金額', async () => {
+            window.addToCart(cheapProduct);
+            const applied = window.applyCoupon('save10');
+
+            expect(applied).toBe(true);
+            const cartTotal = document.getElementById('cart-total');
+            expect(cartTotal.innerHTML).toContain('折扣 (SAVE10): -NT$ 200');
+            // 2000 - 200 + 100 運費
+            expect(cartTotal.innerHTML).toContain('總金額: NT$ 1,900');
+        });
+
+        it('未達最低消費的優惠碼不應該被套用', async () => {
+            window.addToCart(cheapProduct);
+            const applied = window.applyCoupon('MINUS500');
+
+            expect(applied).toBe(false);
+            const notifications = document.querySelectorAll('.notification');
+            const lastNotification = notifications[notifications.length - 1];
+            expect(lastNotification.textContent).toContain('未達最低消費金額');
+            expect(document.getElementById('cart-total').innerHTML).not.toContain('折扣');
+        });
+
+        it('免運優惠碼應該將運費歸零', async () => {
+            window.addToCart(cheapProduct);
+            window.applyCoupon('FREESHIP');
+
+            const cartTotal = document.getElementById('cart-total');
+            expect(cartTotal.innerHTML).toContain('運費: NT$ 0');
+            expect(cartTotal.innerHTML).toContain('總金額: NT$ 2,000');
+        });
+
+        it('買一送一優惠碼只折抵適用商品', async () => {
+            window.addToCart(cheapProduct);
+            window.addToCart(cable);
+            window.changeQuantity('7', 2);
+            window.applyCoupon('CABLE2FOR1');
+
+            const cartTotal = document.getElementById('cart-total');
+            expect(cartTotal.innerHTML).toContain('折扣 (CABLE2FOR1): -NT$ 300');
+        });
+
+        it('不可併用的優惠碼應該被拒絕', async () => {
+            window.addToCart(cheapProduct);
+            window.applyCoupon('FREESHIP');
+
+            expect(window.applyCoupon('SAVE10')).toBe(false);
+            const notifications = document.querySelectorAll('.notification');
+            const lastNotification = notifications[notifications.length - 1];
+            expect(lastNotification.textContent).toContain('此優惠碼無法與其他優惠併用');
+        });
+
+        it('已套用的優惠碼應該保存到本地儲存並可移除', async () => {
+            window.addToCart(cheapProduct);
+            window.applyCoupon('SAVE10');
+
+            expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.coupons).toEqual(['SAVE10']);
+
+            document.querySelector('.coupon-remove-btn').click();
+
+            expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.coupons).toEqual([]);
+            expect(document.getElementById('cart-total').innerHTML).toContain('總金額: NT$ 2,100');
+        });
+
+        it('不再符合條件的優惠碼應該標示無法使用的原因並可移除', async () => {
+            window.addToCart(cheapProduct);
+            window.changeQuantity('3', 5);
+            window.applyCoupon('MINUS500');
+            window.changeQuantity('3', 2);
+
+            const inapplicable = document.querySelector('.applied-coupon.inapplicable');
+            expect(inapplicable.dataset.code).toBe('MINUS500');
+            expect(inapplicable.querySelector('.coupon-description').textContent).toBe('目前無法使用：未達最低消費金額');
+            expect(document.getElementById('cart-total').innerHTML).not.toContain('折扣 (MINUS500)');
+
+            inapplicable.querySelector('.coupon-remove-btn').click();
+
+            expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.coupons).toEqual([]);
+            expect(document.querySelector('.applied-coupon')).toBeNull();
+        });
+    });
+    describe('配送方式功能測試', () => {
+        const cheapProduct = {
+            id: '3',
+            name: 'AirPods Pro',
+            price: 2000,
+            image: 'https://via.placeholder.com/200x200/FF3B30/FFFFFF?text=AirPods+Pro',
+            weight: 0.1
+        };
+        const oversizedProduct = {
+            id: '8',
+            name: 'Studio Display',
+            price: 49900,
+            image: 'https://via.placeholder.com/200x200/8E8E93/FFFFFF?text=Studio+Display',
+            weight: 6.3,
+            oversized: true
+        };
+
+        it('預設應該選擇宅配到府並顯示所有配送方式', async () => {
+            window.addToCart(cheapProduct);
+
+            const options = document.querySelectorAll('input[name="shipping-method"]');
+            expect(options.length).toBe(3);
+            expect(document.querySelector('input[value="HOME_DELIVERY"]').checked).toBe(true);
+        });
+
+        it('選擇超商取貨應該套用其運費與免運門檻', async () => {
+            window.addToCart(cheapProduct);
+            window.selectShippingMethod('CONVENIENCE_STORE');
+
+            let cartTotal = document.getElementById('cart-total');
+            expect(cartTotal.innerHTML).toContain('運費: NT$ 60');
+            expect(cartTotal.innerHTML).toContain('總金額: NT$ 2,060');
+
+            // 超商取貨滿 NT$ 3,000 免運
+            window.changeQuantity('3', 2);
+            cartTotal = document.getElementById('cart-total');
+            expect(cartTotal.innerHTML).toContain('運費: NT$ 0');
+        });
+
+        it('離島配送應該依件數加收運費', async () => {
+            window.addToCart(cheapProduct);
+            window.selectShippingMethod('OUTLYING_ISLANDS');
+            window.changeQuantity('3', 5); // 10000 達免運門檻，但超過 3 件每件加收 30
+
+            const cartTotal = document.getElementById('cart-total');
+            expect(cartTotal.innerHTML).toContain('運費: NT$ 60');
+        });
+
+        it('大型商品不適用超商取貨並應退回可用的配送方式', async () => {
+            window.addToCart(oversizedProduct);
+            window.selectShippingMethod('CONVENIENCE_STORE');
+
+            const storeOption = document.querySelector('input[value="CONVENIENCE_STORE"]');
+            expect(storeOption.disabled).toBe(true);
+            expect(document.querySelector('input[value="HOME_DELIVERY"]').checked).toBe(true);
+            // 宅配免基本運費，大型商品加收 200
+            expect(document.getElementById('cart-total').innerHTML).toContain('運費: NT$ 200');
+        });
+
+        it('選擇的配送方式應該保存到本地儲存', async () => {
+            window.addToCart(cheapProduct);
+            document.querySelector('input[value="OUTLYING_ISLANDS"]').click();
+
+            expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.shippingMethodId).toBe('OUTLYING_ISLANDS');
+            expect(document.getElementById('cart-total').innerHTML).toContain('運費: NT$ 250');
+        });
+    });
+    describe('庫存限制功能測試', () => {
+        const limitedProduct = {
+            id: '1',
+            name: 'iPhone 15 Pro',
+            price: 36900,
+            image: '/public/assets/product-iphone.webp',
+            description: '最新的 iPhone 15 Pro，搭載 A17 Pro 晶片',
+            stock: 10,
+            maxPerOrder: 2
+        };
+        const soldOutProduct = {
+            id: '4',
+            name: 'Apple Watch Series 9',
+            price: 12900,
+            image: '/public/assets/product-apple-watch.webp',
+            description: '健康監測與運動追蹤的智慧手錶',
+            stock: 0
+        };
+
+        const getLastNotificationText = () => {
+            const notifications = document.querySelectorAll('.notification');
+            return notifications[notifications.length - 1].textContent;
+        };
+
+        it('超過購買上限時不應該再添加並顯示通知', async () => {
+            window.addToCart(limitedProduct);
+            window.addToCart(limitedProduct);
+            window.addToCart(limitedProduct);
+
+            expect(document.getElementById('cart-count').textContent).toBe('2');
+            expect(getLastNotificationText()).toContain('iPhone 15 Pro 庫存不足，最多只能購買 2 件');
+        });
+
+        it('達到上限時 + 按鈕應該被停用', async () => {
+            window.addToCart(limitedProduct);
+
+            let increaseButton = document.querySelectorAll('.quantity-btn')[1];
+            expect(increaseButton.disabled).toBe(false);
+
+            increaseButton.click();
+
+            increaseButton = document.querySelectorAll('.quantity-btn')[1];
+            expect(increaseButton.disabled).toBe(true);
+        });
+
+        it('更新數量超過庫存時應該以上限為準', async () => {
+            window.addToCart(limitedProduct);
+            window.changeQuantity('1', 5);
+
+            expect(document.querySelector('.quantity').textContent).toBe('2');
+            expect(getLastNotificationText()).toContain('最多只能購買 2 件');
+        });
+
+        it('已售完的商品不應該被加入購物車', async () => {
+            window.addToCart(soldOutProduct);
+
+            expect(document.getElementById('cart-count').textContent).toBe('0');
+            expect(getLastNotificationText()).toContain('Apple Watch Series 9 已售完');
+        });
+
+        it('已售完的商品卡片應該顯示售完標示並停用按鈕', () => {
+            const container = document.createElement('div');
+            container.innerHTML = window.productToHtml(soldOutProduct);
+
+            expect(container.querySelector('.stock-badge').textContent).toBe('已售完');
+            expect(container.querySelector('.add-to-cart-btn').disabled).toBe(true);
+        });
+
+        it('載入購物車時應該依目前庫存調整數量', () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify([
+                { id: '1', name: 'iPhone 15 Pro', price: 36900, image: '', quantity: 5 },
+                { id: '4', name: 'Apple Watch Series 9', price: 12900, image: '', quantity: 1 },
+                { id: '99', name: '其他商品', price: 100, image: '', quantity: 3 }
+            ]));
+            markProductsSoldOut(window, ['4']);
+
+            const { state } = window.loadCartFromStorage(window.PRODUCTS);
+
+            expect(state.items.map(item => [item.id, item.quantity])).toEqual([['1', 2], ['99', 3]]);
+        });
+
+        it('載入購物車時應該通知因庫存不足而調整的商品', async () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify([
+                { id: '1', name: 'iPhone 15 Pro', price: 36900, image: '', quantity: 5 },
+                { id: '4', name: 'Apple Watch Series 9', price: 12900, image: '', quantity: 1 }
+            ]));
+            markProductsSoldOut(window, ['4']);
+
+            await window.cartManager.initialize();
+
+            const notifications = document.querySelectorAll('.notification');
+            expect(notifications[notifications.length - 1].textContent).toBe(
+                '庫存不足，已調整購物車：iPhone 15 Pro 5 → 2 件、Apple Watch Series 9 已售完並移出購物車'
+            );
+            expect(document.getElementById('cart-count').textContent).toBe('2');
+        });
+    });
+    describe('商品規格功能測試', () => {
+        const variantProduct = {
+            id: '5',
+            name: 'iPad Air',
+            price: 18900,
+            image: '/public/assets/product-ipad.webp',
+            description: '多功能平板電腦，適合工作與娛樂',
+            options: [
+                { key: 'storage', label: '容量', values: ['128GB', '256GB'] }
+            ],
+            variants: [
+                { id: '128', options: { storage: '128GB' }, price: 18900 },
+                { id: '256', options: { storage: '256GB' }, price: 22400, stock: 1 }
+            ]
+        };
+
+        it('不同規格應該成為不同的購物車項目', async () => {
+            window.addToCart(variantProduct, '128');
+            window.addToCart(variantProduct, '256');
+            window.addToCart(variantProduct, '128');
+
+            const cartItems = document.querySelectorAll('.cart-item');
+            expect(cartItems.length).toBe(2);
+            expect(cartItems[0].dataset.key).toBe('5::128');
+            expect(cartItems[0].querySelector('.quantity').textContent).toBe('2');
+            expect(cartItems[1].querySelector('.item-variant').textContent).toBe('256GB');
+            expect(cartItems[1].querySelector('.item-price').textContent).toBe('NT$ 22,400');
+            expect(document.getElementById('cart-count').textContent).toBe('3');
+        });
+
+        it('未指定規格時應該使用預設規格', async () => {
+            window.addToCart(variantProduct);
+
+            const cartItem = document.querySelector('.cart-item');
+            expect(cartItem.dataset.key).toBe('5::128');
+
+            const notifications = document.querySelectorAll('.notification');
+            expect(notifications[notifications.length - 1].textContent).toContain('iPad Air (128GB) 已添加到購物車');
+        });
+
+        it('移除與更新數量只影響指定的規格', async () => {
+            window.addToCart(variantProduct, '128');
+            window.addToCart(variantProduct, '256');
+
+            window.changeQuantity('5::128', 3);
+            window.removeFromCart('5::256');
+
+            const cartItems = document.querySelectorAll('.cart-item');
+            expect(cartItems.length).toBe(1);
+            expect(cartItems[0].querySelector('.quantity').textContent).toBe('3');
+        });
+
+        it('規格庫存應該獨立計算', async () => {
+            window.addToCart(variantProduct, '256');
+            window.addToCart(variantProduct, '256');
+
+            expect(document.getElementById('cart-count').textContent).toBe('1');
+            const notifications = document.querySelectorAll('.notification');
+            expect(notifications[notifications.length - 1].textContent).toContain('最多只能購買 1 件');
+        });
+
+        it('商品卡片應該顯示規格選擇器並依選擇加入購物車', async () => {
+            const container = document.createElement('div');
+            container.innerHTML = window.productToHtml(variantProduct);
+            document.body.appendChild(container);
+
+            const select = container.querySelector('.variant-select');
+            expect(select.options.length).toBe(2);
+
+            select.value = '256';
+            select.dispatchEvent(new window.Event('change'));
+            expect(container.querySelector('.product-price').textContent).toBe('NT$ 22,400');
+
+            container.querySelector('.add-to-cart-btn').click();
+            expect(document.querySelector('.cart-item').dataset.key).toBe('5::256');
+        });
+    });
+
+    describe('跨分頁同步功能測試', () => {
+        const sampleProduct = {
+            id: '1',
+            name: 'iPhone 15 Pro',
+            price: 36900,
+            image: '/public/assets/product-iphone.webp'
+        };
+        const otherTabItem = {
+            id: '3',
+            key: '3',
+            name: 'AirPods Pro',
+            price: 7490,
+            image: '/public/assets/product-air-pod.webp',
+            quantity: 2
+        };
+
+        /**
+         * 模擬其他分頁寫入購物車並觸發 storage 事件
+         * @param {string|null} key - 變更的儲存鍵值
+         * @param {Object[]} [items] - 其他分頁寫入的購物車項目
+         */
+        const simulateOtherTabWrite = (key, items) => {
+            if (items) {
+                window.localStorage.setItem('shoppingCart', JSON.stringify(items));
+            }
+            window.dispatchEvent(new window.StorageEvent('storage', { key }));
+        };
+
+        it('其他分頁更新購物車時應該重新載入並更新顯示', async () => {
+            simulateOtherTabWrite('shoppingCart', [otherTabItem]);
+
+            expect(document.getElementById('cart-count').textContent).toBe('2');
+            const cartItems = document.querySelectorAll('.cart-item');
+            expect(cartItems.length).toBe(1);
+            expect(cartItems[0].querySelector('h3').textContent).toBe('AirPods Pro');
+        });
+
+        it('同步後在本分頁加入商品不應該覆蓋其他分頁的商品', async () => {
+            window.addToCart(sampleProduct);
+            const currentItems = JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+            simulateOtherTabWrite('shoppingCart', [...currentItems, otherTabItem]);
+
+            window.addToCart(sampleProduct);
+
+            const savedItems = JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+            expect(savedItems.map(item => [item.id, item.quantity])).toEqual([['1', 2], ['3', 2]]);
+            expect(document.getElementById('cart-count').textContent).toBe('4');
+        });
+
+        it('其他分頁清空儲存空間時應該清空購物車', async () => {
+            window.addToCart(sampleProduct);
+            window.localStorage.clear();
+            simulateOtherTabWrite(null);
+
+            expect(document.getElementById('cart-count').textContent).toBe('0');
+            expect(document.getElementById('empty-cart').style.display).toBe('block');
+        });
+
+        it('與購物車無關的儲存鍵值變更應該被忽略', async () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify([otherTabItem]));
+            simulateOtherTabWrite('orderHistory');
+
+            expect(document.getElementById('cart-count').textContent).toBe('0');
+        });
+
+        it('支援 BroadcastChannel 時應該透過頻道通知其他分頁', async () => {
+            const channels = [];
+            window.BroadcastChannel = class {
+                constructor(name) {
+                    this.name = name;
+                    this.messages = [];
+                    this.closed = false;
+                    channels.push(this);
+                }
+
+                postMessage(message) {
+                    this.messages.push(message);
+                }
+
+                close() {
+                    this.closed = true;
+                }
+            };
+            const onExternalChange = jest.fn();
+
+            const syncChannel = window.createCartSyncChannel(onExternalChange);
+            await syncChannel.notify();
+            // 收到訊息時先重新讀取儲存後端，再通知購物車
+            await channels[0].onmessage({ data: { type: 'cart-updated' } });
+
+            expect(channels[0].name).toBe('shopping-cart-sync');
+            expect(channels[0].messages).toEqual([{ type: 'cart-updated' }]);
+            expect(onExternalChange).toHaveBeenCalledTimes(1);
+
+            syncChannel.close();
+            window.dispatchEvent(new window.StorageEvent('storage', { key: 'shoppingCart' }));
+            expect(channels[0].closed).toBe(true);
+            expect(onExternalChange).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('購物車儲存格式與遷移測試', () => {
+        const validItem = {
+            id: '3',
+            key: '3',
+            name: 'AirPods Pro',
+            price: 7490,
+            image: '/public/assets/product-air-pod.webp',
+            quantity: 1
+        };
+
+        const getSavedEnvelope = () => JSON.parse(window.localStorage.getItem('shoppingCart'));
+
+        it('購物車應該以含版本標記的封包儲存', async () => {
+            window.addToCart({ id: '3', name: 'AirPods Pro', price: 7490, image: '/public/assets/product-air-pod.webp' });
+            window.applyCoupon('FREESHIP');
+
+            const envelope = getSavedEnvelope();
+            expect(envelope.version).toBe(3);
+            expect(envelope.data.items.map(item => item.key)).toEqual(['3']);
+            expect(envelope.data.coupons).toEqual(['FREESHIP']);
+            expect(envelope.data.shippingMethodId).toBe('HOME_DELIVERY');
+        });
+
+        it('第 1 版的商品陣列與獨立鍵值應該升級為目前版本', () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify([
+                { id: '3', name: 'AirPods Pro', price: 7490, image: '', quantity: 2 }
+            ]));
+            window.localStorage.setItem('shoppingCartCoupons', JSON.stringify(['FREESHIP']));
+            window.localStorage.setItem('shoppingCartShippingMethod', JSON.stringify('CONVENIENCE_STORE'));
+
+            const { state } = window.loadCartFromStorage();
+
+            expect(state.items[0].key).toBe('3');
+            expect(state.items[0].quantity).toBe(2);
+            expect(state.coupons).toEqual(['FREESHIP']);
+            expect(state.shippingMethodId).toBe('CONVENIENCE_STORE');
+        });
+
+        it('儲存後應該移除第 1 版的獨立鍵值', async () => {
+            window.localStorage.setItem('shoppingCartCoupons', JSON.stringify(['FREESHIP']));
+            window.localStorage.setItem('shoppingCartShippingMethod', JSON.stringify('CONVENIENCE_STORE'));
+
+            window.selectShippingMethod('HOME_DELIVERY');
+
+            expect(window.localStorage.getItem('shoppingCartCoupons')).toBeNull();
+            expect(window.localStorage.getItem('shoppingCartShippingMethod')).toBeNull();
+        });
+
+        it('部分項目無效時應該保留有效的項目', () => {
+            const warnSpy = jest.spyOn(window.console, 'warn').mockImplementation(() => {});
+            window.localStorage.setItem('shoppingCart', JSON.stringify({
+                version: 2,
+                data: {
+                    items: [validItem, { id: 4, name: '格式錯誤', quantity: 'many' }, null],
+                    coupons: ['FREESHIP', 123],
+                    shippingMethodId: 'UNKNOWN_METHOD'
+                }
+            }));
+
+            const { state } = window.loadCartFromStorage();
+
+            expect(state.items.map(item => item.id)).toEqual(['3']);
+            expect(state.coupons).toEqual(['FREESHIP']);
+            expect(state.shippingMethodId).toBe('HOME_DELIVERY');
+            expect(warnSpy).toHaveBeenCalledWith('已略過 2 個無法讀取的購物車項目');
+            warnSpy.mockRestore();
+        });
+
+        it('比目前新的版本無法遷移時仍應該復原可用的項目', () => {
+            const warnSpy = jest.spyOn(window.console, 'warn').mockImplementation(() => {});
+            window.localStorage.setItem('shoppingCart', JSON.stringify({
+                version: 99,
+                data: { items: [validItem], coupons: [], shippingMethodId: 'HOME_DELIVERY' }
+            }));
+
+            const { state } = window.loadCartFromStorage();
+
+            expect(state.items.map(item => item.id)).toEqual(['3']);
+            warnSpy.mockRestore();
+        });
+
+        it('無法辨識的儲存資料應該重設為空的購物車', () => {
+            const warnSpy = jest.spyOn(window.console, 'warn').mockImplementation(() => {});
+            window.localStorage.setItem('shoppingCart', JSON.stringify({ foo: 'bar' }));
+
+            expect(window.loadCartFromStorage().state.items).toEqual([]);
+            warnSpy.mockRestore();
+        });
+
+        it('遷移步驟應該依版本逐步執行', () => {
+            const migrations = {
+                1: (data) => ({ ...data, steps: [...data.steps, 'v2'] }),
+                2: (data) => ({ ...data, steps: [...data.steps, 'v3'] })
+            };
+
+            const result = window.migrateCartEnvelope({ version: 1, data: { steps: [] } }, migrations, 3);
+
+            expect(result).toEqual({ version: 3, data: { steps: ['v2', 'v3'] } });
+            expect(() => window.migrateCartEnvelope({ version: 1, data: {} }, {}, 2)).toThrow('缺少第 1 版的遷移步驟');
+        });
+    });
+
+    describe('復原與重做功能測試', () => {
+        const iPhone = {
+            id: '1',
+            name: 'iPhone 15 Pro',
+            price: 36900,
+            image: '/public/assets/product-iphone.webp'
+        };
+        const airPods = {
+            id: '3',
+            name: 'AirPods Pro',
+            price: 7490,
+            image: '/public/assets/product-air-pod.webp'
+        };
+
+        const getSavedItems = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+
+        const getLastNotification = () => {
+            const notifications = document.querySelectorAll('.notification');
+            return notifications[notifications.length - 1];
+        };
+
+        /**
+         * 模擬在頁面上按下快捷鍵
+         * @param {Object} options - 鍵盤事件設定
+         * @param {EventTarget} target - 事件目標
+         */
+        const pressKey = (options, target = document.body) => {
+            target.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...options }));
+        };
+
+        it('移除商品後應該可以復原並重做', () => {
+            window.addToCart(iPhone);
+            window.addToCart(airPods);
+            window.removeFromCart('1');
+
+            expect(window.undoCart()).toBe(true);
+            expect(getSavedItems().map(item => item.id)).toEqual(['1', '3']);
+            expect(document.querySelectorAll('.cart-item').length).toBe(2);
+
+            expect(window.redoCart()).toBe(true);
+            expect(getSavedItems().map(item => item.id)).toEqual(['3']);
+            expect(document.getElementById('cart-count').textContent).toBe('1');
+        });
+
+        it('沒有可復原或重做的變更時應該回傳 false', () => {
+            expect(window.undoCart()).toBe(false);
+            expect(window.redoCart()).toBe(false);
+        });
+
+        it('復原後再進行新的變更應該清除重做紀錄', () => {
+            window.addToCart(iPhone);
+            window.undoCart();
+            window.addToCart(airPods);
+
+            expect(window.redoCart()).toBe(false);
+            expect(getSavedItems().map(item => item.id)).toEqual(['3']);
+        });
+
+        it('移除商品的通知應該提供復原按鈕', () => {
+            window.addToCart(iPhone);
+            window.removeFromCart('1');
+
+            const notification = getLastNotification();
+            const undoButton = notification.querySelector('.notification-action');
+            expect(undoButton.textContent).toBe('復原');
+
+            undoButton.click();
+
+            expect(getSavedItems().map(item => item.id)).toEqual(['1']);
+            expect(document.body.contains(notification)).toBe(false);
+        });
+
+        it('通知顯示後購物車又有其他變更時，復原按鈕不應該復原較新的變更', () => {
+            window.addToCart(iPhone);
+            window.removeFromCart('1');
+            const undoButton = getLastNotification().querySelector('.notification-action');
+
+            window.addToCart(airPods);
+            undoButton.click();
+
+            expect(getSavedItems().map(item => item.id)).toEqual(['3']);
+        });
+
+        it('清空購物車後應該可以透過通知復原', () => {
+            window.addToCart(iPhone);
+            window.addToCart(airPods);
+            window.clearAllCart();
+            document.querySelector('.btn-danger').click();
+
+            getLastNotification().querySelector('.notification-action').click();
+
+            expect(getSavedItems().map(item => item.id)).toEqual(['1', '3']);
+        });
+
+        it('Ctrl+Z 應該復原，Ctrl+Shift+Z 應該重做', () => {
+            window.addToCart(iPhone);
+            window.removeFromCart('1');
+
+            pressKey({ key: 'z', ctrlKey: true });
+            expect(getSavedItems().map(item => item.id)).toEqual(['1']);
+            expect(getLastNotification().textContent).toBe('已復原上一個動作');
+
+            pressKey({ key: 'Z', ctrlKey: true, shiftKey: true });
+            expect(getSavedItems()).toEqual([]);
+            expect(getLastNotification().textContent).toBe('已重做上一個動作');
+        });
+
+        it('在輸入框中按下 Ctrl+Z 時不應該復原購物車', () => {
+            window.addToCart(iPhone);
+            window.addToCart(airPods);
+            window.removeFromCart('1');
+
+            pressKey({ key: 'z', ctrlKey: true }, document.getElementById('coupon-code-input'));
+
+            expect(getSavedItems().map(item => item.id)).toEqual(['3']);
+        });
+
+        it('復原紀錄應該有步驟數上限', () => {
+            for (let i = 0; i < 55; i++) {
+                window.selectShippingMethod(i % 2 === 0 ? 'CONVENIENCE_STORE' : 'HOME_DELIVERY');
+            }
+
+            let undoCount = 0;
+            while (window.undoCart()) {
+                undoCount++;
+            }
+            expect(undoCount).toBe(50);
+        });
+    });
+
+    describe('稍後購買功能測試', () => {
+        const iPhone = {
+            id: '1',
+            name: 'iPhone 15 Pro',
+            price: 36900,
+            image: '/public/assets/product-iphone.webp'
+        };
+        const airPods = {
+            id: '3',
+            name: 'AirPods Pro',
+            price: 7490,
+            image: '/public/assets/product-air-pod.webp'
+        };
+
+        const getSavedData = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data;
+
+        it('購物車項目應該提供稍後購買按鈕', () => {
+            window.addToCart(iPhone);
+
+            const button = document.querySelector('#cart-items .save-later-btn');
+            expect(button.textContent).toBe('稍後購買');
+
+            button.click();
+
+            expect(getSavedData().items).toEqual([]);
+            expect(getSavedData().savedForLater.map(item => item.id)).toEqual(['1']);
+        });
+
+        it('稍後購買的項目不應該計入總計與購物車數量', () => {
+            window.addToCart(iPhone);
+            window.addToCart(airPods);
+            window.addToCart(airPods);
+
+            window.saveForLater('1');
+
+            expect(document.getElementById('cart-count').textContent).toBe('2');
+            expect(document.getElementById('cart-total').textContent).toContain('商品總計: NT$ 14,980');
+            expect(window.calculateTotal()).toBe(14980);
+        });
+
+        it('應該在購物車下方顯示稍後購買清單', () => {
+            const section = document.getElementById('saved-for-later');
+            expect(section.style.display).toBe('none');
+
+            window.addToCart(iPhone);
+            window.addToCart(airPods);
+            window.saveForLater('3');
+
+            expect(section.style.display).toBe('block');
+            expect(section.querySelector('.saved-for-later-title').textContent).toBe('稍後購買 (1)');
+            expect(section.querySelectorAll('.saved-item').length).toBe(1);
+            expect(document.querySelectorAll('#cart-items .cart-item').length).toBe(1);
+        });
+
+        it('移到購物車應該將項目移回購物車', async () => {
+            window.addToCart(iPhone);
+            window.saveForLater('1');
+
+            document.querySelector('#saved-for-later .move-to-cart-btn').click();
+            await waitForCatalogue(window);
+
+            expect(getSavedData().items.map(item => [item.id, item.quantity])).toEqual([['1', 1]]);
+            expect(getSavedData().savedForLater).toEqual([]);
+            expect(document.getElementById('saved-for-later').style.display).toBe('none');
+            expect(document.getElementById('cart-count').textContent).toBe('1');
+        });
+
+        it('移回購物車時應該與相同項目合併數量', async () => {
+            window.addToCart(airPods);
+            window.addToCart(airPods);
+            window.saveForLater('3');
+            window.addToCart(airPods);
+
+            await window.moveToCart('3');
+
+            expect(getSavedData().items.map(item => [item.id, item.quantity])).toEqual([['3', 3]]);
+        });
+
+        it('移回購物車超過庫存時應該只移回可購買的數量', async () => {
+            const limitedProduct = { id: '99', name: '限量商品', price: 500, image: '', stock: 3 };
+            window.addToCart(limitedProduct);
+            window.addToCart(limitedProduct);
+            window.saveForLater('99');
+            window.addToCart(limitedProduct);
+            window.addToCart(limitedProduct);
+
+            expect(await window.moveToCart('99')).toBe(true);
+
+            const notifications = document.querySelectorAll('.notification');
+            expect(notifications[notifications.length - 1].textContent).toContain('最多只能購買 3 件');
+            expect(getSavedData().items.map(item => item.quantity)).toEqual([3]);
+            expect(getSavedData().savedForLater.map(item => item.quantity)).toEqual([1]);
+        });
+
+        it('清空購物車時應該保留稍後購買清單', () => {
+            window.addToCart(iPhone);
+            window.addToCart(airPods);
+            window.saveForLater('3');
+
+            window.clearAllCart();
+            document.querySelector('.btn-danger').click();
+
+            expect(getSavedData().items).toEqual([]);
+            expect(getSavedData().savedForLater.map(item => item.id)).toEqual(['3']);
+        });
+
+        it('應該可以從稍後購買移除項目並復原', () => {
+            window.addToCart(iPhone);
+            window.saveForLater('1');
+
+            document.querySelector('#saved-for-later .remove-btn').click();
+            expect(getSavedData().savedForLater).toEqual([]);
+
+            window.undoCart();
+            expect(getSavedData().savedForLater.map(item => item.id)).toEqual(['1']);
+        });
+
+        it('第 2 版的購物車應該升級並加入空的稍後購買清單', () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify({
+                version: 2,
+                data: {
+                    items: [{ id: '3', key: '3', name: 'AirPods Pro', price: 7490, image: '', quantity: 1 }],
+                    coupons: [],
+                    shippingMethodId: 'HOME_DELIVERY'
+                }
+            }));
+
+            const { state } = window.loadCartFromStorage();
+
+            expect(state.items.map(item => item.id)).toEqual(['3']);
+            expect(state.savedForLater).toEqual([]);
+        });
+    });
+
+    describe('購物車價格重新驗證測試', () => {
+        const staleCart = createCartEnvelope([
+            { id: '1', key: '1', name: 'iPhone 15 Pro', price: 32900, image: '/public/assets/product-iphone.webp', quantity: 1 },
+            { id: '3', key: '3', name: 'AirPods Pro', price: 7490, image: '/public/assets/product-air-pod.webp', quantity: 1 },
+            { id: 'discontinued', key: 'discontinued', name: '停售商品', price: 990, image: '', quantity: 2 }
+        ], {
+            savedForLater: [
+                { id: 'retired', key: 'retired', name: '絕版配件', price: 490, image: '', quantity: 1 }
+            ]
+        });
+
+        const getSavedData = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data;
+
+        /**
+         * 以舊的購物車資料重新載入，再與目前的商品目錄比對
+         * @returns {Promise<Object[]>} 變更紀錄
+         */
+        const revalidateStaleCart = () => {
+            window.localStorage.setItem('shoppingCart', JSON.stringify(staleCart));
+            window.cartManager.syncFromStorage();
+            return window.cartManager.revalidateWithCatalogue();
+        };
+
+        it('應該依目前的商品目錄更新價格並標示已下架的商品', async () => {
+            const changes = await revalidateStaleCart();
+
+            expect(changes).toEqual([
+                { type: 'price', key: '1', name: 'iPhone 15 Pro', from: 32900, to: 36900 },
+                { type: 'removed', key: 'discontinued', name: '停售商品' }
+            ]);
+            expect(getSavedData().items.map(item => [item.id, item.price, Boolean(item.unavailable)])).toEqual([
+                ['1', 36900, false],
+                ['3', 7490, false],
+                ['discontinued', 990, true]
+            ]);
+            expect(getSavedData().savedForLater[0].unavailable).toBe(true);
+        });
+
+        it('應該顯示變更摘要，已下架的商品不計入總計且無法調整數量', async () => {
+            await revalidateStaleCart();
+
+            const notification = document.querySelector('.notification');
+            expect(notification.textContent).toBe('價格已更新：iPhone 15 Pro NT$ 32,900 → NT$ 36,900；已下架：停售商品');
+
+            expect(document.querySelector('.cart-item[data-key="1"] .item-price').textContent).toBe('NT$ 36,900');
+            const unavailableItem = document.querySelector('.cart-item[data-key="discontinued"]');
+            expect(unavailableItem.classList.contains('unavailable')).toBe(true);
+            expect(unavailableItem.querySelector('.item-unavailable').textContent).toContain('已下架');
+            expect(Array.from(unavailableItem.querySelectorAll('.quantity-btn')).every(button => button.disabled)).toBe(true);
+            expect(unavailableItem.querySelector('.save-later-btn')).toBeNull();
+
+            expect(document.getElementById('cart-count').textContent).toBe('2');
+            expect(document.getElementById('cart-total').textContent).toContain('商品總計: NT$ 44,390');
+            expect(window.calculateTotal()).toBe(44390);
+        });
+
+        it('價格更新不應該加入復原紀錄，再次比對時不重複通知', async () => {
+            await revalidateStaleCart();
+            const notificationCount = document.querySelectorAll('.notification').length;
+
+            expect(window.cartManager.canUndo()).toBe(false);
+            expect(await window.cartManager.revalidateWithCatalogue()).toEqual([]);
+            expect(document.querySelectorAll('.notification').length).toBe(notificationCount);
+        });
+
+        it('已下架的稍後購買項目不能移回購物車', async () => {
+            await revalidateStaleCart();
+
+            const button = document.querySelector('#saved-for-later .saved-item[data-key="retired"] .move-to-cart-btn');
+            expect(button.disabled).toBe(true);
+            expect(await window.moveToCart('retired')).toBe(false);
+            expect(getSavedData().items.map(item => item.id)).not.toContain('retired');
+        });
+    });
 });
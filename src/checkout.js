@@ -0,0 +1,792 @@
+// 結帳流程模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js、currency.js、product.js、pricing.js、coupon.js、shipping.js、tax.js、cart-refactored-functional.js 與 order.js
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 聯絡資訊資料結構
+ * @typedef {Object} ContactInfo
+ * @property {string} name - 姓名
+ * @property {string} email - 電子郵件
+ * @property {string} phone - 手機號碼
+ */
+
+/**
+ * 收件地址資料結構
+ * @typedef {Object} ShippingAddress
+ * @property {string} postalCode - 郵遞區號
+ * @property {string} city - 縣市
+ * @property {string} district - 鄉鎮市區
+ * @property {string} street - 街道地址
+ */
+
+/**
+ * 付款資訊資料結構
+ * @typedef {Object} PaymentInfo
+ * @property {string} methodId - 付款方式 ID
+ * @property {string} cardNumber - 信用卡卡號
+ * @property {string} cardExpiry - 信用卡有效期限（MM/YY）
+ * @property {string} cardCvc - 信用卡安全碼
+ */
+
+/**
+ * 結帳狀態資料結構
+ * @typedef {Object} CheckoutState
+ * @property {number} stepIndex - 目前步驟索引
+ * @property {ContactInfo} contact - 聯絡資訊
+ * @property {ShippingAddress} address - 收件地址
+ * @property {PaymentInfo} payment - 付款資訊
+ */
+
+/**
+ * 訂單資料結構
+ * @typedef {Object} Order
+ * @property {CartItem[]} items - 訂購的商品
+ * @property {string[]} coupons - 套用的優惠碼
+ * @property {ContactInfo} contact - 聯絡資訊
+ * @property {ShippingAddress} address - 收件地址
+ * @property {string} shippingMethodId - 配送方式 ID
+ * @property {{methodId: string, cardLast4: string|null}} payment - 付款資訊（不含完整卡號）
+ * @property {number} totalCount - 商品總數量
+ * @property {number} totalPrice - 商品總計
+ * @property {number} discountTotal - 折扣總額
+ * @property {number} shippingFee - 運費
+ * @property {number} taxTotal - 稅額
+ * @property {number[]} taxRates - 使用到的稅率
+ * @property {boolean} taxIncluded - 商品價格與運費是否已含稅
+ * @property {number} finalTotal - 總金額（含稅）
+ * @property {string} currency - 下單時選擇的顯示幣別
+ * @property {number} exchangeRate - 下單時的匯率
+ * @property {string} createdAt - 建立時間（ISO 字串）
+ */
+
+// 結帳步驟；title 為步驟名稱的訊息鍵值（i18n.js）
+const CHECKOUT_STEPS = [
+    { id: 'contact', title: 'checkout.steps.contact' },
+    { id: 'address', title: 'checkout.steps.address' },
+    { id: 'shipping', title: 'checkout.steps.shipping' },
+    { id: 'payment', title: 'checkout.steps.payment' },
+    { id: 'review', title: 'checkout.steps.review' }
+];
+
+// 付款方式；name 為付款方式名稱的訊息鍵值
+const PAYMENT_METHODS = [
+    { id: 'CREDIT_CARD', name: 'checkout.paymentMethods.CREDIT_CARD' },
+    { id: 'CASH_ON_DELIVERY', name: 'checkout.paymentMethods.CASH_ON_DELIVERY' },
+    { id: 'ATM_TRANSFER', name: 'checkout.paymentMethods.ATM_TRANSFER' }
+];
+
+// 模擬金流的測試卡號，使用此卡號付款會被拒絕
+const DECLINED_TEST_CARD = '4000000000000002';
+
+// DOM 元素 ID
+const CHECKOUT_DOM_IDS = {
+    STEPS: 'checkout-steps',
+    FORM: 'checkout-form',
+    SUMMARY: 'checkout-summary'
+};
+
+// ============================================================================
+// 純函數 - 結帳狀態
+// ============================================================================
+
+/**
+ * 創建初始結帳狀態
+ * @returns {CheckoutState} 初始結帳狀態
+ */
+const createCheckoutState = () => ({
+    stepIndex: 0,
+    contact: { name: '', email: '', phone: '' },
+    address: { postalCode: '', city: '', district: '', street: '' },
+    payment: { methodId: '', cardNumber: '', cardExpiry: '', cardCvc: '' }
+});
+
+/**
+ * 檢查字串欄位是否有值
+ * @param {string} value - 欄位值
+ * @returns {boolean} 是否有值
+ */
+const isFilled = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * 驗證聯絡資訊
+ * @param {ContactInfo} contact - 聯絡資訊
+ * @returns {Object<string, string>} 欄位錯誤訊息的訊息鍵值（i18n.js），沒有錯誤時為空物件
+ */
+const validateContactInfo = (contact) => ({
+    ...(isFilled(contact.name) ? {} : { name: 'checkout.errors.name' }),
+    ...(/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email) ? {} : { email: 'checkout.errors.email' }),
+    ...(/^09\d{8}$/.test(contact.phone) ? {} : { phone: 'checkout.errors.phone' })
+});
+
+/**
+ * 驗證收件地址
+ * @param {ShippingAddress} address - 收件地址
+ * @returns {Object<string, string>} 欄位錯誤訊息的訊息鍵值（i18n.js），沒有錯誤時為空物件
+ */
+const validateShippingAddress = (address) => ({
+    ...(/^\d{3}(\d{2,3})?$/.test(address.postalCode) ? {} : { postalCode: 'checkout.errors.postalCode' }),
+    ...(isFilled(address.city) ? {} : { city: 'checkout.errors.city' }),
+    ...(isFilled(address.district) ? {} : { district: 'checkout.errors.district' }),
+    ...(isFilled(address.street) ? {} : { street: 'checkout.errors.street' })
+});
+
+/**
+ * 驗證配送方式
+ * @param {CartState} cartState - 購物車狀態
+ * @returns {Object<string, string>} 欄位錯誤訊息的訊息鍵值（i18n.js），沒有錯誤時為空物件
+ */
+const validateShippingStep = (cartState) => {
+    if (cartState.items.length === 0) {
+        return { shippingMethod: 'checkout.errors.emptyCart' };
+    }
+    if (hasUnavailableItems(cartState.items)) {
+        return { shippingMethod: 'checkout.errors.unavailableItems' };
+    }
+    const derivedData = calculateCartDerivedData(cartState);
+    return derivedData.shippingMethodId === cartState.shippingMethodId
+        ? {}
+        : { shippingMethod: 'checkout.errors.shippingMethod' };
+};
+
+/**
+ * 驗證付款資訊
+ * @param {PaymentInfo} payment - 付款資訊
+ * @returns {Object<string, string>} 欄位錯誤訊息的訊息鍵值（i18n.js），沒有錯誤時為空物件
+ */
+const validatePaymentInfo = (payment) => {
+    if (!PAYMENT_METHODS.some(method => method.id === payment.methodId)) {
+        return { methodId: 'checkout.errors.paymentMethod' };
+    }
+    if (payment.methodId !== 'CREDIT_CARD') {
+        return {};
+    }
+    return {
+        ...(/^\d{16}$/.test(payment.cardNumber.replace(/\s/g, '')) ? {} : { cardNumber: 'checkout.errors.cardNumber' }),
+        ...(/^(0[1-9]|1[0-2])\/\d{2}$/.test(payment.cardExpiry) ? {} : { cardExpiry: 'checkout.errors.cardExpiry' }),
+        ...(/^\d{3}$/.test(payment.cardCvc) ? {} : { cardCvc: 'checkout.errors.cardCvc' })
+    };
+};
+
+// 各步驟的驗證函數
+const CHECKOUT_STEP_VALIDATORS = {
+    contact: (checkoutState) => validateContactInfo(checkoutState.contact),
+    address: (checkoutState) => validateShippingAddress(checkoutState.address),
+    shipping: (checkoutState, cartState) => validateShippingStep(cartState),
+    payment: (checkoutState) => validatePaymentInfo(checkoutState.payment),
+    review: () => ({})
+};
+
+/**
+ * 驗證目前步驟
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {CartState} cartState - 購物車狀態
+ * @returns {Object<string, string>} 欄位錯誤訊息的訊息鍵值（i18n.js），沒有錯誤時為空物件
+ */
+const validateCheckoutStep = (checkoutState, cartState) => {
+    const step = CHECKOUT_STEPS[checkoutState.stepIndex];
+    return CHECKOUT_STEP_VALIDATORS[step.id](checkoutState, cartState);
+};
+
+/**
+ * 前往下一步（純函數）；目前步驟驗證失敗時停留在原步驟
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {CartState} cartState - 購物車狀態
+ * @returns {{state: CheckoutState, errors: Object<string, string>}} 新狀態與錯誤訊息
+ */
+const goToNextCheckoutStep = (checkoutState, cartState) => {
+    const errors = validateCheckoutStep(checkoutState, cartState);
+    if (Object.keys(errors).length > 0) {
+        return { state: checkoutState, errors };
+    }
+    const stepIndex = Math.min(checkoutState.stepIndex + 1, CHECKOUT_STEPS.length - 1);
+    return { state: { ...checkoutState, stepIndex }, errors: {} };
+};
+
+/**
+ * 回到上一步（純函數）
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @returns {CheckoutState} 新狀態
+ */
+const goToPreviousCheckoutStep = (checkoutState) => ({
+    ...checkoutState,
+    stepIndex: Math.max(checkoutState.stepIndex - 1, 0)
+});
+
+/**
+ * 更新結帳狀態中的欄位（純函數）
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {string} group - 欄位群組（contact、address、payment）
+ * @param {string} field - 欄位名稱
+ * @param {string} value - 欄位值
+ * @returns {CheckoutState} 新狀態
+ */
+const updateCheckoutField = (checkoutState, group, field, value) => ({
+    ...checkoutState,
+    [group]: { ...checkoutState[group], [field]: value }
+});
+
+/**
+ * 根據購物車與結帳資訊建立訂單（純函數）
+ * @param {CartState} cartState - 購物車狀態
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {Date} now - 目前時間
+ * @param {string} currencyCode - 顯示幣別代碼，預設為目前選擇的幣別
+ * @returns {Order} 訂單
+ */
+const createOrder = (cartState, checkoutState, now = new Date(), currencyCode = currencyManager.code) => {
+    const derivedData = calculateCartDerivedData(cartState);
+    const { methodId, cardNumber } = checkoutState.payment;
+
+    return {
+        // 保存套用階梯價與組合優惠後的單價與折抵
+        items: derivedData.pricedItems.map(item => ({ ...item })),
+        coupons: derivedData.discounts.map(discount => discount.code),
+        contact: { ...checkoutState.contact },
+        address: { ...checkoutState.address },
+        shippingMethodId: derivedData.shippingMethodId,
+        payment: {
+            methodId,
+            cardLast4: methodId === 'CREDIT_CARD' ? cardNumber.replace(/\s/g, '').slice(-4) : null
+        },
+        totalCount: derivedData.totalCount,
+        totalPrice: derivedData.totalPrice,
+        discountTotal: derivedData.discountTotal,
+        shippingFee: derivedData.shippingFee,
+        taxTotal: derivedData.taxTotal,
+        taxRates: derivedData.tax.rates,
+        taxIncluded: derivedData.tax.pricesIncludeTax,
+        finalTotal: derivedData.finalTotal,
+        currency: currencyCode,
+        exchangeRate: currencyManager.getExchangeRate(currencyCode),
+        createdAt: now.toISOString()
+    };
+};
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 轉義 HTML 屬性值，避免使用者輸入破壞表單結構
+ * @param {string} value - 原始字串
+ * @returns {string} 轉義後的字串
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * 將步驟指示器轉換為 HTML 字串
+ * @param {number} stepIndex - 目前步驟索引
+ * @returns {string} HTML 字串
+ */
+const checkoutStepsToHtml = (stepIndex) => CHECKOUT_STEPS.map((step, index) => `
+    <li class="checkout-step${index === stepIndex ? ' active' : ''}${index < stepIndex ? ' completed' : ''}">
+        <span class="step-number">${index + 1}</span>
+        <span class="step-title">${t(step.title)}</span>
+    </li>
+`).join('');
+
+/**
+ * 將表單欄位轉換為 HTML 字串
+ * @param {Object} config - 欄位設定
+ * @param {string} config.group - 欄位群組
+ * @param {string} config.field - 欄位名稱（標籤取自 checkout.fields 下的同名訊息）
+ * @param {string} config.value - 欄位值
+ * @param {string} [config.error] - 錯誤訊息的訊息鍵值
+ * @param {string} [config.type] - input 類型
+ * @param {string} [config.placeholder] - 提示文字
+ * @returns {string} HTML 字串
+ */
+const formFieldToHtml = ({ group, field, value, error, type = 'text', placeholder = '' }) => `
+    <div class="form-field${error ? ' has-error' : ''}">
+        <label for="${group}-${field}">${t(`checkout.fields.${field}`)}</label>
+        <input type="${type}" id="${group}-${field}" data-group="${group}" data-field="${field}"
+            value="${escapeHtml(value)}" placeholder="${placeholder}">
+        ${error ? `<p class="field-error">${t(error)}</p>` : ''}
+    </div>
+`;
+
+/**
+ * 產生聯絡資訊步驟 HTML 字串
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {Object<string, string>} errors - 錯誤訊息
+ * @returns {string} HTML 字串
+ */
+const contactStepToHtml = (checkoutState, errors) => [
+    { field: 'name' },
+    { field: 'email', type: 'email', placeholder: 'name@example.com' },
+    { field: 'phone', type: 'tel', placeholder: '0912345678' }
+].map(config => formFieldToHtml({
+    ...config,
+    group: 'contact',
+    value: checkoutState.contact[config.field],
+    error: errors[config.field]
+})).join('');
+
+/**
+ * 產生收件地址步驟 HTML 字串
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {Object<string, string>} errors - 錯誤訊息
+ * @returns {string} HTML 字串
+ */
+const addressStepToHtml = (checkoutState, errors) => [
+    { field: 'postalCode', placeholder: '100' },
+    { field: 'city', placeholder: t('checkout.placeholders.city') },
+    { field: 'district', placeholder: t('checkout.placeholders.district') },
+    { field: 'street' }
+].map(config => formFieldToHtml({
+    ...config,
+    group: 'address',
+    value: checkoutState.address[config.field],
+    error: errors[config.field]
+})).join('');
+
+/**
+ * 產生配送方式步驟 HTML 字串
+ * @param {CartState} cartState - 購物車狀態
+ * @param {Object<string, string>} errors - 錯誤訊息
+ * @returns {string} HTML 字串
+ */
+const shippingStepToHtml = (cartState, errors) => {
+    const derivedData = calculateCartDerivedData(cartState);
+    return `
+        ${shippingSelectorToHtml(derivedData.shippingOptions, derivedData.shippingMethodId, 'checkoutSelectShippingMethod')}
+        ${errors.shippingMethod ? `<p class="field-error">${t(errors.shippingMethod)}</p>` : ''}
+    `;
+};
+
+/**
+ * 產生付款方式步驟 HTML 字串
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {Object<string, string>} errors - 錯誤訊息
+ * @returns {string} HTML 字串
+ */
+const paymentStepToHtml = (checkoutState, errors) => {
+    const { payment } = checkoutState;
+    const methodsHtml = PAYMENT_METHODS.map(method => `
+        <label class="payment-option">
+            <input type="radio" name="payment-method" value="${method.id}"
+                ${method.id === payment.methodId ? 'checked' : ''}
+                onchange="checkoutSelectPaymentMethod('${method.id}')">
+            <span>${t(method.name)}</span>
+        </label>
+    `).join('');
+
+    const cardFieldsHtml = payment.methodId === 'CREDIT_CARD'
+        ? [
+            { field: 'cardNumber', placeholder: '4242 4242 4242 4242' },
+            { field: 'cardExpiry', placeholder: 'MM/YY' },
+            { field: 'cardCvc', placeholder: '123' }
+        ].map(config => formFieldToHtml({
+            ...config,
+            group: 'payment',
+            value: payment[config.field],
+            error: errors[config.field]
+        })).join('')
+        : '';
+
+    return `
+        <div class="payment-methods">${methodsHtml}</div>
+        ${errors.methodId ? `<p class="field-error">${t(errors.methodId)}</p>` : ''}
+        ${cardFieldsHtml}
+    `;
+};
+
+/**
+ * 產生確認訂單步驟 HTML 字串
+ * @param {CheckoutState} checkoutState - 結帳狀態
+ * @param {CartState} cartState - 購物車狀態
+ * @returns {string} HTML 字串
+ */
+const reviewStepToHtml = (checkoutState, cartState) => {
+    const { contact, address, payment } = checkoutState;
+    const derivedData = calculateCartDerivedData(cartState);
+    const shippingMethod = findShippingMethodById(SHIPPING_METHODS, derivedData.shippingMethodId);
+    const paymentMethod = PAYMENT_METHODS.find(method => method.id === payment.methodId);
+
+    return `
+        <dl class="review-list">
+            <dt>${t('checkout.steps.contact')}</dt>
+            <dd>${escapeHtml(contact.name)} / ${escapeHtml(contact.email)} / ${escapeHtml(contact.phone)}</dd>
+            <dt>${t('checkout.steps.address')}</dt>
+            <dd>${escapeHtml(address.postalCode)} ${escapeHtml(address.city)}${escapeHtml(address.district)}${escapeHtml(address.street)}</dd>
+            <dt>${t('checkout.steps.shipping')}</dt>
+            <dd>${t(shippingMethod.name)}</dd>
+            <dt>${t('checkout.steps.payment')}</dt>
+            <dd>${paymentMethod ? t(paymentMethod.name) : ''}</dd>
+        </dl>
+    `;
+};
+
+/**
+ * 將訂單摘要轉換為 HTML 字串
+ * @param {CartState} cartState - 購物車狀態
+ * @returns {string} HTML 字串
+ */
+const checkoutSummaryToHtml = (cartState, taxDisplayMode = taxManager.displayMode) => {
+    const derivedData = calculateCartDerivedData(cartState);
+    const displayAmounts = selectTaxDisplayAmounts(derivedData.tax, taxDisplayMode);
+    const isExclusive = taxDisplayMode === TAX_DISPLAY_MODES.EXCLUSIVE;
+    const findPricedItem = (item) => derivedData.pricedItems.find(pricedItem => getCartItemKey(pricedItem) === getCartItemKey(item));
+    const itemsHtml = cartState.items.map(item => `
+        <li class="summary-item">
+            <span>${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''} × ${item.quantity}</span>
+            <span>${item.unavailable ? t('checkout.unavailable') : formatPrice(taxManager.toDisplayAmount(moneyToAmount(calculateLineTotal(findPricedItem(item))), item.category))}</span>
+        </li>
+    `).join('');
+
+    return `
+        <h3>${t('checkout.summary')}</h3>
+        <ul class="summary-items">${itemsHtml}</ul>
+        <div class="price-breakdown">
+            <div class="price-item"><span>${t(isExclusive ? 'price.subtotalExclTax' : 'price.subtotal', { amount: formatPrice(displayAmounts.subtotal) })}</span></div>
+            ${displayAmounts.discountTotal > 0
+                ? `<div class="price-item discount"><span>${t('price.discount', { amount: formatPrice(displayAmounts.discountTotal) })}</span></div>`
+                : ''}
+            <div class="price-item"><span>${t(isExclusive ? 'price.shippingExclTax' : 'price.shipping', { amount: formatPrice(displayAmounts.shippingFee) })}</span></div>
+            ${taxLineToHtml(derivedData.tax, taxDisplayMode)}
+            <div class="price-item total"><span>${t('price.total', { amount: formatPrice(derivedData.finalTotal) })}</span></div>
+        </div>
+    `;
+};
+
+/**
+ * 產生結帳步驟導覽按鈕 HTML 字串
+ * @param {number} stepIndex - 目前步驟索引
+ * @param {boolean} isSubmitting - 是否正在送出訂單
+ * @returns {string} HTML 字串
+ */
+const checkoutNavToHtml = (stepIndex, isSubmitting) => {
+    const isLastStep = stepIndex === CHECKOUT_STEPS.length - 1;
+    return `
+        <div class="checkout-nav">
+            ${stepIndex > 0
+                ? `<button class="btn btn-secondary checkout-back-btn" onclick="checkoutBack()">${t('checkout.back')}</button>`
+                : `<a href="cart.html" class="btn btn-secondary checkout-back-btn">${t('checkout.backToCart')}</a>`}
+            ${isLastStep
+                ? `<button class="btn btn-primary checkout-submit-btn" onclick="placeOrder()" ${isSubmitting ? 'disabled' : ''}>
+                    ${isSubmitting ? t('checkout.submitting') : t('checkout.submit')}
+                </button>`
+                : `<button class="btn btn-primary checkout-next-btn" onclick="checkoutNext()">${t('checkout.next')}</button>`}
+        </div>
+    `;
+};
+
+// ============================================================================
+// 模擬金流
+// ============================================================================
+
+/**
+ * 模擬付款閘道（本機測試用）
+ */
+class MockPaymentGateway {
+    /**
+     * @param {number} delay - 模擬網路延遲（毫秒）
+     */
+    constructor(delay = 800) {
+        this.delay = delay;
+    }
+
+    /**
+     * 模擬扣款
+     * @param {Order} order - 訂單
+     * @param {PaymentInfo} payment - 付款資訊
+     * @returns {Promise<{success: boolean, transactionId: string|null, message: string}>} 付款結果
+     */
+    async charge(order, payment) {
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+
+        if (payment.methodId === 'CREDIT_CARD' &&
+            payment.cardNumber.replace(/\s/g, '') === DECLINED_TEST_CARD) {
+            return { success: false, transactionId: null, message: t('checkout.declined') };
+        }
+
+        return {
+            success: true,
+            transactionId: `MOCK-${Date.now()}`,
+            message: t('checkout.paid')
+        };
+    }
+}
+
+// ============================================================================
+// 結帳流程管理
+// ============================================================================
+
+/**
+ * 結帳流程管理器
+ */
+class CheckoutManager {
+    /**
+     * @param {CartManager} cart - 購物車管理器
+     * @param {MockPaymentGateway} paymentGateway - 付款閘道
+     * @param {OrderStore} orderStore - 訂單紀錄存放區
+     */
+    constructor(cart, paymentGateway, orderStore) {
+        this.cart = cart;
+        this.paymentGateway = paymentGateway;
+        this.orderStore = orderStore;
+        this.state = createCheckoutState();
+        this.errors = {};
+        this.isSubmitting = false;
+        this.completedOrder = null;
+    }
+
+    /**
+     * 初始化結帳頁面
+     */
+    initialize() {
+        this.render();
+    }
+
+    /**
+     * 讀取表單欄位並更新結帳狀態
+     */
+    collectFormValues() {
+        const form = document.getElementById(CHECKOUT_DOM_IDS.FORM);
+        if (!form) return;
+
+        form.querySelectorAll('input[data-group]').forEach(input => {
+            this.state = updateCheckoutField(this.state, input.dataset.group, input.dataset.field, input.value.trim());
+        });
+    }
+
+    /**
+     * 前往下一步
+     * @returns {boolean} 是否通過驗證
+     */
+    nextStep() {
+        this.collectFormValues();
+        const { state, errors } = goToNextCheckoutStep(this.state, this.cart.getState());
+        this.state = state;
+        this.errors = errors;
+        this.render();
+        return Object.keys(errors).length === 0;
+    }
+
+    /**
+     * 回到上一步
+     */
+    previousStep() {
+        this.collectFormValues();
+        this.state = goToPreviousCheckoutStep(this.state);
+        this.errors = {};
+        this.render();
+    }
+
+    /**
+     * 選擇配送方式
+     * @param {string} methodId - 配送方式 ID
+     */
+    selectShippingMethod(methodId) {
+        this.cart.selectShippingMethod(methodId);
+        this.render();
+    }
+
+    /**
+     * 選擇付款方式
+     * @param {string} methodId - 付款方式 ID
+     */
+    selectPaymentMethod(methodId) {
+        this.collectFormValues();
+        this.state = updateCheckoutField(this.state, 'payment', 'methodId', methodId);
+        this.render();
+    }
+
+    /**
+     * 送出訂單並付款
+     * @returns {Promise<OrderRecord|null>} 保存的訂單紀錄，失敗時為 null
+     */
+    async placeOrder() {
+        if (this.isSubmitting) return null;
+
+        const cartState = this.cart.getState();
+        const invalidStepIndex = CHECKOUT_STEPS.findIndex((step, index) =>
+            Object.keys(validateCheckoutStep({ ...this.state, stepIndex: index }, cartState)).length > 0
+        );
+        if (invalidStepIndex !== -1) {
+            this.state = { ...this.state, stepIndex: invalidStepIndex };
+            this.errors = validateCheckoutStep(this.state, cartState);
+            this.render();
+            return null;
+        }
+
+        const order = createOrder(cartState, this.state);
+        this.isSubmitting = true;
+        this.render();
+
+        try {
+            const result = await this.paymentGateway.charge(order, this.state.payment);
+            if (!result.success) {
+                showNotification(result.message);
+                return null;
+            }
+
+            this.completedOrder = this.orderStore.placeOrder({ ...order, transactionId: result.transactionId });
+            this.cart.clear(false);
+            showNotification(t('checkout.placed'));
+            return this.completedOrder;
+        } catch (error) {
+            console.error('付款失敗:', error);
+            showNotification(t('checkout.paymentFailed'));
+            return null;
+        } finally {
+            this.isSubmitting = false;
+            this.render();
+        }
+    }
+
+    /**
+     * 渲染目前步驟的表單內容
+     * @param {CartState} cartState - 購物車狀態
+     * @returns {string} HTML 字串
+     */
+    renderStepContent(cartState) {
+        const step = CHECKOUT_STEPS[this.state.stepIndex];
+        switch (step.id) {
+            case 'contact':
+                return contactStepToHtml(this.state, this.errors);
+            case 'address':
+                return addressStepToHtml(this.state, this.errors);
+            case 'shipping':
+                return shippingStepToHtml(cartState, this.errors);
+            case 'payment':
+                return paymentStepToHtml(this.state, this.errors);
+            default:
+                return reviewStepToHtml(this.state, cartState);
+        }
+    }
+
+    /**
+     * 渲染結帳頁面
+     */
+    render() {
+        const stepsElement = safeGetElement(CHECKOUT_DOM_IDS.STEPS);
+        const formElement = safeGetElement(CHECKOUT_DOM_IDS.FORM);
+        const summaryElement = safeGetElement(CHECKOUT_DOM_IDS.SUMMARY);
+        const cartState = this.cart.getState();
+
+        if (this.completedOrder) {
+            if (stepsElement) stepsElement.innerHTML = '';
+            if (summaryElement) summaryElement.innerHTML = '';
+            if (formElement) {
+                formElement.innerHTML = `
+                    <div class="checkout-complete">
+                        <h3>${t('checkout.complete.title')}</h3>
+                        <p>${t('checkout.complete.orderNumber', { number: this.completedOrder.orderNumber })}</p>
+                        <p>${t('checkout.complete.transactionId', { id: this.completedOrder.transactionId })}</p>
+                        <p>${t('price.total', { amount: formatOrderPrice(this.completedOrder, this.completedOrder.finalTotal) })}</p>
+                        <a href="orders.html" class="btn btn-secondary">${t('checkout.complete.viewOrders')}</a>
+                        <a href="index.html" class="btn btn-primary">${t('checkout.complete.continueShopping')}</a>
+                    </div>
+                `;
+            }
+            return;
+        }
+
+        if (cartState.items.length === 0) {
+            if (stepsElement) stepsElement.innerHTML = '';
+            if (summaryElement) summaryElement.innerHTML = '';
+            if (formElement) {
+                formElement.innerHTML = `
+                    <div class="checkout-empty">
+                        <p>${t('checkout.empty')}</p>
+                        <a href="index.html" class="btn btn-primary">${t('common.startShopping')}</a>
+                    </div>
+                `;
+            }
+            return;
+        }
+
+        if (stepsElement) {
+            stepsElement.innerHTML = checkoutStepsToHtml(this.state.stepIndex);
+        }
+        if (formElement) {
+            formElement.innerHTML = `
+                <h3>${t(CHECKOUT_STEPS[this.state.stepIndex].title)}</h3>
+                ${this.renderStepContent(cartState)}
+                ${checkoutNavToHtml(this.state.stepIndex, this.isSubmitting)}
+            `;
+        }
+        if (summaryElement) {
+            summaryElement.innerHTML = checkoutSummaryToHtml(cartState);
+        }
+    }
+
+    /**
+     * 獲取當前結帳狀態
+     * @returns {CheckoutState} 當前結帳狀態
+     */
+    getState() {
+        return { ...this.state };
+    }
+}
+
+// ============================================================================
+// 全域實例和公開 API
+// ============================================================================
+
+// 創建結帳流程管理器實例
+const checkoutManager = new CheckoutManager(cartManager, new MockPaymentGateway(), orderStore);
+
+// 公開的 API 函數
+var checkoutNext = () => checkoutManager.nextStep();
+var checkoutBack = () => checkoutManager.previousStep();
+var checkoutSelectShippingMethod = (methodId) => checkoutManager.selectShippingMethod(methodId);
+var checkoutSelectPaymentMethod = (methodId) => checkoutManager.selectPaymentMethod(methodId);
+var placeOrder = () => checkoutManager.placeOrder();
+
+// DOM 載入完成後初始化
+document.addEventListener('DOMContentLoaded', () => checkoutManager.initialize());
+
+// 切換幣別後以新的幣別重新顯示訂單摘要與運費
+window.addEventListener(CURRENCY_CONFIG.CHANGE_EVENT, () => checkoutManager.render());
+
+// 切換語系後以新的語系重新顯示結帳步驟與訂單摘要
+window.addEventListener(I18N_CONFIG.CHANGE_EVENT, () => checkoutManager.render());
+
+// 切換稅額顯示模式後重新顯示訂單摘要
+window.addEventListener(TAX_CONFIG.CHANGE_EVENT, () => checkoutManager.render());
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        createCheckoutState,
+        validateContactInfo,
+        validateShippingAddress,
+        validateShippingStep,
+        validatePaymentInfo,
+        validateCheckoutStep,
+        goToNextCheckoutStep,
+        goToPreviousCheckoutStep,
+        updateCheckoutField,
+        createOrder,
+
+        // 類別
+        MockPaymentGateway,
+        CheckoutManager,
+
+        // 公開 API
+        checkoutNext,
+        checkoutBack,
+        checkoutSelectShippingMethod,
+        checkoutSelectPaymentMethod,
+        placeOrder,
+
+        // 常數
+        CHECKOUT_STEPS,
+        PAYMENT_METHODS,
+        CHECKOUT_DOM_IDS
+    };
+}
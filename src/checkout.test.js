@@ -0,0 +1,216 @@
+const { loadTestPage } = require('./testHelpers');
+
+describe('結帳流程 DOM 測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    const sampleItem = {
+        id: '3',
+        key: '3',
+        name: 'AirPods Pro',
+        price: 7490,
+        image: '/public/assets/product-air-pod.webp',
+        quantity: 1
+    };
+
+    /**
+     * 以指定的購物車內容載入結帳頁面
+     * @param {Object[]} savedItems - 預先存入 localStorage 的購物車項目
+     */
+    const loadCheckoutPage = (savedItems) => {
+        dom = loadTestPage('checkout.html', {
+            storage: { shoppingCart: savedItems },
+            expose: [
+                'checkoutManager',
+                'MockPaymentGateway',
+                'createOrder',
+                'createCheckoutState',
+                'checkoutNext',
+                'checkoutBack',
+                'checkoutSelectShippingMethod',
+                'checkoutSelectPaymentMethod',
+                'placeOrder'
+            ],
+            // 付款不需等待模擬延遲
+            beforeReady: (pageWindow) => {
+                pageWindow.checkoutManager.paymentGateway = new pageWindow.MockPaymentGateway(0);
+            }
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    /**
+     * 填寫目前步驟的欄位
+     * @param {Object<string, string>} values - 欄位 ID 與值
+     */
+    const fillFields = (values) => {
+        Object.entries(values).forEach(([id, value]) => {
+            document.getElementById(id).value = value;
+        });
+    };
+
+    const getCurrentStepTitle = () =>
+        document.querySelector('#checkout-form h3').textContent;
+
+    /**
+     * 完成聯絡資訊到付款方式的步驟
+     * @param {string} cardNumber - 信用卡卡號
+     */
+    const completeStepsUntilReview = (cardNumber = '4242424242424242') => {
+        fillFields({ 'contact-name': '王小明', 'contact-email': 'ming@example.com', 'contact-phone': '0912345678' });
+        window.checkoutNext();
+        fillFields({ 'address-postalCode': '100', 'address-city': '台北市', 'address-district': '中正區', 'address-street': '重慶南路一段 122 號' });
+        window.checkoutNext();
+        window.checkoutNext();
+        window.checkoutSelectPaymentMethod('CREDIT_CARD');
+        fillFields({ 'payment-cardNumber': cardNumber, 'payment-cardExpiry': '12/30', 'payment-cardCvc': '123' });
+        window.checkoutNext();
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('購物車是空的時候應該顯示無法結帳', () => {
+        loadCheckoutPage([]);
+
+        expect(document.querySelector('.checkout-empty').textContent).toContain('購物車是空的，無法結帳');
+        expect(document.getElementById('checkout-steps').innerHTML).toBe('');
+    });
+
+    it('應該顯示五個結帳步驟與訂單摘要', () => {
+        loadCheckoutPage([sampleItem]);
+
+        const steps = document.querySelectorAll('.checkout-step');
+        expect(steps.length).toBe(5);
+        expect(steps[0].classList.contains('active')).toBe(true);
+        expect(getCurrentStepTitle()).toBe('聯絡資訊');
+
+        const summary = document.getElementById('checkout-summary');
+        expect(summary.textContent).toContain('AirPods Pro × 1');
+        expect(summary.textContent).toContain('總金額: NT$ 7,490');
+    });
+
+    it('聯絡資訊未通過驗證時應該停留在目前步驟並顯示錯誤', () => {
+        loadCheckoutPage([sampleItem]);
+
+        fillFields({ 'contact-name': '', 'contact-email': 'not-an-email', 'contact-phone': '12345' });
+        const passed = window.checkoutNext();
+
+        expect(passed).toBe(false);
+        expect(getCurrentStepTitle()).toBe('聯絡資訊');
+        const errors = Array.from(document.querySelectorAll('.field-error')).map(el => el.textContent);
+        expect(errors).toEqual([
+            '請輸入姓名',
+            '請輸入有效的電子郵件',
+            '請輸入有效的手機號碼（09 開頭共 10 碼）'
+        ]);
+    });
+
+    it('上一步應該保留已填寫的資料', () => {
+        loadCheckoutPage([sampleItem]);
+
+        fillFields({ 'contact-name': '王小明', 'contact-email': 'ming@example.com', 'contact-phone': '0912345678' });
+        window.checkoutNext();
+        expect(getCurrentStepTitle()).toBe('收件地址');
+
+        document.querySelector('.checkout-back-btn').click();
+
+        expect(getCurrentStepTitle()).toBe('聯絡資訊');
+        expect(document.getElementById('contact-name').value).toBe('王小明');
+    });
+
+    it('配送方式步驟的選擇應該更新購物車狀態與摘要', () => {
+        loadCheckoutPage([{ ...sampleItem, price: 2000 }]);
+
+        fillFields({ 'contact-name': '王小明', 'contact-email': 'ming@example.com', 'contact-phone': '0912345678' });
+        window.checkoutNext();
+        fillFields({ 'address-postalCode': '880', 'address-city': '澎湖縣', 'address-district': '馬公市', 'address-street': '中正路 1 號' });
+        window.checkoutNext();
+
+        document.querySelector('input[value="OUTLYING_ISLANDS"]').click();
+
+        expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.shippingMethodId).toBe('OUTLYING_ISLANDS');
+        expect(document.getElementById('checkout-summary').textContent).toContain('運費: NT$ 250');
+    });
+
+    it('付款方式為信用卡時應該驗證卡號', () => {
+        loadCheckoutPage([sampleItem]);
+
+        completeStepsUntilReview('1234');
+
+        expect(getCurrentStepTitle()).toBe('付款方式');
+        expect(document.querySelector('.field-error').textContent).toBe('請輸入 16 碼信用卡卡號');
+    });
+
+    it('完成所有步驟後送出訂單應該清空購物車並顯示完成畫面', async () => {
+        loadCheckoutPage([sampleItem]);
+
+        completeStepsUntilReview();
+        expect(getCurrentStepTitle()).toBe('確認訂單');
+        expect(document.querySelector('.review-list').textContent).toContain('100 台北市中正區重慶南路一段 122 號');
+
+        const order = await window.placeOrder();
+
+        expect(order.finalTotal).toBe(7490);
+        expect(order.payment).toEqual({ methodId: 'CREDIT_CARD', cardLast4: '4242' });
+        expect(order.transactionId).toMatch(/^MOCK-/);
+        expect(order.orderNumber).toMatch(/^ORD-\d{8}-001$/);
+        expect(document.querySelector('.checkout-complete').textContent).toContain('訂單已成功送出');
+        expect(document.querySelector('.checkout-complete').textContent).toContain(order.orderNumber);
+        expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.items).toEqual([]);
+
+        const savedOrders = JSON.parse(window.localStorage.getItem('orderHistory'));
+        expect(savedOrders.length).toBe(1);
+        expect(savedOrders[0]).toMatchObject({
+            orderNumber: order.orderNumber,
+            items: [{ id: '3', name: 'AirPods Pro', price: 7490, quantity: 1 }],
+            shippingFee: 0,
+            finalTotal: 7490
+        });
+        expect(document.getElementById('cart-count').textContent).toBe('0');
+    });
+
+    it('信用卡被拒絕時應該保留購物車並顯示通知', async () => {
+        loadCheckoutPage([sampleItem]);
+
+        completeStepsUntilReview('4000000000000002');
+        const order = await window.placeOrder();
+
+        expect(order).toBeNull();
+        const notifications = document.querySelectorAll('.notification');
+        expect(notifications[notifications.length - 1].textContent).toBe('信用卡交易被拒絕');
+        expect(getCurrentStepTitle()).toBe('確認訂單');
+        expect(window.checkoutManager.cart.getState().items.length).toBe(1);
+        expect(window.localStorage.getItem('orderHistory')).toBeNull();
+    });
+
+    it('createOrder 應該根據購物車派生資料建立訂單', () => {
+        loadCheckoutPage([]);
+
+        const cartState = {
+            items: [{ ...sampleItem, price: 2000, quantity: 2 }],
+            coupons: ['FREESHIP'],
+            shippingMethodId: 'HOME_DELIVERY'
+        };
+        const checkoutState = {
+            ...window.createCheckoutState(),
+            payment: { methodId: 'CASH_ON_DELIVERY', cardNumber: '', cardExpiry: '', cardCvc: '' }
+        };
+        const order = window.createOrder(cartState, checkoutState, new window.Date('2026-01-01T00:00:00Z'));
+
+        expect(order).toMatchObject({
+            coupons: ['FREESHIP'],
+            shippingMethodId: 'HOME_DELIVERY',
+            payment: { methodId: 'CASH_ON_DELIVERY', cardLast4: null },
+            totalCount: 2,
+            totalPrice: 4000,
+            discountTotal: 0,
+            shippingFee: 0,
+            finalTotal: 4000,
+            createdAt: '2026-01-01T00:00:00.000Z'
+        });
+    });
+});
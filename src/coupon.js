@@ -0,0 +1,346 @@
+// 優惠券模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js、currency.js（金額以 Money 計算）與 pricing.js（項目小計已扣除組合優惠）
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 優惠券資料結構
+ * @typedef {Object} Coupon
+ * @property {string} code - 優惠碼（大寫）
+ * @property {string} type - 優惠類型（COUPON_TYPES 之一）
+ * @property {string} description - 優惠說明
+ * @property {number} [value] - 折扣值（百分比或金額）
+ * @property {number} [maxDiscount] - 百分比折扣的折抵上限
+ * @property {number} [minSpend] - 最低消費金額
+ * @property {string} [expiresAt] - 到期時間（ISO 字串）
+ * @property {string[]} [eligibleProductIds] - 適用商品 ID，未設定時適用全部商品
+ * @property {boolean} [stackable] - 是否可與其他優惠券併用
+ * @property {number} [buyQuantity] - 買 X 送 Y 的 X
+ * @property {number} [getQuantity] - 買 X 送 Y 的 Y
+ */
+
+/**
+ * 單張優惠券的折扣結果
+ * @typedef {Object} CouponDiscount
+ * @property {string} code - 優惠碼
+ * @property {string} description - 優惠說明
+ * @property {Money} amount - 折扣金額（基準幣別）
+ * @property {boolean} freeShipping - 是否免運
+ */
+
+/**
+ * 已套用但目前不符合條件的優惠券
+ * @typedef {Object} InapplicableCoupon
+ * @property {string} code - 優惠碼
+ * @property {string} description - 優惠說明
+ * @property {string} reason - 無法使用原因的訊息鍵值
+ */
+
+// 優惠類型
+const COUPON_TYPES = {
+    PERCENTAGE: 'PERCENTAGE',
+    FIXED_AMOUNT: 'FIXED_AMOUNT',
+    FREE_SHIPPING: 'FREE_SHIPPING',
+    BUY_X_GET_Y: 'BUY_X_GET_Y'
+};
+
+// 優惠券驗證失敗訊息的訊息鍵值（i18n.js），顯示時以 t() 翻譯
+const COUPON_ERRORS = {
+    NOT_FOUND: 'coupon.errors.notFound',
+    EXPIRED: 'coupon.errors.expired',
+    MIN_SPEND: 'coupon.errors.minSpend',
+    NOT_ELIGIBLE: 'coupon.errors.notEligible',
+    ALREADY_APPLIED: 'coupon.errors.alreadyApplied',
+    NOT_STACKABLE: 'coupon.errors.notStackable'
+};
+
+// 優惠券資料
+const COUPONS = [
+    {
+        code: 'SAVE10',
+        type: COUPON_TYPES.PERCENTAGE,
+        description: '全館 9 折',
+        value: 10,
+        maxDiscount: 3000,
+        minSpend: 1000,
+        stackable: false
+    },
+    {
+        code: 'MINUS500',
+        type: COUPON_TYPES.FIXED_AMOUNT,
+        description: '滿 NT$ 10,000 折 NT$ 500',
+        value: 500,
+        minSpend: 10000,
+        stackable: true
+    },
+    {
+        code: 'FREESHIP',
+        type: COUPON_TYPES.FREE_SHIPPING,
+        description: '免運費',
+        stackable: true
+    },
+    {
+        code: 'CABLE2FOR1',
+        type: COUPON_TYPES.BUY_X_GET_Y,
+        description: 'Type-C傳輸線買一送一',
+        buyQuantity: 1,
+        getQuantity: 1,
+        eligibleProductIds: ['7'],
+        stackable: true
+    }
+];
+
+// ============================================================================
+// 純函數 - 優惠券資料處理
+// ============================================================================
+
+/**
+ * 正規化優惠碼（去除空白並轉為大寫）
+ * @param {string} code - 使用者輸入的優惠碼
+ * @returns {string} 正規化後的優惠碼
+ */
+const normalizeCouponCode = (code) =>
+    typeof code === 'string' ? code.trim().toUpperCase() : '';
+
+/**
+ * 根據優惠碼查找優惠券
+ * @param {Coupon[]} coupons - 優惠券陣列
+ * @param {string} code - 優惠碼
+ * @returns {Coupon|undefined} 找到的優惠券
+ */
+const findCouponByCode = (coupons, code) =>
+    coupons.find(coupon => coupon.code === normalizeCouponCode(code));
+
+/**
+ * 檢查優惠券是否已過期
+ * @param {Coupon} coupon - 優惠券
+ * @param {Date} now - 目前時間
+ * @returns {boolean} 是否已過期
+ */
+const isCouponExpired = (coupon, now = new Date()) =>
+    Boolean(coupon.expiresAt) && new Date(coupon.expiresAt).getTime() < now.getTime();
+
+/**
+ * 取得適用優惠券的購物車項目
+ * @param {Coupon} coupon - 優惠券
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {CartItem[]} 適用的購物車項目
+ */
+const getEligibleItems = (coupon, items) =>
+    Array.isArray(coupon.eligibleProductIds)
+        ? items.filter(item => coupon.eligibleProductIds.includes(item.id))
+        : items;
+
+/**
+ * 計算適用商品的小計
+ * @param {Coupon} coupon - 優惠券
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {Money} 適用商品小計（基準幣別）
+ */
+const calculateEligibleSubtotal = (coupon, items) => sumMoney(
+    getEligibleItems(coupon, items).map(calculateLineTotal)
+);
+
+/**
+ * 檢查優惠券能否與已套用的優惠券併用
+ * @param {Coupon} coupon - 要套用的優惠券
+ * @param {Coupon[]} appliedCoupons - 已套用的優惠券
+ * @returns {boolean} 是否可以併用
+ */
+const canStackCoupon = (coupon, appliedCoupons) =>
+    appliedCoupons.length === 0 ||
+    (Boolean(coupon.stackable) && appliedCoupons.every(applied => applied.stackable));
+
+/**
+ * 驗證優惠券是否可套用到購物車
+ * @param {Coupon|undefined} coupon - 優惠券
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {Coupon[]} appliedCoupons - 已套用的其他優惠券
+ * @param {Date} now - 目前時間
+ * @returns {{valid: boolean, reason: string|null}} 驗證結果，reason 為失敗原因的訊息鍵值
+ */
+const validateCoupon = (coupon, items, appliedCoupons = [], now = new Date()) => {
+    if (!coupon) {
+        return { valid: false, reason: COUPON_ERRORS.NOT_FOUND };
+    }
+    if (isCouponExpired(coupon, now)) {
+        return { valid: false, reason: COUPON_ERRORS.EXPIRED };
+    }
+    if (appliedCoupons.some(applied => applied.code === coupon.code)) {
+        return { valid: false, reason: COUPON_ERRORS.ALREADY_APPLIED };
+    }
+    if (!canStackCoupon(coupon, appliedCoupons)) {
+        return { valid: false, reason: COUPON_ERRORS.NOT_STACKABLE };
+    }
+    if (getEligibleItems(coupon, items).length === 0) {
+        return { valid: false, reason: COUPON_ERRORS.NOT_ELIGIBLE };
+    }
+    if (moneyToAmount(calculateEligibleSubtotal(coupon, items)) < (coupon.minSpend || 0)) {
+        return { valid: false, reason: COUPON_ERRORS.MIN_SPEND };
+    }
+    return { valid: true, reason: null };
+};
+
+/**
+ * 計算買 X 送 Y 的折扣金額（每個購物車項目分別計算）
+ * @param {Coupon} coupon - 優惠券
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {Money} 折扣金額
+ */
+const calculateBuyXGetYDiscount = (coupon, items) => {
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    return sumMoney(getEligibleItems(coupon, items).map(item => {
+        const freeUnits = Math.floor(item.quantity / groupSize) * coupon.getQuantity;
+        return multiplyMoney(moneyFromAmount(item.price), freeUnits);
+    }));
+};
+
+/**
+ * 計算單張優惠券的折扣金額（不含免運）
+ * @param {Coupon} coupon - 優惠券
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {Money} 折扣金額（基準幣別）
+ */
+const calculateCouponAmount = (coupon, items) => {
+    const eligibleSubtotal = calculateEligibleSubtotal(coupon, items);
+
+    switch (coupon.type) {
+        case COUPON_TYPES.PERCENTAGE: {
+            const amount = multiplyMoney(eligibleSubtotal, coupon.value / 100);
+            return coupon.maxDiscount ? minMoney(amount, moneyFromAmount(coupon.maxDiscount)) : amount;
+        }
+        case COUPON_TYPES.FIXED_AMOUNT:
+            return minMoney(moneyFromAmount(coupon.value), eligibleSubtotal);
+        case COUPON_TYPES.BUY_X_GET_Y:
+            return calculateBuyXGetYDiscount(coupon, items);
+        default:
+            return createMoney(0);
+    }
+};
+
+/**
+ * 依序計算已套用優惠碼的折扣；不再符合條件的優惠碼不折抵，並連同原因列在 inapplicable
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {string[]} codes - 已套用的優惠碼
+ * @param {Coupon[]} coupons - 優惠券資料
+ * @param {Date} now - 目前時間
+ * @returns {{discounts: CouponDiscount[], inapplicable: InapplicableCoupon[], discountTotal: Money, freeShipping: boolean}} 折扣結果，金額為基準幣別的 Money
+ */
+const calculateCouponDiscounts = (items, codes = [], coupons = COUPONS, now = new Date()) => {
+    const subtotal = sumMoney(items.map(calculateLineTotal));
+
+    const result = codes.reduce((acc, code) => {
+        const coupon = findCouponByCode(coupons, code);
+        const { valid, reason } = validateCoupon(coupon, items, acc.applied, now);
+        if (!valid) {
+            return {
+                ...acc,
+                inapplicable: [...acc.inapplicable, { code, description: coupon ? coupon.description : '', reason }]
+            };
+        }
+
+        // 折扣總額不可超過商品總計
+        const remaining = subtractMoney(subtotal, acc.discountTotal);
+        const amount = minMoney(calculateCouponAmount(coupon, items), remaining);
+        const freeShipping = coupon.type === COUPON_TYPES.FREE_SHIPPING;
+
+        return {
+            ...acc,
+            applied: [...acc.applied, coupon],
+            discounts: [...acc.discounts, {
+                code: coupon.code,
+                description: coupon.description,
+                amount,
+                freeShipping
+            }],
+            discountTotal: addMoney(acc.discountTotal, amount),
+            freeShipping: acc.freeShipping || freeShipping
+        };
+    }, { applied: [], discounts: [], inapplicable: [], discountTotal: createMoney(0), freeShipping: false });
+
+    return {
+        discounts: result.discounts,
+        inapplicable: result.inapplicable,
+        discountTotal: result.discountTotal,
+        freeShipping: result.freeShipping
+    };
+};
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 將已套用的優惠券轉換為 HTML 字串
+ * @param {CouponDiscount} discount - 優惠券折扣結果
+ * @returns {string} HTML 字串
+ */
+const appliedCouponToHtml = (discount) => `
+    <div class="applied-coupon" data-code="${discount.code}">
+        <span class="coupon-code">${discount.code}</span>
+        <span class="coupon-description">${t(`coupon.descriptions.${discount.code}`, { defaultValue: discount.description })}</span>
+        <button class="coupon-remove-btn" onclick="removeCoupon('${discount.code}')">&times;</button>
+    </div>
+`;
+
+/**
+ * 將目前不符合條件的優惠券轉換為 HTML 字串，顯示無法使用的原因並可移除
+ * @param {InapplicableCoupon} coupon - 不符合條件的優惠券
+ * @returns {string} HTML 字串
+ */
+const inapplicableCouponToHtml = (coupon) => `
+    <div class="applied-coupon inapplicable" data-code="${coupon.code}">
+        <span class="coupon-code">${coupon.code}</span>
+        <span class="coupon-description">${t('coupon.notApplicable', { reason: t(coupon.reason) })}</span>
+        <button class="coupon-remove-btn" onclick="removeCoupon('${coupon.code}')">&times;</button>
+    </div>
+`;
+
+/**
+ * 產生優惠碼輸入區塊 HTML 字串
+ * @param {CouponDiscount[]} discounts - 已套用的優惠券折扣結果
+ * @param {InapplicableCoupon[]} inapplicable - 已套用但目前不符合條件的優惠券
+ * @returns {string} HTML 字串
+ */
+const couponFormToHtml = (discounts, inapplicable = []) => `
+    <div class="coupon-section">
+        <div class="coupon-form">
+            <input type="text" id="coupon-code-input" class="coupon-input" placeholder="${t('coupon.placeholder')}">
+            <button class="coupon-apply-btn" onclick="applyCouponFromInput()">${t('coupon.apply')}</button>
+        </div>
+        <div class="applied-coupons">
+            ${discounts.map(appliedCouponToHtml).join('')}
+            ${inapplicable.map(inapplicableCouponToHtml).join('')}
+        </div>
+    </div>
+`;
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        normalizeCouponCode,
+        findCouponByCode,
+        isCouponExpired,
+        getEligibleItems,
+        calculateEligibleSubtotal,
+        canStackCoupon,
+        validateCoupon,
+        calculateCouponAmount,
+        calculateCouponDiscounts,
+        appliedCouponToHtml,
+        inapplicableCouponToHtml,
+        couponFormToHtml,
+
+        // 常數
+        COUPON_TYPES,
+        COUPON_ERRORS,
+        COUPONS
+    };
+}
@@ -0,0 +1,572 @@
+// 幣別模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 storage.js、i18n.js；商品價格與購物車金額一律以基準幣別（新台幣）儲存，顯示時才換算
+// 金額運算以 Money（最小單位的整數）進行，避免浮點數誤差
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 幣別資料結構
+ * @typedef {Object} Currency
+ * @property {string} code - ISO 4217 幣別代碼（例如 TWD）
+ * @property {string} symbol - 顯示用的貨幣符號（例如 NT$）
+ * @property {string} name - 幣別名稱
+ * @property {number} decimals - 顯示與計算的小數位數
+ * @property {string} rounding - 換算後的進位方式（CURRENCY_ROUNDING 之一）
+ */
+
+/**
+ * 匯率表：1 單位基準幣別可換得的各幣別金額
+ * @typedef {Object<string, number>} ExchangeRates
+ */
+
+/**
+ * 金額值：以幣別最小單位（例如港幣的分）的整數儲存，建立後不可修改
+ * @typedef {Object} Money
+ * @property {number} minor - 最小單位的整數金額
+ * @property {string} currency - 幣別代碼
+ */
+
+// 進位方式
+const CURRENCY_ROUNDING = {
+    ROUND: 'round', // 四捨五入
+    FLOOR: 'floor', // 無條件捨去
+    CEIL: 'ceil' // 無條件進位
+};
+
+// 支援的幣別
+const CURRENCIES = {
+    TWD: { code: 'TWD', symbol: 'NT$', name: '新台幣', decimals: 0, rounding: CURRENCY_ROUNDING.ROUND },
+    HKD: { code: 'HKD', symbol: 'HK$', name: '港幣', decimals: 2, rounding: CURRENCY_ROUNDING.ROUND },
+    JPY: { code: 'JPY', symbol: '¥', name: '日圓', decimals: 0, rounding: CURRENCY_ROUNDING.FLOOR }
+};
+
+// 預設匯率表；可在載入腳本前設定 window.EXCHANGE_RATES = { HKD: 0.25 } 覆寫部分匯率
+const DEFAULT_EXCHANGE_RATES = {
+    TWD: 1,
+    HKD: 0.24,
+    JPY: 4.7
+};
+
+// 幣別設定
+const CURRENCY_CONFIG = {
+    BASE: 'TWD', // 基準幣別，商品價格與購物車金額皆以此幣別儲存
+    DEFAULT: 'TWD', // 尚未選擇時使用的幣別
+    STORAGE_KEY: 'selectedCurrency', // 本地儲存鍵值
+    CHANGE_EVENT: 'currencychange' // 切換幣別時在 window 上觸發的事件名稱
+};
+
+// DOM 元素 ID
+const CURRENCY_DOM_IDS = {
+    SWITCHER: 'currency-switcher'
+};
+
+// 金額值錯誤代碼
+const MONEY_ERROR_CODES = {
+    INVALID_AMOUNT: 'INVALID_AMOUNT', // 金額不是有效的數字或最小單位不是整數
+    UNKNOWN_CURRENCY: 'UNKNOWN_CURRENCY', // 不支援的幣別
+    CURRENCY_MISMATCH: 'CURRENCY_MISMATCH', // 不同幣別的金額不能直接運算
+    INVALID_RATIOS: 'INVALID_RATIOS' // 分配比例無效（負數或總和為 0）
+};
+
+/**
+ * 金額值錯誤，code 為 MONEY_ERROR_CODES 之一
+ */
+class MoneyError extends Error {
+    /**
+     * @param {string} message - 錯誤訊息
+     * @param {string} code - 錯誤代碼
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'MoneyError';
+        this.code = code;
+    }
+}
+
+// ============================================================================
+// 純函數 - 幣別換算
+// ============================================================================
+
+/**
+ * 根據代碼查找幣別
+ * @param {string} code - 幣別代碼
+ * @param {Object<string, Currency>} currencies - 支援的幣別
+ * @returns {Currency|undefined} 找到的幣別
+ */
+const findCurrency = (code, currencies = CURRENCIES) =>
+    Object.prototype.hasOwnProperty.call(currencies, code) ? currencies[code] : undefined;
+
+/**
+ * 檢查匯率是否有效
+ * @param {*} rate - 匯率
+ * @returns {boolean} 是否有效
+ */
+const isValidExchangeRate = (rate) => typeof rate === 'number' && Number.isFinite(rate) && rate > 0;
+
+/**
+ * 合併預設匯率與頁面設定的匯率，略過不支援的幣別與無效的匯率
+ * @param {Object<string, number>} [overrides] - 要覆寫的匯率
+ * @returns {ExchangeRates} 匯率表
+ */
+const resolveExchangeRates = (overrides = typeof window !== 'undefined' ? window.EXCHANGE_RATES : undefined) => ({
+    ...DEFAULT_EXCHANGE_RATES,
+    ...Object.fromEntries(Object.entries(overrides || {})
+        .filter(([code, rate]) => findCurrency(code) && code !== CURRENCY_CONFIG.BASE && isValidExchangeRate(rate)))
+});
+
+/**
+ * 依幣別的小數位數與進位方式調整金額
+ * @param {number} amount - 金額
+ * @param {Currency} currency - 幣別
+ * @returns {number} 調整後的金額
+ */
+const roundAmount = (amount, currency) =>
+    toMinorUnits(amount, currency, currency.rounding) / getMinorUnitFactor(currency);
+
+/**
+ * 將基準幣別的金額換算為指定幣別
+ * @param {number} amount - 基準幣別金額
+ * @param {Currency} currency - 目標幣別
+ * @param {number} exchangeRate - 1 單位基準幣別可換得的目標幣別金額
+ * @returns {number} 換算後的金額
+ */
+const convertAmount = (amount, currency, exchangeRate) =>
+    moneyToAmount(convertMoney(moneyFromAmount(amount), currency, exchangeRate));
+
+/**
+ * 格式化指定幣別的金額（不做換算）
+ * @param {number} amount - 金額
+ * @param {Currency} currency - 幣別
+ * @param {string} locale - 決定千分位與小數點符號的語系代碼，預設為目前選擇的語系
+ * @returns {string} 格式化後的金額（例如 NT$ 36,900、HK$ 8,856.00）
+ */
+const formatMoney = (amount, currency, locale = getLocale()) => `${currency.symbol} ${formatNumber(amount, locale, {
+    minimumFractionDigits: currency.decimals,
+    maximumFractionDigits: currency.decimals
+})}`;
+
+// ============================================================================
+// 純函數 - 金額值（Money）
+// ============================================================================
+
+/**
+ * 取得幣別 1 單位等於多少最小單位（例如港幣為 100）
+ * @param {Currency} currency - 幣別
+ * @returns {number} 最小單位倍數
+ */
+const getMinorUnitFactor = (currency) => 10 ** currency.decimals;
+
+/**
+ * 將金額換算為最小單位的整數
+ * @param {number} amount - 金額
+ * @param {Currency} currency - 幣別
+ * @param {string} rounding - 進位方式（CURRENCY_ROUNDING 之一）
+ * @returns {number} 最小單位的整數金額
+ */
+const toMinorUnits = (amount, currency, rounding = CURRENCY_ROUNDING.ROUND) => {
+    // 先修正浮點數誤差（例如 1.005 * 100 = 100.49999...）再進位
+    const scaled = Number((amount * getMinorUnitFactor(currency)).toFixed(6));
+    // 加 0 將 -0 轉為 0
+    return Math[rounding](scaled) + 0;
+};
+
+/**
+ * 查找金額值使用的幣別，不支援時拋出錯誤
+ * @param {string} code - 幣別代碼
+ * @returns {Currency} 幣別
+ */
+const requireCurrency = (code) => {
+    const currency = findCurrency(code);
+    if (!currency) {
+        throw new MoneyError(`不支援的幣別: ${code}`, MONEY_ERROR_CODES.UNKNOWN_CURRENCY);
+    }
+    return currency;
+};
+
+/**
+ * 以最小單位建立金額值
+ * @param {number} minor - 最小單位的整數金額
+ * @param {string} code - 幣別代碼，預設為基準幣別
+ * @returns {Money} 金額值
+ */
+const createMoney = (minor, code = CURRENCY_CONFIG.BASE) => {
+    requireCurrency(code);
+    if (!Number.isSafeInteger(minor)) {
+        throw new MoneyError(`金額的最小單位必須為整數: ${minor}`, MONEY_ERROR_CODES.INVALID_AMOUNT);
+    }
+    return Object.freeze({ minor, currency: code });
+};
+
+/**
+ * 將一般金額轉換為金額值，超出幣別小數位數的部分依進位方式處理
+ * @param {number} amount - 金額（例如 19.99）
+ * @param {string} code - 幣別代碼，預設為基準幣別
+ * @param {string} rounding - 進位方式（CURRENCY_ROUNDING 之一）
+ * @returns {Money} 金額值
+ */
+const moneyFromAmount = (amount, code = CURRENCY_CONFIG.BASE, rounding = CURRENCY_ROUNDING.ROUND) => {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+        throw new MoneyError(`無效的金額: ${amount}`, MONEY_ERROR_CODES.INVALID_AMOUNT);
+    }
+    return createMoney(toMinorUnits(amount, requireCurrency(code), rounding), code);
+};
+
+/**
+ * 將金額值轉換回一般金額
+ * @param {Money} money - 金額值
+ * @returns {number} 金額
+ */
+const moneyToAmount = (money) => money.minor / getMinorUnitFactor(requireCurrency(money.currency));
+
+/**
+ * 檢查兩個金額值的幣別相同，不同時拋出錯誤
+ * @param {Money} a - 金額值
+ * @param {Money} b - 金額值
+ */
+const assertSameCurrency = (a, b) => {
+    if (a.currency !== b.currency) {
+        throw new MoneyError(`幣別不同無法運算: ${a.currency} 與 ${b.currency}`, MONEY_ERROR_CODES.CURRENCY_MISMATCH);
+    }
+};
+
+/**
+ * 金額值相加
+ * @param {Money} a - 金額值
+ * @param {Money} b - 金額值
+ * @returns {Money} 相加結果
+ */
+const addMoney = (a, b) => {
+    assertSameCurrency(a, b);
+    return createMoney(a.minor + b.minor, a.currency);
+};
+
+/**
+ * 金額值相減
+ * @param {Money} a - 被減數
+ * @param {Money} b - 減數
+ * @returns {Money} 相減結果
+ */
+const subtractMoney = (a, b) => {
+    assertSameCurrency(a, b);
+    return createMoney(a.minor - b.minor, a.currency);
+};
+
+/**
+ * 取得兩個金額值中較小的一個（例如折扣不可超過剩餘金額）
+ * @param {Money} a - 金額值
+ * @param {Money} b - 金額值
+ * @returns {Money} 較小的金額值
+ */
+const minMoney = (a, b) => {
+    assertSameCurrency(a, b);
+    return a.minor <= b.minor ? a : b;
+};
+
+/**
+ * 金額值乘以倍數（數量、百分比或稅率），結果依進位方式取整到最小單位
+ * @param {Money} money - 金額值
+ * @param {number} multiplier - 倍數
+ * @param {string} rounding - 進位方式（CURRENCY_ROUNDING 之一）
+ * @returns {Money} 相乘結果
+ */
+const multiplyMoney = (money, multiplier, rounding = CURRENCY_ROUNDING.ROUND) =>
+    createMoney(Math[rounding](Number((money.minor * multiplier).toFixed(6))) + 0, money.currency);
+
+/**
+ * 加總多個金額值
+ * @param {Money[]} moneys - 金額值陣列
+ * @param {string} code - 幣別代碼（陣列為空時的結果幣別），預設為基準幣別
+ * @returns {Money} 加總結果
+ */
+const sumMoney = (moneys, code = CURRENCY_CONFIG.BASE) =>
+    moneys.reduce(addMoney, createMoney(0, moneys.length > 0 ? moneys[0].currency : code));
+
+/**
+ * 依比例將金額值分配為多份（例如將折扣分攤到各購物車項目）；
+ * 各份先無條件捨去到最小單位，剩下的最小單位依捨去的部分由大到小逐一補上，因此各份加總必定等於原金額
+ * @param {Money} money - 要分配的金額值
+ * @param {number[]} ratios - 各份的比例
+ * @returns {Money[]} 各份的金額值
+ */
+const allocateMoney = (money, ratios) => {
+    const totalRatio = ratios.reduce((total, ratio) => total + ratio, 0);
+    if (ratios.some(ratio => ratio < 0) || totalRatio <= 0) {
+        throw new MoneyError('分配比例必須為非負數且總和大於 0', MONEY_ERROR_CODES.INVALID_RATIOS);
+    }
+
+    const exactShares = ratios.map(ratio => money.minor * ratio / totalRatio);
+    const shares = exactShares.map(Math.floor);
+    const remainder = money.minor - shares.reduce((total, share) => total + share, 0);
+    const bonusIndexes = exactShares
+        .map((share, index) => ({ index, fraction: share - shares[index] }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .slice(0, remainder)
+        .map(({ index }) => index);
+    return shares.map((share, index) =>
+        createMoney(share + (bonusIndexes.includes(index) ? 1 : 0), money.currency));
+};
+
+/**
+ * 將基準幣別的金額值換算為指定幣別，依目標幣別的進位方式取整
+ * @param {Money} money - 基準幣別金額值
+ * @param {Currency} currency - 目標幣別
+ * @param {number} exchangeRate - 1 單位基準幣別可換得的目標幣別金額
+ * @returns {Money} 換算後的金額值
+ */
+const convertMoney = (money, currency, exchangeRate) =>
+    moneyFromAmount(moneyToAmount(money) * exchangeRate, currency.code, currency.rounding);
+
+/**
+ * 格式化金額值
+ * @param {Money} money - 金額值
+ * @param {string} locale - 決定千分位與小數點符號的語系代碼，預設為目前選擇的語系
+ * @returns {string} 格式化後的金額（例如 HK$ 8,856.00）
+ */
+const formatMoneyValue = (money, locale = getLocale()) =>
+    formatMoney(moneyToAmount(money), requireCurrency(money.currency), locale);
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 產生頁首幣別切換選單 HTML 字串
+ * @param {Object<string, Currency>} currencies - 支援的幣別
+ * @param {string} selectedCode - 目前選擇的幣別代碼
+ * @returns {string} HTML 字串
+ */
+const currencySwitcherToHtml = (currencies, selectedCode) => `
+    <select class="currency-select" aria-label="${t('currency.label')}" onchange="setCurrency(this.value)">
+        ${Object.values(currencies).map(currency => `
+            <option value="${currency.code}" ${currency.code === selectedCode ? 'selected' : ''}>
+                ${currency.code} (${currency.symbol})
+            </option>
+        `).join('')}
+    </select>
+`;
+
+// ============================================================================
+// 副作用函數 - 本地儲存操作
+// ============================================================================
+
+/**
+ * 從本地儲存讀取選擇的幣別；沒有選擇或不支援時使用預設幣別
+ * @returns {string} 幣別代碼
+ */
+const loadSelectedCurrency = () => {
+    try {
+        const item = appStorage.getItem(CURRENCY_CONFIG.STORAGE_KEY);
+        const code = item ? JSON.parse(item) : null;
+        return findCurrency(code) ? code : CURRENCY_CONFIG.DEFAULT;
+    } catch (error) {
+        console.warn('讀取幣別設定失敗:', error);
+        return CURRENCY_CONFIG.DEFAULT;
+    }
+};
+
+/**
+ * 儲存選擇的幣別
+ * @param {string} code - 幣別代碼
+ * @returns {boolean} 是否儲存成功
+ */
+const saveSelectedCurrency = (code) => {
+    try {
+        appStorage.setItem(CURRENCY_CONFIG.STORAGE_KEY, JSON.stringify(code));
+        return true;
+    } catch (error) {
+        console.warn('儲存幣別設定失敗:', error);
+        return false;
+    }
+};
+
+/**
+ * 渲染頁首幣別切換選單；頁面沒有切換選單時不做任何事
+ * @param {string} selectedCode - 目前選擇的幣別代碼
+ */
+const renderCurrencySwitcher = (selectedCode) => {
+    const switcher = document.getElementById(CURRENCY_DOM_IDS.SWITCHER);
+    if (switcher) {
+        switcher.innerHTML = currencySwitcherToHtml(CURRENCIES, selectedCode);
+    }
+};
+
+// ============================================================================
+// 幣別管理器類別
+// ============================================================================
+
+/**
+ * 幣別管理器：保存目前選擇的幣別，並將基準幣別的金額換算與格式化
+ */
+class CurrencyManager {
+    /**
+     * @param {ExchangeRates} rates - 匯率表
+     */
+    constructor(rates = resolveExchangeRates()) {
+        this.rates = rates;
+        this.code = loadSelectedCurrency();
+        // IndexedDB 等非同步後端載入完成後重新讀取
+        appStorage.ready.then(() => {
+            const code = loadSelectedCurrency();
+            if (code !== this.code) {
+                this.applyCurrency(code);
+            }
+        });
+    }
+
+    /**
+     * 取得目前選擇的幣別
+     * @returns {Currency} 幣別
+     */
+    getCurrency() {
+        return findCurrency(this.code);
+    }
+
+    /**
+     * 取得指定幣別的匯率
+     * @param {string} code - 幣別代碼，預設為目前選擇的幣別
+     * @returns {number} 1 單位基準幣別可換得的金額
+     */
+    getExchangeRate(code = this.code) {
+        return this.rates[code];
+    }
+
+    /**
+     * 將基準幣別的金額換算為指定幣別
+     * @param {number} amount - 基準幣別金額
+     * @param {string} code - 幣別代碼，預設為目前選擇的幣別
+     * @returns {number} 換算後的金額
+     */
+    convert(amount, code = this.code) {
+        return moneyToAmount(this.convertMoney(moneyFromAmount(amount), code));
+    }
+
+    /**
+     * 將基準幣別的金額值換算為指定幣別
+     * @param {Money} money - 基準幣別金額值
+     * @param {string} code - 幣別代碼，預設為目前選擇的幣別
+     * @param {number} exchangeRate - 匯率，預設使用匯率表
+     * @returns {Money} 換算後的金額值
+     */
+    convertMoney(money, code = this.code, exchangeRate = this.getExchangeRate(code)) {
+        return convertMoney(money, findCurrency(code), exchangeRate);
+    }
+
+    /**
+     * 將基準幣別的金額換算並格式化；已是指定幣別的金額值直接格式化，不再換算
+     * @param {number|Money} amount - 基準幣別金額，或基準幣別、指定幣別的金額值
+     * @param {string} code - 幣別代碼，預設為目前選擇的幣別
+     * @param {number} exchangeRate - 匯率，預設使用匯率表（顯示歷史訂單時使用下單當下的匯率）
+     * @returns {string} 格式化後的金額
+     * @throws {MoneyError} 金額值的幣別既不是基準幣別也不是指定幣別
+     */
+    format(amount, code = this.code, exchangeRate = this.getExchangeRate(code)) {
+        const money = typeof amount === 'number' ? moneyFromAmount(amount) : amount;
+        if (money.currency === code) {
+            return formatMoneyValue(money);
+        }
+        assertSameCurrency(money, createMoney(0));
+        return formatMoneyValue(this.convertMoney(money, code, exchangeRate));
+    }
+
+    /**
+     * 切換幣別並儲存；不支援的幣別不做任何事
+     * @param {string} code - 幣別代碼
+     * @returns {boolean} 是否切換成功
+     */
+    setCurrency(code) {
+        if (!findCurrency(code)) {
+            console.warn(`不支援的幣別: ${code}`);
+            return false;
+        }
+        saveSelectedCurrency(code);
+        if (code !== this.code) {
+            this.applyCurrency(code);
+        }
+        return true;
+    }
+
+    /**
+     * 套用幣別、更新切換選單，並通知各模組以新的幣別重新渲染
+     * @param {string} code - 幣別代碼
+     */
+    applyCurrency(code) {
+        this.code = code;
+        renderCurrencySwitcher(code);
+        window.dispatchEvent(new CustomEvent(CURRENCY_CONFIG.CHANGE_EVENT, { detail: { code } }));
+    }
+}
+
+// ============================================================================
+// 全域實例和公開 API
+// ============================================================================
+
+// 創建幣別管理器實例
+const currencyManager = new CurrencyManager();
+
+// 公開的 API 函數
+var setCurrency = (code) => currencyManager.setCurrency(code);
+var getSelectedCurrency = () => currencyManager.getCurrency();
+
+// DOM 載入完成後渲染頁首幣別切換選單
+document.addEventListener('DOMContentLoaded', () => renderCurrencySwitcher(currencyManager.code));
+
+// 切換語系後更新切換選單的標籤
+window.addEventListener(I18N_CONFIG.CHANGE_EVENT, () => renderCurrencySwitcher(currencyManager.code));
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        findCurrency,
+        isValidExchangeRate,
+        resolveExchangeRates,
+        roundAmount,
+        convertAmount,
+        formatMoney,
+        getMinorUnitFactor,
+        toMinorUnits,
+        createMoney,
+        moneyFromAmount,
+        moneyToAmount,
+        addMoney,
+        subtractMoney,
+        minMoney,
+        multiplyMoney,
+        sumMoney,
+        allocateMoney,
+        convertMoney,
+        formatMoneyValue,
+        currencySwitcherToHtml,
+
+        // 工具函數
+        requireCurrency,
+        assertSameCurrency,
+        loadSelectedCurrency,
+        saveSelectedCurrency,
+        renderCurrencySwitcher,
+
+        // 管理器
+        CurrencyManager,
+
+        // 錯誤類別
+        MoneyError,
+
+        // 公開 API
+        setCurrency,
+        getSelectedCurrency,
+
+        // 常數
+        CURRENCY_ROUNDING,
+        CURRENCIES,
+        DEFAULT_EXCHANGE_RATES,
+        CURRENCY_CONFIG,
+        CURRENCY_DOM_IDS,
+        MONEY_ERROR_CODES
+    };
+}
@@ -0,0 +1,231 @@
+const { loadTestPage, createCartEnvelope } = require('./testHelpers');
+
+describe('多幣別測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 載入頁面
+     * @param {string} pageName - 頁面檔名
+     * @param {Object} [options] - 預先設定的幣別、匯率與購物車
+     * @param {string} [options.currency] - 預先存入 localStorage 的幣別
+     * @param {Object} [options.rates] - window.EXCHANGE_RATES
+     * @param {Object[]} [options.cartItems] - 預先存入 localStorage 的購物車項目
+     */
+    const loadPage = (pageName, { currency, rates, cartItems } = {}) => {
+        dom = loadTestPage(pageName, {
+            storage: {
+                ...(currency ? { selectedCurrency: currency } : {}),
+                ...(cartItems ? { shoppingCart: createCartEnvelope(cartItems) } : {})
+            },
+            beforeScripts: (pageWindow) => {
+                pageWindow.EXCHANGE_RATES = rates;
+            },
+            expose: [
+                'PRODUCTS',
+                'CURRENCIES',
+                'productManager',
+                'findCurrency',
+                'roundAmount',
+                'convertAmount',
+                'formatMoney',
+                'resolveExchangeRates',
+                'formatOrderPrice',
+                'createMoney',
+                'moneyFromAmount',
+                'moneyToAmount',
+                'addMoney',
+                'subtractMoney',
+                'minMoney',
+                'multiplyMoney',
+                'sumMoney',
+                'allocateMoney',
+                'convertMoney',
+                'formatMoneyValue',
+                'MoneyError',
+                'MONEY_ERROR_CODES',
+                'calculateTotalPrice',
+                'calculateFinalTotal',
+                'calculateCouponDiscounts',
+                'formatPrice'
+            ]
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    /**
+     * 透過頁首的切換選單選擇幣別
+     * @param {string} code - 幣別代碼
+     */
+    const selectCurrency = (code) => {
+        const select = document.querySelector('#currency-switcher .currency-select');
+        select.value = code;
+        select.dispatchEvent(new window.Event('change'));
+    };
+
+    const getTotalText = () => document.getElementById('cart-total').textContent;
+
+    const airPods = {
+        id: '3', key: '3', name: 'AirPods Pro', price: 7490, image: '/public/assets/product-air-pod.webp', quantity: 1
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('應該依幣別的小數位數與進位方式換算並格式化金額', () => {
+        loadPage('index.html');
+        const { TWD, HKD, JPY } = window.CURRENCIES;
+
+        expect(window.formatMoney(36900, TWD)).toBe('NT$ 36,900');
+        expect(window.convertAmount(36900, HKD, 0.24)).toBe(8856);
+        expect(window.formatMoney(window.convertAmount(36900, HKD, 0.24), HKD)).toBe('HK$ 8,856.00');
+        // 日圓換算後無條件捨去
+        expect(window.convertAmount(101, JPY, 4.7)).toBe(474);
+        expect(window.roundAmount(1.005, HKD)).toBe(1.01);
+        expect(window.findCurrency('EUR')).toBeUndefined();
+    });
+
+    it('頁面設定的匯率應該覆寫預設匯率，並略過基準幣別與無效的匯率', () => {
+        loadPage('index.html');
+
+        expect(window.resolveExchangeRates({ HKD: 0.25, TWD: 2, EUR: 0.03, JPY: -1 }))
+            .toEqual({ TWD: 1, HKD: 0.25, JPY: 4.7 });
+    });
+
+    it('頁首切換幣別時應該換算商品價格並保存選擇', () => {
+        loadPage('index.html');
+        window.productManager.setProducts(window.PRODUCTS);
+
+        const select = document.querySelector('#currency-switcher .currency-select');
+        expect(select.value).toBe('TWD');
+        expect(document.querySelector('.product-card[data-id="1"] .product-price').textContent).toBe('NT$ 36,900');
+
+        selectCurrency('HKD');
+
+        expect(document.querySelector('.product-card[data-id="1"] .product-price').textContent).toBe('HK$ 8,856.00');
+        expect(JSON.parse(window.localStorage.getItem('selectedCurrency'))).toBe('HKD');
+    });
+
+    it('重新載入時應該使用保存的幣別', () => {
+        loadPage('cart.html', { currency: 'JPY', cartItems: [airPods] });
+
+        expect(document.querySelector('#currency-switcher .currency-select').value).toBe('JPY');
+        expect(getTotalText()).toContain('商品總計: ¥ 35,203');
+    });
+
+    it('保存的幣別不支援時應該改用預設幣別', () => {
+        loadPage('cart.html', { currency: 'EUR', cartItems: [airPods] });
+
+        expect(getTotalText()).toContain('商品總計: NT$ 7,490');
+    });
+
+    it('免運門檻應該依目前幣別的門檻判斷，不隨匯率換算', () => {
+        // 以較低的港幣匯率讓 NT$ 7,490 換算後未達港幣的免運門檻 HK$ 1,200
+        loadPage('cart.html', { rates: { HKD: 0.1 }, cartItems: [airPods] });
+
+        expect(getTotalText()).toContain('運費: NT$ 0');
+
+        selectCurrency('HKD');
+
+        expect(getTotalText()).toContain('商品總計: HK$ 749.00');
+        expect(getTotalText()).toContain('運費: HK$ 10.00');
+        expect(getTotalText()).toContain('總金額: HK$ 759.00');
+        // 免運提示以港幣門檻計算還差的金額
+        expect(document.getElementById('free-shipping-banner').textContent).toBe('再買 HK$ 451.00 即可免運');
+    });
+
+    it('金額值應該以最小單位的整數運算，避免浮點數誤差', () => {
+        loadPage('index.html');
+
+        const dime = window.moneyFromAmount(0.1, 'HKD');
+        const total = window.addMoney(dime, window.moneyFromAmount(0.2, 'HKD'));
+        expect(total).toEqual({ minor: 30, currency: 'HKD' });
+        expect(window.moneyToAmount(total)).toBe(0.3);
+        expect(window.moneyToAmount(window.multiplyMoney(window.moneyFromAmount(19.99, 'HKD'), 3))).toBe(59.97);
+        expect(window.moneyToAmount(window.subtractMoney(window.moneyFromAmount(1.1, 'HKD'), dime))).toBe(1);
+        expect(window.sumMoney([])).toEqual({ minor: 0, currency: 'TWD' });
+        // 新台幣沒有小數，建立時依進位方式取整
+        expect(window.moneyFromAmount(99.5)).toEqual({ minor: 100, currency: 'TWD' });
+        expect(window.moneyFromAmount(99.5, 'TWD', 'floor')).toEqual({ minor: 99, currency: 'TWD' });
+        expect(Object.isFrozen(total)).toBe(true);
+    });
+
+    it('不同幣別或無效的金額值應該拋出 MoneyError', () => {
+        loadPage('index.html');
+        const expectMoneyError = (fn, code) => {
+            expect(fn).toThrow(window.MoneyError);
+            try {
+                fn();
+            } catch (error) {
+                expect(error.code).toBe(code);
+            }
+        };
+
+        expectMoneyError(() => window.addMoney(window.createMoney(100, 'TWD'), window.createMoney(100, 'HKD')),
+            window.MONEY_ERROR_CODES.CURRENCY_MISMATCH);
+        expectMoneyError(() => window.createMoney(1.5, 'HKD'), window.MONEY_ERROR_CODES.INVALID_AMOUNT);
+        expectMoneyError(() => window.moneyFromAmount(NaN), window.MONEY_ERROR_CODES.INVALID_AMOUNT);
+        expectMoneyError(() => window.createMoney(100, 'EUR'), window.MONEY_ERROR_CODES.UNKNOWN_CURRENCY);
+        expectMoneyError(() => window.allocateMoney(window.createMoney(100), [0, 0]), window.MONEY_ERROR_CODES.INVALID_RATIOS);
+    });
+
+    it('分配金額值時各份加總應該等於原金額', () => {
+        loadPage('index.html');
+
+        const shares = window.allocateMoney(window.moneyFromAmount(100, 'HKD'), [1, 1, 1]);
+        expect(shares.map(window.moneyToAmount)).toEqual([33.34, 33.33, 33.33]);
+        // 捨去部分相同時，餘數依序補給前面的項目
+        expect(window.allocateMoney(window.createMoney(5), [1, 1]).map(money => money.minor)).toEqual([3, 2]);
+        expect(window.allocateMoney(window.createMoney(1000), [7490, 300, 0]).map(money => money.minor))
+            .toEqual([961, 39, 0]);
+    });
+
+    it('換算與格式化應該經由金額值，總計以最小單位加總', () => {
+        loadPage('index.html');
+        const { HKD } = window.CURRENCIES;
+
+        const converted = window.convertMoney(window.createMoney(36900), HKD, 0.24);
+        expect(converted).toEqual({ minor: 885600, currency: 'HKD' });
+        expect(window.formatMoneyValue(converted)).toBe('HK$ 8,856.00');
+        expect(window.calculateTotalPrice([{ price: 300, quantity: 3 }, { price: 7490, quantity: 2 }])).toBe(15880);
+        const finalTotal = window.calculateFinalTotal(window.createMoney(15880), window.createMoney(100), window.createMoney(1588));
+        expect(finalTotal).toEqual({ minor: 14392, currency: 'TWD' });
+    });
+
+    it('優惠券折扣應該以金額值計算並回傳', () => {
+        loadPage('index.html');
+        const items = [
+            { id: '7', price: 300, quantity: 2 },
+            { id: '1', price: 36900, quantity: 1 }
+        ];
+
+        const { discounts, discountTotal } = window.calculateCouponDiscounts(items, ['CABLE2FOR1', 'MINUS500']);
+
+        expect(discounts.map(discount => discount.amount)).toEqual([
+            { minor: 300, currency: 'TWD' },
+            { minor: 500, currency: 'TWD' }
+        ]);
+        expect(discountTotal).toEqual({ minor: 800, currency: 'TWD' });
+        expect(window.minMoney(window.createMoney(300), window.createMoney(200))).toEqual({ minor: 200, currency: 'TWD' });
+    });
+
+    it('formatPrice 應該接受金額值，基準幣別換算後顯示，目前幣別的金額值不重複換算', () => {
+        loadPage('index.html', { currency: 'HKD' });
+
+        expect(window.formatPrice(window.createMoney(36900))).toBe(window.formatPrice(36900));
+        expect(window.formatPrice(window.createMoney(36900))).toBe('HK$ 8,856.00');
+        expect(window.formatPrice(window.moneyFromAmount(12.5, 'HKD'))).toBe('HK$ 12.50');
+        expect(() => window.formatPrice(window.moneyFromAmount(500, 'JPY'))).toThrow(window.MoneyError);
+    });
+
+    it('訂單金額應該以下單時的幣別與匯率顯示', () => {
+        loadPage('orders.html', { currency: 'HKD' });
+
+        expect(window.formatOrderPrice({ finalTotal: 1000, currency: 'JPY', exchangeRate: 5 }, 1000)).toBe('¥ 5,000');
+        // 舊訂單沒有幣別資訊時以基準幣別顯示
+        expect(window.formatOrderPrice({ finalTotal: 1000 }, 1000)).toBe('NT$ 1,000');
+    });
+});
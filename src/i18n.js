@@ -0,0 +1,969 @@
+// 多語系模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 storage.js；介面文字一律以訊息鍵值取得（例如 t('cart.added', { name })），
+// 新增語系只需註冊訊息目錄，不需要修改各模組的渲染函數
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 複數形式訊息：依 Intl.PluralRules 的分類（zero、one、two、few、many、other）選擇，找不到時使用 other
+ * @typedef {Object<string, string>} PluralMessage
+ */
+
+/**
+ * 訊息目錄：以巢狀物件分組，鍵值以「.」連接（例如 cart.added）；
+ * 訊息中的 {name} 會替換為同名參數，含 other 屬性的物件為複數形式訊息
+ * @typedef {Object<string, (string|PluralMessage|Object)>} MessageCatalogue
+ */
+
+// 多語系設定
+const I18N_CONFIG = {
+    DEFAULT_LOCALE: 'zh-TW', // 尚未選擇時使用的語系
+    FALLBACK_LOCALE: 'zh-TW', // 目前語系缺少訊息時改用的語系
+    STORAGE_KEY: 'selectedLocale', // 本地儲存鍵值
+    CHANGE_EVENT: 'localechange', // 切換語系時在 window 上觸發的事件名稱
+    PLURAL_PARAM: 'count' // 用來選擇複數形式的參數名稱
+};
+
+// DOM 元素 ID
+const I18N_DOM_IDS = {
+    SWITCHER: 'language-switcher'
+};
+
+// 靜態 HTML 的翻譯屬性：data-i18n 設定文字內容，data-i18n-placeholder 等設定對應的屬性
+const I18N_ATTRIBUTES = {
+    TEXT: 'data-i18n',
+    PLACEHOLDER: 'data-i18n-placeholder',
+    ARIA_LABEL: 'data-i18n-aria-label'
+};
+
+// 繁體中文訊息目錄（預設語系，也是其他語系缺少訊息時的備援）
+const ZH_TW_MESSAGES = {
+    locale: {
+        name: '繁體中文',
+        label: '語言'
+    },
+    currency: {
+        label: '幣別'
+    },
+    common: {
+        loading: '載入中...',
+        remove: '移除',
+        addToCart: '加入購物車',
+        soldOut: '已售完',
+        startShopping: '開始購物',
+        undo: '復原',
+        listSeparator: '、'
+    },
+    page: {
+        index: '商品清單 - 購物車系統',
+        cart: '購物車 - 購物車系統',
+        checkout: '結帳 - 購物車系統',
+        orders: '訂單紀錄 - 購物車系統',
+        product: '商品詳細資訊 - 購物車系統',
+        productName: '{name} - 購物車系統',
+        wishlist: '願望清單 - 購物車系統'
+    },
+    header: {
+        logo: '🛍️ 購物商城',
+        products: '商品清單',
+        cart: '購物車',
+        orders: '訂單紀錄'
+    },
+    footer: {
+        copyright: '© 2024 購物商城. 版權所有.'
+    },
+    price: {
+        subtotal: '商品總計: {amount}',
+        discount: '折扣: -{amount}',
+        couponDiscount: '折扣 ({code}): -{amount}',
+        shipping: '運費: {amount}',
+        subtotalExclTax: '商品總計 (未稅): {amount}',
+        shippingExclTax: '運費 (未稅): {amount}',
+        tax: '稅額 ({rates}): {amount}',
+        taxIncluded: '內含稅額 ({rates}): {amount}',
+        total: '總金額: {amount}'
+    },
+    home: {
+        heroTitle: '歡迎來到我們的購物商城',
+        heroText: '發現最新的科技產品，享受優質的購物體驗',
+        popular: '熱門商品'
+    },
+    product: {
+        variantSoldOut: '{label}（已售完）',
+        addToWishlist: '加入願望清單',
+        resultCount: { other: '共 {count} 件商品' },
+        noResults: '找不到符合條件的商品',
+        clearSearch: '清除搜尋條件',
+        loadMore: '載入更多商品',
+        loadingMore: '載入更多商品...',
+        loadFailed: '載入失敗，請重新整理頁面',
+        reload: '重新整理',
+        staleCatalogue: '無法取得最新商品資料，目前顯示的可能不是最新內容',
+        loadMoreFailed: '載入商品失敗，請稍後再試',
+        imageLabel: '{name} 圖片 {index}',
+        specs: '規格',
+        longDescription: '商品介紹',
+        related: '相關商品',
+        notFound: '找不到此商品，可能已下架',
+        backToList: '回到商品清單',
+        toolbar: {
+            searchPlaceholder: '搜尋商品名稱或描述',
+            searchLabel: '搜尋商品',
+            minPrice: '最低價',
+            maxPrice: '最高價',
+            category: '商品分類',
+            allCategories: '全部分類',
+            tag: '商品標籤',
+            allTags: '全部標籤',
+            sort: '排序方式',
+            reset: '清除條件'
+        },
+        sort: {
+            default: '預設排序',
+            priceAsc: '價格由低到高',
+            priceDesc: '價格由高到低',
+            name: '名稱',
+            newest: '最新上架'
+        },
+        pager: {
+            label: '商品分頁',
+            previous: '‹ 上一頁',
+            next: '下一頁 ›'
+        },
+        quantity: {
+            label: '數量',
+            input: '購買數量',
+            decrease: '減少數量',
+            increase: '增加數量'
+        }
+    },
+    cart: {
+        title: '我的購物車',
+        emptyTitle: '🛒 購物車是空的',
+        emptyText: '還沒有添加任何商品到購物車',
+        unavailableInCart: '此商品已下架，請從購物車移除',
+        unavailable: '此商品已下架',
+        saveForLater: '稍後購買',
+        moveToCart: '移到購物車',
+        savedTitle: '稍後購買 ({count})',
+        checkout: '前往結帳',
+        clear: '清空購物車',
+        taxExclusive: '以未稅金額顯示（企業客戶）',
+        tierApplied: '{count} 件以上每件 {price}',
+        bundleApplied: '組合優惠（{name}）：-{amount}',
+        added: '{name} 已添加到購物車',
+        addedQuantity: '{name} ×{count} 已添加到購物車',
+        soldOut: '{name} 已售完',
+        stockLimit: { other: '{name} 庫存不足，最多只能購買 {count} 件' },
+        invalidQuantity: '請輸入有效的數量',
+        removed: '商品已從購物車移除',
+        movedToSaved: '{name} 已移到稍後購買',
+        discontinued: '{name} 已下架',
+        movedToCart: '{name} 已移回購物車',
+        removedFromSaved: '商品已從稍後購買移除',
+        couponApplied: '已套用優惠碼 {code}',
+        cleared: '購物車已清空',
+        undone: '已復原上一個動作',
+        redone: '已重做上一個動作',
+        confirmRemove: '你確定要刪除嗎？',
+        confirmClear: {
+            title: '確認清空購物車',
+            message: '你確定要清空購物車嗎？',
+            detail: '此操作將移除購物車中的所有商品，可在通知中點選「復原」或按 Ctrl+Z 還原。',
+            cancel: '取消',
+            confirm: '確定清空'
+        },
+        catalogueChanges: {
+            priceChange: '{name} {from} → {to}',
+            price: '價格已更新：{items}',
+            removed: '已下架：{items}',
+            restored: '已重新上架：{items}',
+            separator: '；'
+        },
+        stockAdjustments: {
+            reduced: '{name} {from} → {to} 件',
+            soldOut: '{name} 已售完並移出購物車',
+            summary: '庫存不足，已調整購物車：{items}'
+        }
+    },
+    coupon: {
+        placeholder: '輸入優惠碼',
+        apply: '套用',
+        notApplicable: '目前無法使用：{reason}',
+        errors: {
+            notFound: '優惠碼不存在',
+            expired: '優惠碼已過期',
+            minSpend: '未達最低消費金額',
+            notEligible: '購物車中沒有適用此優惠碼的商品',
+            alreadyApplied: '優惠碼已使用',
+            notStackable: '此優惠碼無法與其他優惠併用'
+        }
+    },
+    shipping: {
+        title: '配送方式',
+        notApplicable: '不適用',
+        methods: {
+            HOME_DELIVERY: '宅配到府',
+            CONVENIENCE_STORE: '超商取貨',
+            OUTLYING_ISLANDS: '離島配送'
+        },
+        regions: {
+            MAIN_ISLAND: '台灣本島',
+            OUTLYING_ISLANDS: '外島地區'
+        },
+        freeShippingRemaining: '再買 {amount} 即可免運',
+        freeShippingReached: '🎉 已達免運門檻',
+        freeShippingSuggestions: '加購以下任一商品即可免運'
+    },
+    wishlist: {
+        title: '願望清單',
+        empty: '願望清單是空的',
+        addAll: '全部加入購物車',
+        added: '已加入願望清單',
+        removed: '已從願望清單移除',
+        discontinued: '此商品已下架',
+        nothingAvailable: '願望清單中沒有可購買的商品'
+    },
+    order: {
+        title: '訂單紀錄',
+        itemCount: { other: '共 {count} 件' },
+        viewDetail: '查看明細',
+        empty: '目前沒有訂單紀錄',
+        heading: '訂單 {number}',
+        shippingMethod: '配送方式: {name}',
+        back: '返回列表',
+        buyAgain: '再買一次',
+        notFound: '找不到此訂單',
+        nothingAvailable: '訂單中的商品目前都無法購買',
+        partiallyAdded: '已加入購物車，部分商品庫存不足或已下架: {names}',
+        added: '訂單商品已加入購物車'
+    },
+    checkout: {
+        title: '結帳',
+        summary: '訂單摘要',
+        unavailable: '已下架',
+        back: '上一步',
+        backToCart: '返回購物車',
+        next: '下一步',
+        submit: '確認付款',
+        submitting: '付款處理中...',
+        empty: '購物車是空的，無法結帳',
+        placed: '訂單已送出',
+        paymentFailed: '付款失敗，請稍後再試',
+        declined: '信用卡交易被拒絕',
+        paid: '付款成功',
+        complete: {
+            title: '🎉 訂單已成功送出',
+            orderNumber: '訂單編號: {number}',
+            transactionId: '交易編號: {id}',
+            viewOrders: '查看訂單紀錄',
+            continueShopping: '繼續購物'
+        },
+        steps: {
+            contact: '聯絡資訊',
+            address: '收件地址',
+            shipping: '配送方式',
+            payment: '付款方式',
+            review: '確認訂單'
+        },
+        paymentMethods: {
+            CREDIT_CARD: '信用卡',
+            CASH_ON_DELIVERY: '貨到付款',
+            ATM_TRANSFER: 'ATM 轉帳'
+        },
+        fields: {
+            name: '姓名',
+            email: '電子郵件',
+            phone: '手機號碼',
+            postalCode: '郵遞區號',
+            city: '縣市',
+            district: '鄉鎮市區',
+            street: '街道地址',
+            cardNumber: '信用卡卡號',
+            cardExpiry: '有效期限',
+            cardCvc: '安全碼'
+        },
+        placeholders: {
+            city: '台北市',
+            district: '中正區'
+        },
+        errors: {
+            name: '請輸入姓名',
+            email: '請輸入有效的電子郵件',
+            phone: '請輸入有效的手機號碼（09 開頭共 10 碼）',
+            postalCode: '請輸入 3 碼或 5 碼以上的郵遞區號',
+            city: '請輸入縣市',
+            district: '請輸入鄉鎮市區',
+            street: '請輸入街道地址',
+            emptyCart: '購物車是空的',
+            unavailableItems: '購物車中有已下架的商品，請先移除後再結帳',
+            shippingMethod: '所選配送方式不適用於目前的購物車',
+            paymentMethod: '請選擇付款方式',
+            cardNumber: '請輸入 16 碼信用卡卡號',
+            cardExpiry: '請輸入有效期限（MM/YY）',
+            cardCvc: '請輸入 3 碼安全碼'
+        }
+    }
+};
+
+// 英文訊息目錄；商品分類與優惠說明等資料在中文目錄中沒有對應訊息，直接使用資料本身的名稱
+const EN_MESSAGES = {
+    locale: {
+        name: 'English',
+        label: 'Language'
+    },
+    currency: {
+        label: 'Currency'
+    },
+    common: {
+        loading: 'Loading...',
+        remove: 'Remove',
+        addToCart: 'Add to cart',
+        soldOut: 'Sold out',
+        startShopping: 'Start shopping',
+        undo: 'Undo',
+        listSeparator: ', '
+    },
+    page: {
+        index: 'Products - Shopping Cart',
+        cart: 'Cart - Shopping Cart',
+        checkout: 'Checkout - Shopping Cart',
+        orders: 'Orders - Shopping Cart',
+        product: 'Product details - Shopping Cart',
+        productName: '{name} - Shopping Cart',
+        wishlist: 'Wishlist - Shopping Cart'
+    },
+    header: {
+        logo: '🛍️ Shopping Mall',
+        products: 'Products',
+        cart: 'Cart',
+        orders: 'Orders'
+    },
+    footer: {
+        copyright: '© 2024 Shopping Mall. All rights reserved.'
+    },
+    price: {
+        subtotal: 'Subtotal: {amount}',
+        discount: 'Discount: -{amount}',
+        couponDiscount: 'Discount ({code}): -{amount}',
+        shipping: 'Shipping: {amount}',
+        subtotalExclTax: 'Subtotal (excl. tax): {amount}',
+        shippingExclTax: 'Shipping (excl. tax): {amount}',
+        tax: 'Tax ({rates}): {amount}',
+        taxIncluded: 'Includes tax ({rates}): {amount}',
+        total: 'Total: {amount}'
+    },
+    home: {
+        heroTitle: 'Welcome to our shop',
+        heroText: 'Discover the latest tech and enjoy a great shopping experience',
+        popular: 'Popular products'
+    },
+    product: {
+        variantSoldOut: '{label} (sold out)',
+        addToWishlist: 'Add to wishlist',
+        resultCount: { one: '{count} product', other: '{count} products' },
+        noResults: 'No products match your search',
+        clearSearch: 'Clear search',
+        loadMore: 'Load more products',
+        loadingMore: 'Loading more products...',
+        loadFailed: 'Failed to load. Please refresh the page',
+        reload: 'Refresh',
+        staleCatalogue: 'Could not fetch the latest products; what you see may be out of date',
+        loadMoreFailed: 'Failed to load products. Please try again later',
+        imageLabel: '{name} image {index}',
+        specs: 'Specifications',
+        longDescription: 'Overview',
+        related: 'Related products',
+        notFound: 'This product could not be found. It may have been discontinued',
+        backToList: 'Back to products',
+        categories: {
+            mobile: 'Mobile',
+            phone: 'Phones',
+            tablet: 'Tablets',
+            wearable: 'Wearables',
+            computer: 'Computers',
+            laptop: 'Laptops',
+            accessory: 'Accessories',
+            audio: 'Audio',
+            keyboard: 'Keyboards',
+            cable: 'Cables'
+        },
+        toolbar: {
+            searchPlaceholder: 'Search by name or description',
+            searchLabel: 'Search products',
+            minPrice: 'Min price',
+            maxPrice: 'Max price',
+            category: 'Category',
+            allCategories: 'All categories',
+            tag: 'Tag',
+            allTags: 'All tags',
+            sort: 'Sort by',
+            reset: 'Clear filters'
+        },
+        sort: {
+            default: 'Featured',
+            priceAsc: 'Price: low to high',
+            priceDesc: 'Price: high to low',
+            name: 'Name',
+            newest: 'Newest'
+        },
+        pager: {
+            label: 'Product pages',
+            previous: '‹ Previous',
+            next: 'Next ›'
+        },
+        quantity: {
+            label: 'Quantity',
+            input: 'Quantity to buy',
+            decrease: 'Decrease quantity',
+            increase: 'Increase quantity'
+        }
+    },
+    cart: {
+        title: 'My cart',
+        emptyTitle: '🛒 Your cart is empty',
+        emptyText: 'You have not added any products yet',
+        unavailableInCart: 'This product has been discontinued. Please remove it from your cart',
+        unavailable: 'This product has been discontinued',
+        saveForLater: 'Save for later',
+        moveToCart: 'Move to cart',
+        savedTitle: 'Saved for later ({count})',
+        checkout: 'Checkout',
+        clear: 'Clear cart',
+        taxExclusive: 'Show prices excluding tax (business customers)',
+        tierApplied: 'Buy {count}+ at {price} each',
+        bundleApplied: 'Bundle ({name}): -{amount}',
+        added: '{name} added to cart',
+        addedQuantity: '{name} ×{count} added to cart',
+        soldOut: '{name} is sold out',
+        stockLimit: {
+            one: 'Not enough stock for {name}; you can buy at most {count} item',
+            other: 'Not enough stock for {name}; you can buy at most {count} items'
+        },
+        invalidQuantity: 'Please enter a valid quantity',
+        removed: 'Item removed from cart',
+        movedToSaved: '{name} saved for later',
+        discontinued: '{name} has been discontinued',
+        movedToCart: '{name} moved back to cart',
+        removedFromSaved: 'Item removed from saved for later',
+        couponApplied: 'Coupon {code} applied',
+        cleared: 'Cart cleared',
+        undone: 'Undid the last action',
+        redone: 'Redid the last action',
+        confirmRemove: 'Are you sure you want to remove this item?',
+        confirmClear: {
+            title: 'Clear cart',
+            message: 'Are you sure you want to clear your cart?',
+            detail: 'This removes every item from your cart. Click "Undo" in the notification or press Ctrl+Z to restore it.',
+            cancel: 'Cancel',
+            confirm: 'Clear cart'
+        },
+        catalogueChanges: {
+            priceChange: '{name} {from} → {to}',
+            price: 'Price updated: {items}',
+            removed: 'Discontinued: {items}',
+            restored: 'Back in the catalogue: {items}',
+            separator: '; '
+        },
+        stockAdjustments: {
+            reduced: '{name} {from} → {to}',
+            soldOut: '{name} is sold out and was removed',
+            summary: 'Not enough stock, your cart was adjusted: {items}'
+        }
+    },
+    coupon: {
+        placeholder: 'Enter coupon code',
+        apply: 'Apply',
+        notApplicable: 'Not applicable: {reason}',
+        descriptions: {
+            SAVE10: '10% off everything',
+            MINUS500: 'NT$ 500 off orders over NT$ 10,000',
+            FREESHIP: 'Free shipping',
+            CABLE2FOR1: 'Buy one Type-C cable, get one free'
+        },
+        errors: {
+            notFound: 'Coupon code not found',
+            expired: 'This coupon has expired',
+            minSpend: 'Minimum spend not reached',
+            notEligible: 'No items in your cart are eligible for this coupon',
+            alreadyApplied: 'This coupon has already been applied',
+            notStackable: 'This coupon cannot be combined with other offers'
+        }
+    },
+    shipping: {
+        title: 'Shipping method',
+        notApplicable: 'Not available',
+        methods: {
+            HOME_DELIVERY: 'Home delivery',
+            CONVENIENCE_STORE: 'Convenience store pickup',
+            OUTLYING_ISLANDS: 'Outlying islands delivery'
+        },
+        regions: {
+            MAIN_ISLAND: 'Taiwan main island',
+            OUTLYING_ISLANDS: 'Outlying islands'
+        },
+        freeShippingRemaining: 'Spend {amount} more for free shipping',
+        freeShippingReached: '🎉 You qualify for free shipping',
+        freeShippingSuggestions: 'Add any of these to get free shipping'
+    },
+    wishlist: {
+        title: 'Wishlist',
+        empty: 'Your wishlist is empty',
+        addAll: 'Add all to cart',
+        added: 'Added to wishlist',
+        removed: 'Removed from wishlist',
+        discontinued: 'This product has been discontinued',
+        nothingAvailable: 'Nothing in your wishlist is available to buy'
+    },
+    order: {
+        title: 'Orders',
+        itemCount: { one: '{count} item', other: '{count} items' },
+        viewDetail: 'View details',
+        empty: 'You have no orders yet',
+        heading: 'Order {number}',
+        shippingMethod: 'Shipping method: {name}',
+        back: 'Back to list',
+        buyAgain: 'Buy again',
+        notFound: 'Order not found',
+        nothingAvailable: 'None of the items in this order are available',
+        partiallyAdded: 'Added to cart; some items are out of stock or discontinued: {names}',
+        added: 'Order items added to cart'
+    },
+    checkout: {
+        title: 'Checkout',
+        summary: 'Order summary',
+        unavailable: 'Discontinued',
+        back: 'Back',
+        backToCart: 'Back to cart',
+        next: 'Next',
+        submit: 'Pay now',
+        submitting: 'Processing payment...',
+        empty: 'Your cart is empty, so there is nothing to check out',
+        placed: 'Order placed',
+        paymentFailed: 'Payment failed. Please try again later',
+        declined: 'The card was declined',
+        paid: 'Payment successful',
+        complete: {
+            title: '🎉 Your order has been placed',
+            orderNumber: 'Order number: {number}',
+            transactionId: 'Transaction ID: {id}',
+            viewOrders: 'View orders',
+            continueShopping: 'Continue shopping'
+        },
+        steps: {
+            contact: 'Contact',
+            address: 'Address',
+            shipping: 'Shipping',
+            payment: 'Payment',
+            review: 'Review'
+        },
+        paymentMethods: {
+            CREDIT_CARD: 'Credit card',
+            CASH_ON_DELIVERY: 'Cash on delivery',
+            ATM_TRANSFER: 'ATM transfer'
+        },
+        fields: {
+            name: 'Name',
+            email: 'Email',
+            phone: 'Mobile number',
+            postalCode: 'Postal code',
+            city: 'City / county',
+            district: 'District',
+            street: 'Street address',
+            cardNumber: 'Card number',
+            cardExpiry: 'Expiry date',
+            cardCvc: 'Security code'
+        },
+        placeholders: {
+            city: 'Taipei City',
+            district: 'Zhongzheng District'
+        },
+        errors: {
+            name: 'Please enter your name',
+            email: 'Please enter a valid email address',
+            phone: 'Please enter a valid mobile number (10 digits starting with 09)',
+            postalCode: 'Please enter a postal code of 3 or at least 5 digits',
+            city: 'Please enter a city or county',
+            district: 'Please enter a district',
+            street: 'Please enter a street address',
+            emptyCart: 'Your cart is empty',
+            unavailableItems: 'Your cart contains discontinued items. Please remove them before checking out',
+            shippingMethod: 'The selected shipping method is not available for your cart',
+            paymentMethod: 'Please choose a payment method',
+            cardNumber: 'Please enter the 16-digit card number',
+            cardExpiry: 'Please enter a valid expiry date (MM/YY)',
+            cardCvc: 'Please enter the 3-digit security code'
+        }
+    }
+};
+
+// 內建語系；可在載入腳本前設定 window.I18N_MESSAGES = { ja: { locale: { name: '日本語' }, ... } } 新增或覆寫語系
+const LOCALE_MESSAGES = {
+    'zh-TW': ZH_TW_MESSAGES,
+    en: EN_MESSAGES
+};
+
+// ============================================================================
+// 純函數 - 訊息目錄
+// ============================================================================
+
+/**
+ * 檢查值是否為一般物件（訊息分組或複數形式訊息）
+ * @param {*} value - 要檢查的值
+ * @returns {boolean} 是否為一般物件
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 深層合併訊息目錄，後者的訊息覆寫前者
+ * @param {MessageCatalogue} base - 原有的訊息目錄
+ * @param {MessageCatalogue} overrides - 要合併的訊息目錄
+ * @returns {MessageCatalogue} 合併後的訊息目錄
+ */
+const mergeMessages = (base = {}, overrides = {}) => Object.entries(overrides).reduce((merged, [key, value]) => ({
+    ...merged,
+    [key]: isPlainObject(value) && isPlainObject(merged[key]) && !('other' in value)
+        ? mergeMessages(merged[key], value)
+        : value
+}), { ...base });
+
+/**
+ * 合併內建語系與頁面設定的語系
+ * @param {Object<string, MessageCatalogue>} [overrides] - 要新增或覆寫的語系
+ * @returns {Object<string, MessageCatalogue>} 所有語系的訊息目錄
+ */
+const resolveLocaleMessages = (overrides = typeof window !== 'undefined' ? window.I18N_MESSAGES : undefined) =>
+    Object.entries(overrides || {})
+        .filter(([, messages]) => isPlainObject(messages))
+        .reduce((catalogues, [locale, messages]) => ({
+            ...catalogues,
+            [locale]: mergeMessages(catalogues[locale], messages)
+        }), { ...LOCALE_MESSAGES });
+
+/**
+ * 依鍵值查找訊息
+ * @param {MessageCatalogue} messages - 訊息目錄
+ * @param {string} key - 訊息鍵值（例如 cart.added）
+ * @returns {string|PluralMessage|undefined} 找到的訊息；鍵值指向訊息分組時為 undefined
+ */
+const lookupMessage = (messages, key) => {
+    const message = key.split('.').reduce(
+        (node, part) => (isPlainObject(node) && Object.prototype.hasOwnProperty.call(node, part) ? node[part] : undefined),
+        messages
+    );
+    return typeof message === 'string' || (isPlainObject(message) && typeof message.other === 'string')
+        ? message
+        : undefined;
+};
+
+/**
+ * 將語系代碼對應到已支援的語系：完全相符優先，其次為相同語言（例如 en-US 對應 en）
+ * @param {string} requested - 要求的語系代碼
+ * @param {Object<string, MessageCatalogue>} catalogues - 所有語系的訊息目錄
+ * @returns {string|undefined} 支援的語系代碼
+ */
+const matchLocale = (requested, catalogues) => {
+    if (typeof requested !== 'string' || requested === '') return undefined;
+    if (Object.prototype.hasOwnProperty.call(catalogues, requested)) return requested;
+
+    const language = requested.toLowerCase().split('-')[0];
+    return Object.keys(catalogues).find(locale => locale.toLowerCase().split('-')[0] === language);
+};
+
+/**
+ * 依數量選擇複數形式
+ * @param {PluralMessage} message - 複數形式訊息
+ * @param {number} count - 數量
+ * @param {string} locale - 語系代碼
+ * @returns {string} 選擇的訊息
+ */
+const selectPluralForm = (message, count, locale) => {
+    if (count === 0 && typeof message.zero === 'string') return message.zero;
+
+    const category = new Intl.PluralRules(locale).select(count);
+    return typeof message[category] === 'string' ? message[category] : message.other;
+};
+
+/**
+ * 依語系格式化數字（千分位與小數點）
+ * @param {number} value - 數字
+ * @param {string} locale - 語系代碼
+ * @param {Intl.NumberFormatOptions} [options] - 格式化選項
+ * @returns {string} 格式化後的數字
+ */
+const formatNumber = (value, locale, options = {}) => value.toLocaleString(locale, options);
+
+/**
+ * 將訊息中的 {name} 替換為參數值，數字依語系格式化；找不到參數時保留原文
+ * @param {string} template - 訊息
+ * @param {Object} params - 參數
+ * @param {string} locale - 語系代碼
+ * @returns {string} 替換後的訊息
+ */
+const interpolateMessage = (template, params, locale) => template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value, locale) : String(value);
+});
+
+/**
+ * 翻譯訊息：依序查找目前語系、備援語系，都沒有時使用 params.defaultValue，最後回傳鍵值本身
+ * @param {Object<string, MessageCatalogue>} catalogues - 所有語系的訊息目錄
+ * @param {string} locale - 語系代碼
+ * @param {string} key - 訊息鍵值
+ * @param {Object} [params] - 插值參數；count 用於選擇複數形式
+ * @returns {string} 翻譯後的訊息
+ */
+const translate = (catalogues, locale, key, params = {}) => {
+    const message = [
+        lookupMessage(catalogues[locale], key),
+        lookupMessage(catalogues[I18N_CONFIG.FALLBACK_LOCALE], key),
+        params.defaultValue
+    ].find(candidate => candidate !== undefined) || key;
+    const count = params[I18N_CONFIG.PLURAL_PARAM];
+    const template = isPlainObject(message) ? selectPluralForm(message, typeof count === 'number' ? count : 0, locale) : message;
+    return interpolateMessage(template, params, locale);
+};
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 產生頁首語言切換選單 HTML 字串；選項名稱取自各語系目錄的 locale.name
+ * @param {Object<string, MessageCatalogue>} catalogues - 所有語系的訊息目錄
+ * @param {string} selectedLocale - 目前選擇的語系代碼
+ * @returns {string} HTML 字串
+ */
+const languageSwitcherToHtml = (catalogues, selectedLocale) => `
+    <select class="language-select" aria-label="${translate(catalogues, selectedLocale, 'locale.label')}" onchange="setLocale(this.value)">
+        ${Object.keys(catalogues).map(locale => `
+            <option value="${locale}" lang="${locale}" ${locale === selectedLocale ? 'selected' : ''}>
+                ${translate(catalogues, locale, 'locale.name', { defaultValue: locale })}
+            </option>
+        `).join('')}
+    </select>
+`;
+
+// ============================================================================
+// 副作用函數 - 本地儲存操作
+// ============================================================================
+
+/**
+ * 從本地儲存讀取選擇的語系；沒有選擇或不支援時使用預設語系
+ * @param {Object<string, MessageCatalogue>} catalogues - 所有語系的訊息目錄
+ * @returns {string} 語系代碼
+ */
+const loadSelectedLocale = (catalogues) => {
+    try {
+        const item = appStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+        return matchLocale(item ? JSON.parse(item) : null, catalogues) || I18N_CONFIG.DEFAULT_LOCALE;
+    } catch (error) {
+        console.warn('讀取語系設定失敗:', error);
+        return I18N_CONFIG.DEFAULT_LOCALE;
+    }
+};
+
+/**
+ * 儲存選擇的語系
+ * @param {string} locale - 語系代碼
+ * @returns {boolean} 是否儲存成功
+ */
+const saveSelectedLocale = (locale) => {
+    try {
+        appStorage.setItem(I18N_CONFIG.STORAGE_KEY, JSON.stringify(locale));
+        return true;
+    } catch (error) {
+        console.warn('儲存語系設定失敗:', error);
+        return false;
+    }
+};
+
+// ============================================================================
+// 副作用函數 - DOM 操作
+// ============================================================================
+
+/**
+ * 翻譯靜態 HTML 中標有 data-i18n 等屬性的元素，並更新 <html lang>
+ * @param {Function} t - 翻譯函數
+ * @param {string} locale - 語系代碼
+ * @param {ParentNode} root - 要翻譯的範圍
+ */
+const translateDocument = (t, locale, root = document) => {
+    root.querySelectorAll(`[${I18N_ATTRIBUTES.TEXT}]`).forEach(element => {
+        element.textContent = t(element.getAttribute(I18N_ATTRIBUTES.TEXT));
+    });
+    root.querySelectorAll(`[${I18N_ATTRIBUTES.PLACEHOLDER}]`).forEach(element => {
+        element.setAttribute('placeholder', t(element.getAttribute(I18N_ATTRIBUTES.PLACEHOLDER)));
+    });
+    root.querySelectorAll(`[${I18N_ATTRIBUTES.ARIA_LABEL}]`).forEach(element => {
+        element.setAttribute('aria-label', t(element.getAttribute(I18N_ATTRIBUTES.ARIA_LABEL)));
+    });
+    document.documentElement.lang = locale;
+};
+
+/**
+ * 渲染頁首語言切換選單；頁面沒有切換選單時不做任何事
+ * @param {Object<string, MessageCatalogue>} catalogues - 所有語系的訊息目錄
+ * @param {string} selectedLocale - 目前選擇的語系代碼
+ */
+const renderLanguageSwitcher = (catalogues, selectedLocale) => {
+    const switcher = document.getElementById(I18N_DOM_IDS.SWITCHER);
+    if (switcher) {
+        switcher.innerHTML = languageSwitcherToHtml(catalogues, selectedLocale);
+    }
+};
+
+// ============================================================================
+// 多語系管理器類別
+// ============================================================================
+
+/**
+ * 多語系管理器：保存目前選擇的語系與所有語系的訊息目錄，並提供翻譯函數
+ */
+class I18nManager {
+    /**
+     * @param {Object<string, MessageCatalogue>} catalogues - 所有語系的訊息目錄
+     */
+    constructor(catalogues = resolveLocaleMessages()) {
+        this.catalogues = catalogues;
+        this.locale = loadSelectedLocale(catalogues);
+        // IndexedDB 等非同步後端載入完成後重新讀取
+        appStorage.ready.then(() => {
+            const locale = loadSelectedLocale(this.catalogues);
+            if (locale !== this.locale) {
+                this.applyLocale(locale);
+            }
+        });
+    }
+
+    /**
+     * 以目前語系翻譯訊息
+     * @param {string} key - 訊息鍵值
+     * @param {Object} [params] - 插值參數
+     * @returns {string} 翻譯後的訊息
+     */
+    t(key, params) {
+        return translate(this.catalogues, this.locale, key, params);
+    }
+
+    /**
+     * 取得支援的語系代碼
+     * @returns {string[]} 語系代碼
+     */
+    getLocales() {
+        return Object.keys(this.catalogues);
+    }
+
+    /**
+     * 新增語系或覆寫既有語系的部分訊息，並更新切換選單；缺少的訊息會使用備援語系
+     * @param {string} locale - 語系代碼
+     * @param {MessageCatalogue} messages - 訊息目錄
+     */
+    registerLocale(locale, messages) {
+        this.catalogues = {
+            ...this.catalogues,
+            [locale]: mergeMessages(this.catalogues[locale], messages)
+        };
+        renderLanguageSwitcher(this.catalogues, this.locale);
+        if (locale === this.locale) {
+            this.applyLocale(locale);
+        }
+    }
+
+    /**
+     * 切換語系並儲存；不支援的語系不做任何事
+     * @param {string} locale - 語系代碼
+     * @returns {boolean} 是否切換成功
+     */
+    setLocale(locale) {
+        const matched = matchLocale(locale, this.catalogues);
+        if (!matched) {
+            console.warn(`不支援的語系: ${locale}`);
+            return false;
+        }
+        saveSelectedLocale(matched);
+        if (matched !== this.locale) {
+            this.applyLocale(matched);
+        }
+        return true;
+    }
+
+    /**
+     * 套用語系、翻譯靜態 HTML 與切換選單，並通知各模組以新的語系重新渲染
+     * @param {string} locale - 語系代碼
+     */
+    applyLocale(locale) {
+        this.locale = locale;
+        translateDocument(t, locale);
+        renderLanguageSwitcher(this.catalogues, locale);
+        window.dispatchEvent(new CustomEvent(I18N_CONFIG.CHANGE_EVENT, { detail: { locale } }));
+    }
+}
+
+// ============================================================================
+// 全域實例和公開 API
+// ============================================================================
+
+// 創建多語系管理器實例
+const i18nManager = new I18nManager();
+
+// 公開的 API 函數
+var t = (key, params) => i18nManager.t(key, params);
+var setLocale = (locale) => i18nManager.setLocale(locale);
+var getLocale = () => i18nManager.locale;
+var registerLocale = (locale, messages) => i18nManager.registerLocale(locale, messages);
+
+// DOM 載入完成後渲染頁首語言切換選單；靜態 HTML 以 <html lang> 的語系撰寫，語系不同時才需要翻譯
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.documentElement.lang !== i18nManager.locale) {
+        translateDocument(t, i18nManager.locale);
+    }
+    renderLanguageSwitcher(i18nManager.catalogues, i18nManager.locale);
+});
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        isPlainObject,
+        mergeMessages,
+        resolveLocaleMessages,
+        lookupMessage,
+        matchLocale,
+        selectPluralForm,
+        formatNumber,
+        interpolateMessage,
+        translate,
+        languageSwitcherToHtml,
+
+        // 工具函數
+        loadSelectedLocale,
+        saveSelectedLocale,
+        translateDocument,
+        renderLanguageSwitcher,
+
+        // 管理器
+        I18nManager,
+
+        // 公開 API
+        t,
+        setLocale,
+        getLocale,
+        registerLocale,
+
+        // 常數
+        I18N_CONFIG,
+        I18N_DOM_IDS,
+        I18N_ATTRIBUTES,
+        ZH_TW_MESSAGES,
+        EN_MESSAGES,
+        LOCALE_MESSAGES
+    };
+}
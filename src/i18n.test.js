@@ -0,0 +1,152 @@
+const { loadTestPage, createCartEnvelope } = require('./testHelpers');
+
+describe('多語系測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 載入頁面
+     * @param {string} pageName - 頁面檔名
+     * @param {Object} [options] - 預先設定的語系、訊息目錄與購物車
+     * @param {string} [options.locale] - 預先存入 localStorage 的語系
+     * @param {Object} [options.messages] - window.I18N_MESSAGES
+     * @param {Object[]} [options.cartItems] - 預先存入 localStorage 的購物車項目
+     */
+    const loadPage = (pageName, { locale, messages, cartItems } = {}) => {
+        dom = loadTestPage(pageName, {
+            storage: {
+                ...(locale ? { selectedLocale: locale } : {}),
+                ...(cartItems ? { shoppingCart: createCartEnvelope(cartItems) } : {})
+            },
+            beforeScripts: (pageWindow) => {
+                pageWindow.I18N_MESSAGES = messages;
+            },
+            expose: [
+                'PRODUCTS',
+                'LOCALE_MESSAGES',
+                'productManager',
+                'translate',
+                'matchLocale'
+            ]
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    /**
+     * 透過頁首的切換選單選擇語系
+     * @param {string} locale - 語系代碼
+     */
+    const selectLocale = (locale) => {
+        const select = document.querySelector('#language-switcher .language-select');
+        select.value = locale;
+        select.dispatchEvent(new window.Event('change'));
+    };
+
+    const getTotalText = () => document.getElementById('cart-total').textContent;
+
+    const getNotifications = () =>
+        Array.from(document.querySelectorAll('.notification')).map(notification => notification.textContent);
+
+    const airPods = {
+        id: '3', key: '3', name: 'AirPods Pro', price: 7490, image: '/public/assets/product-air-pod.webp', quantity: 1
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('應該替換訊息參數並依語系選擇複數形式', () => {
+        loadPage('index.html');
+        const catalogues = window.LOCALE_MESSAGES;
+
+        expect(window.translate(catalogues, 'en', 'cart.added', { name: 'AirPods Pro' })).toBe('AirPods Pro added to cart');
+        expect(window.translate(catalogues, 'en', 'product.resultCount', { count: 1 })).toBe('1 product');
+        expect(window.translate(catalogues, 'en', 'product.resultCount', { count: 1200 })).toBe('1,200 products');
+        expect(window.translate(catalogues, 'zh-TW', 'product.resultCount', { count: 1 })).toBe('共 1 件商品');
+        expect(window.translate(catalogues, 'zh-TW', 'cart.stockLimit', { name: 'iPad Air', count: 3 }))
+            .toBe('iPad Air 庫存不足，最多只能購買 3 件');
+    });
+
+    it('缺少的訊息應該依序改用備援語系、預設值與鍵值本身', () => {
+        loadPage('index.html');
+        const catalogues = { ...window.LOCALE_MESSAGES, ja: { cart: { cleared: 'カートを空にしました' } } };
+
+        expect(window.translate(catalogues, 'ja', 'cart.cleared')).toBe('カートを空にしました');
+        expect(window.translate(catalogues, 'ja', 'cart.removed')).toBe('商品已從購物車移除');
+        expect(window.translate(catalogues, 'zh-TW', 'product.categories.audio', { defaultValue: '耳機' })).toBe('耳機');
+        expect(window.translate(catalogues, 'en', 'product.categories.audio', { defaultValue: '耳機' })).toBe('Audio');
+        expect(window.translate(catalogues, 'en', 'missing.key')).toBe('missing.key');
+        // 鍵值指向訊息分組時不視為訊息
+        expect(window.translate(catalogues, 'en', 'cart.confirmClear')).toBe('cart.confirmClear');
+    });
+
+    it('應該將地區語系對應到支援的語系', () => {
+        loadPage('index.html');
+
+        expect(window.matchLocale('en-US', window.LOCALE_MESSAGES)).toBe('en');
+        expect(window.matchLocale('zh-TW', window.LOCALE_MESSAGES)).toBe('zh-TW');
+        expect(window.matchLocale('fr', window.LOCALE_MESSAGES)).toBeUndefined();
+    });
+
+    it('頁首切換語系時應該重新渲染購物車與靜態文字並保存選擇', () => {
+        loadPage('cart.html', { cartItems: [airPods] });
+
+        expect(getTotalText()).toContain('商品總計: NT$ 7,490');
+
+        selectLocale('en');
+
+        expect(getTotalText()).toContain('Subtotal: NT$ 7,490');
+        expect(getTotalText()).toContain('Total: NT$ 7,490');
+        expect(document.querySelector('.cart-item .remove-btn').textContent).toBe('Remove');
+        expect(document.querySelector('.cart-section h2').textContent).toBe('My cart');
+        expect(document.querySelector('#confirm-modal .btn-danger').textContent).toBe('Clear cart');
+        expect(document.title).toBe('Cart - Shopping Cart');
+        expect(document.documentElement.lang).toBe('en');
+        expect(JSON.parse(window.localStorage.getItem('selectedLocale'))).toBe('en');
+
+        window.removeFromCart('3');
+        expect(getNotifications().pop()).toContain('Item removed from cart');
+    });
+
+    it('重新載入時應該使用保存的語系翻譯商品列表與通知', () => {
+        loadPage('index.html', { locale: 'en' });
+        window.productManager.setProducts(window.PRODUCTS);
+
+        expect(document.querySelector('#language-switcher .language-select').value).toBe('en');
+        expect(document.querySelector('.nav-link.active').textContent).toBe('Products');
+        expect(document.querySelector('.product-card[data-id="3"] .add-to-cart-btn').textContent.trim()).toBe('Add to cart');
+        expect(document.querySelector('.toolbar-reset-btn').textContent).toBe('Clear filters');
+        expect(document.querySelector('.category-nav-link').textContent).toBe('Mobile');
+        expect(document.getElementById('product-result-count').textContent).toBe('7 products');
+
+        window.addToCart(window.PRODUCTS[2]);
+        expect(getNotifications().pop()).toBe('AirPods Pro added to cart');
+    });
+
+    it('頁面設定的訊息目錄應該新增語系，並以該語系的數字格式顯示金額', () => {
+        loadPage('cart.html', {
+            locale: 'de',
+            messages: { de: { locale: { name: 'Deutsch' }, price: { total: 'Gesamtbetrag: {amount}' } } },
+            cartItems: [{ ...airPods, quantity: 5 }]
+        });
+
+        const options = Array.from(document.querySelectorAll('#language-switcher option'))
+            .map(option => option.textContent.trim());
+        expect(options).toEqual(['繁體中文', 'English', 'Deutsch']);
+        expect(getTotalText()).toContain('Gesamtbetrag: NT$ 37.450');
+        // 新語系沒有的訊息改用備援語系
+        expect(getTotalText()).toContain('運費: NT$ 0');
+    });
+
+    it('不支援的語系應該改用預設語系且不觸發切換', () => {
+        loadPage('cart.html', { locale: 'fr', cartItems: [airPods] });
+        const listener = jest.fn();
+        window.addEventListener('localechange', listener);
+
+        expect(window.setLocale('fr')).toBe(false);
+        expect(listener).not.toHaveBeenCalled();
+        expect(getTotalText()).toContain('總金額: NT$ 7,490');
+    });
+});
@@ -0,0 +1,474 @@
+// 訂單紀錄模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js、currency.js、product.js、pricing.js、coupon.js、shipping.js、tax.js 與 cart-refactored-functional.js
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 訂單紀錄資料結構（下單當下的購物車快照）
+ * @typedef {Object} OrderRecord
+ * @property {string} orderNumber - 訂單編號
+ * @property {string} placedAt - 下單時間（ISO 字串）
+ * @property {string|null} transactionId - 付款交易編號
+ * @property {CartItem[]} items - 訂購的商品（含下單時的價格）
+ * @property {string[]} coupons - 套用的優惠碼
+ * @property {ContactInfo} contact - 聯絡資訊
+ * @property {ShippingAddress} address - 收件地址
+ * @property {string} shippingMethodId - 配送方式 ID
+ * @property {{methodId: string, cardLast4: string|null}} payment - 付款資訊（不含完整卡號）
+ * @property {number} totalCount - 商品總數量
+ * @property {number} totalPrice - 商品總計
+ * @property {number} discountTotal - 折扣總額
+ * @property {number} shippingFee - 運費
+ * @property {number} [taxTotal] - 稅額，舊訂單沒有此欄位（不顯示稅額）
+ * @property {number[]} [taxRates] - 訂單使用到的稅率
+ * @property {boolean} [taxIncluded] - 商品價格與運費是否已含稅
+ * @property {number} finalTotal - 總金額（含稅）
+ * @property {string} [currency] - 下單時選擇的顯示幣別，舊訂單沒有此欄位（以基準幣別顯示）
+ * @property {number} [exchangeRate] - 下單時的匯率，顯示此訂單的金額時使用
+ */
+
+// 訂單紀錄設定
+const ORDER_CONFIG = {
+    STORAGE_KEY: 'orderHistory', // 本地儲存鍵值
+    NUMBER_PREFIX: 'ORD' // 訂單編號前綴
+};
+
+// DOM 元素 ID
+const ORDER_DOM_IDS = {
+    LIST: 'order-list',
+    DETAIL: 'order-detail'
+};
+
+// ============================================================================
+// 純函數 - 訂單紀錄邏輯
+// ============================================================================
+
+/**
+ * 數字補零
+ * @param {number} value - 數字
+ * @param {number} length - 補零後的長度
+ * @returns {string} 補零後的字串
+ */
+const padNumber = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * 將時間轉換為日期代碼（YYYYMMDD）
+ * @param {Date} date - 時間
+ * @returns {string} 日期代碼
+ */
+const toDateCode = (date) =>
+    `${date.getFullYear()}${padNumber(date.getMonth() + 1)}${padNumber(date.getDate())}`;
+
+/**
+ * 產生訂單編號，格式為 ORD-YYYYMMDD-NNN，流水號依當日已有的訂單數遞增
+ * @param {OrderRecord[]} orders - 既有的訂單紀錄
+ * @param {Date} now - 目前時間
+ * @returns {string} 訂單編號
+ */
+const generateOrderNumber = (orders, now = new Date()) => {
+    const prefix = `${ORDER_CONFIG.NUMBER_PREFIX}-${toDateCode(now)}-`;
+    const todayCount = orders.filter(order => order.orderNumber.startsWith(prefix)).length;
+    return `${prefix}${padNumber(todayCount + 1, 3)}`;
+};
+
+/**
+ * 建立訂單紀錄（純函數）；商品與金額為下單當下的快照，之後商品改價不影響紀錄
+ * @param {Order} order - 結帳流程建立的訂單
+ * @param {OrderRecord[]} orders - 既有的訂單紀錄
+ * @param {Date} now - 目前時間
+ * @returns {OrderRecord} 訂單紀錄
+ */
+const createOrderRecord = (order, orders, now = new Date()) => {
+    const { createdAt, ...orderData } = order;
+    return {
+        ...orderData,
+        orderNumber: generateOrderNumber(orders, now),
+        placedAt: now.toISOString(),
+        transactionId: order.transactionId || null,
+        items: order.items.map(item => ({ ...item }))
+    };
+};
+
+/**
+ * 將訂單紀錄加入歷史（純函數），最新的訂單排在最前面
+ * @param {OrderRecord[]} orders - 既有的訂單紀錄
+ * @param {OrderRecord} record - 新的訂單紀錄
+ * @returns {OrderRecord[]} 更新後的訂單紀錄
+ */
+const addOrderToHistory = (orders, record) => [record, ...orders];
+
+/**
+ * 根據訂單編號查找訂單紀錄
+ * @param {OrderRecord[]} orders - 訂單紀錄
+ * @param {string} orderNumber - 訂單編號
+ * @returns {OrderRecord|undefined} 找到的訂單紀錄
+ */
+const findOrderByNumber = (orders, orderNumber) =>
+    orders.find(order => order.orderNumber === orderNumber);
+
+/**
+ * 驗證訂單紀錄是否有效
+ * @param {OrderRecord} order - 訂單紀錄
+ * @returns {boolean} 是否有效
+ */
+const isValidOrderRecord = (order) =>
+    order &&
+    typeof order.orderNumber === 'string' &&
+    typeof order.placedAt === 'string' &&
+    Array.isArray(order.items) &&
+    order.items.every(isValidCartItem) &&
+    typeof order.finalTotal === 'number';
+
+/**
+ * 將訂單商品對應到目前的商品資料，作為再買一次的加入清單（純函數）
+ * 已下架的商品不會加入，價格以目前的商品資料為準
+ * @param {OrderRecord} order - 訂單紀錄
+ * @param {Product[]} products - 目前的商品資料
+ * @returns {{entries: Object[], unavailable: string[]}} 可加入的商品與已下架的商品名稱
+ */
+const createReorderEntries = (order, products) => order.items.reduce((acc, item) => {
+    const product = findProductById(products, item.id);
+    if (!product) {
+        return { ...acc, unavailable: [...acc.unavailable, item.name] };
+    }
+    return {
+        ...acc,
+        entries: [...acc.entries, { product, variantId: item.variantId, quantity: item.quantity }]
+    };
+}, { entries: [], unavailable: [] });
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 格式化下單時間（YYYY/MM/DD HH:mm）
+ * @param {string} isoString - ISO 時間字串
+ * @returns {string} 格式化後的時間
+ */
+const formatOrderDate = (isoString) => {
+    const date = new Date(isoString);
+    return `${date.getFullYear()}/${padNumber(date.getMonth() + 1)}/${padNumber(date.getDate())} ` +
+        `${padNumber(date.getHours())}:${padNumber(date.getMinutes())}`;
+};
+
+/**
+ * 以下單當下的幣別與匯率格式化訂單金額，之後匯率變動不影響訂單顯示
+ * @param {OrderRecord} order - 訂單紀錄
+ * @param {number} amount - 基準幣別金額
+ * @returns {string} 格式化後的金額
+ */
+const formatOrderPrice = (order, amount) => order.currency && findCurrency(order.currency)
+    ? formatPrice(amount, order.currency, order.exchangeRate)
+    : formatPrice(amount, CURRENCY_CONFIG.BASE, 1);
+
+/**
+ * 將訂單紀錄轉換為列表項目 HTML 字串
+ * @param {OrderRecord} order - 訂單紀錄
+ * @returns {string} HTML 字串
+ */
+const orderRowToHtml = (order) => `
+    <li class="order-row" data-order-number="${order.orderNumber}">
+        <div class="order-row-info">
+            <span class="order-number">${order.orderNumber}</span>
+            <span class="order-date">${formatOrderDate(order.placedAt)}</span>
+        </div>
+        <span class="order-count">${t('order.itemCount', { count: order.totalCount })}</span>
+        <span class="order-total">${formatOrderPrice(order, order.finalTotal)}</span>
+        <button class="btn btn-primary order-detail-btn" onclick="showOrderDetail('${order.orderNumber}')">${t('order.viewDetail')}</button>
+    </li>
+`;
+
+/**
+ * 產生訂單列表 HTML 字串
+ * @param {OrderRecord[]} orders - 訂單紀錄
+ * @returns {string} HTML 字串
+ */
+const orderListToHtml = (orders) => orders.length === 0
+    ? `
+        <div class="order-empty">
+            <p>${t('order.empty')}</p>
+            <a href="index.html" class="btn btn-primary">${t('common.startShopping')}</a>
+        </div>
+    `
+    : `<ul class="order-rows">${orders.map(orderRowToHtml).join('')}</ul>`;
+
+/**
+ * 產生訂單明細 HTML 字串
+ * @param {OrderRecord} order - 訂單紀錄
+ * @returns {string} HTML 字串
+ */
+const orderDetailToHtml = (order) => {
+    const shippingMethod = findShippingMethodById(SHIPPING_METHODS, order.shippingMethodId);
+    const itemsHtml = order.items.map(item => `
+        <li class="summary-item">
+            <span>${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''} × ${item.quantity}</span>
+            <span>${formatOrderPrice(order, moneyToAmount(calculateLineTotal(item)))}</span>
+        </li>
+    `).join('');
+
+    return `
+        <div class="order-detail-header">
+            <h3>${t('order.heading', { number: order.orderNumber })}</h3>
+            <span class="order-date">${formatOrderDate(order.placedAt)}</span>
+        </div>
+        <ul class="summary-items">${itemsHtml}</ul>
+        <div class="price-breakdown">
+            <div class="price-item"><span>${t('price.subtotal', { amount: formatOrderPrice(order, order.totalPrice) })}</span></div>
+            ${order.discountTotal > 0
+                ? `<div class="price-item discount"><span>${t('price.discount', { amount: formatOrderPrice(order, order.discountTotal) })}</span></div>`
+                : ''}
+            <div class="price-item"><span>${t('price.shipping', { amount: formatOrderPrice(order, order.shippingFee) })}</span></div>
+            ${typeof order.taxTotal === 'number'
+                ? `<div class="price-item tax"><span>${t(order.taxIncluded ? 'price.taxIncluded' : 'price.tax', {
+                    rates: formatTaxRates(order.taxRates || []),
+                    amount: formatOrderPrice(order, order.taxTotal)
+                })}</span></div>`
+                : ''}
+            <div class="price-item total"><span>${t('price.total', { amount: formatOrderPrice(order, order.finalTotal) })}</span></div>
+        </div>
+        ${shippingMethod ? `<p class="order-shipping">${t('order.shippingMethod', { name: t(shippingMethod.name) })}</p>` : ''}
+        <div class="order-detail-actions">
+            <button class="btn btn-secondary" onclick="hideOrderDetail()">${t('order.back')}</button>
+            <button class="btn btn-primary order-reorder-btn" onclick="buyAgain('${order.orderNumber}')">${t('order.buyAgain')}</button>
+        </div>
+    `;
+};
+
+// ============================================================================
+// 副作用函數 - 本地儲存操作
+// ============================================================================
+
+/**
+ * 從本地儲存載入訂單紀錄，略過格式不正確的紀錄
+ * @returns {OrderRecord[]} 訂單紀錄
+ */
+const loadOrdersFromStorage = () => {
+    const savedOrders = safeGetFromStorage(ORDER_CONFIG.STORAGE_KEY, []);
+    return Array.isArray(savedOrders) ? savedOrders.filter(isValidOrderRecord) : [];
+};
+
+/**
+ * 儲存訂單紀錄到本地儲存
+ * @param {OrderRecord[]} orders - 訂單紀錄
+ * @returns {boolean} 是否儲存成功
+ */
+const saveOrdersToStorage = (orders) => safeSetToStorage(ORDER_CONFIG.STORAGE_KEY, orders);
+
+// ============================================================================
+// 訂單紀錄管理
+// ============================================================================
+
+/**
+ * 訂單紀錄存放區
+ */
+class OrderStore {
+    constructor() {
+        this.orders = loadOrdersFromStorage();
+    }
+
+    /**
+     * 重新從本地儲存載入訂單紀錄
+     */
+    reload() {
+        this.orders = loadOrdersFromStorage();
+    }
+
+    /**
+     * 保存下單當下的訂單快照
+     * 下單前重新載入訂單紀錄，避免覆蓋其他分頁剛保存的訂單或產生重複的訂單編號
+     * @param {Order} order - 結帳流程建立的訂單
+     * @param {Date} now - 目前時間
+     * @returns {OrderRecord} 訂單紀錄
+     */
+    placeOrder(order, now = new Date()) {
+        this.reload();
+        const record = createOrderRecord(order, this.orders, now);
+        this.orders = addOrderToHistory(this.orders, record);
+        saveOrdersToStorage(this.orders);
+        return record;
+    }
+
+    /**
+     * 獲取所有訂單紀錄（最新的在前）
+     * @returns {OrderRecord[]} 訂單紀錄
+     */
+    getOrders() {
+        return [...this.orders];
+    }
+
+    /**
+     * 根據訂單編號獲取訂單紀錄
+     * @param {string} orderNumber - 訂單編號
+     * @returns {OrderRecord|undefined} 訂單紀錄
+     */
+    findOrder(orderNumber) {
+        return findOrderByNumber(this.orders, orderNumber);
+    }
+}
+
+/**
+ * 訂單紀錄頁面管理器
+ */
+class OrderHistoryManager {
+    /**
+     * @param {OrderStore} store - 訂單紀錄存放區
+     * @param {CartManager} cart - 購物車管理器
+     */
+    constructor(store, cart) {
+        this.store = store;
+        this.cart = cart;
+        this.selectedOrderNumber = null;
+    }
+
+    /**
+     * 初始化訂單紀錄頁面；不在訂單紀錄頁面時不做任何事
+     */
+    initialize() {
+        if (!document.getElementById(ORDER_DOM_IDS.LIST)) return;
+
+        this.render();
+        // IndexedDB 等非同步後端載入完成後重新讀取
+        appStorage.ready.then(() => {
+            this.store.reload();
+            this.render();
+        });
+    }
+
+    /**
+     * 顯示訂單明細
+     * @param {string} orderNumber - 訂單編號
+     */
+    showDetail(orderNumber) {
+        if (!this.store.findOrder(orderNumber)) {
+            showNotification(t('order.notFound'));
+            return;
+        }
+        this.selectedOrderNumber = orderNumber;
+        this.render();
+    }
+
+    /**
+     * 返回訂單列表
+     */
+    hideDetail() {
+        this.selectedOrderNumber = null;
+        this.render();
+    }
+
+    /**
+     * 將訂單中的商品重新加入購物車
+     * @param {string} orderNumber - 訂單編號
+     * @param {Product[]} [products] - 目前的商品資料，省略時使用商品管理器的商品目錄
+     * @returns {Promise<boolean>} 是否有商品加入購物車
+     */
+    async buyAgain(orderNumber, products) {
+        const order = this.store.findOrder(orderNumber);
+        if (!order) {
+            showNotification(t('order.notFound'));
+            return false;
+        }
+
+        const catalogue = products || await loadCatalogueForCart();
+        if (!catalogue) {
+            return false;
+        }
+
+        const { entries, unavailable } = createReorderEntries(order, catalogue);
+        const shortages = this.cart.addItems(entries);
+        const skippedNames = [...unavailable, ...shortages.map(shortage => shortage.name)];
+        const requestedCount = entries.reduce((total, entry) => total + entry.quantity, 0);
+        const missingCount = shortages.reduce((total, shortage) => total + shortage.requested - shortage.added, 0);
+        const hasAddedItems = requestedCount > missingCount;
+
+        if (!hasAddedItems) {
+            showNotification(t('order.nothingAvailable'));
+        } else if (skippedNames.length > 0) {
+            showNotification(t('order.partiallyAdded', { names: skippedNames.join(t('common.listSeparator')) }));
+        } else {
+            showNotification(t('order.added'));
+        }
+        return hasAddedItems;
+    }
+
+    /**
+     * 渲染訂單列表或訂單明細
+     */
+    render() {
+        const listElement = safeGetElement(ORDER_DOM_IDS.LIST);
+        const detailElement = safeGetElement(ORDER_DOM_IDS.DETAIL);
+        const order = this.selectedOrderNumber && this.store.findOrder(this.selectedOrderNumber);
+
+        if (listElement) {
+            listElement.style.display = order ? 'none' : 'block';
+            listElement.innerHTML = orderListToHtml(this.store.getOrders());
+        }
+        if (detailElement) {
+            detailElement.style.display = order ? 'block' : 'none';
+            detailElement.innerHTML = order ? orderDetailToHtml(order) : '';
+        }
+    }
+}
+
+// ============================================================================
+// 全域實例和公開 API
+// ============================================================================
+
+// 創建訂單紀錄存放區與頁面管理器實例
+const orderStore = new OrderStore();
+const orderHistoryManager = new OrderHistoryManager(orderStore, cartManager);
+
+// 公開的 API 函數
+var showOrderDetail = (orderNumber) => orderHistoryManager.showDetail(orderNumber);
+var hideOrderDetail = () => orderHistoryManager.hideDetail();
+var buyAgain = (orderNumber) => orderHistoryManager.buyAgain(orderNumber);
+
+// DOM 載入完成後初始化
+document.addEventListener('DOMContentLoaded', () => orderHistoryManager.initialize());
+
+// 切換幣別時重新渲染（歷史訂單仍以下單時的幣別顯示，僅更新頁面其他部分）
+window.addEventListener(CURRENCY_CONFIG.CHANGE_EVENT, () => orderHistoryManager.render());
+
+// 切換語系後以新的語系重新顯示訂單列表或明細
+window.addEventListener(I18N_CONFIG.CHANGE_EVENT, () => orderHistoryManager.render());
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        generateOrderNumber,
+        createOrderRecord,
+        addOrderToHistory,
+        findOrderByNumber,
+        isValidOrderRecord,
+        createReorderEntries,
+        formatOrderDate,
+        formatOrderPrice,
+        orderRowToHtml,
+        orderListToHtml,
+        orderDetailToHtml,
+
+        // 工具函數
+        loadOrdersFromStorage,
+        saveOrdersToStorage,
+
+        // 類別
+        OrderStore,
+        OrderHistoryManager,
+
+        // 公開 API
+        showOrderDetail,
+        hideOrderDetail,
+        buyAgain,
+
+        // 常數
+        ORDER_CONFIG,
+        ORDER_DOM_IDS
+    };
+}
@@ -0,0 +1,166 @@
+const { loadTestPage, waitForCatalogue } = require('./testHelpers');
+
+describe('訂單紀錄 DOM 測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 建立測試用的訂單紀錄
+     * @param {string} orderNumber - 訂單編號
+     * @param {Object[]} items - 訂購的商品
+     * @returns {Object} 訂單紀錄
+     */
+    const createSavedOrder = (orderNumber, items) => ({
+        orderNumber,
+        placedAt: '2026-01-01T10:30:00.000Z',
+        transactionId: 'MOCK-1',
+        items,
+        coupons: [],
+        shippingMethodId: 'HOME_DELIVERY',
+        payment: { methodId: 'CASH_ON_DELIVERY', cardLast4: null },
+        totalCount: items.reduce((total, item) => total + item.quantity, 0),
+        totalPrice: items.reduce((total, item) => total + item.price * item.quantity, 0),
+        discountTotal: 0,
+        shippingFee: 100,
+        finalTotal: items.reduce((total, item) => total + item.price * item.quantity, 0) + 100
+    });
+
+    const cableItem = { id: '7', key: '7', name: 'Type-C傳輸線', price: 300, image: '/public/assets/product-type-c-cable.webp', quantity: 2 };
+    const iPadItem = { id: '5', key: '5::256', variantId: '256', variantLabel: '256GB', name: 'iPad Air', price: 21900, image: '/public/assets/product-ipad.webp', quantity: 1 };
+    const discontinuedItem = { id: '999', key: '999', name: '已下架商品', price: 100, image: '', quantity: 1 };
+
+    /**
+     * 以指定的訂單紀錄與購物車內容載入訂單紀錄頁面
+     * @param {Object[]} savedOrders - 預先存入 localStorage 的訂單紀錄
+     * @param {Object[]} savedItems - 預先存入 localStorage 的購物車項目
+     */
+    const loadOrdersPage = (savedOrders, savedItems = []) => {
+        dom = loadTestPage('orders.html', {
+            storage: { orderHistory: savedOrders, shoppingCart: savedItems },
+            expose: ['productManager', 'orderStore', 'OrderStore', 'showOrderDetail', 'hideOrderDetail', 'buyAgain']
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    const getSavedCart = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+
+    const getLastNotification = () => {
+        const notifications = document.querySelectorAll('.notification');
+        return notifications[notifications.length - 1].textContent;
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('沒有訂單時應該顯示空狀態', () => {
+        loadOrdersPage([]);
+
+        expect(document.querySelector('.order-empty').textContent).toContain('目前沒有訂單紀錄');
+    });
+
+    it('應該列出所有訂單，最新的在前', () => {
+        loadOrdersPage([
+            createSavedOrder('ORD-20260101-002', [cableItem]),
+            createSavedOrder('ORD-20260101-001', [iPadItem])
+        ]);
+
+        const rows = document.querySelectorAll('.order-row');
+        expect(rows.length).toBe(2);
+        expect(rows[0].querySelector('.order-number').textContent).toBe('ORD-20260101-002');
+        expect(rows[0].querySelector('.order-total').textContent).toBe('NT$ 700');
+    });
+
+    it('格式不正確的訂單紀錄應該被略過', () => {
+        loadOrdersPage([
+            createSavedOrder('ORD-20260101-001', [cableItem]),
+            { orderNumber: 'BROKEN' }
+        ]);
+
+        expect(document.querySelectorAll('.order-row').length).toBe(1);
+    });
+
+    it('查看明細應該顯示下單時的商品、運費與總金額', () => {
+        loadOrdersPage([createSavedOrder('ORD-20260101-001', [iPadItem, cableItem])]);
+
+        document.querySelector('.order-detail-btn').click();
+
+        const detail = document.getElementById('order-detail');
+        expect(detail.style.display).toBe('block');
+        expect(document.getElementById('order-list').style.display).toBe('none');
+        expect(detail.textContent).toContain('iPad Air (256GB) × 1');
+        expect(detail.textContent).toContain('運費: NT$ 100');
+        expect(detail.textContent).toContain('總金額: NT$ 22,600');
+
+        window.hideOrderDetail();
+        expect(detail.style.display).toBe('none');
+        expect(document.getElementById('order-list').style.display).toBe('block');
+    });
+
+    it('再買一次應該以目前的商品資料重新加入購物車', async () => {
+        loadOrdersPage([createSavedOrder('ORD-20260101-001', [iPadItem, cableItem])]);
+
+        window.showOrderDetail('ORD-20260101-001');
+        document.querySelector('.order-reorder-btn').click();
+        await waitForCatalogue(window);
+
+        const cart = getSavedCart();
+        expect(cart.map(item => [item.key, item.quantity])).toEqual([['5::256', 1], ['7', 2]]);
+        // 價格以目前商品資料為準，而非下單時的快照
+        expect(cart[0].price).toBe(22400);
+        expect(document.getElementById('cart-count').textContent).toBe('3');
+        expect(getLastNotification()).toBe('訂單商品已加入購物車');
+    });
+
+    it('再買一次時應該略過已下架與超過庫存限制的商品', async () => {
+        loadOrdersPage(
+            [createSavedOrder('ORD-20260101-001', [{ ...cableItem, quantity: 3 }, discontinuedItem])],
+            [{ ...cableItem, quantity: 9, maxQuantity: 10 }]
+        );
+
+        const added = await window.buyAgain('ORD-20260101-001');
+
+        expect(added).toBe(true);
+        expect(getSavedCart()[0].quantity).toBe(10);
+        expect(getLastNotification()).toBe('已加入購物車，部分商品庫存不足或已下架: 已下架商品、Type-C傳輸線');
+    });
+
+    it('訂單中的商品都無法購買時應該提示且不加入購物車', async () => {
+        loadOrdersPage([createSavedOrder('ORD-20260101-001', [discontinuedItem])]);
+
+        expect(await window.buyAgain('ORD-20260101-001')).toBe(false);
+        expect(getSavedCart()).toEqual([]);
+        expect(getLastNotification()).toBe('訂單中的商品目前都無法購買');
+    });
+
+    it('訂單編號應該依當日訂單數遞增並保存到本地儲存', () => {
+        loadOrdersPage([]);
+
+        const order = createSavedOrder('', [cableItem]);
+        const now = new window.Date(2026, 0, 2, 9, 0);
+        const first = window.orderStore.placeOrder(order, now);
+        const second = window.orderStore.placeOrder(order, now);
+
+        expect(first.orderNumber).toBe('ORD-20260102-001');
+        expect(second.orderNumber).toBe('ORD-20260102-002');
+        expect(JSON.parse(window.localStorage.getItem('orderHistory')).map(saved => saved.orderNumber))
+            .toEqual(['ORD-20260102-002', 'ORD-20260102-001']);
+    });
+
+    it('另一個分頁先下單時應該保留該訂單並使用下一個訂單編號', () => {
+        loadOrdersPage([]);
+
+        const otherTabStore = new window.OrderStore();
+        const order = createSavedOrder('', [cableItem]);
+        const now = new window.Date(2026, 0, 2, 9, 0);
+        const otherTabOrder = otherTabStore.placeOrder(order, now);
+        const thisTabOrder = window.orderStore.placeOrder(order, now);
+
+        expect(otherTabOrder.orderNumber).toBe('ORD-20260102-001');
+        expect(thisTabOrder.orderNumber).toBe('ORD-20260102-002');
+        expect(JSON.parse(window.localStorage.getItem('orderHistory')).map(saved => saved.orderNumber))
+            .toEqual(['ORD-20260102-002', 'ORD-20260102-001']);
+    });
+});
@@ -0,0 +1,190 @@
+// 商品定價模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js、currency.js 與 product.js；處理數量階梯價與組合優惠，計算結果供優惠券、稅額與購物車使用
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 組合優惠資料結構：購物車同時有組合內的每項商品時，每組折抵固定金額
+ * @typedef {Object} ProductBundle
+ * @property {string} id - 組合 ID
+ * @property {string} name - 組合名稱（翻譯時作為預設值）
+ * @property {string[]} productIds - 組合內的商品 ID（各一件為一組）
+ * @property {number} discount - 每組折抵金額（基準幣別）
+ */
+
+/**
+ * 組合優惠的計算結果
+ * @typedef {Object} BundleSaving
+ * @property {ProductBundle} bundle - 組合優惠
+ * @property {number} sets - 成立的組數
+ * @property {number} amount - 折抵總額
+ */
+
+/**
+ * 套用定價後的購物車項目；price 為實際單價，另記錄套用的階梯價與分攤到此項目的組合折抵
+ * @typedef {CartItem} PricedCartItem
+ * @property {number} [listPrice] - 套用階梯價前的單價
+ * @property {PriceTier} [appliedTier] - 套用的階梯價
+ * @property {{id: string, name: string, amount: number}[]} [bundleSavings] - 分攤到此項目的組合折抵
+ * @property {number} [bundleDiscount] - 分攤到此項目的組合折抵總額
+ */
+
+// 組合優惠資料
+const PRODUCT_BUNDLES = [
+    {
+        id: 'IPAD_AIR_KEYBOARD',
+        name: 'iPad Air + Magic Keyboard',
+        productIds: ['5', '6'],
+        discount: 1500
+    }
+];
+
+// ============================================================================
+// 純函數 - 數量階梯價
+// ============================================================================
+
+/**
+ * 取得數量適用的階梯價（門檻最高的一個）
+ * @param {PriceTier[]} tiers - 數量階梯價
+ * @param {number} quantity - 購買數量
+ * @returns {PriceTier|null} 適用的階梯價，未達任何門檻時為 null
+ */
+const findPriceTier = (tiers = [], quantity) => tiers
+    .filter(tier => quantity >= tier.minQuantity)
+    .reduce((best, tier) => (!best || tier.minQuantity > best.minQuantity ? tier : best), null);
+
+/**
+ * 加總各商品的購買數量（同一商品的不同規格合併計算）
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {Object<string, number>} 商品 ID 對應的數量
+ */
+const calculateProductQuantities = (items) => items.reduce((quantities, item) => ({
+    ...quantities,
+    [item.id]: (quantities[item.id] || 0) + item.quantity
+}), {});
+
+/**
+ * 依商品的總數量套用階梯價；階梯價不低於原價時不套用
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @returns {PricedCartItem[]} 套用階梯價後的項目
+ */
+const applyPriceTiers = (items) => {
+    const quantities = calculateProductQuantities(items);
+    return items.map(item => {
+        const tier = findPriceTier(item.priceTiers, quantities[item.id]);
+        return tier && tier.price < item.price
+            ? { ...item, price: tier.price, listPrice: item.price, appliedTier: tier }
+            : item;
+    });
+};
+
+// ============================================================================
+// 純函數 - 組合優惠
+// ============================================================================
+
+/**
+ * 取得組合優惠的顯示名稱
+ * @param {ProductBundle} bundle - 組合優惠
+ * @returns {string} 組合名稱
+ */
+const getBundleName = (bundle) => t(`pricing.bundles.${bundle.id}`, { defaultValue: bundle.name });
+
+/**
+ * 計算各組合優惠成立的組數與折抵金額；依 bundles 的順序計算，已用於前一個組合的商品不重複計算
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {ProductBundle[]} bundles - 組合優惠
+ * @returns {BundleSaving[]} 成立的組合優惠
+ */
+const calculateBundleSavings = (items, bundles = PRODUCT_BUNDLES) => bundles.reduce((acc, bundle) => {
+    const sets = Math.min(...bundle.productIds.map(productId => acc.remaining[productId] || 0));
+    if (sets <= 0) return acc;
+
+    return {
+        remaining: {
+            ...acc.remaining,
+            ...Object.fromEntries(bundle.productIds.map(productId => [productId, acc.remaining[productId] - sets]))
+        },
+        savings: [...acc.savings, {
+            bundle,
+            sets,
+            amount: moneyToAmount(multiplyMoney(moneyFromAmount(bundle.discount), sets))
+        }]
+    };
+}, { remaining: calculateProductQuantities(items), savings: [] }).savings;
+
+/**
+ * 將組合折抵依小計比例分攤到組合內商品的購物車項目
+ * @param {PricedCartItem[]} items - 購物車項目陣列
+ * @param {BundleSaving[]} savings - 成立的組合優惠
+ * @returns {PricedCartItem[]} 加上組合折抵的項目
+ */
+const allocateBundleSavings = (items, savings) => savings.reduce((pricedItems, saving) => {
+    const componentIndexes = pricedItems
+        .map((item, index) => (saving.bundle.productIds.includes(item.id) ? index : -1))
+        .filter(index => index >= 0);
+    const shares = allocateMoney(
+        moneyFromAmount(saving.amount),
+        componentIndexes.map(index => moneyToAmount(calculateLineTotal(pricedItems[index])))
+    );
+
+    return pricedItems.map((item, index) => {
+        const position = componentIndexes.indexOf(index);
+        if (position < 0) return item;
+        const amount = moneyToAmount(shares[position]);
+        return {
+            ...item,
+            bundleSavings: [...(item.bundleSavings || []), { id: saving.bundle.id, name: saving.bundle.name, amount }],
+            bundleDiscount: moneyToAmount(addMoney(moneyFromAmount(item.bundleDiscount || 0), shares[position]))
+        };
+    });
+}, items);
+
+// ============================================================================
+// 純函數 - 購物車定價
+// ============================================================================
+
+/**
+ * 計算購物車項目的小計金額值（單價 × 數量 - 分攤的組合折抵）
+ * @param {CartItem|PricedCartItem} item - 購物車項目
+ * @returns {Money} 小計（基準幣別）
+ */
+const calculateLineTotal = (item) => subtractMoney(
+    multiplyMoney(moneyFromAmount(item.price), item.quantity),
+    moneyFromAmount(item.bundleDiscount || 0)
+);
+
+/**
+ * 套用數量階梯價與組合優惠
+ * @param {CartItem[]} items - 可購買的購物車項目
+ * @param {ProductBundle[]} bundles - 組合優惠
+ * @returns {{items: PricedCartItem[], bundles: BundleSaving[]}} 套用定價後的項目與成立的組合優惠
+ */
+const priceCartItems = (items, bundles = PRODUCT_BUNDLES) => {
+    const tieredItems = applyPriceTiers(items);
+    const savings = calculateBundleSavings(tieredItems, bundles);
+    return { items: allocateBundleSavings(tieredItems, savings), bundles: savings };
+};
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        findPriceTier,
+        calculateProductQuantities,
+        applyPriceTiers,
+        getBundleName,
+        calculateBundleSavings,
+        allocateBundleSavings,
+        calculateLineTotal,
+        priceCartItems,
+
+        // 常數
+        PRODUCT_BUNDLES
+    };
+}
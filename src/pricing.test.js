@@ -0,0 +1,110 @@
+const { loadTestPage, createCartEnvelope } = require('./testHelpers');
+
+describe('階梯價與組合優惠測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 載入頁面
+     * @param {string} pageName - 頁面檔名
+     * @param {Object[]} [cartItems] - 預先存入 localStorage 的購物車項目
+     */
+    const loadPage = (pageName, cartItems) => {
+        dom = loadTestPage(pageName, {
+            storage: cartItems ? { shoppingCart: createCartEnvelope(cartItems) } : {},
+            expose: ['findPriceTier', 'priceCartItems', 'isValidPriceTier']
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    const getTotalText = () => document.getElementById('cart-total').textContent;
+
+    const cableTiers = [{ minQuantity: 3, price: 270 }, { minQuantity: 10, price: 240 }];
+    const cable = {
+        id: '7', key: '7', name: 'Type-C傳輸線', price: 300, image: '/public/assets/product-type-c-cable.webp',
+        category: 'cable', quantity: 1, priceTiers: cableTiers
+    };
+    const iPadAir = {
+        id: '5', key: '5::128', variantId: '128', variantLabel: '128GB', name: 'iPad Air', price: 18900,
+        image: '/public/assets/product-ipad.webp', category: 'tablet', quantity: 1
+    };
+    const magicKeyboard = {
+        id: '6', key: '6', name: 'Magic Keyboard', price: 10900,
+        image: '/public/assets/product-magic-keyboard.webp', category: 'keyboard', quantity: 1
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('應該套用數量門檻最高的階梯價', () => {
+        loadPage('index.html');
+
+        expect(window.findPriceTier(cableTiers, 2)).toBeNull();
+        expect(window.findPriceTier(cableTiers, 3)).toEqual({ minQuantity: 3, price: 270 });
+        expect(window.findPriceTier(cableTiers, 12)).toEqual({ minQuantity: 10, price: 240 });
+        expect(window.findPriceTier(undefined, 5)).toBeNull();
+    });
+
+    it('階梯價應該驗證門檻數量與價格', () => {
+        loadPage('index.html');
+
+        expect(window.isValidPriceTier({ minQuantity: 3, price: 270 })).toBe(true);
+        expect(window.isValidPriceTier({ minQuantity: 1, price: 270 })).toBe(false);
+        expect(window.isValidPriceTier({ minQuantity: 2.5, price: 270 })).toBe(false);
+        expect(window.isValidPriceTier({ minQuantity: 3, price: 0 })).toBe(false);
+    });
+
+    it('組合折抵應該依小計比例分攤到組合內的商品', () => {
+        loadPage('index.html');
+        const { items, bundles } = window.priceCartItems([iPadAir, magicKeyboard, { ...cable, quantity: 2 }]);
+
+        expect(bundles).toHaveLength(1);
+        expect(bundles[0].amount).toBe(1500);
+        expect(items.map(item => item.bundleDiscount)).toEqual([951, 549, undefined]);
+        expect(items[2].price).toBe(300);
+    });
+
+    it('組合優惠依成立的組數折抵，多出的商品不折抵', () => {
+        loadPage('index.html');
+        const { items, bundles } = window.priceCartItems([{ ...iPadAir, quantity: 2 }, magicKeyboard]);
+
+        expect(bundles[0].sets).toBe(1);
+        expect(items[0].bundleDiscount + items[1].bundleDiscount).toBe(1500);
+    });
+
+    it('購物車項目應該標示套用的階梯價並以階梯價計算總金額', () => {
+        loadPage('cart.html', [{ ...cable, quantity: 3 }]);
+
+        const itemElement = document.querySelector('.cart-item');
+        expect(itemElement.querySelector('.item-list-price').textContent).toBe('NT$ 300');
+        expect(itemElement.querySelector('.item-pricing.tier').textContent).toBe('3 件以上每件 NT$ 270');
+        expect(itemElement.querySelector('.item-total').textContent.trim()).toBe('NT$ 810');
+        expect(getTotalText()).toContain('商品總計: NT$ 810');
+        expect(window.calculateTotal()).toBe(910);
+    });
+
+    it('數量低於門檻時應該恢復原價', () => {
+        loadPage('cart.html', [{ ...cable, quantity: 3 }]);
+
+        window.changeQuantity('7', 2);
+
+        expect(document.querySelector('.cart-item .item-pricing')).toBeNull();
+        expect(document.querySelector('.cart-item .item-price').textContent).toBe('NT$ 300');
+        expect(window.calculateTotal()).toBe(700);
+    });
+
+    it('購物車項目應該標示組合優惠並從總金額扣除', () => {
+        loadPage('cart.html', [iPadAir, magicKeyboard]);
+
+        const bundleNotes = [...document.querySelectorAll('.item-pricing.bundle')].map(element => element.textContent);
+        expect(bundleNotes).toEqual([
+            '組合優惠（iPad Air + Magic Keyboard）：-NT$ 951',
+            '組合優惠（iPad Air + Magic Keyboard）：-NT$ 549'
+        ]);
+        expect(getTotalText()).toContain('商品總計: NT$ 28,300');
+        expect(window.calculateTotal()).toBe(28300);
+    });
+});
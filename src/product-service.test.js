@@ -0,0 +1,324 @@
+/**
+ * @jest-environment node
+ */
+// 使用 Node 環境以取得內建的 fetch 與 AbortController，並對本機的測試伺服器送出真實的 HTTP 請求
+
+const http = require('http');
+const { loadTestPage, createCartEnvelope } = require('./testHelpers');
+
+// 測試伺服器回傳的商品目錄
+const CATALOGUE = [
+    { id: 'a1', name: '測試耳機', price: 1990, image: '/a1.webp', description: '測試用耳機', category: 'audio', stock: 5 },
+    { id: 'a2', name: '測試傳輸線', price: 290, image: '/a2.webp', description: '測試用傳輸線', category: 'cable', stock: 50 }
+];
+
+describe('HTTP 商品資料來源測試', () => {
+    let server;
+    let baseUrl;
+    let requestCounts;
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 測試伺服器的路由：依路徑模擬正常、暫時失敗、逾時與格式錯誤等回應
+     */
+    const routes = {
+        '/products.json': (req, res) => respondJson(res, 200, { products: CATALOGUE }),
+        '/array.json': (req, res) => respondJson(res, 200, CATALOGUE),
+        // 由伺服器分頁，回傳指定頁的商品與總數
+        '/paged.json': (req, res, params) => {
+            const page = Number(params.get('page'));
+            const pageSize = Number(params.get('pageSize'));
+            respondJson(res, 200, {
+                products: CATALOGUE.slice((page - 1) * pageSize, page * pageSize),
+                total: CATALOGUE.length
+            });
+        },
+        // 前兩次回傳 503，第三次才成功
+        '/flaky.json': (req, res) => requestCounts['/flaky.json'] <= 2
+            ? respondJson(res, 503, { error: 'unavailable' })
+            : respondJson(res, 200, CATALOGUE),
+        '/missing.json': (req, res) => respondJson(res, 404, { error: 'not found' }),
+        '/invalid.json': (req, res) => respondJson(res, 200, [{ id: 1, name: '缺少欄位' }]),
+        '/broken.json': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{ not json');
+        },
+        // 第一頁延遲回應，用於測試背景重新驗證與切換頁碼同時進行
+        '/paged-slow.json': (req, res, params) => {
+            const page = Number(params.get('page'));
+            const pageSize = Number(params.get('pageSize'));
+            const respond = () => respondJson(res, 200, {
+                products: CATALOGUE.slice((page - 1) * pageSize, page * pageSize),
+                total: CATALOGUE.length
+            });
+            if (page === 1) {
+                const timer = setTimeout(respond, 300);
+                req.on('close', () => clearTimeout(timer));
+            } else {
+                respond();
+            }
+        },
+        // 延遲回應，用於測試逾時與取消
+        '/slow.json': (req, res) => {
+            const timer = setTimeout(() => respondJson(res, 200, CATALOGUE), 1000);
+            req.on('close', () => clearTimeout(timer));
+        }
+    };
+
+    const respondJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            const { pathname, searchParams } = new URL(req.url, 'http://127.0.0.1');
+            requestCounts[pathname] = (requestCounts[pathname] || 0) + 1;
+            const route = routes[pathname];
+            if (route) {
+                route(req, res, searchParams);
+            } else {
+                respondJson(res, 404, { error: 'not found' });
+            }
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        requestCounts = {};
+    });
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    /**
+     * 載入頁面，並以 Node 的 fetch 與 AbortController 取代 JSDOM 未提供的實作
+     * @param {string} pageName - 頁面檔名
+     * @param {string|null} endpoint - 商品目錄路徑，null 代表不設定（使用內建商品資料）
+     * @param {Object<string, *>} [storage] - 預先存入 localStorage 的資料
+     * @param {Function} [configure] - 載入腳本前設定 window（例如分頁設定）
+     */
+    const loadPage = (pageName, endpoint, storage = {}, configure = () => {}) => {
+        dom = loadTestPage(pageName, {
+            storage,
+            ready: false,
+            beforeScripts: (pageWindow) => {
+                configure(pageWindow);
+                pageWindow.console.error = jest.fn();
+                pageWindow.fetch = fetch;
+                pageWindow.AbortController = AbortController;
+                if (endpoint) {
+                    pageWindow.PRODUCT_CATALOGUE_URL = `${baseUrl}${endpoint}`;
+                }
+            },
+            expose: ['HttpProductService', 'productSource', 'productManager', 'wishlistManager', 'buyAgain']
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    /**
+     * 載入商品清單頁面
+     * @param {string|null} endpoint - 商品目錄路徑，null 代表不設定（使用內建商品資料）
+     */
+    const loadIndexPage = (endpoint) => loadPage('index.html', endpoint);
+
+    const getSavedCart = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+
+    /**
+     * 建立指向測試伺服器的商品資料來源（縮短逾時與重試等待時間）
+     * @param {string} endpoint - 商品目錄路徑
+     * @param {Object} options - 其他設定
+     */
+    const createService = (endpoint, options = {}) => new window.HttpProductService({
+        url: `${baseUrl}${endpoint}`,
+        timeout: 200,
+        retryDelay: 10,
+        ...options
+    });
+
+    const getRenderedIds = () =>
+        Array.from(document.querySelectorAll('#products-container .product-card')).map(card => card.dataset.id);
+
+    /**
+     * 等待條件成立
+     * @param {Function} predicate - 條件
+     */
+    const waitUntil = async (predicate) => {
+        for (let i = 0; i < 100 && !predicate(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    };
+
+    it('設定商品目錄網址時，頁面應該從 HTTP 載入並渲染商品', async () => {
+        // 頁面的 DOMContentLoaded 會開始從 HTTP 載入商品
+        loadIndexPage('/products.json');
+
+        await waitUntil(() => getRenderedIds().length > 0);
+
+        expect(getRenderedIds()).toEqual(['a1', 'a2']);
+        expect(window.productManager.getProductById('a2').name).toBe('測試傳輸線');
+        expect(requestCounts['/products.json']).toBe(1);
+    });
+
+    it('未設定商品目錄網址時應該使用內建商品資料', () => {
+        loadIndexPage(null);
+
+        expect(window.productSource).toBeNull();
+    });
+
+    it('應該接受直接回傳陣列的商品目錄', async () => {
+        loadIndexPage(null);
+
+        const products = await createService('/array.json').getAllProducts();
+
+        expect(products.map(product => product.id)).toEqual(['a1', 'a2']);
+    });
+
+    it('伺服器暫時錯誤時應該以退避時間重試直到成功', async () => {
+        loadIndexPage(null);
+
+        const products = await createService('/flaky.json').getAllProducts();
+
+        expect(products.length).toBe(2);
+        expect(requestCounts['/flaky.json']).toBe(3);
+    });
+
+    it('找不到資源時不應該重試', async () => {
+        loadIndexPage(null);
+
+        await expect(createService('/missing.json').getAllProducts())
+            .rejects.toMatchObject({ code: 'http', status: 404 });
+        expect(requestCounts['/missing.json']).toBe(1);
+    });
+
+    it('逾時應該重試，超過重試次數後回報逾時', async () => {
+        loadIndexPage(null);
+
+        await expect(createService('/slow.json', { timeout: 50, maxRetries: 1 }).getAllProducts())
+            .rejects.toMatchObject({ code: 'timeout' });
+        expect(requestCounts['/slow.json']).toBe(2);
+    });
+
+    it('商品資料格式不正確時應該拒絕且不重試', async () => {
+        loadIndexPage(null);
+
+        await expect(createService('/invalid.json').getAllProducts())
+            .rejects.toMatchObject({ code: 'invalid-data' });
+        await expect(createService('/broken.json').getAllProducts())
+            .rejects.toMatchObject({ code: 'invalid-data' });
+        expect(requestCounts['/invalid.json']).toBe(1);
+        expect(requestCounts['/broken.json']).toBe(1);
+    });
+
+    it('呼叫 abort 應該取消載入中的請求且不再重試', async () => {
+        loadIndexPage(null);
+
+        const service = createService('/slow.json', { timeout: 5000 });
+        const loading = service.getAllProducts();
+        await waitUntil(() => requestCounts['/slow.json'] === 1);
+        service.abort();
+
+        await expect(loading).rejects.toMatchObject({ code: 'aborted' });
+        expect(requestCounts['/slow.json']).toBe(1);
+    });
+
+    it('離開頁面時應該取消商品列表的載入且不顯示錯誤訊息', async () => {
+        // 頁面的 DOMContentLoaded 會開始從 HTTP 載入商品
+        loadIndexPage('/slow.json');
+
+        await waitUntil(() => requestCounts['/slow.json'] === 1);
+        window.dispatchEvent(new window.Event('pagehide'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(document.querySelector('#products-container .error')).toBeNull();
+        expect(window.console.error).not.toHaveBeenCalled();
+        expect(requestCounts['/slow.json']).toBe(1);
+    });
+
+    it('背景重新驗證時切換頁碼不應該取消重新驗證，且兩者完成後應該更新快取並移除載入中狀態', async () => {
+        const staleCache = {
+            version: 'stale-version',
+            savedAt: Date.now(),
+            source: `${baseUrl}/paged-slow.json`,
+            total: CATALOGUE.length,
+            products: [{ ...CATALOGUE[0], price: 1790 }]
+        };
+        loadPage('index.html', '/paged-slow.json', { productCatalogueCache: staleCache }, (pageWindow) => {
+            pageWindow.PRODUCT_PAGINATION = { pageSize: 1 };
+        });
+        const getCache = () => JSON.parse(window.localStorage.getItem('productCatalogueCache'));
+
+        // 先顯示快取的第一頁，背景重新驗證的第一頁請求尚未回應時切換到第二頁
+        await waitUntil(() => getRenderedIds().length > 0 && requestCounts['/paged-slow.json'] === 1);
+        expect(getRenderedIds()).toEqual(['a1']);
+        await window.productManager.goToPage(2);
+        expect(getRenderedIds()).toEqual(['a2']);
+
+        await waitUntil(() => getCache().version !== 'stale-version' &&
+            getRenderedIds().join() === 'a2' && !document.querySelector('.loading'));
+
+        expect(getCache().products[0].price).toBe(1990);
+        expect(getRenderedIds()).toEqual(['a2']);
+        expect(document.querySelector('.loading')).toBeNull();
+        expect(window.console.error).not.toHaveBeenCalled();
+    });
+
+    it('分頁載入時應該帶上頁碼參數，並支援伺服器分頁與本地分頁', async () => {
+        loadIndexPage(null);
+
+        const serverPage = await createService('/paged.json').getProductPage(2, 1);
+        expect(serverPage).toMatchObject({ page: 2, pageSize: 1, total: 2 });
+        expect(serverPage.items.map(product => product.id)).toEqual(['a2']);
+
+        // 端點只回傳完整目錄時在本地切出指定頁
+        const localPage = await createService('/array.json').getProductPage(1, 1);
+        expect(localPage.items.map(product => product.id)).toEqual(['a1']);
+        expect(localPage.total).toBe(2);
+    });
+
+    it('設定商品目錄網址時，願望清單應該以遠端商品目錄顯示並加入購物車', async () => {
+        loadPage('wishlist.html', '/products.json', { wishlist: ['a2', '1'] });
+
+        await window.wishlistManager.renderItems();
+        expect(Array.from(document.querySelectorAll('.wishlist-item')).map(item => item.dataset.id)).toEqual(['a2']);
+
+        await window.wishlistManager.addAllToCart();
+        expect(getSavedCart().map(item => [item.id, item.price])).toEqual([['a2', 290]]);
+    });
+
+    it('設定商品目錄網址時，再買一次應該以遠端商品目錄的價格加入購物車', async () => {
+        const orderItem = { id: 'a1', key: 'a1', name: '測試耳機', price: 1490, image: '/a1.webp', quantity: 1 };
+        loadPage('orders.html', '/products.json', {
+            shoppingCart: createCartEnvelope([]),
+            orderHistory: [{
+                orderNumber: 'ORD-20260101-001',
+                placedAt: '2026-01-01T10:30:00.000Z',
+                transactionId: null,
+                items: [orderItem],
+                coupons: [],
+                shippingMethodId: 'HOME_DELIVERY',
+                payment: { methodId: 'CASH_ON_DELIVERY', cardLast4: null },
+                totalCount: 1,
+                totalPrice: 1490,
+                discountTotal: 0,
+                shippingFee: 100,
+                finalTotal: 1590
+            }]
+        });
+
+        expect(await window.buyAgain('ORD-20260101-001')).toBe(true);
+        expect(getSavedCart().map(item => [item.id, item.price])).toEqual([['a1', 1990]]);
+    });
+});
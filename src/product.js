@@ -1,4 +1,5 @@
 // 商品管理模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js 與 currency.js
 
 // ============================================================================
 // 資料結構和常數定義
@@ -12,8 +13,105 @@
  * @property {number} price - 商品價格
  * @property {string} image - 商品圖片 URL
  * @property {string} description - 商品描述
+ * @property {string[]} [images] - 商品詳細頁的其他圖片，會接在主圖片之後
+ * @property {string} [longDescription] - 商品詳細頁的完整介紹
+ * @property {ProductSpec[]} [specs] - 商品規格表
+ * @property {string} [category] - 商品分類 ID（PRODUCT_CATEGORIES 中的分類，通常為最下層分類）
+ * @property {string[]} [tags] - 自由標籤（例如 Apple、降噪）
+ * @property {string} [releasedAt] - 上架日期（YYYY-MM-DD），用於依最新排序
+ * @property {number} [weight] - 單件重量（公斤），用於運費計算
+ * @property {boolean} [oversized] - 是否為大型商品，用於運費計算
+ * @property {number} [stock] - 庫存數量，未設定時視為不限量
+ * @property {number} [maxPerOrder] - 每筆訂單購買上限，未設定時不限制
+ * @property {PriceTier[]} [priceTiers] - 數量階梯價（pricing.js），同一商品的所有規格合併計算數量
+ * @property {ProductOption[]} [options] - 規格選項（例如容量、顏色）
+ * @property {ProductVariant[]} [variants] - 可購買的規格組合
  */
 
+/**
+ * 數量階梯價資料結構
+ * @typedef {Object} PriceTier
+ * @property {number} minQuantity - 達到此數量時適用
+ * @property {number} price - 適用時的單價（基準幣別）
+ */
+
+/**
+ * 商品規格表項目資料結構
+ * @typedef {Object} ProductSpec
+ * @property {string} label - 項目名稱（例如 螢幕）
+ * @property {string} value - 項目內容（例如 6.1 吋）
+ */
+
+/**
+ * 商品規格選項資料結構
+ * @typedef {Object} ProductOption
+ * @property {string} key - 選項鍵值（例如 storage）
+ * @property {string} label - 選項名稱（例如 容量）
+ * @property {string[]} values - 可選的值
+ */
+
+/**
+ * 商品規格資料結構
+ * @typedef {Object} ProductVariant
+ * @property {string} id - 規格 ID（同一商品內唯一）
+ * @property {Object<string, string>} options - 各選項的值
+ * @property {number} [price] - 規格售價，未設定時使用商品售價
+ * @property {string} [image] - 規格圖片，未設定時使用商品圖片
+ * @property {number} [stock] - 規格庫存，未設定時使用商品庫存
+ */
+
+/**
+ * 商品分類資料結構（以 parentId 組成樹狀分類）
+ * @typedef {Object} ProductCategory
+ * @property {string} id - 分類 ID
+ * @property {string} name - 分類名稱
+ * @property {string|null} parentId - 上層分類 ID，最上層分類為 null
+ */
+
+/**
+ * 商品查詢條件資料結構（對應網址查詢參數）
+ * @typedef {Object} ProductQuery
+ * @property {string} search - 搜尋關鍵字（比對名稱、描述與標籤）
+ * @property {number|null} minPrice - 最低價格，未設定時為 null
+ * @property {number|null} maxPrice - 最高價格，未設定時為 null
+ * @property {string} category - 商品分類 ID（含子分類），空字串代表全部分類
+ * @property {string} tag - 標籤，空字串代表全部標籤
+ * @property {string} sort - 排序方式（PRODUCT_SORT_OPTIONS 之一）
+ */
+
+/**
+ * 商品分頁資料結構（fetchProductPage 的回傳值）
+ * @typedef {Object} ProductPage
+ * @property {Product[]} items - 此頁的商品
+ * @property {number} page - 頁碼（從 1 開始）
+ * @property {number} pageSize - 每頁數量
+ * @property {number} total - 商品總數
+ */
+
+/**
+ * 商品目錄快取資料結構（儲存在 appStorage）
+ * @typedef {Object} ProductCatalogueCache
+ * @property {string} version - 依商品內容計算的版本（類似 ETag），內容相同時版本相同
+ * @property {number} savedAt - 儲存時間（毫秒時間戳記）
+ * @property {string} source - 商品資料來源（商品目錄網址或內建商品資料）
+ * @property {number} total - 商品目錄總數
+ * @property {Product[]} products - 已載入的商品
+ */
+
+// 商品分類（樹狀結構，子分類的 parentId 指向上層分類）
+const PRODUCT_CATEGORIES = [
+    { id: 'mobile', name: '行動裝置', parentId: null },
+    { id: 'phone', name: '手機', parentId: 'mobile' },
+    { id: 'tablet', name: '平板', parentId: 'mobile' },
+    { id: 'wearable', name: '穿戴裝置', parentId: 'mobile' },
+    { id: 'computer', name: '電腦', parentId: null },
+    { id: 'laptop', name: '筆電', parentId: 'computer' },
+    { id: 'accessory', name: '配件', parentId: null },
+    { id: 'audio', name: '耳機', parentId: 'accessory' },
+    { id: 'keyboard', name: '鍵盤', parentId: 'accessory' },
+    { id: 'cable', name: '傳輸線', parentId: 'accessory' }
+];
+
 // 商品資料
 const PRODUCTS = [
     {
@@ -21,55 +119,246 @@ const PRODUCTS = [
         name: 'iPhone 15 Pro',
         price: 36900,
         image: '/public/assets/product-iphone.webp',
-        description: '最新的 iPhone 15 Pro，搭載 A17 Pro 晶片'
+        description: '最新的 iPhone 15 Pro，搭載 A17 Pro 晶片',
+        category: 'phone',
+        tags: ['Apple', '5G', 'A17 Pro'],
+        releasedAt: '2023-09-22',
+        longDescription: 'iPhone 15 Pro 採用航太級鈦金屬設計，機身更輕更堅固。A17 Pro 晶片帶來更流暢的遊戲與影像處理效能，搭配 4800 萬像素主相機與 USB-C 連接埠，拍攝、傳輸與充電都更方便。',
+        specs: [
+            { label: '螢幕', value: '6.1 吋 Super Retina XDR' },
+            { label: '晶片', value: 'A17 Pro' },
+            { label: '相機', value: '4800 萬像素主相機' },
+            { label: '連接埠', value: 'USB-C' },
+            { label: '重量', value: '187 公克' }
+        ],
+        weight: 0.2,
+        stock: 10,
+        maxPerOrder: 2,
+        options: [
+            { key: 'storage', label: '容量', values: ['128GB', '256GB'] },
+            { key: 'color', label: '顏色', values: ['原色鈦金屬', '黑色鈦金屬'] }
+        ],
+        variants: [
+            { id: '128-natural', options: { storage: '128GB', color: '原色鈦金屬' }, price: 36900 },
+            { id: '128-black', options: { storage: '128GB', color: '黑色鈦金屬' }, price: 36900 },
+            { id: '256-natural', options: { storage: '256GB', color: '原色鈦金屬' }, price: 40400 },
+            { id: '256-black', options: { storage: '256GB', color: '黑色鈦金屬' }, price: 40400, stock: 3 }
+        ]
     },
     {
         id: '2',
         name: 'MacBook Air M2',
         price: 37900,
         image: '/public/assets/product-macbook-air.webp',
-        description: '輕薄便攜的 MacBook Air，搭載 M2 晶片'
+        description: '輕薄便攜的 MacBook Air，搭載 M2 晶片',
+        category: 'laptop',
+        tags: ['Apple', 'M2', '輕薄'],
+        releasedAt: '2022-07-15',
+        longDescription: 'MacBook Air 搭載 M2 晶片，採無風扇設計，安靜又輕巧。13.6 吋 Liquid Retina 顯示器與長達 18 小時的電池續航力，適合通勤與外出工作。',
+        specs: [
+            { label: '螢幕', value: '13.6 吋 Liquid Retina' },
+            { label: '晶片', value: 'Apple M2' },
+            { label: '記憶體', value: '8GB' },
+            { label: '儲存空間', value: '256GB SSD' },
+            { label: '電池續航力', value: '最長 18 小時' },
+            { label: '重量', value: '1.24 公斤' }
+        ],
+        weight: 1.3,
+        stock: 5,
+        maxPerOrder: 2
     },
     {
         id: '3',
         name: 'AirPods Pro',
         price: 7490,
         image: '/public/assets/product-air-pod.webp',
-        description: '主動降噪的無線耳機'
+        description: '主動降噪的無線耳機',
+        category: 'audio',
+        tags: ['Apple', '無線', '降噪'],
+        releasedAt: '2022-09-23',
+        longDescription: 'AirPods Pro 提供主動降噪與通透模式，可依環境切換聆聽體驗。個人化空間音訊與多種尺寸耳塞，帶來舒適貼合的配戴感受。',
+        specs: [
+            { label: '降噪', value: '主動降噪、通透模式' },
+            { label: '充電盒', value: 'MagSafe 充電盒（USB-C）' },
+            { label: '聆聽時間', value: '最長 6 小時' },
+            { label: '防水等級', value: 'IP54' }
+        ],
+        weight: 0.1,
+        stock: 20
     },
     {
         id: '4',
         name: 'Apple Watch Series 9',
         price: 12900,
         image: '/public/assets/product-apple-watch.webp',
-        description: '健康監測與運動追蹤的智慧手錶'
+        description: '健康監測與運動追蹤的智慧手錶',
+        category: 'wearable',
+        tags: ['Apple', '健康', '運動'],
+        releasedAt: '2023-09-22',
+        longDescription: 'Apple Watch Series 9 提供心率、血氧與睡眠追蹤，並支援多種運動模式。全新雙指互點兩下手勢，單手也能輕鬆操作。',
+        specs: [
+            { label: '錶殼尺寸', value: '41 公釐' },
+            { label: '晶片', value: 'S9 SiP' },
+            { label: '健康功能', value: '心率、血氧、睡眠追蹤' },
+            { label: '防水等級', value: '50 公尺' }
+        ],
+        weight: 0.1,
+        stock: 15
     },
     {
         id: '5',
         name: 'iPad Air',
         price: 18900,
         image: '/public/assets/product-ipad.webp',
-        description: '多功能平板電腦，適合工作與娛樂'
+        description: '多功能平板電腦，適合工作與娛樂',
+        category: 'tablet',
+        tags: ['Apple', '學習', '娛樂'],
+        releasedAt: '2022-03-18',
+        longDescription: 'iPad Air 搭載 M1 晶片與 10.9 吋 Liquid Retina 顯示器，支援 Apple Pencil 與 Magic Keyboard，無論筆記、繪圖或追劇都得心應手。',
+        specs: [
+            { label: '螢幕', value: '10.9 吋 Liquid Retina' },
+            { label: '晶片', value: 'Apple M1' },
+            { label: '相機', value: '1200 萬像素廣角相機' },
+            { label: '連接埠', value: 'USB-C' },
+            { label: '重量', value: '461 公克' }
+        ],
+        weight: 0.5,
+        stock: 8,
+        options: [
+            { key: 'storage', label: '容量', values: ['128GB', '256GB'] }
+        ],
+        variants: [
+            { id: '128', options: { storage: '128GB' }, price: 18900 },
+            { id: '256', options: { storage: '256GB' }, price: 22400 }
+        ]
     },
     {
         id: '6',
         name: 'Magic Keyboard',
         price: 10900,
         image: '/public/assets/product-magic-keyboard.webp',
-        description: '為 iPad 設計的鍵盤保護套'
+        description: '為 iPad 設計的鍵盤保護套',
+        category: 'keyboard',
+        tags: ['Apple', 'iPad 配件'],
+        releasedAt: '2020-05-01',
+        longDescription: 'Magic Keyboard 以磁吸方式連接 iPad，提供背光按鍵與觸控式軌跡板，並可調整觀看角度，讓 iPad 化身為行動工作站。',
+        specs: [
+            { label: '相容機型', value: 'iPad Air、iPad Pro 11 吋' },
+            { label: '按鍵', value: '背光按鍵' },
+            { label: '軌跡板', value: '支援多點觸控' },
+            { label: '連接方式', value: 'Smart Connector' }
+        ],
+        weight: 0.6,
+        stock: 6
     },
     {
         id: '7',
         name: 'Type-C傳輸線',
         price: 300,
         image: '/public/assets/product-type-c-cable.webp',
-        description: 'Type-C傳輸線'
+        description: 'Type-C傳輸線',
+        category: 'cable',
+        tags: ['USB-C', '快充'],
+        releasedAt: '2021-01-10',
+        longDescription: '雙頭 Type-C 傳輸線，支援快速充電與資料傳輸，編織線材耐彎折，適用於手機、平板與筆電。',
+        specs: [
+            { label: '長度', value: '1 公尺' },
+            { label: '接頭', value: 'USB-C 對 USB-C' },
+            { label: '充電功率', value: '最高 60W' },
+            { label: '線材', value: '尼龍編織' }
+        ],
+        weight: 0.05,
+        stock: 100,
+        maxPerOrder: 10,
+        priceTiers: [
+            { minQuantity: 3, price: 270 },
+            { minQuantity: 10, price: 240 }
+        ]
     }
 ];
 
 // DOM 元素 ID
 const PRODUCT_DOM_IDS = {
-    PRODUCTS_CONTAINER: 'products-container'
+    PRODUCTS_CONTAINER: 'products-container',
+    TOOLBAR: 'product-toolbar',
+    CATEGORY_NAV: 'category-nav',
+    RESULT_COUNT: 'product-result-count',
+    DETAIL: 'product-detail',
+    RELATED: 'related-products',
+    PAGER: 'product-pager'
+};
+
+// 商品列表的分頁方式
+const PRODUCT_PAGINATION_MODES = {
+    PAGER: 'pager', // 頁碼切換
+    INFINITE: 'infinite' // 捲動到列表底部時自動載入下一頁
+};
+
+// 商品分頁設定；可在載入腳本前設定 window.PRODUCT_PAGINATION = { mode, pageSize }
+const PRODUCT_PAGINATION_CONFIG = {
+    PAGE_SIZE: 12, // 每頁商品數量
+    DEFAULT_MODE: PRODUCT_PAGINATION_MODES.PAGER,
+    SCROLL_MARGIN: '200px' // 距離列表底部多遠時開始載入下一頁
+};
+
+// 商品詳細頁設定
+const PRODUCT_DETAIL_CONFIG = {
+    PAGE: 'product.html', // 商品詳細頁網址
+    ID_PARAM: 'id', // 商品 ID 的網址查詢參數名稱
+    RELATED_LIMIT: 4 // 相關商品最多顯示數量
+};
+
+// 商品資料來源設定
+const PRODUCT_SOURCE_CONFIG = {
+    TIMEOUT: 8000, // 單次請求逾時時間（毫秒）
+    MAX_RETRIES: 2, // 失敗後最多重試次數
+    RETRY_DELAY: 500, // 第一次重試前的等待時間（毫秒），之後每次加倍
+    MOCK_DELAY: 300 // 使用內建商品資料時模擬的網路延遲（毫秒）
+};
+
+// 商品資料來源錯誤代碼
+const PRODUCT_SOURCE_ERROR_CODES = {
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    HTTP: 'http',
+    INVALID_DATA: 'invalid-data',
+    ABORTED: 'aborted'
+};
+
+// 商品目錄快取設定
+const PRODUCT_CACHE_CONFIG = {
+    STORAGE_KEY: 'productCatalogueCache',
+    MAX_AGE: 24 * 60 * 60 * 1000, // 快取有效時間（毫秒），超過時不使用快取而重新載入
+    BUILTIN_SOURCE: 'builtin' // 使用內建商品資料時的資料來源名稱
+};
+
+// 商品排序方式
+const PRODUCT_SORT_OPTIONS = {
+    DEFAULT: 'default',
+    PRICE_ASC: 'price-asc',
+    PRICE_DESC: 'price-desc',
+    NAME: 'name',
+    NEWEST: 'newest'
+};
+
+// 排序方式顯示名稱的訊息鍵值（i18n.js）
+const PRODUCT_SORT_LABELS = {
+    [PRODUCT_SORT_OPTIONS.DEFAULT]: 'product.sort.default',
+    [PRODUCT_SORT_OPTIONS.PRICE_ASC]: 'product.sort.priceAsc',
+    [PRODUCT_SORT_OPTIONS.PRICE_DESC]: 'product.sort.priceDesc',
+    [PRODUCT_SORT_OPTIONS.NAME]: 'product.sort.name',
+    [PRODUCT_SORT_OPTIONS.NEWEST]: 'product.sort.newest'
+};
+
+// 查詢條件對應的網址查詢參數名稱
+const PRODUCT_QUERY_PARAMS = {
+    SEARCH: 'q',
+    MIN_PRICE: 'min',
+    MAX_PRICE: 'max',
+    CATEGORY: 'category',
+    TAG: 'tag',
+    SORT: 'sort',
+    PAGE: 'page'
 };
 
 // ============================================================================
@@ -85,156 +374,1589 @@ const PRODUCT_DOM_IDS = {
 const findProductById = (products, productId) =>
     products.find(product => product.id === productId);
 
-/**
- * 驗證商品資料是否有效
- * @param {Product} product - 商品資料
- * @returns {boolean} 是否有效
- */
-const isValidProduct = (product) =>
-    product &&
-    typeof product.id === 'string' &&
-    typeof product.name === 'string' &&
-    typeof product.price === 'number' &&
-    typeof product.image === 'string' &&
-    typeof product.description === 'string' &&
-    product.price > 0;
+/**
+ * 驗證選填的數量限制欄位（庫存、購買上限）
+ * @param {number|undefined} limit - 數量限制
+ * @returns {boolean} 是否有效
+ */
+const isValidQuantityLimit = (limit) =>
+    limit === undefined || (Number.isInteger(limit) && limit >= 0);
+
+/**
+ * 取得商品可購買的最大數量（庫存與每筆訂單上限取較小者）
+ * @param {Product} product - 商品資料
+ * @returns {number} 可購買的最大數量，不限量時為 Infinity
+ */
+const getAvailableQuantity = (product) => Math.min(
+    typeof product.stock === 'number' ? product.stock : Infinity,
+    typeof product.maxPerOrder === 'number' ? product.maxPerOrder : Infinity
+);
+
+/**
+ * 檢查商品是否已售完
+ * @param {Product} product - 商品資料
+ * @returns {boolean} 是否已售完
+ */
+const isOutOfStock = (product) =>
+    typeof product.stock === 'number' && product.stock <= 0;
+
+/**
+ * 檢查商品是否有多種規格
+ * @param {Product} product - 商品資料
+ * @returns {boolean} 是否有多種規格
+ */
+const hasVariants = (product) =>
+    Array.isArray(product.variants) && product.variants.length > 0;
+
+/**
+ * 根據規格 ID 查找商品規格
+ * @param {Product} product - 商品資料
+ * @param {string} variantId - 規格 ID
+ * @returns {ProductVariant|undefined} 找到的規格
+ */
+const findProductVariant = (product, variantId) =>
+    hasVariants(product)
+        ? product.variants.find(variant => variant.id === variantId)
+        : undefined;
+
+/**
+ * 取得商品的預設規格（第一個規格）
+ * @param {Product} product - 商品資料
+ * @returns {ProductVariant|undefined} 預設規格
+ */
+const getDefaultVariant = (product) =>
+    hasVariants(product) ? product.variants[0] : undefined;
+
+/**
+ * 依商品選項順序產生規格名稱（例如 256GB / 黑色鈦金屬）
+ * @param {Product} product - 商品資料
+ * @param {ProductVariant} variant - 商品規格
+ * @returns {string} 規格名稱
+ */
+const getVariantLabel = (product, variant) =>
+    (product.options || [])
+        .map(option => variant.options[option.key])
+        .filter(Boolean)
+        .join(' / ');
+
+/**
+ * 將規格的售價、圖片與庫存套用到商品資料
+ * @param {Product} product - 商品資料
+ * @param {ProductVariant|undefined} variant - 商品規格
+ * @returns {Product} 套用規格後的商品資料
+ */
+const resolveVariantProduct = (product, variant) => {
+    if (!variant) return product;
+    return {
+        ...product,
+        price: variant.price || product.price,
+        image: variant.image || product.image,
+        stock: typeof variant.stock === 'number' ? variant.stock : product.stock
+    };
+};
+
+/**
+ * 驗證商品規格是否有效
+ * @param {ProductVariant} variant - 商品規格
+ * @returns {boolean} 是否有效
+ */
+const isValidVariant = (variant) =>
+    variant &&
+    typeof variant.id === 'string' &&
+    typeof variant.options === 'object' &&
+    variant.options !== null &&
+    (variant.price === undefined || (typeof variant.price === 'number' && variant.price > 0)) &&
+    (variant.image === undefined || typeof variant.image === 'string') &&
+    isValidQuantityLimit(variant.stock);
+
+/**
+ * 驗證商品規格表項目是否有效
+ * @param {ProductSpec} spec - 規格表項目
+ * @returns {boolean} 是否有效
+ */
+const isValidProductSpec = (spec) =>
+    Boolean(spec) && typeof spec.label === 'string' && typeof spec.value === 'string';
+
+/**
+ * 驗證數量階梯價是否有效
+ * @param {PriceTier} tier - 數量階梯價
+ * @returns {boolean} 是否有效
+ */
+const isValidPriceTier = (tier) =>
+    Boolean(tier) &&
+    Number.isInteger(tier.minQuantity) && tier.minQuantity > 1 &&
+    typeof tier.price === 'number' && tier.price > 0;
+
+/**
+ * 驗證商品資料是否有效
+ * @param {Product} product - 商品資料
+ * @returns {boolean} 是否有效
+ */
+const isValidProduct = (product) =>
+    product &&
+    typeof product.id === 'string' &&
+    typeof product.name === 'string' &&
+    typeof product.price === 'number' &&
+    typeof product.image === 'string' &&
+    typeof product.description === 'string' &&
+    (product.category === undefined || typeof product.category === 'string') &&
+    (product.tags === undefined ||
+        (Array.isArray(product.tags) && product.tags.every(tag => typeof tag === 'string'))) &&
+    (product.releasedAt === undefined || typeof product.releasedAt === 'string') &&
+    (product.images === undefined ||
+        (Array.isArray(product.images) && product.images.every(image => typeof image === 'string'))) &&
+    (product.longDescription === undefined || typeof product.longDescription === 'string') &&
+    (product.specs === undefined ||
+        (Array.isArray(product.specs) && product.specs.every(isValidProductSpec))) &&
+    product.price > 0 &&
+    isValidQuantityLimit(product.stock) &&
+    isValidQuantityLimit(product.maxPerOrder) &&
+    (product.priceTiers === undefined ||
+        (Array.isArray(product.priceTiers) && product.priceTiers.every(isValidPriceTier))) &&
+    (product.variants === undefined ||
+        (Array.isArray(product.variants) && product.variants.every(isValidVariant)));
+
+/**
+ * 驗證商品陣列是否有效
+ * @param {Product[]} products - 商品陣列
+ * @returns {boolean} 是否有效
+ */
+const isValidProductArray = (products) =>
+    Array.isArray(products) && products.every(isValidProduct);
+
+// ============================================================================
+// 純函數 - 商品分類與標籤
+// ============================================================================
+
+/**
+ * 根據 ID 查找商品分類
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string} categoryId - 分類 ID
+ * @returns {ProductCategory|undefined} 找到的分類
+ */
+const findCategoryById = (categories, categoryId) =>
+    categories.find(category => category.id === categoryId);
+
+/**
+ * 取得指定分類的子分類
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string|null} parentId - 上層分類 ID，null 代表最上層
+ * @returns {ProductCategory[]} 子分類
+ */
+const getChildCategories = (categories, parentId) =>
+    categories.filter(category => category.parentId === parentId);
+
+/**
+ * 取得分類與其所有子孫分類的 ID
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string} categoryId - 分類 ID
+ * @returns {string[]} 分類 ID（含自身）
+ */
+const getCategoryDescendantIds = (categories, categoryId) => [
+    categoryId,
+    ...getChildCategories(categories, categoryId)
+        .flatMap(child => getCategoryDescendantIds(categories, child.id))
+];
+
+/**
+ * 取得從最上層到指定分類的路徑（例如 行動裝置 > 手機）
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string} categoryId - 分類 ID
+ * @returns {ProductCategory[]} 分類路徑，找不到分類時為空陣列
+ */
+const getCategoryPath = (categories, categoryId) => {
+    const category = findCategoryById(categories, categoryId);
+    if (!category) return [];
+    return category.parentId
+        ? [...getCategoryPath(categories, category.parentId), category]
+        : [category];
+};
+
+/**
+ * 將分類樹依階層順序展開，並標示每個分類的深度（用於下拉選單縮排）
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string|null} parentId - 從哪個分類開始展開，null 代表最上層
+ * @param {number} depth - 目前深度
+ * @returns {{category: ProductCategory, depth: number}[]} 展開後的分類
+ */
+const flattenCategoryTree = (categories, parentId = null, depth = 0) =>
+    getChildCategories(categories, parentId).flatMap(category => [
+        { category, depth },
+        ...flattenCategoryTree(categories, category.id, depth + 1)
+    ]);
+
+/**
+ * 檢查商品是否屬於指定分類（含子分類）
+ * @param {Product} product - 商品資料
+ * @param {string} categoryId - 分類 ID
+ * @param {ProductCategory[]} categories - 商品分類
+ * @returns {boolean} 是否屬於該分類
+ */
+const isProductInCategory = (product, categoryId, categories = PRODUCT_CATEGORIES) =>
+    Boolean(product.category) && getCategoryDescendantIds(categories, categoryId).includes(product.category);
+
+/**
+ * 檢查商品是否有指定標籤（不分大小寫）
+ * @param {Product} product - 商品資料
+ * @param {string} tag - 標籤
+ * @returns {boolean} 是否有該標籤
+ */
+const hasProductTag = (product, tag) =>
+    (product.tags || []).some(productTag => productTag.toLowerCase() === tag.toLowerCase());
+
+/**
+ * 取得商品陣列中出現的標籤（依首次出現的順序）
+ * @param {Product[]} products - 商品陣列
+ * @returns {string[]} 標籤
+ */
+const getProductTags = (products) => products
+    .flatMap(product => product.tags || [])
+    .filter((tag, index, tags) => tags.indexOf(tag) === index);
+
+// ============================================================================
+// 純函數 - 商品詳細頁
+// ============================================================================
+
+/**
+ * 取得商品詳細頁網址
+ * @param {string} productId - 商品 ID
+ * @returns {string} 商品詳細頁網址
+ */
+const getProductDetailUrl = (productId) =>
+    `${PRODUCT_DETAIL_CONFIG.PAGE}?${PRODUCT_DETAIL_CONFIG.ID_PARAM}=${encodeURIComponent(productId)}`;
+
+/**
+ * 從網址查詢字串取得商品 ID
+ * @param {string} searchString - 網址查詢字串（例如 ?id=1）
+ * @returns {string} 商品 ID，未指定時為空字串
+ */
+const parseProductDetailId = (searchString) =>
+    (new URLSearchParams(searchString).get(PRODUCT_DETAIL_CONFIG.ID_PARAM) || '').trim();
+
+/**
+ * 取得商品圖庫的圖片（主圖片在前，重複的圖片只保留一張）
+ * @param {Product} product - 商品資料
+ * @param {ProductVariant} [variant] - 商品規格，規格有專屬圖片時作為主圖片
+ * @returns {string[]} 圖片 URL
+ */
+const getProductImages = (product, variant = getDefaultVariant(product)) =>
+    [resolveVariantProduct(product, variant).image, product.image, ...(product.images || [])]
+        .filter((image, index, images) => images.indexOf(image) === index);
+
+/**
+ * 計算兩件商品的相關程度：同分類 3 分、同上層分類 2 分，每個共同標籤再加 1 分
+ * @param {Product} product - 目前的商品
+ * @param {Product} candidate - 要比較的商品
+ * @param {ProductCategory[]} categories - 商品分類
+ * @returns {number} 相關分數，0 代表不相關
+ */
+const getRelatedScore = (product, candidate, categories = PRODUCT_CATEGORIES) => {
+    const parentOf = (categoryId) => {
+        const category = findCategoryById(categories, categoryId);
+        return category ? category.parentId : null;
+    };
+    const categoryScore = product.category && candidate.category === product.category
+        ? 3
+        : (parentOf(product.category) && parentOf(candidate.category) === parentOf(product.category) ? 2 : 0);
+    const sharedTags = (product.tags || []).filter(tag => hasProductTag(candidate, tag)).length;
+    return categoryScore + sharedTags;
+};
+
+/**
+ * 取得相關商品（依相關分數由高到低，同分時維持原順序；不含商品本身與售完商品）
+ * @param {Product[]} products - 商品陣列
+ * @param {Product} product - 目前的商品
+ * @param {number} limit - 最多回傳的數量
+ * @returns {Product[]} 相關商品
+ */
+const getRelatedProducts = (products, product, limit = PRODUCT_DETAIL_CONFIG.RELATED_LIMIT) => products
+    .filter(candidate => candidate.id !== product.id && !isOutOfStock(candidate))
+    .map((candidate, index) => ({ candidate, index, score: getRelatedScore(product, candidate) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+
+/**
+ * 將數量限制在 1 與可購買數量之間
+ * @param {number} quantity - 輸入的數量
+ * @param {number} max - 可購買數量
+ * @returns {number} 調整後的數量
+ */
+const clampDetailQuantity = (quantity, max) => {
+    const value = Number.isFinite(quantity) ? Math.floor(quantity) : 1;
+    return Math.max(1, Math.min(value, max));
+};
+
+// ============================================================================
+// 純函數 - 商品搜尋、篩選與排序
+// ============================================================================
+
+/**
+ * 創建預設的查詢條件（不篩選、依宣告順序）
+ * @returns {ProductQuery} 查詢條件
+ */
+const createDefaultProductQuery = () => ({
+    search: '',
+    minPrice: null,
+    maxPrice: null,
+    category: '',
+    tag: '',
+    sort: PRODUCT_SORT_OPTIONS.DEFAULT
+});
+
+/**
+ * 取得商品卡片上顯示的售價（有規格時為預設規格的售價）
+ * @param {Product} product - 商品資料
+ * @returns {number} 顯示售價
+ */
+const getDisplayPrice = (product) => resolveVariantProduct(product, getDefaultVariant(product)).price;
+
+/**
+ * 檢查商品名稱、描述或標籤是否包含搜尋關鍵字（不分大小寫，多個關鍵字需全部符合）
+ * @param {Product} product - 商品資料
+ * @param {string} search - 搜尋關鍵字
+ * @returns {boolean} 是否符合
+ */
+const matchesSearch = (product, search) => {
+    const text = [product.name, product.description, ...(product.tags || [])].join(' ').toLowerCase();
+    return search
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean)
+        .every(keyword => text.includes(keyword));
+};
+
+/**
+ * 檢查商品售價是否在價格區間內
+ * @param {Product} product - 商品資料
+ * @param {number|null} minPrice - 最低價格
+ * @param {number|null} maxPrice - 最高價格
+ * @returns {boolean} 是否符合
+ */
+const matchesPriceRange = (product, minPrice, maxPrice) => {
+    const price = getDisplayPrice(product);
+    return (minPrice === null || price >= minPrice) && (maxPrice === null || price <= maxPrice);
+};
+
+/**
+ * 檢查商品是否屬於指定分類（含子分類）
+ * @param {Product} product - 商品資料
+ * @param {string} category - 商品分類 ID，空字串代表全部分類
+ * @returns {boolean} 是否符合
+ */
+const matchesCategory = (product, category) => !category || isProductInCategory(product, category);
+
+/**
+ * 檢查商品是否有指定標籤
+ * @param {Product} product - 商品資料
+ * @param {string} tag - 標籤，空字串代表全部標籤
+ * @returns {boolean} 是否符合
+ */
+const matchesTag = (product, tag) => !tag || hasProductTag(product, tag);
+
+/**
+ * 依排序方式排序商品（純函數，不修改原陣列）
+ * @param {Product[]} products - 商品陣列
+ * @param {string} sort - 排序方式
+ * @returns {Product[]} 排序後的商品陣列
+ */
+const sortProducts = (products, sort) => {
+    const sorted = [...products];
+    switch (sort) {
+        case PRODUCT_SORT_OPTIONS.PRICE_ASC:
+            return sorted.sort((a, b) => getDisplayPrice(a) - getDisplayPrice(b));
+        case PRODUCT_SORT_OPTIONS.PRICE_DESC:
+            return sorted.sort((a, b) => getDisplayPrice(b) - getDisplayPrice(a));
+        case PRODUCT_SORT_OPTIONS.NAME:
+            return sorted.sort((a, b) => a.name.localeCompare(b.name, 'zh-Hant'));
+        case PRODUCT_SORT_OPTIONS.NEWEST:
+            // 沒有上架日期的商品排在最後
+            return sorted.sort((a, b) => (b.releasedAt || '').localeCompare(a.releasedAt || ''));
+        default:
+            return sorted;
+    }
+};
+
+/**
+ * 依查詢條件篩選並排序商品
+ * @param {Product[]} products - 商品陣列
+ * @param {ProductQuery} query - 查詢條件
+ * @returns {Product[]} 符合條件的商品
+ */
+const queryProducts = (products, query) => sortProducts(
+    products.filter(product =>
+        matchesSearch(product, query.search) &&
+        matchesPriceRange(product, query.minPrice, query.maxPrice) &&
+        matchesCategory(product, query.category) &&
+        matchesTag(product, query.tag)
+    ),
+    query.sort
+);
+
+/**
+ * 將查詢參數的值轉換為價格，空值或無效值為 null
+ * @param {string|null} value - 查詢參數的值
+ * @returns {number|null} 價格
+ */
+const parsePriceParam = (value) => {
+    if (value === null || value.trim() === '') return null;
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+/**
+ * 從網址查詢字串解析查詢條件，無效的值使用預設值
+ * @param {string} searchString - 網址查詢字串（例如 ?q=iphone&sort=price-asc）
+ * @returns {ProductQuery} 查詢條件
+ */
+const parseProductQuery = (searchString) => {
+    const params = new URLSearchParams(searchString);
+    const sort = params.get(PRODUCT_QUERY_PARAMS.SORT);
+    return {
+        search: (params.get(PRODUCT_QUERY_PARAMS.SEARCH) || '').trim(),
+        minPrice: parsePriceParam(params.get(PRODUCT_QUERY_PARAMS.MIN_PRICE)),
+        maxPrice: parsePriceParam(params.get(PRODUCT_QUERY_PARAMS.MAX_PRICE)),
+        category: params.get(PRODUCT_QUERY_PARAMS.CATEGORY) || '',
+        tag: (params.get(PRODUCT_QUERY_PARAMS.TAG) || '').trim(),
+        sort: Object.values(PRODUCT_SORT_OPTIONS).includes(sort) ? sort : PRODUCT_SORT_OPTIONS.DEFAULT
+    };
+};
+
+/**
+ * 將查詢條件轉換為網址查詢字串，省略預設值
+ * @param {ProductQuery} query - 查詢條件
+ * @param {number} page - 目前頁碼，第 1 頁時省略
+ * @returns {string} 網址查詢字串（沒有條件時為空字串）
+ */
+const productQueryToSearchString = (query, page = 1) => {
+    const params = new URLSearchParams();
+    if (query.search) params.set(PRODUCT_QUERY_PARAMS.SEARCH, query.search);
+    if (query.minPrice !== null) params.set(PRODUCT_QUERY_PARAMS.MIN_PRICE, String(query.minPrice));
+    if (query.maxPrice !== null) params.set(PRODUCT_QUERY_PARAMS.MAX_PRICE, String(query.maxPrice));
+    if (query.category) params.set(PRODUCT_QUERY_PARAMS.CATEGORY, query.category);
+    if (query.tag) params.set(PRODUCT_QUERY_PARAMS.TAG, query.tag);
+    if (query.sort !== PRODUCT_SORT_OPTIONS.DEFAULT) params.set(PRODUCT_QUERY_PARAMS.SORT, query.sort);
+    if (page > 1) params.set(PRODUCT_QUERY_PARAMS.PAGE, String(page));
+    const searchString = params.toString();
+    return searchString ? `?${searchString}` : '';
+};
+
+/**
+ * 檢查查詢條件是否需要完整的商品目錄才能得到正確結果（有任何篩選或非預設排序）
+ * @param {ProductQuery} query - 查詢條件
+ * @returns {boolean} 是否需要完整的商品目錄
+ */
+const isProductQueryActive = (query) =>
+    productQueryToSearchString(query) !== '';
+
+// ============================================================================
+// 純函數 - 商品分頁
+// ============================================================================
+
+/**
+ * 解析網址中的頁碼，無效時為第 1 頁
+ * @param {string} searchString - 網址查詢字串
+ * @returns {number} 頁碼（從 1 開始）
+ */
+const parsePageParam = (searchString) => {
+    const page = Number(new URLSearchParams(searchString).get(PRODUCT_QUERY_PARAMS.PAGE));
+    return Number.isInteger(page) && page > 0 ? page : 1;
+};
+
+/**
+ * 取得頁面指定的分頁設定；無效的設定使用預設值
+ * @param {Object} [options] - 分頁設定，預設讀取 window.PRODUCT_PAGINATION
+ * @returns {{mode: string, pageSize: number}} 分頁設定
+ */
+const resolveProductPagination = (options = typeof window !== 'undefined' ? window.PRODUCT_PAGINATION : undefined) => {
+    const { mode, pageSize } = options || {};
+    return {
+        mode: Object.values(PRODUCT_PAGINATION_MODES).includes(mode) ? mode : PRODUCT_PAGINATION_CONFIG.DEFAULT_MODE,
+        pageSize: Number.isInteger(pageSize) && pageSize > 0 ? pageSize : PRODUCT_PAGINATION_CONFIG.PAGE_SIZE
+    };
+};
+
+/**
+ * 計算總頁數（至少 1 頁）
+ * @param {number} total - 商品總數
+ * @param {number} pageSize - 每頁數量
+ * @returns {number} 總頁數
+ */
+const getTotalPages = (total, pageSize) => Math.max(1, Math.ceil(total / pageSize));
+
+/**
+ * 取出指定頁的商品
+ * @param {Product[]} products - 商品陣列
+ * @param {number} page - 頁碼（從 1 開始）
+ * @param {number} pageSize - 每頁數量
+ * @returns {ProductPage} 分頁資料
+ */
+const paginateProducts = (products, page, pageSize) => ({
+    items: products.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    total: products.length
+});
+
+/**
+ * 將商品目錄端點的回應轉換為分頁資料
+ * 回應含 total 時視為伺服器已分頁；只回傳完整目錄時在本地切出指定頁
+ * @param {*} payload - 回應內容（陣列、{ products } 或 { products, total }）
+ * @param {number} page - 頁碼
+ * @param {number} pageSize - 每頁數量
+ * @returns {ProductPage|null} 分頁資料，商品資料格式不正確時為 null
+ */
+const createProductPage = (payload, page, pageSize) => {
+    const products = extractProductCatalogue(payload);
+    if (!isValidProductArray(products)) return null;
+    return payload && Number.isInteger(payload.total) && payload.total >= 0
+        ? { items: products, page, pageSize, total: payload.total }
+        : paginateProducts(products, page, pageSize);
+};
+
+/**
+ * 將新載入的商品接在已載入的商品後方，略過已存在的商品 ID
+ * @param {Product[]} products - 已載入的商品
+ * @param {Product[]} items - 新載入的商品
+ * @returns {Product[]} 合併後的商品
+ */
+const appendProductPage = (products, items) => [
+    ...products,
+    ...items.filter(item => !findProductById(products, item.id))
+];
+
+/**
+ * 取得頁碼列要顯示的頁碼；頁數多時只顯示首尾與目前頁附近的頁碼，中間以 null 表示省略
+ * @param {number} page - 目前頁碼
+ * @param {number} totalPages - 總頁數
+ * @returns {(number|null)[]} 頁碼
+ */
+const getPagerPages = (page, totalPages) => Array.from({ length: totalPages }, (_, index) => index + 1)
+    .filter(number => number === 1 || number === totalPages || Math.abs(number - page) <= 1)
+    .reduce((pages, number) => {
+        const previous = pages[pages.length - 1];
+        return previous && number - previous > 1 ? [...pages, null, number] : [...pages, number];
+    }, []);
+
+// ============================================================================
+// 純函數 - 商品目錄快取
+// ============================================================================
+
+/**
+ * 依商品內容計算目錄版本（類似 ETag）；商品內容或順序改變時版本就會改變
+ * @param {Product[]} products - 商品陣列
+ * @param {number} total - 商品目錄總數
+ * @returns {string} 版本字串
+ */
+const computeCatalogueVersion = (products, total = products.length) => {
+    const content = JSON.stringify([total, products]);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+        hash = Math.imul(hash ^ content.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return `${hash.toString(16)}-${products.length}`;
+};
+
+/**
+ * 建立商品目錄快取
+ * @param {Product[]} products - 已載入的商品
+ * @param {number} total - 商品目錄總數
+ * @param {string} source - 商品資料來源
+ * @param {number} now - 目前時間（毫秒時間戳記）
+ * @returns {ProductCatalogueCache} 快取資料
+ */
+const createProductCatalogueCache = (products, total, source, now = Date.now()) => ({
+    version: computeCatalogueVersion(products, total),
+    savedAt: now,
+    source,
+    total,
+    products
+});
+
+/**
+ * 檢查快取是否可以使用：格式正確、來自同一個資料來源且尚未過期
+ * @param {*} cache - 讀取到的快取
+ * @param {string} source - 目前的商品資料來源
+ * @param {number} now - 目前時間（毫秒時間戳記）
+ * @param {number} maxAge - 快取有效時間（毫秒）
+ * @returns {boolean} 是否可以使用
+ */
+const isUsableProductCatalogueCache = (cache, source, now = Date.now(), maxAge = PRODUCT_CACHE_CONFIG.MAX_AGE) =>
+    Boolean(cache) &&
+    typeof cache.version === 'string' &&
+    Number.isFinite(cache.savedAt) &&
+    cache.source === source &&
+    Number.isInteger(cache.total) &&
+    isValidProductArray(cache.products) &&
+    cache.products.length > 0 &&
+    now - cache.savedAt <= maxAge;
+
+/**
+ * 比較兩份商品目錄，找出內容改變、新增與移除的商品 ID
+ * @param {Product[]} previous - 原本的商品
+ * @param {Product[]} next - 新的商品
+ * @returns {{changed: string[], added: string[], removed: string[]}} 差異
+ */
+const diffProductCatalogues = (previous, next) => ({
+    changed: next
+        .filter(product => {
+            const previousProduct = findProductById(previous, product.id);
+            return previousProduct && JSON.stringify(previousProduct) !== JSON.stringify(product);
+        })
+        .map(product => product.id),
+    added: next.filter(product => !findProductById(previous, product.id)).map(product => product.id),
+    removed: previous.filter(product => !findProductById(next, product.id)).map(product => product.id)
+});
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 格式化價格顯示；價格以基準幣別（新台幣）儲存，顯示時以 Money 換算為目前選擇的幣別（currency.js）
+ * @param {number|Money} price - 基準幣別價格或金額值
+ * @param {string} [currencyCode] - 幣別代碼，預設為目前選擇的幣別
+ * @param {number} [exchangeRate] - 匯率，預設使用匯率表
+ * @returns {string} 格式化後的價格字串
+ */
+const formatPrice = (price, currencyCode, exchangeRate) => currencyManager.format(price, currencyCode, exchangeRate);
+
+/**
+ * 取得分類的顯示名稱；目前語系沒有此分類的翻譯時使用分類資料本身的名稱
+ * @param {ProductCategory} category - 商品分類
+ * @returns {string} 分類名稱
+ */
+const getCategoryName = (category) => t(`product.categories.${category.id}`, { defaultValue: category.name });
+
+/**
+ * 將商品規格選擇器轉換為 HTML 字串
+ * @param {Product} product - 商品資料
+ * @returns {string} HTML 字串，商品沒有規格時為空字串
+ */
+const variantSelectorToHtml = (product) => {
+    if (!hasVariants(product)) return '';
+
+    const optionsHtml = product.variants.map(variant => {
+        const resolved = resolveVariantProduct(product, variant);
+        return `
+                <option value="${variant.id}" data-price="${resolved.price}" data-image="${resolved.image}"
+                    data-stock="${getAvailableQuantity(resolved)}"
+                    ${isOutOfStock(resolved) ? 'disabled' : ''}>
+                    ${isOutOfStock(resolved)
+                        ? t('product.variantSoldOut', { label: getVariantLabel(product, variant) })
+                        : getVariantLabel(product, variant)}
+                </option>`;
+    }).join('');
+
+    return `
+            <select class="variant-select" onchange="updateVariantPreview(this)">${optionsHtml}
+            </select>`;
+};
+
+/**
+ * 檢查商品是否在願望清單中（wishlist.js 未載入時視為不在清單中）
+ * @param {string} productId - 商品 ID
+ * @returns {boolean} 是否在願望清單中
+ */
+const isProductWishlisted = (productId) =>
+    typeof isInWishlist === 'function' && isInWishlist(productId);
+
+/**
+ * 將願望清單愛心按鈕轉換為 HTML 字串
+ * @param {Product} product - 商品資料
+ * @param {boolean} wishlisted - 是否在願望清單中
+ * @returns {string} HTML 字串
+ */
+const wishlistButtonToHtml = (product, wishlisted) => `
+            <button class="wishlist-btn${wishlisted ? ' active' : ''}" aria-pressed="${wishlisted}"
+                aria-label="${t('product.addToWishlist')}" onclick="toggleWishlist('${product.id}')">${wishlisted ? '♥' : '♡'}</button>`;
+
+/**
+ * 將商品轉換為 HTML 字串
+ * @param {Product} product - 商品資料
+ * @param {boolean} wishlisted - 是否在願望清單中
+ * @returns {string} HTML 字串
+ */
+const productToHtml = (product, wishlisted = isProductWishlisted(product.id)) => {
+    const displayProduct = resolveVariantProduct(product, getDefaultVariant(product));
+    return `
+    <div class="product-card${isOutOfStock(product) ? ' out-of-stock' : ''}" data-id="${product.id}">
+        <div class="product-image">
+            <a href="${getProductDetailUrl(product.id)}" class="product-link"><img src="${displayProduct.image}" alt="${product.name}"></a>
+            ${isOutOfStock(product) ? `<span class="stock-badge">${t('common.soldOut')}</span>` : ''}${wishlistButtonToHtml(product, wishlisted)}
+        </div>
+        <div class="product-info">
+            <h3><a href="${getProductDetailUrl(product.id)}" class="product-link">${product.name}</a></h3>
+            <p class="product-description">${product.description}</p>
+            ${productTagsToHtml(product)}
+            ${variantSelectorToHtml(product)}
+            <p class="product-price">${formatPrice(displayProduct.price)}</p>
+            <button class="add-to-cart-btn" onclick="addToCart(${JSON.stringify(product).replace(/"/g, '&quot;')}, getSelectedVariantId(this))"
+                ${isOutOfStock(product) ? 'disabled' : ''}>
+                ${isOutOfStock(product) ? t('common.soldOut') : t('common.addToCart')}
+            </button>
+        </div>
+    </div>
+`;
+};
+
+/**
+ * 產生商品標籤 HTML 字串，點選標籤會列出同標籤的商品
+ * @param {Product} product - 商品資料
+ * @returns {string} HTML 字串，沒有標籤時為空字串
+ */
+const productTagsToHtml = (product) => (product.tags || []).length === 0 ? '' : `
+            <ul class="product-tags">
+                ${product.tags.map(tag => `<li><a href="index.html?${PRODUCT_QUERY_PARAMS.TAG}=${encodeURIComponent(tag)}" class="product-tag">#${tag}</a></li>`).join('')}
+            </ul>`;
+
+/**
+ * 將商品陣列轉換為 HTML 字串
+ * @param {Product[]} products - 商品陣列
+ * @returns {string} HTML 字串
+ */
+const productsToHtml = (products) => products.map(product => productToHtml(product)).join('');
+
+/**
+ * 產生分類下拉選單選項，子分類依深度縮排
+ * @param {ProductCategory[]} categories - 商品分類
+ * @returns {string} HTML 字串
+ */
+const categoryOptionsToHtml = (categories) => flattenCategoryTree(categories)
+    .map(({ category, depth }) =>
+        `<option value="${category.id}">${'\u3000'.repeat(depth)}${getCategoryName(category)}</option>`)
+    .join('');
+
+/**
+ * 產生商品搜尋工具列 HTML 字串；欄位的值由 fillProductToolbarForm 設定，避免將網址內容直接寫入 HTML
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string[]} tags - 商品標籤
+ * @returns {string} HTML 字串
+ */
+const productToolbarToHtml = (categories, tags = []) => `
+    <form class="product-toolbar-form" onsubmit="return false;">
+        <input type="search" name="search" class="toolbar-search" placeholder="${t('product.toolbar.searchPlaceholder')}"
+            aria-label="${t('product.toolbar.searchLabel')}">
+        <div class="toolbar-price">
+            <input type="number" name="minPrice" min="0" placeholder="${t('product.toolbar.minPrice')}" aria-label="${t('product.toolbar.minPrice')}">
+            <span>～</span>
+            <input type="number" name="maxPrice" min="0" placeholder="${t('product.toolbar.maxPrice')}" aria-label="${t('product.toolbar.maxPrice')}">
+        </div>
+        <select name="category" aria-label="${t('product.toolbar.category')}">
+            <option value="">${t('product.toolbar.allCategories')}</option>
+            ${categoryOptionsToHtml(categories)}
+        </select>
+        <select name="tag" aria-label="${t('product.toolbar.tag')}">
+            <option value="">${t('product.toolbar.allTags')}</option>
+            ${tags.map(tag => `<option value="${tag}">#${tag}</option>`).join('')}
+        </select>
+        <select name="sort" aria-label="${t('product.toolbar.sort')}">
+            ${Object.values(PRODUCT_SORT_OPTIONS)
+                .map(sort => `<option value="${sort}">${t(PRODUCT_SORT_LABELS[sort])}</option>`)
+                .join('')}
+        </select>
+        <button type="button" class="toolbar-reset-btn" onclick="resetProductQuery()">${t('product.toolbar.reset')}</button>
+    </form>
+    <p id="${PRODUCT_DOM_IDS.RESULT_COUNT}" class="product-result-count"></p>
+`;
+
+/**
+ * 產生頁首分類導覽 HTML 字串，最上層分類下方列出子分類
+ * @param {ProductCategory[]} categories - 商品分類
+ * @param {string} activeCategoryId - 目前選取的分類 ID
+ * @returns {string} HTML 字串
+ */
+const categoryNavToHtml = (categories, activeCategoryId = '') => {
+    const activePathIds = getCategoryPath(categories, activeCategoryId).map(category => category.id);
+    const linkToHtml = (category, className) =>
+        `<a href="index.html?${PRODUCT_QUERY_PARAMS.CATEGORY}=${category.id}" class="${className}${activePathIds.includes(category.id) ? ' active' : ''}">${getCategoryName(category)}</a>`;
+
+    return `
+    <ul class="category-nav-list">
+        ${getChildCategories(categories, null).map(category => {
+            const children = getChildCategories(categories, category.id);
+            return `
+        <li class="category-nav-item" data-category="${category.id}">
+            ${linkToHtml(category, 'category-nav-link')}
+            ${children.length === 0 ? '' : `
+            <ul class="category-nav-children">
+                ${children.map(child => `<li>${linkToHtml(child, 'category-nav-child')}</li>`).join('')}
+            </ul>`}
+        </li>`;
+        }).join('')}
+    </ul>
+`;
+};
+
+/**
+ * 產生沒有符合條件商品時的 HTML 字串
+ * @returns {string} HTML 字串
+ */
+const emptyProductResultsToHtml = () => `
+    <div class="products-empty">
+        <p>${t('product.noResults')}</p>
+        <button class="btn btn-primary" onclick="resetProductQuery()">${t('product.clearSearch')}</button>
+    </div>
+`;
+
+/**
+ * 產生頁碼列 HTML 字串；只有一頁時為空字串
+ * @param {number} page - 目前頁碼
+ * @param {number} totalPages - 總頁數
+ * @returns {string} HTML 字串
+ */
+const productPagerToHtml = (page, totalPages) => totalPages <= 1 ? '' : `
+    <nav class="product-pager-nav" aria-label="${t('product.pager.label')}">
+        <button type="button" class="pager-btn" onclick="goToProductPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}>${t('product.pager.previous')}</button>
+        ${getPagerPages(page, totalPages).map(number => number === null
+            ? '<span class="pager-ellipsis">…</span>'
+            : `<button type="button" class="pager-btn${number === page ? ' active' : ''}" data-page="${number}"
+                ${number === page ? 'aria-current="page"' : ''} onclick="goToProductPage(${number})">${number}</button>`).join('')}
+        <button type="button" class="pager-btn" onclick="goToProductPage(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>${t('product.pager.next')}</button>
+    </nav>
+`;
+
+/**
+ * 產生無限捲動模式的列表底部 HTML 字串：捲動到此處時自動載入下一頁，
+ * 也可點選「載入更多」按鈕（不支援 IntersectionObserver 的瀏覽器）
+ * @param {boolean} hasMore - 是否還有尚未顯示的商品
+ * @returns {string} HTML 字串
+ */
+const productLoadMoreToHtml = (hasMore) => hasMore ? `
+    <div class="products-sentinel">
+        <button type="button" class="btn load-more-btn" onclick="loadMoreProducts()">${t('product.loadMore')}</button>
+    </div>
+` : '';
+
+/**
+ * 產生商品圖庫 HTML 字串；只有一張圖片時不顯示縮圖列
+ * @param {Product} product - 商品資料
+ * @param {string[]} images - 圖片 URL（第一張為主圖片）
+ * @returns {string} HTML 字串
+ */
+const productGalleryToHtml = (product, images) => `
+        <div class="product-gallery">
+            <div class="gallery-main">
+                <img src="${images[0]}" alt="${product.name}">
+            </div>
+            ${images.length < 2 ? '' : `
+            <div class="gallery-thumbnails">
+                ${images.map((image, index) => `
+                <button type="button" class="gallery-thumbnail${index === 0 ? ' active' : ''}" data-image="${image}"
+                    aria-label="${t('product.imageLabel', { name: product.name, index: index + 1 })}" onclick="selectGalleryImage(this)">
+                    <img src="${image}" alt="">
+                </button>`).join('')}
+            </div>`}
+        </div>`;
+
+/**
+ * 產生商品規格表 HTML 字串
+ * @param {ProductSpec[]} specs - 規格表項目
+ * @returns {string} HTML 字串，沒有規格時為空字串
+ */
+const productSpecsToHtml = (specs = []) => specs.length === 0 ? '' : `
+        <section class="product-specs">
+            <h3>${t('product.specs')}</h3>
+            <table class="specs-table">
+                <tbody>
+                    ${specs.map(spec => `<tr><th scope="row">${spec.label}</th><td>${spec.value}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        </section>`;
+
+/**
+ * 產生數量選擇器 HTML 字串
+ * @param {number} max - 可購買數量
+ * @returns {string} HTML 字串
+ */
+const quantityPickerToHtml = (max) => `
+            <div class="quantity-picker">
+                <span class="quantity-picker-label">${t('product.quantity.label')}</span>
+                <button type="button" class="quantity-btn" aria-label="${t('product.quantity.decrease')}" onclick="changeDetailQuantity(this, -1)">-</button>
+                <input type="number" class="detail-quantity" name="quantity" value="1" min="1" max="${max}"
+                    aria-label="${t('product.quantity.input')}" onchange="changeDetailQuantity(this, 0)">
+                <button type="button" class="quantity-btn" aria-label="${t('product.quantity.increase')}" onclick="changeDetailQuantity(this, 1)">+</button>
+            </div>`;
+
+/**
+ * 產生分類麵包屑 HTML 字串（例如 商品清單 > 行動裝置 > 手機）
+ * @param {Product} product - 商品資料
+ * @returns {string} HTML 字串
+ */
+const productBreadcrumbToHtml = (product) => `
+        <nav class="breadcrumb" aria-label="${t('product.toolbar.category')}">
+            <a href="index.html">${t('header.products')}</a>
+            ${getCategoryPath(PRODUCT_CATEGORIES, product.category).map(category =>
+                `<span>›</span><a href="index.html?${PRODUCT_QUERY_PARAMS.CATEGORY}=${category.id}">${getCategoryName(category)}</a>`).join('')}
+        </nav>`;
+
+/**
+ * 產生商品詳細頁 HTML 字串
+ * @param {Product} product - 商品資料
+ * @param {boolean} wishlisted - 是否在願望清單中
+ * @returns {string} HTML 字串
+ */
+const productDetailToHtml = (product, wishlisted = isProductWishlisted(product.id)) => {
+    const displayProduct = resolveVariantProduct(product, getDefaultVariant(product));
+    const soldOut = isOutOfStock(product);
+    return `
+    ${productBreadcrumbToHtml(product)}
+    <div class="product-detail-main">
+        ${productGalleryToHtml(product, getProductImages(product))}
+        <div class="product-detail-info">
+            <h2>${product.name}</h2>
+            <p class="product-description">${product.description}</p>
+            ${productTagsToHtml(product)}
+            <p class="product-price">${formatPrice(displayProduct.price)}</p>
+            ${variantSelectorToHtml(product)}
+            ${soldOut ? '' : quantityPickerToHtml(getAvailableQuantity(displayProduct))}
+            <div class="product-detail-actions">
+                <button class="add-to-cart-btn" onclick="addDetailToCart(this)" ${soldOut ? 'disabled' : ''}>
+                    ${soldOut ? t('common.soldOut') : t('common.addToCart')}
+                </button>${wishlistButtonToHtml(product, wishlisted)}
+            </div>
+        </div>
+    </div>
+    ${product.longDescription ? `
+    <section class="product-long-description">
+        <h3>${t('product.longDescription')}</h3>
+        <p>${product.longDescription}</p>
+    </section>` : ''}
+    ${productSpecsToHtml(product.specs)}
+`;
+};
+
+/**
+ * 產生相關商品 HTML 字串
+ * @param {Product[]} products - 相關商品
+ * @returns {string} HTML 字串，沒有相關商品時為空字串
+ */
+const relatedProductsToHtml = (products) => products.length === 0 ? '' : `
+    <h3>${t('product.related')}</h3>
+    <div class="products-grid">${productsToHtml(products)}</div>
+`;
+
+/**
+ * 產生找不到商品時的 HTML 字串
+ * @returns {string} HTML 字串
+ */
+const productNotFoundToHtml = () => `
+    <div class="products-empty">
+        <p>${t('product.notFound')}</p>
+        <a href="index.html" class="btn btn-primary">${t('product.backToList')}</a>
+    </div>
+`;
+
+// ============================================================================
+// 副作用函數 - DOM 操作
+// ============================================================================
+
+/**
+ * 安全地取得 DOM 元素
+ * @param {string} id - 元素 ID
+ * @returns {HTMLElement|null} DOM 元素或 null
+ */
+const safeGetElement = (id) => {
+    const element = document.getElementById(id);
+    if (!element) {
+        console.warn(`找不到 DOM 元素: ${id}`);
+    }
+    return element;
+};
+
+/**
+ * 取得商品卡片中目前選擇的規格 ID
+ * @param {HTMLElement} element - 商品卡片內的元素
+ * @returns {string|undefined} 規格 ID，商品沒有規格時為 undefined
+ */
+const getSelectedVariantId = (element) => {
+    const card = element.closest('.product-card, .product-detail');
+    const select = card ? card.querySelector('.variant-select') : null;
+    return select ? select.value : undefined;
+};
+
+/**
+ * 依選擇的規格更新商品卡片或商品詳細頁的售價、圖片與可購買數量
+ * @param {HTMLSelectElement} select - 規格選擇器
+ */
+const updateVariantPreview = (select) => {
+    const card = select.closest('.product-card, .product-detail');
+    const option = select.options[select.selectedIndex];
+    if (!card || !option) return;
+
+    const priceElement = card.querySelector('.product-price');
+    const imageElement = card.querySelector('.product-image img, .gallery-main img');
+    const quantityInput = card.querySelector('.detail-quantity');
+    if (priceElement) {
+        priceElement.textContent = formatPrice(Number(option.dataset.price));
+    }
+    if (imageElement) {
+        imageElement.src = option.dataset.image;
+    }
+    if (quantityInput) {
+        quantityInput.max = option.dataset.stock;
+        changeDetailQuantity(quantityInput, 0);
+    }
+};
+
+/**
+ * 切換商品圖庫的主圖片
+ * @param {HTMLButtonElement} button - 被點選的縮圖按鈕
+ */
+const selectGalleryImage = (button) => {
+    const gallery = button.closest('.product-gallery');
+    if (!gallery) return;
+
+    gallery.querySelector('.gallery-main img').src = button.dataset.image;
+    gallery.querySelectorAll('.gallery-thumbnail').forEach(thumbnail =>
+        thumbnail.classList.toggle('active', thumbnail === button));
+};
+
+/**
+ * 增減商品詳細頁的購買數量（delta 為 0 時只將輸入值限制在有效範圍內）
+ * @param {HTMLElement} element - 數量選擇器內的元素
+ * @param {number} delta - 數量變化
+ */
+const changeDetailQuantity = (element, delta) => {
+    const picker = element.closest('.quantity-picker');
+    const input = picker ? picker.querySelector('.detail-quantity') : null;
+    if (!input) return;
+
+    const max = Number(input.max) || Infinity;
+    input.value = String(clampDetailQuantity(Number(input.value) + delta, max));
+};
+
+/**
+ * 將商品詳細頁選擇的規格與數量一次加入購物車
+ * @param {HTMLElement} element - 商品詳細頁內的元素
+ */
+const addDetailToCart = (element) => {
+    const detail = element.closest('.product-detail');
+    const product = detail ? getProductById(detail.dataset.id) : undefined;
+    if (!product) return;
+
+    const quantityInput = detail.querySelector('.detail-quantity');
+    const quantity = quantityInput ? Number(quantityInput.value) : 1;
+    addToCart(product, getSelectedVariantId(element), quantity);
+};
+
+/**
+ * 渲染商品列表
+ * @param {Product[]} products - 商品陣列
+ */
+const renderProductsList = (products) => {
+    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
+    if (!container) return;
+
+    if (!isValidProductArray(products)) {
+        console.error('無效的商品資料');
+        return;
+    }
+
+    const html = productsToHtml(products);
+    container.innerHTML = html;
+};
+
+/**
+ * 渲染符合查詢條件的商品（目前頁）與商品總數；沒有符合的商品時顯示空結果提示
+ * @param {Product[]} results - 要顯示的商品
+ * @param {number} total - 符合條件的商品總數（包含其他頁）
+ */
+const renderProductResults = (results, total = results.length) => {
+    const countElement = document.getElementById(PRODUCT_DOM_IDS.RESULT_COUNT);
+    if (countElement) {
+        countElement.textContent = t('product.resultCount', { count: total });
+    }
+
+    if (results.length === 0) {
+        const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
+        if (container) {
+            container.innerHTML = emptyProductResultsToHtml();
+        }
+        return;
+    }
+    renderProductsList(results);
+};
+
+/**
+ * 以新的商品資料替換列表中已顯示的商品卡片，其他卡片保持不變
+ * @param {Product[]} products - 內容改變的商品
+ */
+const updateProductCards = (products) => {
+    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
+    if (!container) return;
+
+    products.forEach(product => {
+        const card = container.querySelector(`.product-card[data-id="${product.id}"]`);
+        if (card) {
+            card.outerHTML = productToHtml(product).trim();
+        }
+    });
+};
+
+/**
+ * 渲染商品列表下方的頁碼列或載入更多區塊；頁面沒有分頁區塊時不做任何事
+ * @param {string} html - 分頁區塊 HTML 字串
+ */
+const renderProductPager = (html) => {
+    const pager = document.getElementById(PRODUCT_DOM_IDS.PAGER);
+    if (pager) {
+        pager.innerHTML = html;
+    }
+};
+
+/**
+ * 渲染商品詳細頁與相關商品；找不到商品時顯示提示
+ * @param {Product|undefined} product - 商品資料
+ * @param {Product[]} products - 所有商品，用於挑選相關商品
+ */
+const renderProductDetail = (product, products) => {
+    const detail = safeGetElement(PRODUCT_DOM_IDS.DETAIL);
+    if (!detail) return;
+
+    const related = document.getElementById(PRODUCT_DOM_IDS.RELATED);
+    if (!product) {
+        detail.innerHTML = productNotFoundToHtml();
+        if (related) related.innerHTML = '';
+        return;
+    }
+
+    detail.dataset.id = product.id;
+    detail.innerHTML = productDetailToHtml(product);
+    document.title = t('page.productName', { name: product.name });
+    if (related) {
+        related.innerHTML = relatedProductsToHtml(getRelatedProducts(products, product));
+    }
+};
+
+/**
+ * 將查詢條件填入工具列表單
+ * @param {HTMLFormElement} form - 工具列表單
+ * @param {ProductQuery} query - 查詢條件
+ */
+const fillProductToolbarForm = (form, query) => {
+    form.elements.search.value = query.search;
+    form.elements.minPrice.value = query.minPrice === null ? '' : String(query.minPrice);
+    form.elements.maxPrice.value = query.maxPrice === null ? '' : String(query.maxPrice);
+    form.elements.category.value = query.category;
+    form.elements.tag.value = query.tag;
+    form.elements.sort.value = query.sort;
+};
+
+/**
+ * 從工具列表單讀取查詢條件
+ * @param {HTMLFormElement} form - 工具列表單
+ * @returns {ProductQuery} 查詢條件
+ */
+const readProductToolbarForm = (form) => parseProductQuery(new URLSearchParams({
+    [PRODUCT_QUERY_PARAMS.SEARCH]: form.elements.search.value,
+    [PRODUCT_QUERY_PARAMS.MIN_PRICE]: form.elements.minPrice.value,
+    [PRODUCT_QUERY_PARAMS.MAX_PRICE]: form.elements.maxPrice.value,
+    [PRODUCT_QUERY_PARAMS.CATEGORY]: form.elements.category.value,
+    [PRODUCT_QUERY_PARAMS.TAG]: form.elements.tag.value,
+    [PRODUCT_QUERY_PARAMS.SORT]: form.elements.sort.value
+}).toString());
+
+/**
+ * 將查詢條件與頁碼寫入網址（不新增瀏覽紀錄），重新整理或分享網址時可還原
+ * @param {ProductQuery} query - 查詢條件
+ * @param {number} page - 目前頁碼
+ */
+const updateProductQueryUrl = (query, page = 1) => {
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${productQueryToSearchString(query, page)}${hash}`);
+};
+
+/**
+ * 渲染頁首分類導覽，並標示網址中目前選取的分類；頁面沒有分類導覽時不做任何事
+ * @param {ProductCategory[]} categories - 商品分類
+ */
+const renderCategoryNav = (categories = PRODUCT_CATEGORIES) => {
+    const nav = document.getElementById(PRODUCT_DOM_IDS.CATEGORY_NAV);
+    if (!nav) return;
+
+    const activeCategoryId = new URLSearchParams(window.location.search).get(PRODUCT_QUERY_PARAMS.CATEGORY) || '';
+    nav.innerHTML = categoryNavToHtml(categories, activeCategoryId);
+};
+
+/**
+ * 顯示載入狀態；列表已有商品時只在分頁區塊顯示載入中，不清除已顯示的商品
+ * @param {string} message - 載入訊息
+ */
+const showLoadingState = (message = t('common.loading')) => {
+    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
+    if (!container) return;
+
+    const pager = document.getElementById(PRODUCT_DOM_IDS.PAGER);
+    if (pager && container.querySelector('.product-card')) {
+        pager.innerHTML = `<div class="loading products-loading-more">${message}</div>`;
+        return;
+    }
+    container.innerHTML = `<div class="loading">${message}</div>`;
+};
+
+/**
+ * 顯示錯誤狀態
+ * @param {string} message - 錯誤訊息
+ */
+const showErrorState = (message = t('product.loadFailed')) => {
+    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
+    if (container) {
+        container.innerHTML = `
+            <div class="error">
+                <p>${message}</p>
+                <button onclick="location.reload()">${t('product.reload')}</button>
+            </div>
+        `;
+    }
+};
+
+// ============================================================================
+// 商品資料來源
+// ============================================================================
+
+/**
+ * 商品資料來源錯誤，code 為 PRODUCT_SOURCE_ERROR_CODES 之一
+ */
+class ProductSourceError extends Error {
+    /**
+     * @param {string} message - 錯誤訊息
+     * @param {string} code - 錯誤代碼
+     * @param {number} [status] - HTTP 狀態碼
+     */
+    constructor(message, code, status = undefined) {
+        super(message);
+        this.name = 'ProductSourceError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * 取得頁面指定的商品目錄網址；可在載入腳本前設定 window.PRODUCT_CATALOGUE_URL
+ * @returns {string|null} 商品目錄網址，未設定時為 null（使用內建商品資料）
+ */
+const resolveProductEndpoint = () =>
+    (typeof window !== 'undefined' && window.PRODUCT_CATALOGUE_URL) || null;
+
+/**
+ * 計算第 N 次重試前的等待時間（指數退避）
+ * @param {number} attempt - 已失敗的次數（從 0 開始）
+ * @param {number} baseDelay - 第一次重試前的等待時間（毫秒）
+ * @returns {number} 等待時間（毫秒）
+ */
+const getRetryDelay = (attempt, baseDelay = PRODUCT_SOURCE_CONFIG.RETRY_DELAY) => baseDelay * 2 ** attempt;
+
+/**
+ * 檢查錯誤是否值得重試：逾時、網路錯誤、伺服器錯誤（5xx）與請求過多（429）會重試，
+ * 其他 HTTP 錯誤、資料格式錯誤與取消則不重試
+ * @param {Error} error - 錯誤
+ * @returns {boolean} 是否重試
+ */
+const isRetryableProductSourceError = (error) => {
+    const { TIMEOUT, NETWORK, HTTP } = PRODUCT_SOURCE_ERROR_CODES;
+    if (error.code === TIMEOUT || error.code === NETWORK) return true;
+    return error.code === HTTP && (error.status >= 500 || error.status === 429);
+};
+
+/**
+ * 從回應內容取出商品陣列；支援直接回傳陣列或 { products: [...] } 格式
+ * @param {*} payload - 回應內容
+ * @returns {*} 商品陣列，格式不符時原樣回傳交由驗證處理
+ */
+const extractProductCatalogue = (payload) =>
+    payload && !Array.isArray(payload) && Array.isArray(payload.products) ? payload.products : payload;
+
+/**
+ * 在商品目錄網址加上分頁參數（page、pageSize）
+ * @param {string} url - 商品目錄網址
+ * @param {number} page - 頁碼
+ * @param {number} pageSize - 每頁數量
+ * @returns {string} 分頁請求網址
+ */
+const buildProductPageUrl = (url, page, pageSize) =>
+    `${url}${url.includes('?') ? '&' : '?'}page=${page}&pageSize=${pageSize}`;
+
+/**
+ * 等待指定時間，等待期間取消時立即結束
+ * @param {number} ms - 等待時間（毫秒）
+ * @param {AbortSignal} signal - 取消訊號
+ * @returns {Promise<void>}
+ */
+const waitForRetry = (ms, signal) => new Promise((resolve, reject) => {
+    const handleAbort = () => {
+        clearTimeout(timer);
+        reject(new ProductSourceError('商品資料載入已取消', PRODUCT_SOURCE_ERROR_CODES.ABORTED));
+    };
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', handleAbort);
+        resolve();
+    }, ms);
+    signal.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * 透過 HTTP 從 JSON 端點載入商品目錄（可一次載入或分頁載入）
+ * 每次請求有逾時限制，逾時、網路錯誤或伺服器錯誤時以指數退避重試；
+ * 回應會以 isValidProductArray 驗證；每次載入各自可取消，因此背景重新驗證與切換頁碼可以同時進行，
+ * 呼叫 abort() 會取消所有載入中的請求（例如離開頁面時）
+ */
+class HttpProductService {
+    /**
+     * @param {Object} options - 設定
+     * @param {string} options.url - 商品目錄 JSON 網址
+     * @param {number} [options.timeout] - 單次請求逾時時間（毫秒）
+     * @param {number} [options.maxRetries] - 失敗後最多重試次數
+     * @param {number} [options.retryDelay] - 第一次重試前的等待時間（毫秒）
+     * @param {Function} [options.fetchImpl] - fetch 實作，預設使用瀏覽器的 fetch
+     */
+    constructor({
+        url,
+        timeout = PRODUCT_SOURCE_CONFIG.TIMEOUT,
+        maxRetries = PRODUCT_SOURCE_CONFIG.MAX_RETRIES,
+        retryDelay = PRODUCT_SOURCE_CONFIG.RETRY_DELAY,
+        fetchImpl = (resource, init) => fetch(resource, init)
+    }) {
+        this.url = url;
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.fetchImpl = fetchImpl;
+        this.loadControllers = new Set(); // 載入中請求的取消控制
+    }
+
+    /**
+     * 載入所有商品
+     * @returns {Promise<Product[]>} 商品陣列
+     * @throws {ProductSourceError} 重試後仍失敗、資料格式錯誤或已取消
+     */
+    getAllProducts() {
+        return this.load(this.url, (payload) => {
+            const products = extractProductCatalogue(payload);
+            return isValidProductArray(products) ? products : null;
+        });
+    }
+
+    /**
+     * 載入指定頁的商品；端點不支援分頁（只回傳完整目錄）時在本地切出指定頁
+     * @param {number} page - 頁碼（從 1 開始）
+     * @param {number} pageSize - 每頁數量
+     * @returns {Promise<ProductPage>} 分頁資料
+     * @throws {ProductSourceError} 重試後仍失敗、資料格式錯誤或已取消
+     */
+    getProductPage(page, pageSize) {
+        return this.load(
+            buildProductPageUrl(this.url, page, pageSize),
+            (payload) => createProductPage(payload, page, pageSize)
+        );
+    }
+
+    /**
+     * 載入並解析回應，失敗時依錯誤類型重試；每次載入有各自的取消控制，不會取消其他載入中的請求
+     * @param {string} url - 請求網址
+     * @param {Function} parse - 將回應內容轉換為結果，格式不正確時回傳 null
+     * @returns {Promise<*>} 解析後的結果
+     */
+    async load(url, parse) {
+        const loadController = new AbortController();
+        this.loadControllers.add(loadController);
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.requestCatalogue(url, parse, loadController.signal);
+                } catch (error) {
+                    if (attempt >= this.maxRetries || !isRetryableProductSourceError(error)) {
+                        throw error;
+                    }
+                    console.warn(`商品資料載入失敗，${getRetryDelay(attempt, this.retryDelay)} 毫秒後重試:`, error.message);
+                    await waitForRetry(getRetryDelay(attempt, this.retryDelay), loadController.signal);
+                }
+            }
+        } finally {
+            this.loadControllers.delete(loadController);
+        }
+    }
+
+    /**
+     * 送出單次請求並驗證回應
+     * @param {string} url - 請求網址
+     * @param {Function} parse - 將回應內容轉換為結果，格式不正確時回傳 null
+     * @param {AbortSignal} signal - 整次載入的取消訊號
+     * @returns {Promise<*>} 解析後的結果
+     */
+    async requestCatalogue(url, parse, signal) {
+        const { TIMEOUT, NETWORK, HTTP, INVALID_DATA, ABORTED } = PRODUCT_SOURCE_ERROR_CODES;
+        if (signal.aborted) {
+            throw new ProductSourceError('商品資料載入已取消', ABORTED);
+        }
+
+        const requestController = new AbortController();
+        const abortRequest = () => requestController.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            requestController.abort();
+        }, this.timeout);
+        signal.addEventListener('abort', abortRequest, { once: true });
+
+        try {
+            const response = await this.fetchImpl(url, {
+                headers: { Accept: 'application/json' },
+                signal: requestController.signal
+            });
+            if (!response.ok) {
+                throw new ProductSourceError(`商品資料載入失敗（HTTP ${response.status}）`, HTTP, response.status);
+            }
+
+            const result = parse(await response.json());
+            if (result === null) {
+                throw new ProductSourceError('商品資料格式不正確', INVALID_DATA);
+            }
+            return result;
+        } catch (error) {
+            if (error instanceof ProductSourceError) throw error;
+            if (timedOut) throw new ProductSourceError(`商品資料載入逾時（${this.timeout} 毫秒）`, TIMEOUT);
+            if (signal.aborted) throw new ProductSourceError('商品資料載入已取消', ABORTED);
+            // 回應不是有效的 JSON
+            if (error && error.name === 'SyntaxError') throw new ProductSourceError('商品資料格式不正確', INVALID_DATA);
+            throw new ProductSourceError(`無法連線到商品資料來源: ${error && error.message}`, NETWORK);
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abortRequest);
+        }
+    }
+
+    /**
+     * 取消所有載入中的請求（包含等待重試中的請求）
+     */
+    abort() {
+        this.loadControllers.forEach(loadController => loadController.abort());
+        this.loadControllers.clear();
+    }
+}
 
 /**
- * 驗證商品陣列是否有效
- * @param {Product[]} products - 商品陣列
- * @returns {boolean} 是否有效
+ * 依設定建立商品資料來源
+ * @param {string|null} endpoint - 商品目錄網址
+ * @returns {HttpProductService|null} 商品資料來源，未設定網址時為 null（使用內建商品資料）
  */
-const isValidProductArray = (products) =>
-    Array.isArray(products) && products.every(isValidProduct);
+const createProductService = (endpoint = resolveProductEndpoint()) =>
+    endpoint ? new HttpProductService({ url: endpoint }) : null;
 
 // ============================================================================
-// 純函數 - 資料轉換和格式化
+// 副作用函數 - 商品目錄快取
 // ============================================================================
 
 /**
- * 格式化價格顯示
- * @param {number} price - 價格
- * @returns {string} 格式化後的價格字串
+ * 取得目前的商品資料來源名稱，用於確認快取來自同一個資料來源
+ * @returns {string} 商品目錄網址，未設定時為內建商品資料
  */
-const formatPrice = (price) => `NT$ ${price.toLocaleString()}`;
+const getProductCatalogueSource = () => resolveProductEndpoint() || PRODUCT_CACHE_CONFIG.BUILTIN_SOURCE;
 
 /**
- * 將商品轉換為 HTML 字串
- * @param {Product} product - 商品資料
- * @returns {string} HTML 字串
+ * 讀取商品目錄快取；沒有快取、格式不正確、來源不同或已過期時回傳 null
+ * @returns {Promise<ProductCatalogueCache|null>} 快取資料
  */
-const productToHtml = (product) => `
-    <div class="product-card">
-        <div class="product-image">
-            <img src="${product.image}" alt="${product.name}">
-        </div>
-        <div class="product-info">
-            <h3>${product.name}</h3>
-            <p class="product-description">${product.description}</p>
-            <p class="product-price">${formatPrice(product.price)}</p>
-            <button class="add-to-cart-btn" onclick="addToCart(${JSON.stringify(product).replace(/"/g, '&quot;')})">
-                加入購物車
-            </button>
-        </div>
-    </div>
-`;
+const loadProductCatalogueCache = async () => {
+    try {
+        await appStorage.ready;
+        const item = appStorage.getItem(PRODUCT_CACHE_CONFIG.STORAGE_KEY);
+        const cache = item ? JSON.parse(item) : null;
+        return isUsableProductCatalogueCache(cache, getProductCatalogueSource()) ? cache : null;
+    } catch (error) {
+        console.warn('讀取商品目錄快取失敗:', error);
+        return null;
+    }
+};
 
 /**
- * 將商品陣列轉換為 HTML 字串
- * @param {Product[]} products - 商品陣列
- * @returns {string} HTML 字串
+ * 儲存商品目錄快取；儲存失敗（例如容量已滿）時只記錄警告
+ * @param {ProductCatalogueCache} cache - 快取資料
+ * @returns {boolean} 是否儲存成功
  */
-const productsToHtml = (products) => products.map(productToHtml).join('');
+const saveProductCatalogueCache = (cache) => {
+    try {
+        appStorage.setItem(PRODUCT_CACHE_CONFIG.STORAGE_KEY, JSON.stringify(cache));
+        return true;
+    } catch (error) {
+        console.warn('儲存商品目錄快取失敗:', error);
+        return false;
+    }
+};
 
 // ============================================================================
-// 副作用函數 - DOM 操作
+// 副作用函數 - 非同步操作
 // ============================================================================
 
 /**
- * 安全地取得 DOM 元素
- * @param {string} id - 元素 ID
- * @returns {HTMLElement|null} DOM 元素或 null
- */
-const safeGetElement = (id) => {
-    const element = document.getElementById(id);
-    if (!element) {
-        console.warn(`找不到 DOM 元素: ${id}`);
-    }
-    return element;
-};
-
-/**
- * 渲染商品列表
- * @param {Product[]} products - 商品陣列
+ * 非同步獲取商品資料；設定商品目錄網址時從 HTTP 載入，否則使用內建商品資料並模擬網路延遲
+ * @param {HttpProductService|null} service - 商品資料來源
+ * @returns {Promise<Product[]>} 商品陣列
  */
-const renderProductsList = (products) => {
-    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
-    if (!container) return;
-
-    if (!isValidProductArray(products)) {
-        console.error('無效的商品資料');
-        return;
+const fetchProducts = async (service = productSource) => {
+    if (service) {
+        return service.getAllProducts();
     }
 
-    const html = productsToHtml(products);
-    container.innerHTML = html;
+    // 模擬網路延遲
+    await new Promise(resolve => setTimeout(resolve, PRODUCT_SOURCE_CONFIG.MOCK_DELAY));
+    console.log('fetchProducts', PRODUCTS);
+    return Promise.resolve([...PRODUCTS]);
 };
 
 /**
- * 顯示載入狀態
- * @param {string} message - 載入訊息
+ * 非同步獲取指定頁的商品資料；設定商品目錄網址時從 HTTP 載入，否則從內建商品資料切出指定頁
+ * @param {number} page - 頁碼（從 1 開始）
+ * @param {number} pageSize - 每頁數量
+ * @param {HttpProductService|null} service - 商品資料來源
+ * @returns {Promise<ProductPage>} 分頁資料
  */
-const showLoadingState = (message = '載入中...') => {
-    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
-    if (container) {
-        container.innerHTML = `<div class="loading">${message}</div>`;
+const fetchProductPage = async (page, pageSize, service = productSource) => {
+    if (service) {
+        return service.getProductPage(page, pageSize);
     }
+
+    // 模擬網路延遲
+    await new Promise(resolve => setTimeout(resolve, PRODUCT_SOURCE_CONFIG.MOCK_DELAY));
+    return paginateProducts([...PRODUCTS], page, pageSize);
 };
 
 /**
- * 顯示錯誤狀態
- * @param {string} message - 錯誤訊息
+ * 從第一頁依序載入商品，直到達到需要的數量或目錄已全部載入
+ * @param {number} count - 需要的商品數量
+ * @param {number} pageSize - 每頁數量
+ * @param {HttpProductService|null} service - 商品資料來源
+ * @returns {Promise<{products: Product[], total: number}>} 載入的商品與商品目錄總數
  */
-const showErrorState = (message = '載入失敗，請重新整理頁面') => {
-    const container = safeGetElement(PRODUCT_DOM_IDS.PRODUCTS_CONTAINER);
-    if (container) {
-        container.innerHTML = `
-            <div class="error">
-                <p>${message}</p>
-                <button onclick="location.reload()">重新整理</button>
-            </div>
-        `;
+const fetchProductCatalogue = async (count, pageSize, service = productSource) => {
+    let products = [];
+    let total = null;
+    for (let page = 1; total === null || (products.length < total && products.length < count); page++) {
+        const { items, total: pageTotal } = await fetchProductPage(page, pageSize, service);
+        products = appendProductPage(products, items);
+        // 伺服器回傳空頁時視為已全部載入，避免無限請求
+        total = items.length === 0 ? products.length : pageTotal;
     }
+    return { products, total };
 };
 
-// ============================================================================
-// 副作用函數 - 非同步操作
-// ============================================================================
-
 /**
- * 模擬非同步獲取商品資料
- * @returns {Promise<Product[]>} 商品陣列
+ * 檢查錯誤是否因取消載入（例如離開頁面）而發生，這類錯誤不需顯示給使用者
+ * @param {Error} error - 錯誤
+ * @returns {boolean} 是否為取消
  */
-const fetchProducts = async () => {
-    // 模擬網路延遲
-    await new Promise(resolve => setTimeout(resolve, 300));
-    console.log('fetchProducts', PRODUCTS);
-    return Promise.resolve([...PRODUCTS]);
-};
+const isProductLoadAborted = (error) =>
+    Boolean(error) && error.code === PRODUCT_SOURCE_ERROR_CODES.ABORTED;
 
 /**
- * 載入並渲染商品列表
+ * 載入並渲染商品列表（依目前的頁碼與查詢條件載入需要的分頁）
  * @returns {Promise<void>}
  */
 const loadAndRenderProducts = async () => {
-    try {
-        showLoadingState();
-        const products = await fetchProducts();
-        renderProductsList(products);
-    } catch (error) {
-        console.error('載入商品失敗:', error);
-        showErrorState('載入失敗，請重新整理頁面');
-    }
+    showLoadingState();
+    await productManager.loadProducts();
 };
 
 // ============================================================================
@@ -245,9 +1967,23 @@ const loadAndRenderProducts = async () => {
  * 商品管理器
  */
 class ProductManager {
-    constructor() {
+    /**
+     * @param {{mode: string, pageSize: number}} pagination - 分頁設定
+     */
+    constructor(pagination = resolveProductPagination()) {
         this.products = [];
+        this.total = null; // 商品目錄總數，載入第一頁前為 null
         this.isLoading = false;
+        this.loadPromise = null; // 載入中的 loadProducts
+        this.loadingPromise = null; // 載入中的下一頁
+        this.query = createDefaultProductQuery();
+        this.toolbarForm = null;
+        this.categories = PRODUCT_CATEGORIES;
+        this.paginationMode = pagination.mode;
+        this.pageSize = pagination.pageSize;
+        this.page = 1; // 頁碼模式為目前頁碼；無限捲動模式為已顯示的頁數
+        this.scrollObserver = null;
+        this.catalogueVersion = null; // 目前商品資料的版本，用於判斷重新驗證後是否需要更新畫面
     }
 
     /**
@@ -258,15 +1994,54 @@ class ProductManager {
     }
 
     /**
-     * 載入商品資料
+     * 載入商品資料並渲染；已在載入中時回傳同一次載入，避免重複請求
+     * @returns {Promise<void>}
      */
-    async loadProducts() {
+    loadProducts() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadCatalogue().finally(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * 載入商品資料（stale-while-revalidate）：有快取時立即渲染快取的商品並在背景重新驗證，
+     * 沒有快取時從第一頁載入目前畫面需要的分頁；完成後更新快取
+     */
+    async loadCatalogue() {
+        let cache = null;
         try {
             this.isLoading = true;
-            this.products = await fetchProducts();
+            cache = await loadProductCatalogueCache();
+            if (cache) {
+                this.products = cache.products;
+                this.total = cache.total;
+                this.catalogueVersion = cache.version;
+                this.initializeToolbar();
+                this.render();
+                await this.revalidate(cache.products.length);
+                return;
+            }
+
+            const firstPage = await fetchProductPage(1, this.pageSize);
+            this.products = firstPage.items;
+            this.total = firstPage.total;
+            this.initializeToolbar();
+            await this.ensureLoaded(this.getRequiredCount());
             this.render();
+            this.saveCache();
         } catch (error) {
+            if (isProductLoadAborted(error)) return;
             console.error('載入商品失敗:', error);
+            // 已顯示快取的商品時保留畫面，只通知重新驗證失敗
+            if (cache) {
+                if (typeof showNotification === 'function') {
+                    showNotification(t('product.staleCatalogue'));
+                }
+                return;
+            }
             this.showError();
         } finally {
             this.isLoading = false;
@@ -274,10 +2049,311 @@ class ProductManager {
     }
 
     /**
-     * 渲染商品列表
+     * 重新載入商品資料並與目前顯示的資料比較；版本相同時只更新快取時間，
+     * 版本不同時更新商品資料與快取，並只重新渲染內容改變的商品卡片
+     * @param {number} count - 至少要載入的商品數量（通常為快取的商品數量）
+     * @returns {Promise<void>}
+     */
+    async revalidate(count = 0) {
+        const { products, total } = await fetchProductCatalogue(
+            Math.max(count, this.getRequiredCount()), this.pageSize);
+        const version = computeCatalogueVersion(products, total);
+        if (version === this.catalogueVersion) {
+            this.saveCache();
+            return;
+        }
+
+        const previousProducts = this.products;
+        const previousIds = this.getVisibleProducts().map(product => product.id);
+        const previousTotal = this.getResultTotal(queryProducts(previousProducts, this.query));
+
+        this.products = products;
+        this.total = total;
+        this.saveCache();
+        this.renderChanges(previousProducts, previousIds, previousTotal);
+    }
+
+    /**
+     * 將目前的商品資料存入快取並記錄版本
+     */
+    saveCache() {
+        const cache = createProductCatalogueCache(this.products, this.total, getProductCatalogueSource());
+        this.catalogueVersion = cache.version;
+        saveProductCatalogueCache(cache);
+    }
+
+    /**
+     * 商品資料更新後重新渲染：顯示的商品與總數不變時只替換內容改變的商品卡片，
+     * 否則（或在商品詳細頁）重新渲染整個畫面
+     * @param {Product[]} previousProducts - 更新前的商品
+     * @param {string[]} previousIds - 更新前顯示的商品 ID
+     * @param {number} previousTotal - 更新前的結果總數
+     * @returns {Promise<void>}
+     */
+    renderChanges(previousProducts, previousIds, previousTotal) {
+        const visibleIds = this.getVisibleProducts().map(product => product.id);
+        const total = this.getResultTotal(queryProducts(this.products, this.query));
+        if (document.getElementById(PRODUCT_DOM_IDS.DETAIL) ||
+            total !== previousTotal ||
+            visibleIds.join() !== previousIds.join()) {
+            return this.refresh();
+        }
+
+        const { changed } = diffProductCatalogues(previousProducts, this.products);
+        updateProductCards(this.products.filter(product => changed.includes(product.id)));
+        return Promise.resolve();
+    }
+
+    /**
+     * 設定完整的商品資料並依目前的查詢條件渲染
+     * @param {Product[]} products - 商品陣列
+     */
+    setProducts(products) {
+        this.products = products;
+        this.total = products.length;
+        this.initializeToolbar();
+        this.render();
+    }
+
+    /**
+     * 檢查商品目錄是否已全部載入
+     * @returns {boolean} 是否已全部載入
+     */
+    isCatalogueComplete() {
+        return this.total !== null && this.products.length >= this.total;
+    }
+
+    /**
+     * 計算目前畫面需要的商品數量：有篩選條件或在商品詳細頁時需要完整目錄，
+     * 否則只需要到目前頁為止的商品
+     * @returns {number} 需要的商品數量
+     */
+    getRequiredCount() {
+        if (document.getElementById(PRODUCT_DOM_IDS.DETAIL) || isProductQueryActive(this.query)) {
+            return Infinity;
+        }
+        return this.page * this.pageSize;
+    }
+
+    /**
+     * 載入下一頁商品並接在已載入的商品後方；已全部載入時不做任何事
+     * 同時只會有一個載入中的分頁請求
+     * @returns {Promise<void>}
+     */
+    loadNextPage() {
+        if (this.isCatalogueComplete()) return Promise.resolve();
+        if (this.loadingPromise) return this.loadingPromise;
+
+        const nextPage = Math.floor(this.products.length / this.pageSize) + 1;
+        this.loadingPromise = fetchProductPage(nextPage, this.pageSize)
+            .then(({ items, total }) => {
+                this.products = appendProductPage(this.products, items);
+                // 伺服器回傳空頁時視為已全部載入，避免無限請求
+                this.total = items.length === 0 ? this.products.length : total;
+            })
+            .finally(() => {
+                this.loadingPromise = null;
+            });
+        return this.loadingPromise;
+    }
+
+    /**
+     * 依序載入分頁直到已載入的商品數量達到需求或目錄已全部載入
+     * @param {number} count - 需要的商品數量
+     * @returns {Promise<void>}
+     */
+    async ensureLoaded(count) {
+        while (!this.isCatalogueComplete() && this.products.length < count) {
+            await this.loadNextPage();
+        }
+    }
+
+    /**
+     * 重新渲染目前畫面；需要尚未載入的分頁時先在列表下方顯示載入中，載入完成後再渲染
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const required = this.getRequiredCount();
+        if (this.isCatalogueComplete() || this.products.length >= required) {
+            this.render();
+            return;
+        }
+
+        try {
+            showLoadingState(t('product.loadingMore'));
+            await this.ensureLoaded(required);
+            this.render();
+        } catch (error) {
+            // 取消載入時不顯示錯誤，但仍以已載入的商品重新渲染，移除載入中的狀態
+            if (!isProductLoadAborted(error)) {
+                console.error('載入商品失敗:', error);
+                if (typeof showNotification === 'function') {
+                    showNotification(t('product.loadMoreFailed'));
+                }
+            }
+            this.render();
+        }
+    }
+
+    /**
+     * 切換到指定頁（頁碼模式）
+     * @param {number} page - 頁碼
+     * @returns {Promise<void>}
+     */
+    goToPage(page) {
+        this.page = Math.max(1, page);
+        updateProductQueryUrl(this.query, this.page);
+        return this.refresh();
+    }
+
+    /**
+     * 多顯示一頁商品（無限捲動模式）；正在載入或已顯示全部商品時不做任何事
+     * @returns {Promise<void>}
+     */
+    showMore() {
+        if (this.loadingPromise || !this.hasMoreResults()) return Promise.resolve();
+        this.page += 1;
+        return this.refresh();
+    }
+
+    /**
+     * 檢查無限捲動模式下是否還有尚未顯示的商品
+     * @returns {boolean} 是否還有商品
+     */
+    hasMoreResults() {
+        return this.page * this.pageSize < this.getResultTotal(queryProducts(this.products, this.query));
+    }
+
+    /**
+     * 取得符合目前條件的商品總數；沒有篩選條件時以商品目錄總數為準（包含尚未載入的分頁）
+     * @param {Product[]} results - 已載入商品中符合條件的商品
+     * @returns {number} 商品總數
+     */
+    getResultTotal(results) {
+        return !isProductQueryActive(this.query) && this.total !== null ? this.total : results.length;
+    }
+
+    /**
+     * 無限捲動模式下觀察列表底部，進入畫面時載入下一頁；瀏覽器不支援 IntersectionObserver 時改用「載入更多」按鈕
+     */
+    observeScrollSentinel() {
+        if (this.scrollObserver) {
+            this.scrollObserver.disconnect();
+        }
+
+        const sentinel = document.querySelector(`#${PRODUCT_DOM_IDS.PAGER} .products-sentinel`);
+        if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+        this.scrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.showMore();
+            }
+        }, { rootMargin: PRODUCT_PAGINATION_CONFIG.SCROLL_MARGIN });
+        this.scrollObserver.observe(sentinel);
+    }
+
+    /**
+     * 初始化搜尋工具列並從網址還原查詢條件；頁面沒有工具列或已初始化時不做任何事
+     */
+    initializeToolbar() {
+        const toolbar = document.getElementById(PRODUCT_DOM_IDS.TOOLBAR);
+        if (!toolbar || this.toolbarForm) return;
+
+        this.query = parseProductQuery(window.location.search);
+        if (this.paginationMode === PRODUCT_PAGINATION_MODES.PAGER) {
+            this.page = parsePageParam(window.location.search);
+        }
+        this.renderToolbar();
+    }
+
+    /**
+     * 產生搜尋工具列並填入目前的查詢條件（切換語系時也會重新產生）
+     */
+    renderToolbar() {
+        const toolbar = document.getElementById(PRODUCT_DOM_IDS.TOOLBAR);
+        if (!toolbar) return;
+
+        toolbar.innerHTML = productToolbarToHtml(this.categories, getProductTags(this.products));
+        this.toolbarForm = toolbar.querySelector('form');
+        fillProductToolbarForm(this.toolbarForm, this.query);
+
+        const handleChange = () => this.setQuery(readProductToolbarForm(this.toolbarForm));
+        this.toolbarForm.addEventListener('input', handleChange);
+        this.toolbarForm.addEventListener('change', handleChange);
+    }
+
+    /**
+     * 更新查詢條件、回到第一頁、同步網址並重新渲染
+     * @param {ProductQuery} query - 查詢條件
+     * @returns {Promise<void>}
+     */
+    setQuery(query) {
+        this.query = query;
+        this.page = 1;
+        updateProductQueryUrl(query);
+        return this.refresh();
+    }
+
+    /**
+     * 清除所有查詢條件
+     */
+    resetQuery() {
+        this.setQuery(createDefaultProductQuery());
+        if (this.toolbarForm) {
+            fillProductToolbarForm(this.toolbarForm, this.query);
+        }
+    }
+
+    /**
+     * 獲取目前的查詢條件
+     * @returns {ProductQuery} 查詢條件
+     */
+    getQuery() {
+        return { ...this.query };
+    }
+
+    /**
+     * 渲染商品：商品詳細頁依網址中的商品 ID 渲染，其他頁面渲染符合查詢條件的商品列表
      */
     render() {
-        renderProductsList(this.products);
+        if (document.getElementById(PRODUCT_DOM_IDS.DETAIL)) {
+            this.renderDetail(parseProductDetailId(window.location.search));
+            return;
+        }
+        const results = queryProducts(this.products, this.query);
+        const total = this.getResultTotal(results);
+        const pageCount = getTotalPages(total, this.pageSize);
+        if (this.paginationMode === PRODUCT_PAGINATION_MODES.INFINITE) {
+            renderProductResults(this.getVisibleProducts(results), total);
+            renderProductPager(productLoadMoreToHtml(this.hasMoreResults()));
+            this.observeScrollSentinel();
+            return;
+        }
+
+        this.page = Math.min(this.page, pageCount);
+        renderProductResults(this.getVisibleProducts(results), total);
+        renderProductPager(productPagerToHtml(this.page, pageCount));
+    }
+
+    /**
+     * 取得目前畫面要顯示的商品：無限捲動模式為已顯示的所有頁，頁碼模式為目前頁（超過總頁數時為最後一頁）
+     * @param {Product[]} results - 符合查詢條件的商品
+     * @returns {Product[]} 要顯示的商品
+     */
+    getVisibleProducts(results = queryProducts(this.products, this.query)) {
+        if (this.paginationMode === PRODUCT_PAGINATION_MODES.INFINITE) {
+            return results.slice(0, this.page * this.pageSize);
+        }
+        const pageCount = getTotalPages(this.getResultTotal(results), this.pageSize);
+        return paginateProducts(results, Math.min(this.page, pageCount), this.pageSize).items;
+    }
+
+    /**
+     * 渲染商品詳細頁
+     * @param {string} productId - 商品 ID
+     */
+    renderDetail(productId) {
+        renderProductDetail(this.getProductById(productId), this.products);
     }
 
     /**
@@ -311,6 +2387,57 @@ class ProductManager {
         return [...this.products];
     }
 
+    /**
+     * 取得完整的商品目錄：等待載入中的商品資料（含重新驗證），再載入尚未載入的分頁
+     * 尚未開始載入時會先載入並渲染商品
+     * @returns {Promise<Product[]>} 商品陣列
+     * @throws {ProductSourceError} 無法載入商品資料
+     */
+    async getCatalogue() {
+        if (this.total === null) {
+            await this.loadProducts();
+        } else if (this.loadPromise) {
+            await this.loadPromise;
+        }
+        await this.ensureLoaded(Infinity);
+        return [...this.products];
+    }
+
+    /**
+     * 獲取指定分類（含所有子分類）的商品
+     * @param {string} categoryId - 分類 ID
+     * @returns {Product[]} 商品陣列，分類不存在時為空陣列
+     */
+    getProductsByCategory(categoryId) {
+        if (!findCategoryById(this.categories, categoryId)) return [];
+        return this.products.filter(product => isProductInCategory(product, categoryId, this.categories));
+    }
+
+    /**
+     * 獲取有指定標籤的商品（不分大小寫）
+     * @param {string} tag - 標籤
+     * @returns {Product[]} 商品陣列
+     */
+    getProductsByTag(tag) {
+        return this.products.filter(product => hasProductTag(product, tag));
+    }
+
+    /**
+     * 獲取商品分類
+     * @returns {ProductCategory[]} 商品分類
+     */
+    getCategories() {
+        return [...this.categories];
+    }
+
+    /**
+     * 獲取目前商品使用的所有標籤
+     * @returns {string[]} 標籤
+     */
+    getTags() {
+        return getProductTags(this.products);
+    }
+
     /**
      * 檢查是否正在載入
      * @returns {boolean} 是否正在載入
@@ -324,6 +2451,9 @@ class ProductManager {
 // 全域實例和公開 API
 // ============================================================================
 
+// 商品資料來源（未設定 window.PRODUCT_CATALOGUE_URL 時為 null，使用內建商品資料）
+const productSource = createProductService();
+
 // 創建商品管理器實例
 const productManager = new ProductManager();
 
@@ -333,6 +2463,39 @@ var renderProducts = () => productManager.render();
 var getProductById = (productId) => productManager.getProductById(productId);
 var getAllProducts = () => productManager.getAllProducts();
 var initializeProducts = () => productManager.initialize();
+var resetProductQuery = () => productManager.resetQuery();
+var goToProductPage = (page) => productManager.goToPage(page);
+var loadMoreProducts = () => productManager.showMore();
+var getProductsByCategory = (categoryId) => productManager.getProductsByCategory(categoryId);
+var getProductsByTag = (tag) => productManager.getProductsByTag(tag);
+
+// DOM 載入完成後渲染頁首分類導覽
+document.addEventListener('DOMContentLoaded', () => renderCategoryNav());
+
+// 切換幣別後以新的幣別重新渲染已載入的商品
+window.addEventListener(CURRENCY_CONFIG.CHANGE_EVENT, () => {
+    if (productManager.total !== null) {
+        productManager.render();
+    }
+});
+
+// 切換語系後重新渲染分類導覽、搜尋工具列與已載入的商品
+window.addEventListener(I18N_CONFIG.CHANGE_EVENT, () => {
+    renderCategoryNav();
+    if (productManager.toolbarForm) {
+        productManager.renderToolbar();
+    }
+    if (productManager.total !== null) {
+        productManager.render();
+    }
+});
+
+// 離開頁面時取消載入中的商品資料請求
+window.addEventListener('pagehide', () => {
+    if (productSource) {
+        productSource.abort();
+    }
+});
 
 // ============================================================================
 // 模組匯出（如果使用模組系統）
@@ -344,18 +2507,113 @@ if (typeof module !== 'undefined' && module.exports) {
         // 純函數
         findProductById,
         isValidProduct,
+        isValidProductSpec,
+        isValidPriceTier,
         isValidProductArray,
+        isValidQuantityLimit,
+        getAvailableQuantity,
+        isOutOfStock,
+        hasVariants,
+        findProductVariant,
+        getDefaultVariant,
+        getVariantLabel,
+        resolveVariantProduct,
+        isValidVariant,
+        createDefaultProductQuery,
+        getDisplayPrice,
+        matchesSearch,
+        matchesPriceRange,
+        findCategoryById,
+        getChildCategories,
+        getCategoryDescendantIds,
+        getCategoryPath,
+        flattenCategoryTree,
+        isProductInCategory,
+        hasProductTag,
+        getProductTags,
+        matchesCategory,
+        matchesTag,
+        getProductDetailUrl,
+        parseProductDetailId,
+        getProductImages,
+        getRelatedScore,
+        getRelatedProducts,
+        clampDetailQuantity,
+        isProductQueryActive,
+        parsePageParam,
+        resolveProductPagination,
+        getTotalPages,
+        paginateProducts,
+        createProductPage,
+        appendProductPage,
+        computeCatalogueVersion,
+        createProductCatalogueCache,
+        isUsableProductCatalogueCache,
+        diffProductCatalogues,
+        getPagerPages,
+        buildProductPageUrl,
+        resolveProductEndpoint,
+        getRetryDelay,
+        isRetryableProductSourceError,
+        extractProductCatalogue,
+        isProductLoadAborted,
+        sortProducts,
+        queryProducts,
+        parseProductQuery,
+        productQueryToSearchString,
         formatPrice,
+        variantSelectorToHtml,
+        wishlistButtonToHtml,
         productToHtml,
         productsToHtml,
+        productTagsToHtml,
+        getCategoryName,
+        categoryOptionsToHtml,
+        productToolbarToHtml,
+        categoryNavToHtml,
+        emptyProductResultsToHtml,
+        productPagerToHtml,
+        productLoadMoreToHtml,
+        productGalleryToHtml,
+        productSpecsToHtml,
+        quantityPickerToHtml,
+        productBreadcrumbToHtml,
+        productDetailToHtml,
+        relatedProductsToHtml,
+        productNotFoundToHtml,
 
         // 副作用函數
+        getSelectedVariantId,
+        updateVariantPreview,
+        selectGalleryImage,
+        changeDetailQuantity,
+        addDetailToCart,
         renderProductsList,
+        updateProductCards,
+        renderProductDetail,
+        renderProductResults,
+        renderProductPager,
+        fillProductToolbarForm,
+        readProductToolbarForm,
+        updateProductQueryUrl,
+        renderCategoryNav,
         showLoadingState,
         showErrorState,
+        waitForRetry,
+        getProductCatalogueSource,
+        loadProductCatalogueCache,
+        saveProductCatalogueCache,
         fetchProducts,
+        fetchProductPage,
+        fetchProductCatalogue,
         loadAndRenderProducts,
 
+        // 商品資料來源
+        ProductSourceError,
+        HttpProductService,
+        createProductService,
+        productSource,
+
         // 管理器
         ProductManager,
 
@@ -365,9 +2623,24 @@ if (typeof module !== 'undefined' && module.exports) {
         getProductById,
         getAllProducts,
         initializeProducts,
+        resetProductQuery,
+        goToProductPage,
+        loadMoreProducts,
+        getProductsByCategory,
+        getProductsByTag,
 
         // 常數
+        PRODUCT_CATEGORIES,
         PRODUCTS,
-        PRODUCT_DOM_IDS
+        PRODUCT_DOM_IDS,
+        PRODUCT_DETAIL_CONFIG,
+        PRODUCT_SOURCE_CONFIG,
+        PRODUCT_PAGINATION_MODES,
+        PRODUCT_PAGINATION_CONFIG,
+        PRODUCT_SOURCE_ERROR_CODES,
+        PRODUCT_CACHE_CONFIG,
+        PRODUCT_SORT_OPTIONS,
+        PRODUCT_SORT_LABELS,
+        PRODUCT_QUERY_PARAMS
     };
 }
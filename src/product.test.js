@@ -0,0 +1,534 @@
+const { loadTestPage, markProductsSoldOut } = require('./testHelpers');
+
+describe('商品搜尋、篩選與排序測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 以指定的網址查詢字串載入商品清單頁面，並直接設定商品資料（略過模擬的網路延遲）
+     * @param {string} search - 網址查詢字串
+     * @param {Object} [pagination] - 分頁設定（window.PRODUCT_PAGINATION）
+     */
+    const loadIndexPage = (search = '', pagination = undefined, catalogueCache = undefined) => {
+        dom = loadTestPage('index.html', {
+            search,
+            storage: catalogueCache ? { productCatalogueCache: catalogueCache } : {},
+            beforeScripts: (pageWindow) => {
+                pageWindow.PRODUCT_PAGINATION = pagination;
+            },
+            expose: [
+                'PRODUCTS',
+                'productManager',
+                'goToProductPage',
+                'loadMoreProducts',
+                'parseProductQuery',
+                'productQueryToSearchString',
+                'isValidProduct',
+                'getProductsByCategory',
+                'getProductsByTag',
+                'computeCatalogueVersion',
+                'isUsableProductCatalogueCache',
+                'diffProductCatalogues'
+            ]
+        });
+        window = dom.window;
+        document = window.document;
+
+        window.productManager.setProducts(window.PRODUCTS);
+    };
+
+    const getRenderedIds = () =>
+        Array.from(document.querySelectorAll('#products-container .product-card')).map(card => card.dataset.id);
+
+    const getForm = () => document.querySelector('.product-toolbar-form');
+
+    /**
+     * 修改工具列欄位並觸發事件
+     * @param {string} name - 欄位名稱
+     * @param {string} value - 欄位值
+     */
+    const setField = (name, value) => {
+        const field = getForm().elements[name];
+        field.value = value;
+        field.dispatchEvent(new window.Event(field.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('沒有查詢條件時應該依宣告順序顯示所有商品', () => {
+        loadIndexPage();
+
+        expect(getRenderedIds()).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+        expect(document.getElementById('product-result-count').textContent).toBe('共 7 件商品');
+    });
+
+    it('搜尋應該比對商品名稱與描述且不分大小寫', () => {
+        loadIndexPage();
+
+        setField('search', 'ipad');
+        expect(getRenderedIds()).toEqual(['5', '6']);
+
+        setField('search', '降噪');
+        expect(getRenderedIds()).toEqual(['3']);
+    });
+
+    it('應該依價格區間與分類篩選', () => {
+        loadIndexPage();
+
+        setField('minPrice', '10000');
+        setField('maxPrice', '20000');
+        expect(getRenderedIds()).toEqual(['4', '5', '6']);
+
+        setField('category', 'accessory');
+        expect(getRenderedIds()).toEqual(['6']);
+    });
+
+    it('應該支援價格、名稱與最新上架排序', () => {
+        loadIndexPage();
+
+        setField('sort', 'price-asc');
+        expect(getRenderedIds()).toEqual(['7', '3', '6', '4', '5', '1', '2']);
+
+        setField('sort', 'price-desc');
+        expect(getRenderedIds()).toEqual(['2', '1', '5', '4', '6', '3', '7']);
+
+        setField('sort', 'newest');
+        expect(getRenderedIds().slice(0, 2)).toEqual(['1', '4']);
+    });
+
+    it('沒有符合條件的商品時應該顯示空結果並可清除條件', () => {
+        loadIndexPage();
+
+        setField('search', '不存在的商品');
+
+        expect(document.querySelector('.products-empty').textContent).toContain('找不到符合條件的商品');
+        expect(document.getElementById('product-result-count').textContent).toBe('共 0 件商品');
+
+        document.querySelector('.products-empty button').click();
+
+        expect(getRenderedIds().length).toBe(7);
+        expect(getForm().elements.search.value).toBe('');
+        expect(window.location.search).toBe('');
+    });
+
+    it('查詢條件應該同步到網址', () => {
+        loadIndexPage();
+
+        setField('search', 'air');
+        setField('sort', 'price-asc');
+
+        expect(window.location.search).toBe('?q=air&sort=price-asc');
+    });
+
+    it('重新載入時應該從網址還原查詢條件', () => {
+        loadIndexPage('?q=air&max=20000&sort=price-desc');
+
+        expect(getRenderedIds()).toEqual(['5', '3']);
+        expect(getForm().elements.search.value).toBe('air');
+        expect(getForm().elements.maxPrice.value).toBe('20000');
+        expect(getForm().elements.sort.value).toBe('price-desc');
+    });
+
+    it('網址中的無效條件應該使用預設值', () => {
+        loadIndexPage();
+
+        expect(window.parseProductQuery('?min=abc&max=-5&sort=unknown')).toEqual({
+            search: '',
+            minPrice: null,
+            maxPrice: null,
+            category: '',
+            tag: '',
+            sort: 'default'
+        });
+        expect(window.productQueryToSearchString(window.parseProductQuery(''))).toBe('');
+    });
+
+    it('選取上層分類應該包含所有子分類的商品', () => {
+        loadIndexPage();
+
+        setField('category', 'mobile');
+        expect(getRenderedIds()).toEqual(['1', '4', '5']);
+
+        setField('category', 'phone');
+        expect(getRenderedIds()).toEqual(['1']);
+
+        // 分類選單中子分類應該排在上層分類之後
+        const options = Array.from(getForm().elements.category.options).map(option => option.value);
+        expect(options.slice(0, 5)).toEqual(['', 'mobile', 'phone', 'tablet', 'wearable']);
+    });
+
+    it('應該依標籤篩選，且搜尋也會比對標籤', () => {
+        loadIndexPage('?tag=apple');
+
+        expect(getRenderedIds()).toEqual(['1', '2', '3', '4', '5', '6']);
+
+        setField('tag', '快充');
+        expect(getRenderedIds()).toEqual(['7']);
+        expect(window.location.search).toBe('?tag=%E5%BF%AB%E5%85%85');
+
+        setField('tag', '');
+        setField('search', 'usb-c');
+        expect(getRenderedIds()).toEqual(['7']);
+    });
+
+    it('商品卡片應該顯示標籤連結', () => {
+        loadIndexPage();
+
+        const tagLinks = document.querySelectorAll('.product-card[data-id="3"] .product-tag');
+        expect(Array.from(tagLinks).map(link => link.textContent)).toEqual(['#Apple', '#無線', '#降噪']);
+        expect(tagLinks[2].getAttribute('href')).toBe(`index.html?tag=${encodeURIComponent('降噪')}`);
+    });
+
+    it('頁首分類導覽應該列出階層分類並標示目前的分類', () => {
+        loadIndexPage('?category=laptop');
+
+        const topLinks = document.querySelectorAll('#category-nav .category-nav-link');
+        expect(Array.from(topLinks).map(link => link.textContent)).toEqual(['行動裝置', '電腦', '配件']);
+
+        const accessoryChildren = document.querySelectorAll('[data-category="accessory"] .category-nav-child');
+        expect(Array.from(accessoryChildren).map(link => link.getAttribute('href'))).toEqual([
+            'index.html?category=audio',
+            'index.html?category=keyboard',
+            'index.html?category=cable'
+        ]);
+
+        // 子分類與其上層分類都應該標示為目前分類
+        const activeLinks = document.querySelectorAll('#category-nav a.active');
+        expect(Array.from(activeLinks).map(link => link.textContent)).toEqual(['電腦', '筆電']);
+        expect(getRenderedIds()).toEqual(['2']);
+    });
+
+    it('商品管理器應該可依分類或標籤取得商品', () => {
+        loadIndexPage();
+
+        expect(window.getProductsByCategory('accessory').map(product => product.id)).toEqual(['3', '6', '7']);
+        expect(window.getProductsByCategory('audio').map(product => product.id)).toEqual(['3']);
+        expect(window.getProductsByCategory('unknown')).toEqual([]);
+        expect(window.getProductsByTag('APPLE').length).toBe(6);
+        expect(window.getProductsByTag('不存在')).toEqual([]);
+    });
+
+    it('商品驗證應該檢查標籤格式', () => {
+        loadIndexPage();
+
+        const product = { ...window.PRODUCTS[0] };
+        expect(window.isValidProduct(product)).toBe(true);
+        expect(window.isValidProduct({ ...product, tags: 'Apple' })).toBe(false);
+        expect(window.isValidProduct({ ...product, tags: ['Apple', 5] })).toBe(false);
+        expect(window.isValidProduct({ ...product, tags: undefined })).toBe(true);
+    });
+
+    it('頁碼模式應該分頁顯示商品並將頁碼寫入網址', () => {
+        loadIndexPage('', { pageSize: 3 });
+
+        expect(getRenderedIds()).toEqual(['1', '2', '3']);
+        expect(document.getElementById('product-result-count').textContent).toBe('共 7 件商品');
+        const pageButtons = document.querySelectorAll('#product-pager .pager-btn[data-page]');
+        expect(Array.from(pageButtons).map(button => button.textContent)).toEqual(['1', '2', '3']);
+
+        document.querySelector('#product-pager .pager-btn[data-page="2"]').click();
+
+        expect(getRenderedIds()).toEqual(['4', '5', '6']);
+        expect(window.location.search).toBe('?page=2');
+        expect(document.querySelector('#product-pager .pager-btn.active').textContent).toBe('2');
+
+        // 變更查詢條件時回到第一頁
+        setField('search', 'apple');
+        expect(window.location.search).toBe('?q=apple');
+    });
+
+    it('重新載入時應該從網址還原頁碼', () => {
+        loadIndexPage('?page=3', { pageSize: 3 });
+
+        expect(getRenderedIds()).toEqual(['7']);
+    });
+
+    it('網址中的頁碼超過總頁數時應該顯示最後一頁', () => {
+        loadIndexPage('?page=9', { pageSize: 3 });
+
+        expect(getRenderedIds()).toEqual(['7']);
+    });
+
+    it('無限捲動模式應該在列表底部進入畫面時顯示下一頁', () => {
+        const observers = [];
+        loadIndexPage('', { mode: 'infinite', pageSize: 3 });
+        // JSDOM 沒有 IntersectionObserver，以可手動觸發的實作取代後重新渲染
+        window.IntersectionObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+                observers.push(this);
+            }
+            observe(element) {
+                this.element = element;
+            }
+            disconnect() {
+                this.element = null;
+            }
+        };
+        window.productManager.render();
+
+        expect(getRenderedIds()).toEqual(['1', '2', '3']);
+        const observer = observers[observers.length - 1];
+        expect(observer.element.classList.contains('products-sentinel')).toBe(true);
+
+        observer.callback([{ isIntersecting: true }]);
+        expect(getRenderedIds()).toEqual(['1', '2', '3', '4', '5', '6']);
+
+        // 也可以點選「載入更多」按鈕
+        document.querySelector('.load-more-btn').click();
+        expect(getRenderedIds().length).toBe(7);
+        expect(document.querySelector('.load-more-btn')).toBeNull();
+        // 無限捲動模式不將頁碼寫入網址
+        expect(window.location.search).toBe('');
+    });
+
+    it('應該分頁向資料來源載入商品，載入下一頁時保留已顯示的商品', async () => {
+        loadIndexPage('', { pageSize: 3 });
+        await window.productManager.loadProducts();
+
+        expect(window.productManager.getAllProducts().length).toBe(3);
+        expect(document.getElementById('product-result-count').textContent).toBe('共 7 件商品');
+
+        const loading = window.goToProductPage(2);
+        // 載入中只顯示在分頁區塊，已顯示的商品保留
+        expect(document.querySelector('#product-pager .products-loading-more')).not.toBeNull();
+        expect(getRenderedIds()).toEqual(['1', '2', '3']);
+
+        await loading;
+
+        expect(getRenderedIds()).toEqual(['4', '5', '6']);
+        expect(window.productManager.getAllProducts().length).toBe(6);
+
+        // 有篩選條件時需要完整的商品目錄
+        await window.productManager.setQuery({ ...window.parseProductQuery(''), search: '傳輸線' });
+        expect(getRenderedIds()).toEqual(['7']);
+        expect(window.productManager.getAllProducts().length).toBe(7);
+    });
+
+    it('有快取時應該立即顯示快取的商品，背景重新驗證後只替換內容改變的商品卡片', async () => {
+        loadIndexPage();
+        // 等待頁面載入時開始的商品載入完成，避免其結果覆蓋下方設定的快取
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        // 模擬上次造訪時儲存的舊快取：商品 1 的名稱與價格已經過時
+        const staleProducts = window.PRODUCTS.map(product =>
+            product.id === '1' ? { ...product, name: '舊的商品名稱', price: 39900 } : product);
+        window.localStorage.setItem('productCatalogueCache', JSON.stringify({
+            version: 'stale',
+            savedAt: Date.now() - 60 * 1000,
+            source: 'builtin',
+            total: staleProducts.length,
+            products: staleProducts
+        }));
+
+        const loading = window.productManager.loadProducts();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        // 不等待網路就先顯示快取的商品
+        const staleCard = document.querySelector('.product-card[data-id="1"]');
+        const unchangedCard = document.querySelector('.product-card[data-id="2"]');
+        expect(staleCard.querySelector('h3').textContent).toBe('舊的商品名稱');
+        expect(getRenderedIds()).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+
+        await loading;
+
+        const updatedCard = document.querySelector('.product-card[data-id="1"]');
+        expect(updatedCard).not.toBe(staleCard);
+        expect(updatedCard.querySelector('h3').textContent).toBe('iPhone 15 Pro');
+        expect(updatedCard.querySelector('.product-price').textContent).toBe('NT$ 36,900');
+        // 內容沒有改變的商品卡片不重新渲染
+        expect(document.querySelector('.product-card[data-id="2"]')).toBe(unchangedCard);
+
+        const cache = JSON.parse(window.localStorage.getItem('productCatalogueCache'));
+        expect(cache.version).toBe(window.computeCatalogueVersion(window.PRODUCTS, 7));
+        expect(cache.savedAt).toBeGreaterThan(Date.now() - 60 * 1000);
+        expect(cache.products[0].name).toBe('iPhone 15 Pro');
+    });
+
+    it('快取應該在過期或來源不同時失效，並能找出改變的商品', () => {
+        loadIndexPage();
+        const cache = {
+            version: window.computeCatalogueVersion(window.PRODUCTS, 7),
+            savedAt: Date.now(),
+            source: 'builtin',
+            total: 7,
+            products: window.PRODUCTS
+        };
+
+        expect(window.isUsableProductCatalogueCache(cache, 'builtin')).toBe(true);
+        expect(window.isUsableProductCatalogueCache({ ...cache, savedAt: Date.now() - 2 * 24 * 60 * 60 * 1000 }, 'builtin')).toBe(false);
+        expect(window.isUsableProductCatalogueCache(cache, 'https://example.com/products.json')).toBe(false);
+        expect(window.isUsableProductCatalogueCache({ ...cache, products: [{ id: 1 }] }, 'builtin')).toBe(false);
+
+        const next = [
+            { ...window.PRODUCTS[0], price: 35900 },
+            ...window.PRODUCTS.slice(1, 6),
+            { id: '8', name: '新商品', price: 990, image: '/8.webp', description: '新商品' }
+        ];
+        expect(window.computeCatalogueVersion(next, 7)).not.toBe(cache.version);
+        expect(window.diffProductCatalogues(window.PRODUCTS, next)).toEqual({
+            changed: ['1'],
+            added: ['8'],
+            removed: ['7']
+        });
+    });
+});
+
+describe('商品詳細頁測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 以指定的網址查詢字串載入商品詳細頁，並直接設定商品資料（略過模擬的網路延遲）
+     * @param {string} search - 網址查詢字串
+     * @param {Object} [options] - 載入選項
+     * @param {Object[]} [options.products] - 商品資料，預設使用 PRODUCTS
+     * @param {string[]} [options.soldOutIds] - 設為已售完的商品 ID
+     */
+    const loadDetailPage = (search, { products, soldOutIds = [] } = {}) => {
+        dom = loadTestPage('product.html', {
+            search,
+            expose: [
+                'PRODUCTS',
+                'productManager',
+                'updateVariantPreview',
+                'selectGalleryImage',
+                'changeDetailQuantity',
+                'addDetailToCart'
+            ],
+            beforeReady: (pageWindow) => {
+                markProductsSoldOut(pageWindow, soldOutIds);
+                pageWindow.productManager.setProducts(products || pageWindow.PRODUCTS);
+            }
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    const getDetail = () => document.getElementById('product-detail');
+    const getSavedCart = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+    const getNotifications = () =>
+        Array.from(document.querySelectorAll('.notification')).map(notification => notification.textContent);
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('商品卡片應該連結到商品詳細頁', () => {
+        loadDetailPage('?id=3');
+
+        const links = document.querySelectorAll('#related-products .product-card .product-link');
+        expect(links.length).toBeGreaterThan(0);
+        expect(links[0].getAttribute('href')).toMatch(/^product\.html\?id=\d+$/);
+    });
+
+    it('應該依網址中的商品 ID 顯示商品介紹、規格表與分類路徑', () => {
+        loadDetailPage('?id=2');
+
+        expect(getDetail().querySelector('h2').textContent).toBe('MacBook Air M2');
+        expect(getDetail().querySelector('.product-long-description').textContent).toContain('無風扇設計');
+        const specRows = Array.from(getDetail().querySelectorAll('.specs-table tr'))
+            .map(row => [row.querySelector('th').textContent, row.querySelector('td').textContent]);
+        expect(specRows[0]).toEqual(['螢幕', '13.6 吋 Liquid Retina']);
+        expect(Array.from(getDetail().querySelectorAll('.breadcrumb a')).map(link => link.textContent))
+            .toEqual(['商品清單', '電腦', '筆電']);
+        expect(document.title).toBe('MacBook Air M2 - 購物車系統');
+    });
+
+    it('有多張圖片時應該顯示縮圖並可切換主圖片', () => {
+        const products = [{
+            id: '50',
+            name: '測試相機',
+            price: 1000,
+            image: '/front.webp',
+            images: ['/back.webp', '/side.webp', '/front.webp'],
+            description: '測試用商品',
+            stock: 5
+        }];
+        loadDetailPage('?id=50', { products });
+
+        const thumbnails = getDetail().querySelectorAll('.gallery-thumbnail');
+        expect(Array.from(thumbnails).map(thumbnail => thumbnail.dataset.image))
+            .toEqual(['/front.webp', '/back.webp', '/side.webp']);
+
+        thumbnails[2].click();
+
+        expect(getDetail().querySelector('.gallery-main img').getAttribute('src')).toBe('/side.webp');
+        expect(thumbnails[2].classList.contains('active')).toBe(true);
+        expect(thumbnails[0].classList.contains('active')).toBe(false);
+    });
+
+    it('數量選擇器應該一次加入多件並限制在可購買數量內', () => {
+        loadDetailPage('?id=7');
+
+        const [minusButton, plusButton] = getDetail().querySelectorAll('.quantity-btn');
+        const input = getDetail().querySelector('.detail-quantity');
+        minusButton.click();
+        expect(input.value).toBe('1');
+
+        plusButton.click();
+        plusButton.click();
+        expect(input.value).toBe('3');
+
+        getDetail().querySelector('.add-to-cart-btn').click();
+
+        expect(getSavedCart().map(item => [item.id, item.quantity])).toEqual([['7', 3]]);
+        expect(getNotifications().pop()).toBe('Type-C傳輸線 ×3 已添加到購物車');
+
+        // 超過每筆訂單上限時應該限制在上限
+        input.value = '99';
+        input.dispatchEvent(new window.Event('change'));
+        expect(input.value).toBe('10');
+    });
+
+    it('加入數量超過剩餘可購買數量時不應該加入任何一件', () => {
+        loadDetailPage('?id=2');
+
+        const input = getDetail().querySelector('.detail-quantity');
+        input.value = '2';
+        getDetail().querySelector('.add-to-cart-btn').click();
+        getDetail().querySelector('.add-to-cart-btn').click();
+
+        expect(getSavedCart().map(item => [item.id, item.quantity])).toEqual([['2', 2]]);
+        expect(getNotifications().pop()).toContain('最多只能購買 2 件');
+    });
+
+    it('切換規格時應該更新售價與可購買數量，並加入選擇的規格', () => {
+        loadDetailPage('?id=1');
+
+        const select = getDetail().querySelector('.variant-select');
+        select.value = '256-black';
+        select.dispatchEvent(new window.Event('change'));
+
+        expect(getDetail().querySelector('.product-price').textContent).toBe('NT$ 40,400');
+        expect(getDetail().querySelector('.detail-quantity').max).toBe('2');
+
+        getDetail().querySelector('.quantity-btn:last-of-type').click();
+        getDetail().querySelector('.add-to-cart-btn').click();
+
+        expect(getSavedCart().map(item => [item.id, item.variantId, item.quantity])).toEqual([['1', '256-black', 2]]);
+    });
+
+    it('相關商品應該優先列出同分類的商品並排除售完與商品本身', () => {
+        loadDetailPage('?id=5', { soldOutIds: ['4'] });
+
+        const relatedIds = Array.from(document.querySelectorAll('#related-products .product-card'))
+            .map(card => card.dataset.id);
+        // 同為行動裝置的 iPhone 排第一；Apple Watch 已售完不列出
+        expect(relatedIds[0]).toBe('1');
+        expect(relatedIds).not.toContain('5');
+        expect(relatedIds).not.toContain('4');
+        expect(relatedIds.length).toBeLessThanOrEqual(4);
+    });
+
+    it('找不到商品時應該顯示提示', () => {
+        loadDetailPage('?id=999');
+
+        expect(getDetail().textContent).toContain('找不到此商品');
+        expect(document.getElementById('related-products').innerHTML).toBe('');
+    });
+});
@@ -0,0 +1,356 @@
+// 運費計算模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js 與 currency.js
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 運費附加規則資料結構
+ * @typedef {Object} ShippingRule
+ * @property {string} type - 規則類型（SHIPPING_RULE_TYPES 之一）
+ * @property {number} [overKg] - 超過此重量（公斤）開始加價
+ * @property {number} [feePerKg] - 每超過一公斤的加價
+ * @property {number} [overCount] - 超過此件數開始加價
+ * @property {number} [feePerItem] - 每件加價
+ */
+
+/**
+ * 配送方式資料結構
+ * @typedef {Object} ShippingMethod
+ * @property {string} id - 配送方式 ID
+ * @property {string} name - 配送方式名稱的訊息鍵值（i18n.js）
+ * @property {string} region - 配送區域名稱的訊息鍵值（i18n.js）
+ * @property {number} baseFee - 基本運費（基準幣別）
+ * @property {Object<string, number>} freeShippingThresholds - 各幣別的免基本運費門檻（以該幣別計算）
+ * @property {number} [maxWeight] - 可配送的最大重量（公斤）
+ * @property {boolean} [allowOversized] - 是否可配送大型商品，預設可以
+ * @property {ShippingRule[]} rules - 附加規則
+ */
+
+/**
+ * 運費計算所需的購物車資訊
+ * @typedef {Object} ShippingContext
+ * @property {number} totalPrice - 商品總價格（折扣後，基準幣別）
+ * @property {string} currencyCode - 目前選擇的幣別代碼
+ * @property {number} convertedTotalPrice - 換算為目前幣別的商品總價格，用於比對該幣別的免運門檻
+ * @property {number} itemCount - 商品總件數
+ * @property {number} totalWeight - 商品總重量（公斤）
+ * @property {number} oversizedCount - 大型商品件數
+ */
+
+/**
+ * 距離免運門檻的進度；金額以門檻的幣別表示
+ * @typedef {Object} FreeShippingProgress
+ * @property {string} currencyCode - 門檻的幣別代碼（目前幣別未設定門檻時為基準幣別）
+ * @property {number} threshold - 免運門檻
+ * @property {number} remaining - 還差多少金額達到門檻，已達門檻時為 0
+ * @property {number} percent - 已達成的百分比（0 - 100）
+ * @property {boolean} reached - 是否已達門檻
+ */
+
+// 運費計算常數
+const SHIPPING_CONFIG = {
+    DEFAULT_METHOD_ID: 'HOME_DELIVERY', // 預設配送方式
+    // 宅配免運門檻（各幣別以當地價格訂定，不隨匯率變動）
+    FREE_SHIPPING_THRESHOLDS: { TWD: 5000, HKD: 1200, JPY: 23000 },
+    SHIPPING_FEE: 100 // 宅配運費（基準幣別）
+};
+
+// 配送區域名稱的訊息鍵值（i18n.js）
+const SHIPPING_REGIONS = {
+    MAIN_ISLAND: 'shipping.regions.MAIN_ISLAND',
+    OUTLYING_ISLANDS: 'shipping.regions.OUTLYING_ISLANDS'
+};
+
+// 運費附加規則類型
+const SHIPPING_RULE_TYPES = {
+    WEIGHT: 'WEIGHT',
+    ITEM_COUNT: 'ITEM_COUNT',
+    OVERSIZED: 'OVERSIZED'
+};
+
+// 配送方式資料
+const SHIPPING_METHODS = [
+    {
+        id: 'HOME_DELIVERY',
+        name: 'shipping.methods.HOME_DELIVERY',
+        region: SHIPPING_REGIONS.MAIN_ISLAND,
+        baseFee: SHIPPING_CONFIG.SHIPPING_FEE,
+        freeShippingThresholds: SHIPPING_CONFIG.FREE_SHIPPING_THRESHOLDS,
+        rules: [
+            { type: SHIPPING_RULE_TYPES.WEIGHT, overKg: 10, feePerKg: 20 },
+            { type: SHIPPING_RULE_TYPES.OVERSIZED, feePerItem: 200 }
+        ]
+    },
+    {
+        id: 'CONVENIENCE_STORE',
+        name: 'shipping.methods.CONVENIENCE_STORE',
+        region: SHIPPING_REGIONS.MAIN_ISLAND,
+        baseFee: 60,
+        freeShippingThresholds: { TWD: 3000, HKD: 720, JPY: 14000 },
+        maxWeight: 5,
+        allowOversized: false,
+        rules: []
+    },
+    {
+        id: 'OUTLYING_ISLANDS',
+        name: 'shipping.methods.OUTLYING_ISLANDS',
+        region: SHIPPING_REGIONS.OUTLYING_ISLANDS,
+        baseFee: 250,
+        freeShippingThresholds: { TWD: 10000, HKD: 2400, JPY: 47000 },
+        rules: [
+            { type: SHIPPING_RULE_TYPES.ITEM_COUNT, overCount: 3, feePerItem: 30 },
+            { type: SHIPPING_RULE_TYPES.WEIGHT, overKg: 3, feePerKg: 50 },
+            { type: SHIPPING_RULE_TYPES.OVERSIZED, feePerItem: 400 }
+        ]
+    }
+];
+
+// 各規則類型的加價計算方式，新增規則類型時在此擴充
+const SHIPPING_RULE_EVALUATORS = {
+    [SHIPPING_RULE_TYPES.WEIGHT]: (rule, context) =>
+        Math.max(0, Math.ceil(context.totalWeight - rule.overKg)) * rule.feePerKg,
+    [SHIPPING_RULE_TYPES.ITEM_COUNT]: (rule, context) =>
+        Math.max(0, context.itemCount - rule.overCount) * rule.feePerItem,
+    [SHIPPING_RULE_TYPES.OVERSIZED]: (rule, context) =>
+        context.oversizedCount * rule.feePerItem
+};
+
+// ============================================================================
+// 純函數 - 運費計算
+// ============================================================================
+
+/**
+ * 根據購物車項目建立運費計算資訊
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {number} totalPrice - 商品總價格（折扣後，基準幣別）
+ * @param {string} currencyCode - 幣別代碼，預設為目前選擇的幣別
+ * @returns {ShippingContext} 運費計算資訊
+ */
+const createShippingContext = (items, totalPrice, currencyCode = currencyManager.code) => ({
+    totalPrice,
+    currencyCode,
+    convertedTotalPrice: currencyManager.convert(totalPrice, currencyCode),
+    itemCount: items.reduce((total, item) => total + item.quantity, 0),
+    totalWeight: items.reduce((total, item) => total + ((item.weight || 0) * item.quantity), 0),
+    oversizedCount: items
+        .filter(item => item.oversized)
+        .reduce((total, item) => total + item.quantity, 0)
+});
+
+/**
+ * 根據 ID 查找配送方式
+ * @param {ShippingMethod[]} methods - 配送方式陣列
+ * @param {string} methodId - 配送方式 ID
+ * @returns {ShippingMethod|undefined} 找到的配送方式
+ */
+const findShippingMethodById = (methods, methodId) =>
+    methods.find(method => method.id === methodId);
+
+/**
+ * 檢查配送方式是否可用於目前的購物車
+ * @param {ShippingMethod} method - 配送方式
+ * @param {ShippingContext} context - 運費計算資訊
+ * @returns {boolean} 是否可用
+ */
+const isShippingMethodAvailable = (method, context) =>
+    (method.maxWeight === undefined || context.totalWeight <= method.maxWeight) &&
+    (method.allowOversized !== false || context.oversizedCount === 0);
+
+/**
+ * 計算單一規則的加價
+ * @param {ShippingRule} rule - 運費附加規則
+ * @param {ShippingContext} context - 運費計算資訊
+ * @param {Object} evaluators - 規則計算方式對照表
+ * @returns {number} 加價金額
+ */
+const calculateRuleSurcharge = (rule, context, evaluators = SHIPPING_RULE_EVALUATORS) => {
+    const evaluate = evaluators[rule.type];
+    return evaluate ? evaluate(rule, context) : 0;
+};
+
+/**
+ * 檢查是否達到配送方式的免運門檻；門檻以目前幣別比對，該幣別未設定門檻時改以基準幣別比對
+ * @param {ShippingMethod} method - 配送方式
+ * @param {ShippingContext} context - 運費計算資訊
+ * @returns {boolean} 是否達到門檻
+ */
+const meetsFreeShippingThreshold = (method, context) => {
+    const threshold = method.freeShippingThresholds[context.currencyCode];
+    return threshold === undefined
+        ? context.totalPrice >= method.freeShippingThresholds[CURRENCY_CONFIG.BASE]
+        : context.convertedTotalPrice >= threshold;
+};
+
+/**
+ * 計算距離配送方式免運門檻的進度；與 meetsFreeShippingThreshold 使用相同的幣別比對
+ * @param {ShippingMethod} method - 配送方式
+ * @param {ShippingContext} context - 運費計算資訊
+ * @returns {FreeShippingProgress|null} 免運進度，配送方式沒有免運門檻時為 null
+ */
+const calculateFreeShippingProgress = (method, context) => {
+    const hasLocalThreshold = method.freeShippingThresholds[context.currencyCode] !== undefined;
+    const currencyCode = hasLocalThreshold ? context.currencyCode : CURRENCY_CONFIG.BASE;
+    const threshold = method.freeShippingThresholds[currencyCode];
+    if (threshold === undefined) return null;
+
+    const current = hasLocalThreshold ? context.convertedTotalPrice : context.totalPrice;
+    const remaining = subtractMoney(moneyFromAmount(threshold, currencyCode), moneyFromAmount(current, currencyCode));
+    const reached = remaining.minor <= 0;
+    return {
+        currencyCode,
+        threshold,
+        remaining: reached ? 0 : moneyToAmount(remaining),
+        percent: reached ? 100 : Math.max(0, Math.floor((current / threshold) * 100)),
+        reached
+    };
+};
+
+/**
+ * 計算配送方式的運費金額值（達門檻免基本運費，附加費用照收）
+ * @param {ShippingMethod} method - 配送方式
+ * @param {ShippingContext} context - 運費計算資訊
+ * @param {Object} evaluators - 規則計算方式對照表
+ * @returns {Money} 運費（基準幣別）
+ */
+const calculateMethodShippingMoney = (method, context, evaluators = SHIPPING_RULE_EVALUATORS) => {
+    const baseFee = meetsFreeShippingThreshold(method, context) ? 0 : method.baseFee;
+    const surcharges = method.rules.map(rule => calculateRuleSurcharge(rule, context, evaluators));
+    return sumMoney([baseFee, ...surcharges].map(amount => moneyFromAmount(amount)));
+};
+
+/**
+ * 計算配送方式的運費（達門檻免基本運費，附加費用照收）
+ * @param {ShippingMethod} method - 配送方式
+ * @param {ShippingContext} context - 運費計算資訊
+ * @param {Object} evaluators - 規則計算方式對照表
+ * @returns {number} 運費
+ */
+const calculateMethodShippingFee = (method, context, evaluators = SHIPPING_RULE_EVALUATORS) =>
+    moneyToAmount(calculateMethodShippingMoney(method, context, evaluators));
+
+/**
+ * 取得所有配送方式的可用狀態與運費
+ * @param {ShippingContext} context - 運費計算資訊
+ * @param {ShippingMethod[]} methods - 配送方式陣列
+ * @returns {{method: ShippingMethod, available: boolean, fee: number}[]} 配送選項
+ */
+const getShippingOptions = (context, methods = SHIPPING_METHODS) =>
+    methods.map(method => ({
+        method,
+        available: isShippingMethodAvailable(method, context),
+        fee: calculateMethodShippingFee(method, context)
+    }));
+
+/**
+ * 取得實際使用的配送方式；選擇的方式不可用時改用第一個可用的方式
+ * @param {string} methodId - 使用者選擇的配送方式 ID
+ * @param {ShippingContext} context - 運費計算資訊
+ * @param {ShippingMethod[]} methods - 配送方式陣列
+ * @returns {ShippingMethod} 實際使用的配送方式
+ */
+const resolveShippingMethod = (methodId, context, methods = SHIPPING_METHODS) => {
+    const selected = findShippingMethodById(methods, methodId);
+    if (selected && isShippingMethodAvailable(selected, context)) {
+        return selected;
+    }
+    return methods.find(method => isShippingMethodAvailable(method, context)) ||
+        findShippingMethodById(methods, SHIPPING_CONFIG.DEFAULT_METHOD_ID);
+};
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 將配送選項轉換為 HTML 字串
+ * @param {{method: ShippingMethod, available: boolean, fee: number}} option - 配送選項
+ * @param {string} selectedId - 目前選擇的配送方式 ID
+ * @param {string} handlerName - 選擇時呼叫的全域函數名稱
+ * @returns {string} HTML 字串
+ */
+const shippingOptionToHtml = (option, selectedId, handlerName = 'selectShippingMethod') => `
+    <label class="shipping-option${option.available ? '' : ' disabled'}">
+        <input type="radio" name="shipping-method" value="${option.method.id}"
+            ${option.method.id === selectedId ? 'checked' : ''}
+            ${option.available ? '' : 'disabled'}
+            onchange="${handlerName}('${option.method.id}')">
+        <span class="shipping-name">${t(option.method.name)}</span>
+        <span class="shipping-region">${t(option.method.region)}</span>
+        <span class="shipping-fee">${option.available ? formatPrice(option.fee) : t('shipping.notApplicable')}</span>
+    </label>
+`;
+
+/**
+ * 產生配送方式選擇區塊 HTML 字串
+ * @param {{method: ShippingMethod, available: boolean, fee: number}[]} options - 配送選項
+ * @param {string} selectedId - 目前選擇的配送方式 ID
+ * @param {string} handlerName - 選擇時呼叫的全域函數名稱
+ * @returns {string} HTML 字串
+ */
+const shippingSelectorToHtml = (options, selectedId, handlerName = 'selectShippingMethod') => `
+    <div class="shipping-selector">
+        <h4>${t('shipping.title')}</h4>
+        ${options.map(option => shippingOptionToHtml(option, selectedId, handlerName)).join('')}
+    </div>
+`;
+
+/**
+ * 取得免運進度的提示文字
+ * @param {FreeShippingProgress} progress - 免運進度
+ * @returns {string} 提示文字
+ */
+const freeShippingMessage = (progress) => (progress.reached
+    ? t('shipping.freeShippingReached')
+    : t('shipping.freeShippingRemaining', {
+        amount: formatMoneyValue(moneyFromAmount(progress.remaining, progress.currencyCode))
+    }));
+
+/**
+ * 產生免運進度條 HTML 字串
+ * @param {FreeShippingProgress} progress - 免運進度
+ * @param {string} suggestionsHtml - 進度條下方的加購建議
+ * @returns {string} HTML 字串
+ */
+const freeShippingProgressToHtml = (progress, suggestionsHtml = '') => `
+    <div class="free-shipping-progress${progress.reached ? ' reached' : ''}">
+        <p class="free-shipping-message">${freeShippingMessage(progress)}</p>
+        <div class="free-shipping-track" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress.percent}">
+            <div class="free-shipping-fill" style="width: ${progress.percent}%"></div>
+        </div>
+        ${suggestionsHtml}
+    </div>
+`;
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        createShippingContext,
+        findShippingMethodById,
+        isShippingMethodAvailable,
+        meetsFreeShippingThreshold,
+        calculateFreeShippingProgress,
+        calculateRuleSurcharge,
+        calculateMethodShippingMoney,
+        calculateMethodShippingFee,
+        getShippingOptions,
+        resolveShippingMethod,
+        shippingOptionToHtml,
+        shippingSelectorToHtml,
+        freeShippingMessage,
+        freeShippingProgressToHtml,
+
+        // 常數
+        SHIPPING_CONFIG,
+        SHIPPING_REGIONS,
+        SHIPPING_RULE_TYPES,
+        SHIPPING_METHODS,
+        SHIPPING_RULE_EVALUATORS
+    };
+}
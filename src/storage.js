@@ -0,0 +1,449 @@
+// 儲存後端模組 - 遵循 Clean Code 和函數式程式設計原則
+// 提供可互換的儲存後端，寫入失敗（例如超過容量）時自動改用下一個後端
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 儲存後端資料結構（與 Web Storage 相同的同步 API，值一律為字串）
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - 後端名稱（STORAGE_BACKENDS 之一）
+ * @property {function(string): (string|null)} getItem - 讀取資料，不存在時回傳 null
+ * @property {function(string, string): void} setItem - 寫入資料，失敗時拋出錯誤
+ * @property {function(string): void} removeItem - 移除資料
+ * @property {function(): void} clear - 清除此後端的所有資料
+ * @property {Promise<void>} ready - 後端資料載入完成（IndexedDB 等非同步後端使用）
+ * @property {function(): Promise<void>} [reload] - 重新讀取其他分頁寫入的資料（有記憶體快取的非同步後端使用）
+ * @property {function(): Promise<void>} [flush] - 等待背景寫入完成（非同步後端使用）
+ */
+
+// 可使用的儲存後端
+const STORAGE_BACKENDS = {
+    LOCAL: 'localStorage',
+    SESSION: 'sessionStorage',
+    INDEXED_DB: 'indexedDB',
+    COOKIE: 'cookie',
+    MEMORY: 'memory'
+};
+
+// 儲存後端設定
+const STORAGE_BACKEND_CONFIG = {
+    DEFAULT_BACKEND: STORAGE_BACKENDS.LOCAL, // 頁面未指定時使用的後端
+    // 偏好的後端失敗後依序嘗試；記憶體後端永遠可用，放在最後
+    FALLBACK_ORDER: [STORAGE_BACKENDS.LOCAL, STORAGE_BACKENDS.SESSION, STORAGE_BACKENDS.MEMORY],
+    COOKIE_MAX_BYTES: 4096, // 單一 Cookie 的大小上限
+    COOKIE_PREFIX: 'cart_', // Cookie 名稱前綴，clear() 只清除此前綴的 Cookie
+    COOKIE_MAX_AGE: 60 * 60 * 24 * 30, // Cookie 保存 30 天（秒）
+    INDEXED_DB_NAME: 'shoppingCart',
+    INDEXED_DB_STORE: 'keyValue',
+    TEST_KEY: '__storage_test__' // 檢查後端是否可寫入時使用的鍵值
+};
+
+// ============================================================================
+// 儲存後端實作
+// ============================================================================
+
+/**
+ * 建立 Web Storage（localStorage / sessionStorage）後端
+ * 無痕模式等無法寫入的情況會在建立時拋出錯誤
+ * @param {string} name - 後端名稱
+ * @param {Storage} storage - Web Storage 物件
+ * @returns {StorageAdapter} 儲存後端
+ */
+const createWebStorageAdapter = (name, storage) => {
+    storage.setItem(STORAGE_BACKEND_CONFIG.TEST_KEY, STORAGE_BACKEND_CONFIG.TEST_KEY);
+    storage.removeItem(STORAGE_BACKEND_CONFIG.TEST_KEY);
+
+    return {
+        name,
+        getItem: (key) => storage.getItem(key),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: (key) => storage.removeItem(key),
+        clear: () => storage.clear(),
+        ready: Promise.resolve()
+    };
+};
+
+/**
+ * 建立記憶體後端（測試與無痕模式使用，重新整理頁面後資料即消失）
+ * @returns {StorageAdapter} 儲存後端
+ */
+const createMemoryStorageAdapter = () => {
+    const store = new Map();
+    return {
+        name: STORAGE_BACKENDS.MEMORY,
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear(),
+        ready: Promise.resolve()
+    };
+};
+
+/**
+ * 解析 document.cookie 為名稱與值的對照表
+ * @param {string} cookieString - document.cookie 字串
+ * @returns {Object<string, string>} Cookie 對照表
+ */
+const parseCookies = (cookieString) => cookieString
+    .split(';')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .reduce((cookies, pair) => {
+        const separatorIndex = pair.indexOf('=');
+        const name = decodeURIComponent(pair.slice(0, separatorIndex));
+        return { ...cookies, [name]: decodeURIComponent(pair.slice(separatorIndex + 1)) };
+    }, {});
+
+/**
+ * 建立 Cookie 後端；單一 Cookie 超過大小上限時拋出錯誤
+ * @param {number} maxBytes - 單一 Cookie 的大小上限
+ * @param {string} prefix - Cookie 名稱前綴
+ * @returns {StorageAdapter} 儲存後端
+ */
+const createCookieStorageAdapter = (
+    maxBytes = STORAGE_BACKEND_CONFIG.COOKIE_MAX_BYTES,
+    prefix = STORAGE_BACKEND_CONFIG.COOKIE_PREFIX
+) => {
+    const removeCookie = (name) => {
+        document.cookie = `${encodeURIComponent(name)}=; path=/; max-age=0`;
+    };
+
+    return {
+        name: STORAGE_BACKENDS.COOKIE,
+        getItem: (key) => {
+            const value = parseCookies(document.cookie)[prefix + key];
+            return value === undefined ? null : value;
+        },
+        setItem: (key, value) => {
+            const cookie = `${encodeURIComponent(prefix + key)}=${encodeURIComponent(value)}`;
+            if (cookie.length > maxBytes) {
+                throw new Error(`Cookie 大小 ${cookie.length} bytes 超過上限 ${maxBytes} bytes`);
+            }
+            document.cookie = `${cookie}; path=/; max-age=${STORAGE_BACKEND_CONFIG.COOKIE_MAX_AGE}; SameSite=Lax`;
+        },
+        removeItem: (key) => removeCookie(prefix + key),
+        clear: () => Object.keys(parseCookies(document.cookie))
+            .filter(name => name.startsWith(prefix))
+            .forEach(removeCookie),
+        ready: Promise.resolve()
+    };
+};
+
+/**
+ * 建立 IndexedDB 後端
+ * IndexedDB 為非同步 API，因此讀寫先經過記憶體快取：ready 完成後快取會包含資料庫內容，
+ * 寫入會立即更新快取並在背景寫入資料庫（背景寫入失敗只會記錄警告）；
+ * 快取不會得知其他分頁的寫入，跨分頁同步時以 reload() 重新讀取資料庫
+ * @param {IDBFactory} factory - IndexedDB 工廠物件
+ * @param {string} dbName - 資料庫名稱
+ * @param {string} storeName - 物件存放區名稱
+ * @returns {StorageAdapter} 儲存後端
+ */
+const createIndexedDBStorageAdapter = (
+    factory,
+    dbName = STORAGE_BACKEND_CONFIG.INDEXED_DB_NAME,
+    storeName = STORAGE_BACKEND_CONFIG.INDEXED_DB_STORE
+) => {
+    if (!factory) {
+        throw new Error('此瀏覽器不支援 IndexedDB');
+    }
+
+    const cache = new Map();
+    const dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    let pendingWrites = Promise.resolve();
+    let writeCount = 0;
+    const writeToDatabase = (operation) => {
+        writeCount += 1;
+        const write = dbPromise
+            .then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, 'readwrite');
+                operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            }))
+            .catch(error => console.warn('寫入 IndexedDB 失敗:', error));
+        pendingWrites = pendingWrites.then(() => write);
+    };
+
+    // 讀取資料庫的所有鍵值
+    const readDatabase = () => dbPromise.then(db => new Promise((resolve, reject) => {
+        const entries = new Map();
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(entries);
+                return;
+            }
+            entries.set(cursor.key, cursor.value);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+
+    // 載入資料庫內容到快取；載入前已寫入快取的鍵值以快取為準
+    const ready = readDatabase().then(entries => entries.forEach((value, key) => {
+        if (!cache.has(key)) {
+            cache.set(key, value);
+        }
+    }));
+
+    // 以資料庫內容取代快取；先等待本分頁的背景寫入完成，讀取期間本分頁又寫入時重新讀取
+    const reload = () => {
+        const writesBefore = writeCount;
+        return pendingWrites.then(readDatabase).then(entries => {
+            if (writeCount !== writesBefore) {
+                return reload();
+            }
+            cache.clear();
+            entries.forEach((value, key) => cache.set(key, value));
+            return undefined;
+        });
+    };
+
+    return {
+        name: STORAGE_BACKENDS.INDEXED_DB,
+        getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+        setItem: (key, value) => {
+            cache.set(key, String(value));
+            writeToDatabase(store => store.put(String(value), key));
+        },
+        removeItem: (key) => {
+            cache.delete(key);
+            writeToDatabase(store => store.delete(key));
+        },
+        clear: () => {
+            cache.clear();
+            writeToDatabase(store => store.clear());
+        },
+        ready,
+        reload,
+        flush: () => pendingWrites
+    };
+};
+
+// 各後端的建立方式；瀏覽器不支援時會拋出錯誤並被略過
+const STORAGE_ADAPTER_FACTORIES = {
+    [STORAGE_BACKENDS.LOCAL]: () => createWebStorageAdapter(STORAGE_BACKENDS.LOCAL, window.localStorage),
+    [STORAGE_BACKENDS.SESSION]: () => createWebStorageAdapter(STORAGE_BACKENDS.SESSION, window.sessionStorage),
+    [STORAGE_BACKENDS.INDEXED_DB]: () => createIndexedDBStorageAdapter(window.indexedDB),
+    [STORAGE_BACKENDS.COOKIE]: () => createCookieStorageAdapter(),
+    [STORAGE_BACKENDS.MEMORY]: () => createMemoryStorageAdapter()
+};
+
+// ============================================================================
+// 自動備援
+// ============================================================================
+
+/**
+ * 建立自動備援的儲存後端
+ * 目前的後端拋出錯誤時改用下一個後端並重試；讀取時若目前後端沒有資料，會再查詢先前使用過的後端
+ * 因此移除與清除會套用到所有使用過的後端，避免已移除的資料從先前的後端被讀回
+ * @param {StorageAdapter[]} adapters - 依優先順序排列的儲存後端
+ * @returns {StorageAdapter & {getActiveBackend: function(): string}} 儲存後端
+ */
+const createFallbackStorage = (adapters) => {
+    let activeIndex = 0;
+
+    const run = (method, args) => {
+        for (let i = activeIndex; i < adapters.length; i++) {
+            try {
+                const result = adapters[i][method](...args);
+                activeIndex = i;
+                return result;
+            } catch (error) {
+                console.warn(`儲存後端 ${adapters[i].name} 發生錯誤，改用下一個後端:`, error);
+            }
+        }
+        throw new Error('所有儲存後端皆無法使用');
+    };
+
+    const runOnUsedAdapters = (method, args) => {
+        adapters.slice(0, activeIndex).forEach(adapter => {
+            try {
+                adapter[method](...args);
+            } catch (error) {
+                // 先前的後端已失效，略過
+            }
+        });
+        return run(method, args);
+    };
+
+    const getItem = (key) => {
+        const value = run('getItem', [key]);
+        if (value !== null) {
+            return value;
+        }
+        for (let i = activeIndex - 1; i >= 0; i--) {
+            try {
+                const previousValue = adapters[i].getItem(key);
+                if (previousValue !== null) {
+                    return previousValue;
+                }
+            } catch (error) {
+                // 先前的後端已失效，略過
+            }
+        }
+        return null;
+    };
+
+    // 對支援的後端執行非同步操作（reload / flush），不支援的後端略過
+    const runAsync = (method) => Promise.all(adapters
+        .filter(adapter => typeof adapter[method] === 'function')
+        .map(adapter => adapter[method]()))
+        .then(() => undefined);
+
+    return {
+        name: 'fallback',
+        getItem,
+        setItem: (key, value) => run('setItem', [key, value]),
+        removeItem: (key) => runOnUsedAdapters('removeItem', [key]),
+        clear: () => runOnUsedAdapters('clear', []),
+        ready: Promise.all(adapters.map(adapter => adapter.ready.catch(error => {
+            console.warn(`儲存後端 ${adapter.name} 載入失敗:`, error);
+        }))).then(() => undefined),
+        reload: () => runAsync('reload'),
+        flush: () => runAsync('flush'),
+        getActiveBackend: () => adapters[activeIndex].name
+    };
+};
+
+/**
+ * 依偏好的後端與備援順序建立儲存後端
+ * @param {string} preferredBackend - 偏好的後端名稱
+ * @param {Object<string, Function>} factories - 各後端的建立方式
+ * @param {string[]} fallbackOrder - 備援順序
+ * @returns {StorageAdapter & {getActiveBackend: function(): string}} 儲存後端
+ */
+const createStorage = (
+    preferredBackend = STORAGE_BACKEND_CONFIG.DEFAULT_BACKEND,
+    factories = STORAGE_ADAPTER_FACTORIES,
+    fallbackOrder = STORAGE_BACKEND_CONFIG.FALLBACK_ORDER
+) => {
+    const backendNames = [preferredBackend, ...fallbackOrder]
+        .filter((name, index, names) => names.indexOf(name) === index);
+
+    const adapters = backendNames.reduce((available, name) => {
+        const factory = factories[name];
+        if (!factory) {
+            console.warn(`未知的儲存後端: ${name}`);
+            return available;
+        }
+        try {
+            return [...available, factory()];
+        } catch (error) {
+            console.warn(`無法使用儲存後端 ${name}:`, error);
+            return available;
+        }
+    }, []);
+
+    return createFallbackStorage(adapters.length > 0 ? adapters : [createMemoryStorageAdapter()]);
+};
+
+/**
+ * 取得頁面指定的儲存後端；可在載入腳本前設定 window.CART_STORAGE_BACKEND
+ * @returns {string} 後端名稱
+ */
+const resolvePreferredBackend = () =>
+    (typeof window !== 'undefined' && window.CART_STORAGE_BACKEND) || STORAGE_BACKEND_CONFIG.DEFAULT_BACKEND;
+
+// ============================================================================
+// 跨分頁同步
+// ============================================================================
+
+/**
+ * 建立跨分頁同步通道，函數式與類別版本的購物車共用
+ * 其他分頁寫入指定鍵值時會觸發 storage 事件；支援 BroadcastChannel 的瀏覽器另外透過頻道通知。
+ * IndexedDB 等後端不會觸發 storage 事件且讀取的是記憶體快取，因此頻道訊息在寫入完成後才送出，
+ * 收到訊息時先重新讀取後端再呼叫 onExternalChange
+ * @param {string} channelName - BroadcastChannel 名稱
+ * @param {string[]} watchedKeys - 監聽的儲存鍵值
+ * @param {Function} onExternalChange - 其他分頁更新資料時呼叫
+ * @param {StorageAdapter} storage - 同步的儲存後端
+ * @returns {{notify: function(): Promise<void>, close: Function}} 通知其他分頁與關閉同步的函數
+ */
+const createStorageSyncChannel = (channelName, watchedKeys, onExternalChange, storage = appStorage) => {
+    const reload = () => (typeof storage.reload === 'function' ? storage.reload() : Promise.resolve())
+        .catch(error => console.warn('重新讀取儲存資料失敗:', error));
+    const flush = () => (typeof storage.flush === 'function' ? storage.flush() : Promise.resolve());
+
+    // event.key 為 null 代表其他分頁呼叫了 localStorage.clear()
+    const storageHandler = (event) => {
+        if (event.key === null || watchedKeys.includes(event.key)) {
+            onExternalChange();
+        }
+    };
+    window.addEventListener('storage', storageHandler);
+
+    let channel = null;
+    if (typeof BroadcastChannel !== 'undefined') {
+        try {
+            channel = new BroadcastChannel(channelName);
+            channel.onmessage = () => reload().then(() => onExternalChange());
+        } catch (error) {
+            console.warn('無法建立跨分頁同步頻道:', error);
+        }
+    }
+
+    return {
+        notify: () => {
+            if (!channel) {
+                return Promise.resolve();
+            }
+            return flush().then(() => channel.postMessage({ type: 'cart-updated' }));
+        },
+        close: () => {
+            window.removeEventListener('storage', storageHandler);
+            if (channel) {
+                channel.close();
+            }
+        }
+    };
+};
+
+// ============================================================================
+// 全域實例
+// ============================================================================
+
+// 購物車、訂單等模組共用的儲存後端
+const appStorage = createStorage(resolvePreferredBackend());
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        parseCookies,
+        resolvePreferredBackend,
+
+        // 儲存後端
+        createWebStorageAdapter,
+        createMemoryStorageAdapter,
+        createCookieStorageAdapter,
+        createIndexedDBStorageAdapter,
+        createFallbackStorage,
+        createStorage,
+
+        // 跨分頁同步
+        createStorageSyncChannel,
+
+        // 全域實例
+        appStorage,
+
+        // 常數
+        STORAGE_BACKENDS,
+        STORAGE_BACKEND_CONFIG,
+        STORAGE_ADAPTER_FACTORIES
+    };
+}
@@ -0,0 +1,273 @@
+const { loadTestPage } = require('./testHelpers');
+
+describe('儲存後端測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 載入購物車頁面
+     * @param {Function} beforeScripts - 在腳本執行前設定 window（例如指定後端）
+     */
+    const loadCartPage = (beforeScripts = () => {}) => {
+        dom = loadTestPage('cart.html', {
+            beforeScripts,
+            expose: [
+                'appStorage',
+                'cartManager',
+                'createFallbackStorage',
+                'createMemoryStorageAdapter',
+                'createCookieStorageAdapter',
+                'createIndexedDBStorageAdapter',
+                'createStorageSyncChannel',
+                'PRODUCTS'
+            ]
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    /**
+     * 建立寫入時一律拋出錯誤的後端（模擬容量已滿）
+     * @param {string} name - 後端名稱
+     * @param {Object<string, string>} initialData - 既有資料
+     */
+    const createFullAdapter = (name, initialData = {}) => {
+        const data = { ...initialData };
+        return {
+            name,
+            getItem: (key) => (key in data ? data[key] : null),
+            setItem: () => {
+                throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+            },
+            removeItem: (key) => {
+                delete data[key];
+            },
+            clear: () => Object.keys(data).forEach(key => delete data[key]),
+            ready: Promise.resolve()
+        };
+    };
+
+    /**
+     * 建立最小的 IndexedDB 工廠（JSDOM 沒有提供 IndexedDB）
+     * 同一個工廠開啟的資料庫共用資料，用於模擬兩個分頁開啟同一個資料庫
+     */
+    const createSharedIndexedDB = () => {
+        const stores = new Map();
+        const later = (callback) => setTimeout(callback, 0);
+
+        const createDatabase = () => ({
+            createObjectStore: (name) => stores.set(name, new Map()),
+            transaction: (name) => {
+                const data = stores.get(name);
+                const transaction = {
+                    objectStore: () => ({
+                        put: (value, key) => data.set(key, value),
+                        delete: (key) => data.delete(key),
+                        clear: () => data.clear(),
+                        openCursor: () => {
+                            const entries = Array.from(data.entries());
+                            const request = {};
+                            const advance = (index) => later(() => {
+                                request.result = index < entries.length
+                                    ? { key: entries[index][0], value: entries[index][1], continue: () => advance(index + 1) }
+                                    : null;
+                                request.onsuccess();
+                            });
+                            advance(0);
+                            return request;
+                        }
+                    })
+                };
+                later(() => transaction.oncomplete && transaction.oncomplete());
+                return transaction;
+            }
+        });
+
+        return {
+            open: () => {
+                const request = {};
+                later(() => {
+                    request.result = createDatabase();
+                    if (stores.size === 0) {
+                        request.onupgradeneeded();
+                    }
+                    request.onsuccess();
+                });
+                return request;
+            }
+        };
+    };
+
+    /**
+     * 建立會把訊息送到同名的其他頻道的 BroadcastChannel（模擬其他分頁）
+     */
+    const createLinkedBroadcastChannel = () => {
+        const channels = [];
+        return class {
+            constructor(name) {
+                this.name = name;
+                channels.push(this);
+            }
+
+            postMessage(data) {
+                channels
+                    .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+                    .forEach(channel => setTimeout(() => channel.onmessage({ data }), 0));
+            }
+
+            close() {
+                channels.splice(channels.indexOf(this), 1);
+            }
+        };
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('預設應該使用 localStorage 後端', () => {
+        loadCartPage();
+
+        expect(window.appStorage.getActiveBackend()).toBe('localStorage');
+
+        window.addToCart(window.PRODUCTS[0]);
+        expect(JSON.parse(window.localStorage.getItem('shoppingCart')).data.items[0].id).toBe('1');
+    });
+
+    it('應該可以透過 window.CART_STORAGE_BACKEND 改用記憶體後端', () => {
+        loadCartPage((win) => {
+            win.CART_STORAGE_BACKEND = 'memory';
+        });
+
+        window.addToCart(window.PRODUCTS[0]);
+
+        expect(window.appStorage.getActiveBackend()).toBe('memory');
+        expect(window.localStorage.getItem('shoppingCart')).toBeNull();
+        expect(JSON.parse(window.appStorage.getItem('shoppingCart')).data.items[0].id).toBe('1');
+    });
+
+    it('偏好的後端不支援時應該改用備援順序中的下一個後端', () => {
+        loadCartPage((win) => {
+            win.CART_STORAGE_BACKEND = 'indexedDB';
+            delete win.indexedDB;
+        });
+
+        expect(window.appStorage.getActiveBackend()).toBe('localStorage');
+    });
+
+    it('寫入失敗時應該自動改用下一個後端，並可讀取先前後端的資料', () => {
+        loadCartPage();
+
+        const memory = window.createMemoryStorageAdapter();
+        const storage = window.createFallbackStorage([
+            createFullAdapter('localStorage', { orderHistory: '[]' }),
+            memory
+        ]);
+
+        storage.setItem('shoppingCart', '{"version":2}');
+
+        expect(storage.getActiveBackend()).toBe('memory');
+        expect(memory.getItem('shoppingCart')).toBe('{"version":2}');
+        // 尚未寫入新後端的資料仍從先前的後端讀取
+        expect(storage.getItem('orderHistory')).toBe('[]');
+    });
+
+    it('改用下一個後端後移除或清除的資料不應該從先前的後端讀回', () => {
+        loadCartPage();
+
+        const storage = window.createFallbackStorage([
+            createFullAdapter('localStorage', { shoppingCart: '{"version":1}', orderHistory: '[]' }),
+            window.createMemoryStorageAdapter()
+        ]);
+
+        storage.setItem('shoppingCart', '{"version":2}');
+        storage.removeItem('shoppingCart');
+
+        expect(storage.getActiveBackend()).toBe('memory');
+        expect(storage.getItem('shoppingCart')).toBeNull();
+        expect(storage.getItem('orderHistory')).toBe('[]');
+
+        storage.clear();
+
+        expect(storage.getItem('orderHistory')).toBeNull();
+    });
+
+    it('Cookie 超過大小上限時應該改用下一個後端', () => {
+        loadCartPage();
+
+        const cookie = window.createCookieStorageAdapter(64, 'cart_');
+        const memory = window.createMemoryStorageAdapter();
+        const storage = window.createFallbackStorage([cookie, memory]);
+
+        storage.setItem('small', '1');
+        expect(storage.getActiveBackend()).toBe('cookie');
+        expect(cookie.getItem('small')).toBe('1');
+
+        storage.setItem('large', 'x'.repeat(100));
+        expect(storage.getActiveBackend()).toBe('memory');
+        expect(memory.getItem('large')).toBe('x'.repeat(100));
+        expect(storage.getItem('small')).toBe('1');
+    });
+
+    it('Cookie 後端的 clear 應該只清除指定前綴的 Cookie', () => {
+        loadCartPage();
+
+        document.cookie = 'other=keep; path=/';
+        const cookie = window.createCookieStorageAdapter(4096, 'cart_');
+        cookie.setItem('shoppingCart', '[]');
+
+        cookie.clear();
+
+        expect(cookie.getItem('shoppingCart')).toBeNull();
+        expect(document.cookie).toContain('other=keep');
+    });
+
+    it('購物車在 localStorage 已滿時應該繼續運作並保存在備援後端', () => {
+        loadCartPage((win) => {
+            win.CART_STORAGE_BACKEND = 'memory';
+        });
+
+        const memory = window.createMemoryStorageAdapter();
+        const storage = window.createFallbackStorage([createFullAdapter('localStorage'), memory]);
+        // 以已滿的後端取代全域儲存，確認購物車的寫入會轉到備援後端
+        ['getItem', 'setItem', 'removeItem', 'clear'].forEach(method => {
+            window.appStorage[method] = storage[method];
+        });
+
+        window.addToCart(window.PRODUCTS[0]);
+
+        expect(storage.getActiveBackend()).toBe('memory');
+        expect(JSON.parse(memory.getItem('shoppingCart')).data.items[0].quantity).toBe(1);
+        expect(document.getElementById('cart-count').textContent).toBe('1');
+    });
+
+    it('IndexedDB 後端收到其他分頁的同步通知時應該先重新讀取資料庫', async () => {
+        loadCartPage((win) => {
+            win.BroadcastChannel = createLinkedBroadcastChannel();
+        });
+
+        const indexedDB = createSharedIndexedDB();
+        const tabA = window.createFallbackStorage([window.createIndexedDBStorageAdapter(indexedDB)]);
+        const tabB = window.createFallbackStorage([window.createIndexedDBStorageAdapter(indexedDB)]);
+        await Promise.all([tabA.ready, tabB.ready]);
+
+        let syncB;
+        const receivedValue = new Promise(resolve => {
+            syncB = window.createStorageSyncChannel('test-sync', ['shoppingCart'], () => {
+                resolve(tabB.getItem('shoppingCart'));
+            }, tabB);
+        });
+        const syncA = window.createStorageSyncChannel('test-sync', ['shoppingCart'], () => {}, tabA);
+
+        tabA.setItem('shoppingCart', '{"version":3}');
+        // 另一個分頁的記憶體快取尚未得知這次寫入
+        expect(tabB.getItem('shoppingCart')).toBeNull();
+
+        await syncA.notify();
+
+        expect(await receivedValue).toBe('{"version":3}');
+        syncA.close();
+        syncB.close();
+    });
+});
@@ -0,0 +1,466 @@
+// 稅額計算模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 storage.js、i18n.js、currency.js、product.js（依商品分類階層查找稅率）、pricing.js 與 coupon.js（折扣只分攤到適用的商品）
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 稅率表：以商品分類 ID 為鍵值，default 為沒有設定稅率的分類與運費使用的稅率
+ * @typedef {Object<string, number>} TaxRates
+ */
+
+/**
+ * 稅務設定
+ * @typedef {Object} TaxSettings
+ * @property {TaxRates} rates - 稅率表
+ * @property {boolean} pricesIncludeTax - 商品價格與運費是否為含稅價
+ * @property {string} displayMode - 預設的顯示模式（TAX_DISPLAY_MODES 之一）
+ */
+
+/**
+ * 單一金額的稅額拆分
+ * @typedef {Object} TaxAmount
+ * @property {number} net - 未稅金額
+ * @property {number} tax - 稅額
+ * @property {number} gross - 含稅金額
+ */
+
+/**
+ * 購物車的稅額明細；各金額的 net - 折扣 net + 運費 net + taxTotal 恰好等於 finalTotal
+ * @typedef {Object} TaxBreakdown
+ * @property {TaxAmount} subtotal - 商品總計
+ * @property {(TaxAmount & {code: string})[]} discounts - 各優惠券的折扣
+ * @property {(TaxAmount & {rate: number})[]} groups - 各稅率的商品金額（已扣除分攤的折扣，依稅率由小到大）
+ * @property {TaxAmount} shipping - 運費
+ * @property {number[]} rates - 購物車使用到的稅率（由小到大）
+ * @property {number} taxTotal - 稅額總計
+ * @property {number} exclusiveTax - 未含在價格中、需另外加計的稅額（含稅價時為 0）
+ * @property {boolean} pricesIncludeTax - 商品價格與運費是否為含稅價
+ */
+
+// 顯示模式
+const TAX_DISPLAY_MODES = {
+    INCLUSIVE: 'inclusive', // 顯示含稅金額，另列內含稅額
+    EXCLUSIVE: 'exclusive' // 顯示未稅金額，另列稅額（企業客戶）
+};
+
+// 預設稅率表（營業稅 5%）；可在載入腳本前設定 window.TAX_SETTINGS = { rates: { cable: 0.1 } } 覆寫部分分類的稅率
+const DEFAULT_TAX_RATES = {
+    default: 0.05
+};
+
+// 稅務設定
+const TAX_CONFIG = {
+    DEFAULT_RATE_KEY: 'default', // 稅率表中預設稅率的鍵值
+    PRICES_INCLUDE_TAX: true, // 商品價格與運費預設為含稅價
+    DEFAULT_DISPLAY_MODE: TAX_DISPLAY_MODES.INCLUSIVE, // 尚未選擇時使用的顯示模式
+    ROUNDING: CURRENCY_ROUNDING.ROUND, // 稅額以基準幣別的最小單位四捨五入
+    STORAGE_KEY: 'taxDisplayMode', // 本地儲存鍵值
+    CHANGE_EVENT: 'taxdisplaychange' // 切換顯示模式時在 window 上觸發的事件名稱
+};
+
+// ============================================================================
+// 純函數 - 稅率設定
+// ============================================================================
+
+/**
+ * 檢查稅率是否有效
+ * @param {*} rate - 稅率（例如 0.05）
+ * @returns {boolean} 是否有效
+ */
+const isValidTaxRate = (rate) => typeof rate === 'number' && Number.isFinite(rate) && rate >= 0 && rate < 1;
+
+/**
+ * 檢查顯示模式是否有效
+ * @param {*} mode - 顯示模式
+ * @returns {boolean} 是否有效
+ */
+const isValidTaxDisplayMode = (mode) => Object.values(TAX_DISPLAY_MODES).includes(mode);
+
+/**
+ * 合併預設稅務設定與頁面設定，略過無效的稅率與顯示模式
+ * @param {Object} [overrides] - 要覆寫的設定（rates、pricesIncludeTax、displayMode）
+ * @returns {TaxSettings} 稅務設定
+ */
+const resolveTaxSettings = (overrides = typeof window !== 'undefined' ? window.TAX_SETTINGS : undefined) => {
+    const { rates = {}, pricesIncludeTax, displayMode } = overrides || {};
+    return {
+        rates: {
+            ...DEFAULT_TAX_RATES,
+            ...Object.fromEntries(Object.entries(rates).filter(([, rate]) => isValidTaxRate(rate)))
+        },
+        pricesIncludeTax: typeof pricesIncludeTax === 'boolean' ? pricesIncludeTax : TAX_CONFIG.PRICES_INCLUDE_TAX,
+        displayMode: isValidTaxDisplayMode(displayMode) ? displayMode : TAX_CONFIG.DEFAULT_DISPLAY_MODE
+    };
+};
+
+/**
+ * 查找商品分類的稅率；分類沒有設定時沿用最近的上層分類，都沒有時使用預設稅率
+ * @param {string} [categoryId] - 商品分類 ID
+ * @param {TaxRates} rates - 稅率表
+ * @param {ProductCategory[]} categories - 商品分類
+ * @returns {number} 稅率
+ */
+const findTaxRate = (categoryId, rates, categories = PRODUCT_CATEGORIES) => {
+    const categoryIds = getCategoryPath(categories, categoryId).map(category => category.id).reverse();
+    const matchedId = categoryIds.find(id => Object.prototype.hasOwnProperty.call(rates, id));
+    return matchedId ? rates[matchedId] : rates[TAX_CONFIG.DEFAULT_RATE_KEY];
+};
+
+// ============================================================================
+// 純函數 - 稅額計算
+// ============================================================================
+
+/**
+ * 拆分單一金額的未稅金額與稅額；稅額先以基準幣別的最小單位進位，未稅或含稅金額再以加減取得，三者必定相符
+ * @param {number} amount - 金額（含稅價或未稅價，依 pricesIncludeTax）
+ * @param {number} rate - 稅率
+ * @param {boolean} pricesIncludeTax - 金額是否為含稅價
+ * @returns {TaxAmount} 稅額拆分
+ */
+const splitTaxAmount = (amount, rate, pricesIncludeTax) => {
+    const money = moneyFromAmount(amount);
+    if (pricesIncludeTax) {
+        const tax = multiplyMoney(money, rate / (1 + rate), TAX_CONFIG.ROUNDING);
+        return { net: moneyToAmount(subtractMoney(money, tax)), tax: moneyToAmount(tax), gross: amount };
+    }
+    const tax = multiplyMoney(money, rate, TAX_CONFIG.ROUNDING);
+    return { net: amount, tax: moneyToAmount(tax), gross: moneyToAmount(addMoney(money, tax)) };
+};
+
+/**
+ * 加總多筆稅額拆分
+ * @param {TaxAmount[]} amounts - 稅額拆分陣列
+ * @returns {TaxAmount} 加總結果
+ */
+const sumTaxAmounts = (amounts) => {
+    const sumField = (field) => moneyToAmount(sumMoney(amounts.map(amount => moneyFromAmount(amount[field]))));
+    return { net: sumField('net'), tax: sumField('tax'), gross: sumField('gross') };
+};
+
+/**
+ * 計算兩筆稅額拆分的差（各欄位以 Money 相減）
+ * @param {TaxAmount} amount - 原金額
+ * @param {TaxAmount} deduction - 要扣除的金額
+ * @returns {TaxAmount} 扣除後的金額
+ */
+const subtractTaxAmount = (amount, deduction) => {
+    const subtractField = (field) =>
+        moneyToAmount(subtractMoney(moneyFromAmount(amount[field]), moneyFromAmount(deduction[field])));
+    return { net: subtractField('net'), tax: subtractField('tax'), gross: subtractField('gross') };
+};
+
+/**
+ * 依比例將金額分配到各份（以 allocateMoney 計算，各份加總必定等於原金額）；比重皆為 0 時各份為 0
+ * @param {number} amount - 要分配的金額
+ * @param {number[]} weights - 各份的比重
+ * @returns {number[]} 各份分配到的金額
+ */
+const allocateTaxableAmount = (amount, weights) =>
+    weights.some(weight => weight > 0)
+        ? allocateMoney(moneyFromAmount(amount), weights).map(moneyToAmount)
+        : weights.map(() => 0);
+
+/**
+ * 將購物車項目依稅率分組並加總金額
+ * @param {CartItem[]} items - 購物車項目陣列
+ * @param {TaxRates} rates - 稅率表
+ * @returns {{rate: number, amount: number}[]} 各稅率的商品金額（依稅率由小到大）
+ */
+const groupItemsByTaxRate = (items, rates) => {
+    const totals = items.reduce((acc, item) => {
+        const rate = findTaxRate(item.category, rates);
+        const lineTotal = calculateLineTotal(item);
+        return { ...acc, [rate]: acc[rate] ? addMoney(acc[rate], lineTotal) : lineTotal };
+    }, {});
+    return Object.entries(totals)
+        .map(([rate, money]) => ({ rate: Number(rate), amount: moneyToAmount(money) }))
+        .sort((a, b) => a.rate - b.rate);
+};
+
+/**
+ * 計算分攤單張優惠券折扣的比重：各稅率分組中適用該優惠券的商品金額
+ * 例如只適用傳輸線的優惠券只分攤到傳輸線的稅率；找不到優惠券時以所有商品計算
+ * @param {CouponDiscount} discount - 優惠券折扣結果
+ * @param {CartItem[]} items - 可購買的購物車項目
+ * @param {{rate: number, amount: number}[]} groups - 所有商品的稅率分組
+ * @param {TaxRates} rates - 稅率表
+ * @param {Coupon[]} coupons - 優惠券資料
+ * @returns {number[]} 與 groups 對應的比重
+ */
+const getDiscountWeights = (discount, items, groups, rates, coupons = COUPONS) => {
+    const coupon = findCouponByCode(coupons, discount.code);
+    const eligibleGroups = groupItemsByTaxRate(coupon ? getEligibleItems(coupon, items) : items, rates);
+    return groups.map(group => {
+        const eligibleGroup = eligibleGroups.find(eligible => eligible.rate === group.rate);
+        return eligibleGroup ? eligibleGroup.amount : 0;
+    });
+};
+
+/**
+ * 計算購物車的稅額明細
+ * 商品依分類稅率分組計算；每張優惠券的折扣依適用商品在各稅率的金額比例分攤，並以相同稅率扣除稅額；
+ * 運費使用預設稅率。稅額逐項以基準幣別的最小單位四捨五入後加總
+ * @param {CartItem[]} items - 可購買的購物車項目
+ * @param {CouponDiscount[]} discounts - 優惠券折扣結果（金額為 Money）
+ * @param {number} shippingFee - 運費
+ * @param {TaxSettings} settings - 稅務設定
+ * @param {Coupon[]} coupons - 優惠券資料
+ * @returns {TaxBreakdown} 稅額明細
+ */
+const calculateCartTax = (items, discounts, shippingFee, settings, coupons = COUPONS) => {
+    const { rates, pricesIncludeTax } = settings;
+    const groups = groupItemsByTaxRate(items, rates);
+    const shippingRate = rates[TAX_CONFIG.DEFAULT_RATE_KEY];
+
+    const groupAmounts = groups.map(group => splitTaxAmount(group.amount, group.rate, pricesIncludeTax));
+    // 每張優惠券分攤到各稅率分組的折扣
+    const discountShares = discounts.map(discount =>
+        allocateTaxableAmount(moneyToAmount(discount.amount), getDiscountWeights(discount, items, groups, rates, coupons))
+            .map((share, index) => splitTaxAmount(share, groups[index].rate, pricesIncludeTax)));
+
+    const subtotal = sumTaxAmounts(groupAmounts);
+    const discountAmounts = discounts.map((discount, index) => ({
+        code: discount.code,
+        ...sumTaxAmounts(discountShares[index])
+    }));
+    const groupTotals = groups.map((group, index) => ({
+        rate: group.rate,
+        ...subtractTaxAmount(groupAmounts[index], sumTaxAmounts(discountShares.map(shares => shares[index])))
+    }));
+    const shipping = splitTaxAmount(shippingFee, shippingRate, pricesIncludeTax);
+    const discountTax = sumMoney(discountAmounts.map(discount => moneyFromAmount(discount.tax)));
+    const taxTotal = moneyToAmount(addMoney(
+        subtractMoney(moneyFromAmount(subtotal.tax), discountTax),
+        moneyFromAmount(shipping.tax)
+    ));
+    const usedRates = [...new Set([...groups.map(group => group.rate), ...(shippingFee > 0 ? [shippingRate] : [])])]
+        .sort((a, b) => a - b);
+
+    return {
+        subtotal,
+        discounts: discountAmounts,
+        groups: groupTotals,
+        shipping,
+        rates: usedRates,
+        taxTotal,
+        exclusiveTax: pricesIncludeTax ? 0 : taxTotal,
+        pricesIncludeTax
+    };
+};
+
+/**
+ * 依顯示模式取得價格明細要顯示的金額
+ * @param {TaxBreakdown} tax - 稅額明細
+ * @param {string} displayMode - 顯示模式
+ * @returns {{subtotal: number, discounts: CouponDiscount[], discountTotal: number, shippingFee: number}} 顯示的金額
+ */
+const selectTaxDisplayAmounts = (tax, displayMode) => {
+    const basis = displayMode === TAX_DISPLAY_MODES.EXCLUSIVE ? 'net' : 'gross';
+    const discounts = tax.discounts.map(discount => ({ code: discount.code, amount: discount[basis] }));
+    return {
+        subtotal: tax.subtotal[basis],
+        discounts,
+        discountTotal: moneyToAmount(sumMoney(discounts.map(discount => moneyFromAmount(discount.amount)))),
+        shippingFee: tax.shipping[basis]
+    };
+};
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 格式化稅率清單（例如 5%、10%）
+ * @param {number[]} rates - 稅率
+ * @returns {string} 格式化後的稅率
+ */
+const formatTaxRates = (rates) => rates
+    .map(rate => formatNumber(rate, getLocale(), { style: 'percent', maximumFractionDigits: 2 }))
+    .join(t('common.listSeparator'));
+
+/**
+ * 產生價格明細中的稅額 HTML 字串；顯示含稅金額時標示為內含稅額
+ * @param {TaxBreakdown} tax - 稅額明細
+ * @param {string} displayMode - 顯示模式
+ * @param {Function} format - 金額格式化函數
+ * @returns {string} HTML 字串
+ */
+const taxLineToHtml = (tax, displayMode, format = formatPrice) => {
+    const key = displayMode === TAX_DISPLAY_MODES.EXCLUSIVE ? 'price.tax' : 'price.taxIncluded';
+    return `<div class="price-item tax"><span>${t(key, { rates: formatTaxRates(tax.rates), amount: format(tax.taxTotal) })}</span></div>`;
+};
+
+/**
+ * 產生顯示模式切換 HTML 字串
+ * @param {string} displayMode - 目前的顯示模式
+ * @returns {string} HTML 字串
+ */
+const taxDisplayToggleToHtml = (displayMode) => `
+    <label class="tax-display-toggle">
+        <input type="checkbox" ${displayMode === TAX_DISPLAY_MODES.EXCLUSIVE ? 'checked' : ''}
+            onchange="setTaxDisplayMode(this.checked ? '${TAX_DISPLAY_MODES.EXCLUSIVE}' : '${TAX_DISPLAY_MODES.INCLUSIVE}')">
+        ${t('cart.taxExclusive')}
+    </label>
+`;
+
+// ============================================================================
+// 副作用函數 - 本地儲存操作
+// ============================================================================
+
+/**
+ * 從本地儲存讀取選擇的顯示模式；沒有選擇或無效時使用預設值
+ * @param {string} defaultMode - 預設的顯示模式
+ * @returns {string} 顯示模式
+ */
+const loadTaxDisplayMode = (defaultMode) => {
+    try {
+        const item = appStorage.getItem(TAX_CONFIG.STORAGE_KEY);
+        const mode = item ? JSON.parse(item) : null;
+        return isValidTaxDisplayMode(mode) ? mode : defaultMode;
+    } catch (error) {
+        console.warn('讀取稅額顯示模式失敗:', error);
+        return defaultMode;
+    }
+};
+
+/**
+ * 儲存選擇的顯示模式
+ * @param {string} mode - 顯示模式
+ * @returns {boolean} 是否儲存成功
+ */
+const saveTaxDisplayMode = (mode) => {
+    try {
+        appStorage.setItem(TAX_CONFIG.STORAGE_KEY, JSON.stringify(mode));
+        return true;
+    } catch (error) {
+        console.warn('儲存稅額顯示模式失敗:', error);
+        return false;
+    }
+};
+
+// ============================================================================
+// 稅務管理器類別
+// ============================================================================
+
+/**
+ * 稅務管理器：保存稅務設定與目前的顯示模式
+ */
+class TaxManager {
+    /**
+     * @param {TaxSettings} settings - 稅務設定
+     */
+    constructor(settings = resolveTaxSettings()) {
+        this.settings = settings;
+        this.displayMode = loadTaxDisplayMode(settings.displayMode);
+        // IndexedDB 等非同步後端載入完成後重新讀取
+        appStorage.ready.then(() => {
+            const mode = loadTaxDisplayMode(this.settings.displayMode);
+            if (mode !== this.displayMode) {
+                this.applyDisplayMode(mode);
+            }
+        });
+    }
+
+    /**
+     * 計算購物車的稅額明細
+     * @param {CartItem[]} items - 可購買的購物車項目
+     * @param {CouponDiscount[]} discounts - 優惠券折扣結果
+     * @param {number} shippingFee - 運費
+     * @returns {TaxBreakdown} 稅額明細
+     */
+    calculate(items, discounts, shippingFee) {
+        return calculateCartTax(items, discounts, shippingFee, this.settings);
+    }
+
+    /**
+     * 依目前的顯示模式換算商品金額（例如購物車項目的單價與小計）
+     * @param {number} amount - 金額
+     * @param {string} [categoryId] - 商品分類 ID
+     * @returns {number} 要顯示的金額
+     */
+    toDisplayAmount(amount, categoryId) {
+        const split = splitTaxAmount(amount, findTaxRate(categoryId, this.settings.rates), this.settings.pricesIncludeTax);
+        return this.displayMode === TAX_DISPLAY_MODES.EXCLUSIVE ? split.net : split.gross;
+    }
+
+    /**
+     * 切換顯示模式並儲存；無效的模式不做任何事
+     * @param {string} mode - 顯示模式
+     * @returns {boolean} 是否切換成功
+     */
+    setDisplayMode(mode) {
+        if (!isValidTaxDisplayMode(mode)) {
+            console.warn(`不支援的稅額顯示模式: ${mode}`);
+            return false;
+        }
+        saveTaxDisplayMode(mode);
+        if (mode !== this.displayMode) {
+            this.applyDisplayMode(mode);
+        }
+        return true;
+    }
+
+    /**
+     * 套用顯示模式，並通知各模組重新渲染
+     * @param {string} mode - 顯示模式
+     */
+    applyDisplayMode(mode) {
+        this.displayMode = mode;
+        window.dispatchEvent(new CustomEvent(TAX_CONFIG.CHANGE_EVENT, { detail: { mode } }));
+    }
+}
+
+// ============================================================================
+// 全域實例和公開 API
+// ============================================================================
+
+// 創建稅務管理器實例
+const taxManager = new TaxManager();
+
+// 公開的 API 函數
+var setTaxDisplayMode = (mode) => taxManager.setDisplayMode(mode);
+var getTaxDisplayMode = () => taxManager.displayMode;
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        isValidTaxRate,
+        isValidTaxDisplayMode,
+        resolveTaxSettings,
+        findTaxRate,
+        splitTaxAmount,
+        sumTaxAmounts,
+        subtractTaxAmount,
+        allocateTaxableAmount,
+        groupItemsByTaxRate,
+        getDiscountWeights,
+        calculateCartTax,
+        selectTaxDisplayAmounts,
+        formatTaxRates,
+        taxLineToHtml,
+        taxDisplayToggleToHtml,
+
+        // 工具函數
+        loadTaxDisplayMode,
+        saveTaxDisplayMode,
+
+        // 管理器
+        TaxManager,
+
+        // 公開 API
+        setTaxDisplayMode,
+        getTaxDisplayMode,
+
+        // 常數
+        TAX_DISPLAY_MODES,
+        DEFAULT_TAX_RATES,
+        TAX_CONFIG
+    };
+}
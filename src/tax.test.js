@@ -0,0 +1,178 @@
+const { loadTestPage, createCartEnvelope } = require('./testHelpers');
+
+describe('稅額計算測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 載入頁面
+     * @param {string} pageName - 頁面檔名
+     * @param {Object} [options] - 預先設定的稅務設定與購物車
+     * @param {Object} [options.settings] - window.TAX_SETTINGS
+     * @param {Object[]} [options.cartItems] - 預先存入 localStorage 的購物車項目
+     * @param {string[]} [options.coupons] - 預先存入 localStorage 的優惠碼
+     */
+    const loadPage = (pageName, { settings, cartItems, coupons = [] } = {}) => {
+        dom = loadTestPage(pageName, {
+            storage: cartItems ? { shoppingCart: createCartEnvelope(cartItems, { coupons }) } : {},
+            beforeScripts: (pageWindow) => {
+                pageWindow.TAX_SETTINGS = settings;
+            },
+            expose: [
+                'splitTaxAmount',
+                'allocateTaxableAmount',
+                'findTaxRate',
+                'resolveTaxSettings',
+                'calculateCartTax',
+                'calculateCouponDiscounts',
+                'orderDetailToHtml'
+            ]
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    const getTotalText = () => document.getElementById('cart-total').textContent;
+
+    const airPods = {
+        id: '3', key: '3', name: 'AirPods Pro', price: 7490, image: '/public/assets/product-air-pod.webp',
+        category: 'audio', quantity: 1
+    };
+    const iPhone = {
+        id: '1', key: '1::128-natural', variantId: '128-natural', name: 'iPhone 15 Pro', price: 36900,
+        image: '/public/assets/product-iphone.webp', category: 'phone', quantity: 1
+    };
+
+    const cable = {
+        id: '7', key: '7', name: 'Type-C傳輸線', price: 300, image: '/public/assets/product-type-c-cable.webp',
+        category: 'cable', quantity: 2
+    };
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('應該拆分含稅價與未稅價的稅額，並以最小單位四捨五入', () => {
+        loadPage('index.html');
+
+        expect(window.splitTaxAmount(7490, 0.05, true)).toEqual({ net: 7133, tax: 357, gross: 7490 });
+        expect(window.splitTaxAmount(1000, 0.05, false)).toEqual({ net: 1000, tax: 50, gross: 1050 });
+        // 10.5 四捨五入為 11
+        expect(window.splitTaxAmount(210, 0.05, false)).toEqual({ net: 210, tax: 11, gross: 221 });
+        expect(window.splitTaxAmount(500, 0, true)).toEqual({ net: 500, tax: 0, gross: 500 });
+    });
+
+    it('依比例分配金額時各份加總應該等於原金額', () => {
+        loadPage('index.html');
+
+        expect(window.allocateTaxableAmount(100, [1, 1, 1])).toEqual([34, 33, 33]);
+        expect(window.allocateTaxableAmount(3000, [36900, 7490])).toEqual([2494, 506]);
+        expect(window.allocateTaxableAmount(50, [0, 0])).toEqual([0, 0]);
+    });
+
+    it('分類沒有設定稅率時應該沿用上層分類，再改用預設稅率', () => {
+        loadPage('index.html');
+        const { rates } = window.resolveTaxSettings({ rates: { accessory: 0.1, cable: 0, phone: 2 } });
+
+        expect(window.findTaxRate('audio', rates)).toBe(0.1);
+        expect(window.findTaxRate('cable', rates)).toBe(0);
+        // 無效的稅率會被略過
+        expect(window.findTaxRate('phone', rates)).toBe(0.05);
+        expect(window.findTaxRate(undefined, rates)).toBe(0.05);
+    });
+
+    it('含稅顯示時應該另列內含稅額，總金額不變', () => {
+        loadPage('cart.html', { cartItems: [airPods] });
+
+        expect(getTotalText()).toContain('商品總計: NT$ 7,490');
+        expect(getTotalText()).toContain('內含稅額 (5%): NT$ 357');
+        expect(getTotalText()).toContain('總金額: NT$ 7,490');
+        expect(window.calculateTotal()).toBe(7490);
+    });
+
+    it('切換為未稅顯示時應該列出未稅金額與稅額並保存選擇', () => {
+        loadPage('cart.html', { cartItems: [airPods] });
+
+        const toggle = document.querySelector('.tax-display-toggle input');
+        toggle.checked = true;
+        toggle.dispatchEvent(new window.Event('change'));
+
+        expect(getTotalText()).toContain('商品總計 (未稅): NT$ 7,133');
+        expect(getTotalText()).toContain('運費 (未稅): NT$ 0');
+        expect(getTotalText()).toContain('稅額 (5%): NT$ 357');
+        expect(getTotalText()).toContain('總金額: NT$ 7,490');
+        expect(document.querySelector('.cart-item .item-price').textContent).toBe('NT$ 7,133');
+        expect(document.querySelector('.tax-display-toggle input').checked).toBe(true);
+        expect(JSON.parse(window.localStorage.getItem('taxDisplayMode'))).toBe('exclusive');
+    });
+
+    it('未稅顯示時稍後購買的單價應該與購物車項目相同', () => {
+        loadPage('cart.html', { cartItems: [airPods, { ...iPhone, quantity: 2 }] });
+
+        window.setTaxDisplayMode('exclusive');
+        window.saveForLater('1::128-natural');
+
+        expect(document.querySelector('.cart-item .item-price').textContent).toBe('NT$ 7,133');
+        expect(document.querySelector('.saved-item .item-price').textContent).toBe('NT$ 35,143 × 2');
+    });
+
+    it('未稅價格應該依分類稅率加計稅額，折扣依比例分攤扣除稅額', () => {
+        loadPage('cart.html', {
+            settings: { rates: { accessory: 0.1 }, pricesIncludeTax: false, displayMode: 'exclusive' },
+            cartItems: [iPhone, airPods],
+            coupons: ['SAVE10']
+        });
+
+        // 稅額 = 36,900 × 5% + 7,490 × 10% - (2,494 × 5% + 506 × 10%)
+        expect(getTotalText()).toContain('商品總計 (未稅): NT$ 44,390');
+        expect(getTotalText()).toContain('折扣 (SAVE10): -NT$ 3,000');
+        expect(getTotalText()).toContain('稅額 (5%、10%): NT$ 2,418');
+        expect(getTotalText()).toContain('總金額: NT$ 43,808');
+        expect(window.calculateTotal()).toBe(43808);
+
+        window.setTaxDisplayMode('inclusive');
+
+        expect(getTotalText()).toContain('商品總計: NT$ 46,984');
+        expect(getTotalText()).toContain('折扣 (SAVE10): -NT$ 3,176');
+        expect(getTotalText()).toContain('內含稅額 (5%、10%): NT$ 2,418');
+        expect(getTotalText()).toContain('總金額: NT$ 43,808');
+    });
+
+    it('只適用部分商品的折扣應該只分攤到適用商品的稅率', () => {
+        loadPage('index.html');
+        const settings = window.resolveTaxSettings({ rates: { cable: 0.1 }, pricesIncludeTax: false });
+        const items = [iPhone, cable];
+        const { discounts } = window.calculateCouponDiscounts(items, ['CABLE2FOR1']);
+
+        const tax = window.calculateCartTax(items, discounts, 0, settings);
+
+        // 買一送一的 NT$ 300 只折抵傳輸線，手機的 5% 稅額不受影響
+        expect(tax.groups).toEqual([
+            { rate: 0.05, net: 36900, tax: 1845, gross: 38745 },
+            { rate: 0.1, net: 300, tax: 30, gross: 330 }
+        ]);
+        expect(tax.discounts).toEqual([{ code: 'CABLE2FOR1', net: 300, tax: 30, gross: 330 }]);
+        expect(tax.taxTotal).toBe(1875);
+    });
+
+    it('訂單明細應該顯示下單時的稅額，舊訂單不顯示', () => {
+        loadPage('orders.html');
+        const order = {
+            orderNumber: 'ORD-20240101-0001',
+            placedAt: '2024-01-01T00:00:00.000Z',
+            items: [airPods],
+            coupons: [],
+            shippingMethodId: 'HOME_DELIVERY',
+            totalCount: 1,
+            totalPrice: 7490,
+            discountTotal: 0,
+            shippingFee: 0,
+            finalTotal: 7490
+        };
+
+        expect(window.orderDetailToHtml({ ...order, taxTotal: 357, taxRates: [0.05], taxIncluded: true }))
+            .toContain('內含稅額 (5%): NT$ 357');
+        expect(window.orderDetailToHtml(order)).not.toContain('稅額');
+    });
+});
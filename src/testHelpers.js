@@ -0,0 +1,131 @@
+// 測試共用工具 - 以 JSDOM 載入頁面並依頁面的 <script src> 順序執行腳本
+// 腳本順序直接讀取 HTML，頁面新增或調整模組時測試不需要跟著修改
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// 已讀取的檔案內容，同一個測試檔載入多次頁面時不重複讀取
+const fileCache = new Map();
+
+/**
+ * 讀取 src 目錄下的檔案
+ * @param {string} fileName - 檔名
+ * @returns {string} 檔案內容
+ */
+const readSourceFile = (fileName) => {
+    if (!fileCache.has(fileName)) {
+        fileCache.set(fileName, fs.readFileSync(path.join(__dirname, fileName), 'utf8'));
+    }
+    return fileCache.get(fileName);
+};
+
+// 購物車的儲存格式版本，直接讀取 cart-refactored-functional.js 的 CART_SCHEMA_VERSION，格式升級時不需要跟著修改
+const CART_SCHEMA_VERSION = Number(
+    readSourceFile('cart-refactored-functional.js').match(/const CART_SCHEMA_VERSION = (\d+);/)[1]
+);
+
+/**
+ * 取得頁面依序載入的腳本檔名
+ * @param {string} pageName - 頁面檔名
+ * @returns {string[]} 腳本檔名
+ */
+const getPageScriptNames = (pageName) =>
+    [...readSourceFile(pageName).matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+/**
+ * 建立購物車的儲存封包，用於預先存入 localStorage
+ * @param {Object[]} items - 購物車項目
+ * @param {Object} [options] - 其他購物車狀態
+ * @param {string[]} [options.coupons] - 已套用的優惠碼
+ * @param {string} [options.shippingMethodId] - 配送方式 ID
+ * @param {Object[]} [options.savedForLater] - 稍後購買的項目
+ * @returns {{version: number, data: Object}} 購物車儲存封包
+ */
+const createCartEnvelope = (items, { coupons = [], shippingMethodId = 'HOME_DELIVERY', savedForLater = [] } = {}) => ({
+    version: CART_SCHEMA_VERSION,
+    data: { items, coupons, shippingMethodId, savedForLater }
+});
+
+/**
+ * 以 JSDOM 載入頁面並執行頁面的腳本
+ * 腳本以 const 宣告的函數不會成為 window 的屬性，需要在測試中使用的名稱列在 expose
+ * @param {string} pageName - 頁面檔名
+ * @param {Object} [options] - 載入選項
+ * @param {string} [options.search] - 網址的查詢字串（含 ?）
+ * @param {Object<string, *>} [options.storage] - 載入腳本前存入 localStorage 的資料，值以 JSON 儲存
+ * @param {Function} [options.beforeScripts] - 載入腳本前呼叫，用於設定 window 上的全域設定
+ * @param {Function} [options.beforeReady] - 載入腳本後、觸發 DOMContentLoaded 前呼叫
+ * @param {string[]} [options.expose] - 掛載到 window 上的全域名稱，頁面沒有載入的名稱會略過
+ * @param {string[]} [options.scripts] - 改為執行的腳本檔名（例如沒有頁面載入的類別版本購物車），預設為頁面的腳本
+ * @param {boolean} [options.ready=true] - 是否觸發 DOMContentLoaded
+ * @returns {JSDOM} 載入的頁面
+ */
+const loadTestPage = (pageName, {
+    search = '',
+    storage = {},
+    beforeScripts = () => {},
+    beforeReady = () => {},
+    expose = [],
+    scripts = getPageScriptNames(pageName),
+    ready = true
+} = {}) => {
+    const dom = new JSDOM(readSourceFile(pageName), {
+        url: `http://localhost/${pageName}${search}`,
+        pretendToBeVisual: true,
+        runScripts: 'dangerously'
+    });
+    const { window } = dom;
+
+    window.console.log = jest.fn();
+    window.console.warn = jest.fn();
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, JSON.stringify(value)));
+    beforeScripts(window);
+
+    window.eval(`
+        ${scripts.map(readSourceFile).join('\n')}
+
+        // 將測試需要的物件掛載到 window 上
+        ${expose.map(name => `if (typeof ${name} !== 'undefined') window.${name} = ${name};`).join('\n')}
+    `);
+
+    beforeReady(window);
+    if (ready) {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+    return dom;
+};
+
+/**
+ * 等待頁面的商品管理器載入完整的商品目錄，並讓等待商品目錄的操作（例如再買一次）執行完畢
+ * 載入頁面時需將 productManager 列在 expose
+ * @param {Window} window - 頁面的 window
+ * @returns {Promise<void>}
+ */
+const waitForCatalogue = async (window) => {
+    await window.productManager.getCatalogue();
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+};
+
+/**
+ * 將頁面商品目錄中的指定商品設為已售完，用於測試售完狀態（實際商品資料皆有庫存）
+ * 需在商品管理器載入商品目錄前呼叫，載入頁面時需將 PRODUCTS 列在 expose
+ * @param {Window} window - 頁面的 window
+ * @param {string[]} productIds - 設為已售完的商品 ID
+ */
+const markProductsSoldOut = (window, productIds) => {
+    window.PRODUCTS
+        .filter(product => productIds.includes(product.id))
+        .forEach(product => {
+            product.stock = 0;
+        });
+};
+
+module.exports = {
+    readSourceFile,
+    getPageScriptNames,
+    createCartEnvelope,
+    loadTestPage,
+    waitForCatalogue,
+    markProductsSoldOut
+};
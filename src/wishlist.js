@@ -0,0 +1,339 @@
+// 願望清單模組 - 遵循 Clean Code 和函數式程式設計原則
+// 需先載入 i18n.js、currency.js、product.js、pricing.js、coupon.js、shipping.js、tax.js 與 cart-refactored-functional.js
+
+// ============================================================================
+// 資料結構和常數定義
+// ============================================================================
+
+/**
+ * 願望清單以商品 ID 陣列儲存（最早加入的在前），商品資料一律以目前的商品資料為準
+ * @typedef {string[]} Wishlist
+ */
+
+// 願望清單設定
+const WISHLIST_CONFIG = {
+    STORAGE_KEY: 'wishlist' // 本地儲存鍵值
+};
+
+// DOM 元素 ID
+const WISHLIST_DOM_IDS = {
+    COUNT: 'wishlist-count',
+    ITEMS: 'wishlist-items'
+};
+
+// ============================================================================
+// 純函數 - 願望清單邏輯
+// ============================================================================
+
+/**
+ * 加入或移除願望清單中的商品（純函數）
+ * @param {Wishlist} wishlist - 願望清單
+ * @param {string} productId - 商品 ID
+ * @returns {Wishlist} 更新後的願望清單
+ */
+const toggleWishlistItem = (wishlist, productId) => wishlist.includes(productId)
+    ? wishlist.filter(id => id !== productId)
+    : [...wishlist, productId];
+
+/**
+ * 從願望清單移除商品（純函數）
+ * @param {Wishlist} wishlist - 願望清單
+ * @param {string} productId - 商品 ID
+ * @returns {Wishlist} 更新後的願望清單
+ */
+const removeWishlistItem = (wishlist, productId) => wishlist.filter(id => id !== productId);
+
+/**
+ * 取得願望清單中仍在販售的商品（純函數），已下架的商品會被略過
+ * @param {Wishlist} wishlist - 願望清單
+ * @param {Product[]} products - 目前的商品資料
+ * @returns {Product[]} 願望清單中的商品
+ */
+const resolveWishlistProducts = (wishlist, products) => wishlist
+    .map(productId => findProductById(products, productId))
+    .filter(Boolean);
+
+/**
+ * 驗證願望清單是否有效
+ * @param {Wishlist} wishlist - 願望清單
+ * @returns {boolean} 是否有效
+ */
+const isValidWishlist = (wishlist) =>
+    Array.isArray(wishlist) && wishlist.every(productId => typeof productId === 'string');
+
+// ============================================================================
+// 純函數 - 資料轉換和格式化
+// ============================================================================
+
+/**
+ * 將願望清單中的商品轉換為 HTML 字串
+ * @param {Product} product - 商品資料
+ * @returns {string} HTML 字串
+ */
+const wishlistItemToHtml = (product) => {
+    const displayProduct = resolveVariantProduct(product, getDefaultVariant(product));
+    const soldOut = isOutOfStock(product);
+    return `
+    <div class="wishlist-item${soldOut ? ' out-of-stock' : ''}" data-id="${product.id}">
+        <div class="item-image">
+            <img src="${displayProduct.image}" alt="${product.name}">
+        </div>
+        <div class="item-details">
+            <h3>${product.name}</h3>
+            <p class="item-price">${formatPrice(displayProduct.price)}</p>
+        </div>
+        <button class="add-to-cart-btn" onclick="addWishlistItemToCart('${product.id}')"
+            ${soldOut ? 'disabled' : ''}>
+            ${soldOut ? t('common.soldOut') : t('common.addToCart')}
+        </button>
+        <button class="remove-btn" onclick="removeFromWishlist('${product.id}')">${t('common.remove')}</button>
+    </div>
+`;
+};
+
+/**
+ * 產生願望清單頁面 HTML 字串
+ * @param {Product[]} products - 願望清單中的商品
+ * @returns {string} HTML 字串
+ */
+const wishlistToHtml = (products) => products.length === 0
+    ? `
+        <div class="wishlist-empty">
+            <p>${t('wishlist.empty')}</p>
+            <a href="index.html" class="btn btn-primary">${t('common.startShopping')}</a>
+        </div>
+    `
+    : `
+        ${products.map(wishlistItemToHtml).join('')}
+        <div class="wishlist-actions">
+            <button class="btn btn-primary wishlist-add-all-btn" onclick="addAllWishlistToCart()">${t('wishlist.addAll')}</button>
+        </div>
+    `;
+
+// ============================================================================
+// 副作用函數 - 本地儲存操作
+// ============================================================================
+
+/**
+ * 從本地儲存載入願望清單，格式不正確時視為空清單
+ * @returns {Wishlist} 願望清單
+ */
+const loadWishlistFromStorage = () => {
+    const savedWishlist = safeGetFromStorage(WISHLIST_CONFIG.STORAGE_KEY, []);
+    return isValidWishlist(savedWishlist) ? savedWishlist : [];
+};
+
+/**
+ * 儲存願望清單到本地儲存
+ * @param {Wishlist} wishlist - 願望清單
+ * @returns {boolean} 是否儲存成功
+ */
+const saveWishlistToStorage = (wishlist) => safeSetToStorage(WISHLIST_CONFIG.STORAGE_KEY, wishlist);
+
+// ============================================================================
+// 願望清單管理
+// ============================================================================
+
+/**
+ * 願望清單管理器
+ */
+class WishlistManager {
+    /**
+     * @param {CartManager} cart - 購物車管理器
+     */
+    constructor(cart) {
+        this.cart = cart;
+        this.wishlist = loadWishlistFromStorage();
+    }
+
+    /**
+     * 初始化願望清單計數與頁面
+     */
+    initialize() {
+        this.updateDisplay();
+        // IndexedDB 等非同步後端載入完成後重新讀取
+        appStorage.ready.then(() => {
+            this.wishlist = loadWishlistFromStorage();
+            this.updateDisplay();
+        });
+    }
+
+    /**
+     * 檢查商品是否在願望清單中
+     * @param {string} productId - 商品 ID
+     * @returns {boolean} 是否在願望清單中
+     */
+    has(productId) {
+        return this.wishlist.includes(productId);
+    }
+
+    /**
+     * 加入或移除願望清單中的商品
+     * @param {string} productId - 商品 ID
+     * @returns {boolean} 商品目前是否在願望清單中
+     */
+    toggle(productId) {
+        this.wishlist = toggleWishlistItem(this.wishlist, productId);
+        saveWishlistToStorage(this.wishlist);
+        this.updateDisplay();
+
+        const added = this.has(productId);
+        showNotification(t(added ? 'wishlist.added' : 'wishlist.removed'));
+        return added;
+    }
+
+    /**
+     * 從願望清單移除商品
+     * @param {string} productId - 商品 ID
+     */
+    remove(productId) {
+        this.wishlist = removeWishlistItem(this.wishlist, productId);
+        saveWishlistToStorage(this.wishlist);
+        this.updateDisplay();
+    }
+
+    /**
+     * 將願望清單中的單一商品加入購物車（預設規格）
+     * @param {string} productId - 商品 ID
+     * @param {Product[]} [products] - 目前的商品資料，省略時使用商品管理器的商品目錄
+     * @returns {Promise<void>}
+     */
+    async addToCart(productId, products) {
+        const catalogue = products || await loadCatalogueForCart();
+        if (!catalogue) {
+            return;
+        }
+
+        const product = findProductById(catalogue, productId);
+        if (!product) {
+            showNotification(t('wishlist.discontinued'));
+            return;
+        }
+        this.cart.addItem(product);
+    }
+
+    /**
+     * 將願望清單中的商品全部加入購物車（各加入一件預設規格）
+     * 逐件透過購物車的 addItem 加入，沿用加入購物車的通知與庫存檢查
+     * @param {Product[]} [products] - 目前的商品資料，省略時使用商品管理器的商品目錄
+     * @returns {Promise<number>} 嘗試加入的商品數
+     */
+    async addAllToCart(products) {
+        const catalogue = products || await loadCatalogueForCart();
+        if (!catalogue) {
+            return 0;
+        }
+
+        const availableProducts = resolveWishlistProducts(this.wishlist, catalogue);
+        if (availableProducts.length === 0) {
+            showNotification(t('wishlist.nothingAvailable'));
+            return 0;
+        }
+
+        availableProducts.forEach(product => this.cart.addItem(product));
+        return availableProducts.length;
+    }
+
+    /**
+     * 獲取願望清單
+     * @returns {Wishlist} 願望清單
+     */
+    getWishlist() {
+        return [...this.wishlist];
+    }
+
+    /**
+     * 更新頁首計數、商品卡片與商品詳細頁上的愛心與願望清單頁面
+     * @returns {Promise<void>} 願望清單頁面的列表渲染完成
+     */
+    updateDisplay() {
+        const countElement = document.getElementById(WISHLIST_DOM_IDS.COUNT);
+        if (countElement) {
+            countElement.textContent = this.wishlist.length;
+        }
+
+        document.querySelectorAll('.product-card .wishlist-btn, .product-detail .wishlist-btn').forEach(button => {
+            const card = button.closest('.product-card, .product-detail');
+            const active = this.has(card.dataset.id);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            button.textContent = active ? '♥' : '♡';
+        });
+
+        return this.renderItems();
+    }
+
+    /**
+     * 以商品管理器的商品目錄渲染願望清單頁面的列表；不在願望清單頁面時不做任何事
+     * @returns {Promise<void>}
+     */
+    async renderItems() {
+        const itemsElement = document.getElementById(WISHLIST_DOM_IDS.ITEMS);
+        if (!itemsElement) {
+            return;
+        }
+
+        const catalogue = await loadCatalogueForCart();
+        if (catalogue) {
+            itemsElement.innerHTML = wishlistToHtml(resolveWishlistProducts(this.wishlist, catalogue));
+        }
+    }
+}
+
+// ============================================================================
+// 全域實例和公開 API
+// ============================================================================
+
+// 創建願望清單管理器實例
+const wishlistManager = new WishlistManager(cartManager);
+
+// 公開的 API 函數
+var toggleWishlist = (productId) => wishlistManager.toggle(productId);
+var isInWishlist = (productId) => wishlistManager.has(productId);
+var removeFromWishlist = (productId) => wishlistManager.remove(productId);
+var addWishlistItemToCart = (productId) => wishlistManager.addToCart(productId);
+var addAllWishlistToCart = () => wishlistManager.addAllToCart();
+
+// DOM 載入完成後初始化
+document.addEventListener('DOMContentLoaded', () => wishlistManager.initialize());
+
+// 切換幣別後重新顯示願望清單的價格
+window.addEventListener(CURRENCY_CONFIG.CHANGE_EVENT, () => wishlistManager.updateDisplay());
+
+// 切換語系後以新的語系重新顯示願望清單
+window.addEventListener(I18N_CONFIG.CHANGE_EVENT, () => wishlistManager.updateDisplay());
+
+// ============================================================================
+// 模組匯出（如果使用模組系統）
+// ============================================================================
+
+// 如果在 Node.js 環境中，匯出模組
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 純函數
+        toggleWishlistItem,
+        removeWishlistItem,
+        resolveWishlistProducts,
+        isValidWishlist,
+        wishlistItemToHtml,
+        wishlistToHtml,
+
+        // 工具函數
+        loadWishlistFromStorage,
+        saveWishlistToStorage,
+
+        // 管理器
+        WishlistManager,
+
+        // 公開 API
+        toggleWishlist,
+        isInWishlist,
+        removeFromWishlist,
+        addWishlistItemToCart,
+        addAllWishlistToCart,
+
+        // 常數
+        WISHLIST_CONFIG,
+        WISHLIST_DOM_IDS
+    };
+}
@@ -0,0 +1,115 @@
+const { loadTestPage, waitForCatalogue, markProductsSoldOut } = require('./testHelpers');
+
+describe('願望清單 DOM 測試', () => {
+    let dom;
+    let window;
+    let document;
+
+    /**
+     * 以指定的願望清單載入頁面
+     * @param {string} pageName - 頁面檔名
+     * @param {string[]} savedWishlist - 預先存入 localStorage 的願望清單
+     */
+    const loadPage = (pageName, savedWishlist = []) => {
+        dom = loadTestPage(pageName, {
+            storage: { wishlist: savedWishlist },
+            expose: ['PRODUCTS', 'productManager', 'renderProductsList', 'toggleWishlist', 'addAllWishlistToCart']
+        });
+        window = dom.window;
+        document = window.document;
+    };
+
+    const getSavedWishlist = () => JSON.parse(window.localStorage.getItem('wishlist'));
+    const getSavedCart = () => JSON.parse(window.localStorage.getItem('shoppingCart')).data.items;
+
+    const getNotifications = () =>
+        Array.from(document.querySelectorAll('.notification')).map(notification => notification.textContent);
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('商品卡片應該顯示愛心按鈕，並反映是否已在願望清單中', () => {
+        loadPage('index.html', ['3']);
+        window.renderProductsList(window.PRODUCTS);
+
+        const airPodsButton = document.querySelector('.product-card[data-id="3"] .wishlist-btn');
+        const iPhoneButton = document.querySelector('.product-card[data-id="1"] .wishlist-btn');
+        expect(airPodsButton.classList.contains('active')).toBe(true);
+        expect(airPodsButton.getAttribute('aria-pressed')).toBe('true');
+        expect(iPhoneButton.classList.contains('active')).toBe(false);
+    });
+
+    it('點選愛心應該加入或移除願望清單並更新頁首計數', () => {
+        loadPage('index.html');
+        window.renderProductsList(window.PRODUCTS);
+
+        const button = document.querySelector('.product-card[data-id="1"] .wishlist-btn');
+        button.click();
+
+        expect(getSavedWishlist()).toEqual(['1']);
+        expect(button.classList.contains('active')).toBe(true);
+        expect(document.getElementById('wishlist-count').textContent).toBe('1');
+        expect(getNotifications().pop()).toBe('已加入願望清單');
+
+        button.click();
+
+        expect(getSavedWishlist()).toEqual([]);
+        expect(button.classList.contains('active')).toBe(false);
+        expect(document.getElementById('wishlist-count').textContent).toBe('0');
+        expect(getNotifications().pop()).toBe('已從願望清單移除');
+    });
+
+    it('願望清單頁面應該列出商品並略過已下架的商品', async () => {
+        loadPage('wishlist.html', ['3', '999', '1']);
+        await waitForCatalogue(window);
+
+        const items = document.querySelectorAll('.wishlist-item');
+        expect(Array.from(items).map(item => item.dataset.id)).toEqual(['3', '1']);
+        expect(document.getElementById('wishlist-count').textContent).toBe('3');
+    });
+
+    it('願望清單為空時應該顯示空狀態', async () => {
+        loadPage('wishlist.html');
+        await waitForCatalogue(window);
+
+        expect(document.querySelector('.wishlist-empty').textContent).toContain('願望清單是空的');
+        expect(document.querySelector('.wishlist-add-all-btn')).toBeNull();
+    });
+
+    it('全部加入購物車應該逐件加入並顯示加入通知', async () => {
+        loadPage('wishlist.html', ['3', '7']);
+        await waitForCatalogue(window);
+
+        document.querySelector('.wishlist-add-all-btn').click();
+        await waitForCatalogue(window);
+
+        expect(getSavedCart().map(item => [item.id, item.quantity])).toEqual([['3', 1], ['7', 1]]);
+        expect(document.getElementById('cart-count').textContent).toBe('2');
+        expect(getNotifications()).toEqual(['AirPods Pro 已添加到購物車', 'Type-C傳輸線 已添加到購物車']);
+        // 加入購物車後願望清單保留
+        expect(getSavedWishlist()).toEqual(['3', '7']);
+    });
+
+    it('全部加入購物車時已售完的商品應該顯示庫存通知', async () => {
+        loadPage('wishlist.html', ['4', '3']);
+        markProductsSoldOut(window, ['4']);
+
+        await window.addAllWishlistToCart();
+
+        expect(getSavedCart().map(item => item.id)).toEqual(['3']);
+        expect(getNotifications()[0]).toContain('已售完');
+    });
+
+    it('從願望清單頁面移除商品應該更新列表與計數', async () => {
+        loadPage('wishlist.html', ['3', '1']);
+        await waitForCatalogue(window);
+
+        document.querySelector('.wishlist-item[data-id="3"] .remove-btn').click();
+        await waitForCatalogue(window);
+
+        expect(getSavedWishlist()).toEqual(['1']);
+        expect(document.querySelectorAll('.wishlist-item').length).toBe(1);
+        expect(document.getElementById('wishlist-count').textContent).toBe('1');
+    });
+});